@@ -0,0 +1,453 @@
+#!/usr/bin/env node
+
+/**
+ * horizon - unified command line for the Horizon Design System validator
+ *
+ * Usage:
+ *   horizon <command> [options]
+ *
+ * Run `horizon --help` for the list of commands and options.
+ */
+
+import { parseArgs } from 'util';
+import path from 'path';
+import { config } from '../config.js';
+import { REPORT_FORMATS } from '../utils/reporters.js';
+import { LOGIN_STRATEGIES } from '../utils/auth.js';
+import { applyProfile } from '../utils/profiles.js';
+import { readPageList } from '../utils/discovery.js';
+import { CONFIG_FILE_NAMES } from '../utils/config-file.js';
+
+/**
+ * Subcommands and the module that implements each one.
+ * Modules are imported lazily so `horizon --help` does not load Puppeteer.
+ */
+const commands = {
+  validate: {
+    description: 'Validate Horizon usage, custom patterns and Figma specs on every page',
+    run: async () => (await import('../tests/horizon-validator.js')).runValidation()
+  },
+  baseline: {
+    description: 'Run validate and store the per-page results as the regression baseline',
+    run: async () => {
+      config.baseline.update = true;
+      return (await import('../tests/horizon-validator.js')).runValidation();
+    }
+  },
+  audit: {
+    description: 'Deep component inventory of the first page',
+    run: async () => (await import('../tests/component-audit.js')).runComponentAudit()
+  },
+  diagnose: {
+    description: 'Inspect page structure, Shadow DOM and UI frameworks on the first page',
+    run: async () => (await import('../tests/diagnostic.js')).runDiagnostic()
+  },
+  compare: {
+    description: 'Extract components for Figma comparison (horizon compare [figma-file-url])',
+    run: async (positionals) => (await import('../tests/compare-to-figma.js')).runComparison(positionals[0] || null)
+  },
+  visual: {
+    description: 'Capture component screenshots and build the visual comparison report',
+    run: async () => (await import('../tests/visual-comparison.js')).runVisualComparison()
+  },
+  extract: {
+    description: 'Extract class-based variants and sizes into a detailed report',
+    run: async () => (await import('../tests/enhanced-extraction.js')).runEnhancedExtraction()
+  },
+  a11y: {
+    description: 'Check accessible names, labels, dialogs, focus trapping and contrast inside shadow roots',
+    run: async () => (await import('../tests/accessibility-audit.js')).runAccessibilityAudit()
+  },
+  states: {
+    description: 'Drive components into their mapped states (hover, focus, pressed, ...) and capture each',
+    run: async () => (await import('../tests/state-capture.js')).runStateCapture()
+  },
+  discover: {
+    description: 'Crawl a workspace from its root page (horizon discover [root]) and write the page list',
+    run: async (positionals) => (await import('../tests/page-discovery.js')).runPageDiscovery(positionals[0])
+  },
+  responsive: {
+    description: 'Audit every page at each named viewport and flag overflowing or clipped components',
+    run: async () => (await import('../tests/responsive-audit.js')).runResponsiveAudit()
+  },
+  instances: {
+    description: 'Audit the pages on each instance profile (--profiles) and compare the results',
+    run: async (positionals, values) => (await import('../tests/compare-instances.js')).runInstanceComparison(
+      values.profiles ? values.profiles.split(',').map(p => p.trim()).filter(Boolean) : undefined
+    )
+  },
+  themes: {
+    description: 'Switch the user theme (light, dark) and re-run component, token and contrast audits per theme',
+    run: async () => (await import('../tests/theme-audit.js')).runThemeAudit()
+  },
+  trends: {
+    description: 'Chart compliance over time per page and component from the run history',
+    run: async () => (await import('../tests/trend-report.js')).runTrendReport()
+  },
+  tokens: {
+    description: 'Compare computed component styles against the design token file',
+    run: async () => (await import('../tests/token-audit.js')).runTokenAudit()
+  },
+  mapping: {
+    description: 'Update figma-component-mapping.json (horizon mapping [component:node-id ...] | --from-figma [component ...])',
+    run: async (positionals, values) => (await import('../scripts/update-mapping.js')).runUpdateMapping(
+      values['from-figma'] ? ['--from-figma', ...positionals] : positionals
+    )
+  }
+};
+
+/**
+ * Options shared by every subcommand
+ */
+const sharedOptions = {
+  config: { type: 'string' }, // Loaded by config.js on import, before the other options apply
+  instance: { type: 'string', short: 'i' },
+  profile: { type: 'string', short: 'P' },
+  profiles: { type: 'string' },
+  pages: { type: 'string', short: 'p' },
+  'pages-file': { type: 'string' },
+  depth: { type: 'string' },
+  'max-pages': { type: 'string' },
+  'out-dir': { type: 'string', short: 'o' },
+  headless: { type: 'boolean' },
+  headed: { type: 'boolean' },
+  'fresh-login': { type: 'boolean' },
+  auth: { type: 'string', short: 'a' },
+  viewport: { type: 'string' },
+  viewports: { type: 'string' },
+  themes: { type: 'string' },
+  format: { type: 'string', short: 'f' },
+  concurrency: { type: 'string', short: 'c' },
+  retries: { type: 'string' },
+  report: { type: 'string', short: 'r' },
+  'max-custom': { type: 'string' },
+  'max-spec-violations': { type: 'string' },
+  'min-coverage': { type: 'string' },
+  'min-score': { type: 'string' },
+  'allow-page-errors': { type: 'boolean' },
+  diff: { type: 'boolean' },
+  baseline: { type: 'string' },
+  history: { type: 'string' },
+  'no-history': { type: 'boolean' },
+  last: { type: 'string' },
+  'update-visual-baseline': { type: 'boolean' },
+  tolerance: { type: 'string' },
+  'from-figma': { type: 'boolean' },
+  tokens: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const outputFormats = ['text', 'json'];
+
+function printUsage() {
+  console.log(`Usage: horizon <command> [options]
+
+Commands:
+${Object.entries(commands).map(([name, { description }]) => `  ${name.padEnd(10)} ${description}`).join('\n')}
+
+Options:
+      --config <file>        Project config file (default: ${CONFIG_FILE_NAMES.join(', ')} in the working directory)
+  -i, --instance <name|url>  Instance name (<name>.service-now.com) or full base URL
+  -P, --profile <name>       Use an instance profile from SN_PROFILES (${Object.keys(config.profiles).join(', ') || 'none defined'})
+      --profiles <list>      instances: profiles to compare (default: all in SN_PROFILES)
+  -p, --pages <list>         Comma-separated page paths, e.g. /now/sow/home,/now/sow/list
+      --pages-file <file>    Page list written by discover; read by the other commands instead of --pages
+                             (discover default: ${config.discovery.file})
+      --depth <n>            discover: link hops followed from the root (default: ${config.discovery.maxDepth})
+      --max-pages <n>        discover: pages visited before the crawl stops (default: ${config.discovery.maxPages})
+  -o, --out-dir <dir>        Directory for screenshots/ and reports/ (default: current directory)
+      --headless             Run the browser without UI (default)
+      --headed               Show the browser while running
+  -a, --auth <strategy>      Login strategy: ${Object.keys(LOGIN_STRATEGIES).join(' | ')} (default: ${config.auth.strategy})
+      --fresh-login          Ignore the saved session and submit the login form (default: reuse ${config.session.file})
+      --viewport <WxH|name>  Browser viewport, e.g. 1440x900 or tablet (default: 1920x1080)
+      --viewports <list>     responsive: named viewports to audit (default: ${config.viewports.map(v => v.name).join(',')})
+  -f, --format <format>      Console output: ${outputFormats.join(' | ')} (default: text)
+  -c, --concurrency <n>      validate: pages audited in parallel (default: ${config.concurrency})
+      --retries <n>          validate: retries for a page that fails to load or audit (default: ${config.retries.attempts})
+  -r, --report <list>        Result files written by validate: ${REPORT_FORMATS.join(',')} or none
+                             (default: ${config.reportFormats.join(',')})
+      --diff                 validate: report changes since the stored baseline
+      --baseline <file>      Baseline file (default: ${config.baseline.file})
+      --history <file>       Run history file (default: ${config.history.file})
+      --no-history           validate: do not add this run to the history
+      --last <n>             trends: only chart the last n runs
+      --update-visual-baseline
+                             visual: store this run's component screenshots as the baseline
+      --tolerance <pct>      visual: max % of changed pixels per component (default: ${config.visualRegression.tolerance})
+      --themes <list>        themes: themes to audit, first is the reference (default: ${config.themes.variants.map(t => t.name).join(',')})
+      --tokens <file>        tokens: design token file (default: ${config.designTokens.file})
+      --from-figma           mapping: read node IDs and variant properties from the Figma API (FIGMA_TOKEN)
+  -h, --help                 Show this help
+
+Compliance gates (validate exits with code 1 when one fails; "off" disables a gate):
+      --max-custom <n>       Max custom/non-Horizon elements per page
+      --max-spec-violations <n>
+                             Max Figma spec violations per page (default: ${config.thresholds.maxSpecViolations ?? 'off'})
+      --min-coverage <pct>   Min Horizon coverage per page, 0-100
+      --min-score <n>        Min compliance score per page, 0-100
+      --allow-page-errors    Do not fail when a page cannot be loaded or audited
+`);
+}
+
+/**
+ * Parse a WIDTHxHEIGHT viewport string or the name of a configured viewport
+ * @param {string} value - Viewport such as "1440x900" or "tablet"
+ * @returns {{width: number, height: number}}
+ */
+function parseViewport(value) {
+  const named = config.viewports.find(v => v.name === value.trim());
+  if (named) {
+    return { width: named.width, height: named.height };
+  }
+
+  const match = /^(\d+)x(\d+)$/i.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid --viewport "${value}". Expected WIDTHxHEIGHT, e.g. 1440x900, or one of: ${config.viewports.map(v => v.name).join(', ')}`);
+  }
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+/**
+ * Parse a numeric gate threshold ("off" disables the gate)
+ * @param {string} flag - Flag name for error messages
+ * @param {string} value - Raw flag value
+ * @returns {number|null}
+ */
+function parseThreshold(flag, value) {
+  if (value === 'off') return null;
+
+  const number = Number(value);
+  if (value.trim() === '' || !Number.isFinite(number) || number < 0) {
+    throw new Error(`Invalid --${flag} "${value}". Expected a non-negative number or off`);
+  }
+  return number;
+}
+
+/**
+ * Apply parsed command line options to the shared config
+ * @param {Object} values - Values returned by parseArgs
+ * @param {string} commandName - Subcommand being run
+ */
+function applyOptions(values, commandName) {
+  // Applied first so --instance and the other flags can still override it
+  if (values.profile) {
+    applyProfile(values.profile);
+  }
+
+  if (values.profiles) {
+    const names = values.profiles.split(',').map(p => p.trim()).filter(Boolean);
+    const unknown = names.filter(name => !config.profiles[name]);
+    if (names.length < 2 || unknown.length > 0) {
+      throw new Error(`Invalid --profiles "${values.profiles}". Expected two or more of: ${Object.keys(config.profiles).join(', ') || '(define SN_PROFILES in .env)'}`);
+    }
+  }
+
+  if (values.instance) {
+    if (/^https?:\/\//.test(values.instance)) {
+      config.baseUrl = values.instance;
+    } else {
+      config.instance = values.instance;
+      config.baseUrl = undefined;
+    }
+  }
+
+  if (values.pages) {
+    const pages = values.pages.split(',').map(p => p.trim()).filter(Boolean);
+    if (pages.length === 0) {
+      throw new Error('--pages needs at least one page path');
+    }
+    config.testPages = pages.map(p => (p.startsWith('/') ? p : `/${p}`));
+  }
+
+  if (values['pages-file']) {
+    if (values.pages) {
+      throw new Error('Use either --pages or --pages-file, not both');
+    }
+    // discover writes the page list; every other command reads it
+    if (commandName === 'discover') {
+      config.discovery.file = values['pages-file'];
+    } else {
+      config.testPages = readPageList(values['pages-file']);
+    }
+  }
+
+  if (values.depth !== undefined) {
+    const depth = Number(values.depth);
+    if (!Number.isInteger(depth) || depth < 0) {
+      throw new Error(`Invalid --depth "${values.depth}". Expected a non-negative whole number`);
+    }
+    config.discovery.maxDepth = depth;
+  }
+
+  if (values['max-pages'] !== undefined) {
+    const maxPages = Number(values['max-pages']);
+    if (!Number.isInteger(maxPages) || maxPages < 1) {
+      throw new Error(`Invalid --max-pages "${values['max-pages']}". Expected a whole number of at least 1`);
+    }
+    config.discovery.maxPages = maxPages;
+  }
+
+  if (values['out-dir']) {
+    config.outputDir = path.resolve(values['out-dir']);
+  }
+
+  if (values.headless && values.headed) {
+    throw new Error('Use either --headless or --headed, not both');
+  }
+  if (values.headless) config.puppeteerOptions.headless = true;
+  if (values.headed) config.puppeteerOptions.headless = false;
+
+  if (values.auth) {
+    if (!LOGIN_STRATEGIES[values.auth]) {
+      throw new Error(`Invalid --auth "${values.auth}". Expected one of: ${Object.keys(LOGIN_STRATEGIES).join(', ')}`);
+    }
+    config.auth.strategy = values.auth;
+  }
+
+  if (values['fresh-login']) config.session.reuse = false;
+
+  if (values.viewport) {
+    config.puppeteerOptions.defaultViewport = parseViewport(values.viewport);
+  }
+
+  if (values.viewports) {
+    const names = values.viewports.split(',').map(v => v.trim()).filter(Boolean);
+    const unknown = names.filter(name => !config.viewports.some(v => v.name === name));
+    if (names.length === 0 || unknown.length > 0) {
+      throw new Error(`Invalid --viewports "${values.viewports}". Expected any of: ${config.viewports.map(v => v.name).join(', ')}`);
+    }
+    config.viewports = config.viewports.filter(v => names.includes(v.name));
+  }
+
+  if (values.format) {
+    if (!outputFormats.includes(values.format)) {
+      throw new Error(`Invalid --format "${values.format}". Expected one of: ${outputFormats.join(', ')}`);
+    }
+    config.outputFormat = values.format;
+  }
+
+  if (values.concurrency !== undefined) {
+    const concurrency = Number(values.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Invalid --concurrency "${values.concurrency}". Expected a whole number of at least 1`);
+    }
+    config.concurrency = concurrency;
+  }
+
+  if (values.retries !== undefined) {
+    const retries = Number(values.retries);
+    if (!Number.isInteger(retries) || retries < 0) {
+      throw new Error(`Invalid --retries "${values.retries}". Expected a whole number of at least 0`);
+    }
+    config.retries.attempts = retries;
+  }
+
+  if (values.report) {
+    const formats = values.report === 'none' ? [] : values.report.split(',').map(f => f.trim()).filter(Boolean);
+    const unknown = formats.filter(f => !REPORT_FORMATS.includes(f));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid --report "${unknown.join(', ')}". Expected any of: ${REPORT_FORMATS.join(', ')}, or none`);
+    }
+    config.reportFormats = formats;
+  }
+
+  if (values['max-custom'] !== undefined) {
+    config.thresholds.maxCustomElementsPerPage = parseThreshold('max-custom', values['max-custom']);
+  }
+  if (values['max-spec-violations'] !== undefined) {
+    config.thresholds.maxSpecViolations = parseThreshold('max-spec-violations', values['max-spec-violations']);
+  }
+  if (values['min-coverage'] !== undefined) {
+    config.thresholds.minHorizonCoverage = parseThreshold('min-coverage', values['min-coverage']);
+  }
+  if (values['min-score'] !== undefined) {
+    config.thresholds.minScore = parseThreshold('min-score', values['min-score']);
+  }
+  if (values['allow-page-errors']) {
+    config.thresholds.failOnPageLoadError = false;
+  }
+
+  if (values.diff) config.baseline.compare = true;
+  if (values.baseline) config.baseline.file = values.baseline;
+
+  if (values.history) config.history.file = values.history;
+  if (values['no-history']) config.history.record = false;
+  if (values.last !== undefined) {
+    const last = Number(values.last);
+    if (!Number.isInteger(last) || last < 1) {
+      throw new Error(`Invalid --last "${values.last}". Expected a whole number of at least 1`);
+    }
+    config.history.last = last;
+  }
+
+  if (values.tokens) config.designTokens.file = values.tokens;
+
+  if (values.themes) {
+    const names = values.themes.split(',').map(t => t.trim()).filter(Boolean);
+    const unknown = names.filter(name => !config.themes.variants.some(t => t.name === name));
+    if (names.length === 0 || unknown.length > 0) {
+      throw new Error(`Invalid --themes "${values.themes}". Expected any of: ${config.themes.variants.map(t => t.name).join(', ')}`);
+    }
+    config.themes.variants = names.map(name => config.themes.variants.find(t => t.name === name));
+  }
+
+  if (values['update-visual-baseline']) config.visualRegression.update = true;
+  if (values.tolerance !== undefined) {
+    const tolerance = parseThreshold('tolerance', values.tolerance);
+    if (tolerance === null || tolerance > 100) {
+      throw new Error(`Invalid --tolerance "${values.tolerance}". Expected a percentage between 0 and 100`);
+    }
+    config.visualRegression.tolerance = tolerance;
+  }
+}
+
+async function main() {
+  let parsed;
+
+  try {
+    parsed = parseArgs({ options: sharedOptions, allowPositionals: true });
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    printUsage();
+    process.exit(1);
+  }
+
+  const [commandName, ...positionals] = parsed.positionals;
+
+  if (parsed.values.help || !commandName) {
+    printUsage();
+    return;
+  }
+
+  const command = commands[commandName];
+  if (!command) {
+    console.error(`❌ Unknown command: ${commandName}\n`);
+    printUsage();
+    process.exit(1);
+  }
+
+  try {
+    applyOptions(parsed.values, commandName);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  // Keep stdout clean for JSON output; progress logs go to stderr
+  const log = console.log;
+  if (config.outputFormat === 'json') {
+    console.log = console.error;
+  }
+
+  const result = await command.run(positionals, parsed.values);
+
+  if (config.outputFormat === 'json') {
+    log(JSON.stringify(result ?? null, null, 2));
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -1,18 +1,125 @@
 import dotenv from 'dotenv';
+import { readPageList } from './utils/discovery.js';
+import { findConfigFile, applyConfigFile } from './utils/config-file.js';
 
 dotenv.config();
 
+/**
+ * Read instance profiles from the environment
+ * SN_PROFILES=dev,prod reads SN_DEV_INSTANCE, SN_DEV_BASE_URL, SN_DEV_USERNAME, ...
+ * @param {string} [names] - Comma-separated profile names
+ * @returns {Object<string, Object>} Only the settings each profile defines
+ */
+function loadProfiles(names) {
+  const settings = {
+    instance: 'INSTANCE',
+    baseUrl: 'BASE_URL',
+    username: 'USERNAME',
+    password: 'PASSWORD',
+    authStrategy: 'AUTH_STRATEGY',
+    totpSecret: 'TOTP_SECRET',
+    oauthToken: 'OAUTH_TOKEN',
+    sessionCookie: 'SESSION_COOKIE'
+  };
+
+  return Object.fromEntries((names || '').split(',').map(name => name.trim()).filter(Boolean).map(name => {
+    const prefix = `SN_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const profile = {};
+    Object.entries(settings).forEach(([key, suffix]) => {
+      if (process.env[prefix + suffix] !== undefined) profile[key] = process.env[prefix + suffix];
+    });
+    return [name, profile];
+  }));
+}
+
+/**
+ * Read a whole-number setting from the environment
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Value when the variable is not set
+ * @param {number} min - Smallest allowed value
+ * @returns {number}
+ */
+function readWholeNumber(name, fallback, min) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`Invalid ${name} "${raw}". Expected a whole number of at least ${min}`);
+  }
+  return value;
+}
+
 export const config = {
   // ServiceNow instance configuration from .env
   instance: process.env.SN_INSTANCE,
   username: process.env.SN_USERNAME,
   password: process.env.SN_PASSWORD,
 
+  // Optional base URL override, e.g. http://localhost:3100 for the mock instance (npm run mock-instance)
+  baseUrl: process.env.SN_BASE_URL,
+
+  // Instance profiles (select one with --profile, compare several with horizon instances)
+  // Settings a profile does not define fall back to the values above
+  profiles: loadProfiles(process.env.SN_PROFILES),
+
+  // Login strategy (override with --auth): 'form' (native login.do), 'saml' (SSO through
+  // the IdP login form), 'oauth' (bearer token) or 'cookie' (existing session cookie)
+  auth: {
+    strategy: process.env.SN_AUTH_STRATEGY || 'form',
+
+    // Instance page that starts the SAML redirect and the IdP login form fields
+    saml: {
+      loginPath: process.env.SN_SSO_LOGIN_PATH || '/login_with_sso.do',
+      usernameSelector: '#username',
+      passwordSelector: '#password',
+      submitSelector: 'button[type="submit"]'
+    },
+
+    // MFA: code generated from the base32 TOTP secret, entered after the password step
+    totp: {
+      secret: process.env.SN_TOTP_SECRET,
+      inputSelector: '#txtResponse, input[name="otp"]',
+      submitSelector: '#sysverb_validate_mfa_code, button[type="submit"]'
+    },
+
+    oauthToken: process.env.SN_OAUTH_TOKEN,
+    sessionCookie: process.env.SN_SESSION_COOKIE // e.g. "JSESSIONID=...; glide_user_route=..."
+  },
+
   // Base URLs
   getBaseUrl() {
+    if (this.baseUrl) {
+      return this.baseUrl.replace(/\/+$/, '');
+    }
     return `https://${this.instance}.service-now.com`;
   },
 
+  // Settings for one page: its overrides from the config file over the defaults
+  getPageSettings(page) {
+    const override = this.pageOverrides[page] || {};
+    const skipComponents = override.skipComponents || [];
+    const viewport = typeof override.viewport === 'string'
+      ? this.viewports.find(v => v.name === override.viewport)
+      : override.viewport;
+
+    return {
+      wait: override.wait ?? this.timeouts.componentLoad,
+      viewport: viewport ? { width: viewport.width, height: viewport.height } : this.puppeteerOptions.defaultViewport,
+      components: this.horizonComponents.filter(name => !skipComponents.includes(name)),
+      skipComponents
+    };
+  },
+
+  // True when an instance (or base URL override) and the credentials for the login strategy are set
+  isConfigured() {
+    const credentials = {
+      oauth: this.auth.oauthToken,
+      cookie: this.auth.sessionCookie
+    }[this.auth.strategy] ?? (this.username && this.password);
+    return Boolean((this.instance || this.baseUrl) && credentials);
+  },
+
   // Horizon Design System components to validate
   horizonComponents: [
     'now-button',
@@ -35,7 +142,8 @@ export const config = {
     'now-loader'
   ],
 
-  // Test pages to audit (customize these for your instance)
+  // Test pages to audit (customize these for your instance, or list them under `pages` in horizon.config.json)
+  // SN_PAGES_FILE (or --pages-file) reads them from a page list written by horizon discover
   testPages: [
     '/now/sow/home',
     '/now/sow/list',
@@ -44,6 +152,26 @@ export const config = {
     '/now/alignment-workspace/portfolio-plans/sub/create-new-portfolio-plan'
   ],
 
+  // Per-page overrides keyed by page path, from `pages` entries in the config file:
+  // { wait: max ms to wait for readiness, viewport: name or {width, height}, skipComponents: [tag, ...] }
+  pageOverrides: {},
+
+  // Project config file that was merged over these defaults (null when there is none)
+  configFile: null,
+
+  // Page discovery crawler (horizon discover)
+  discovery: {
+    root: '/now/sow/home',             // Workspace page the crawl starts from
+    maxDepth: 2,                       // Link hops followed from the root
+    maxPages: 25,                      // Pages visited before the crawl stops
+    follow: ['sidebar', 'tabs', 'records'], // Add 'links' to follow every other in-scope link
+    scope: null,                       // Path prefixes to stay within (default: the root's workspace, e.g. /now/sow/)
+    exclude: ['\\.do$', '/logout'],    // Regular expressions for paths never visited
+    maxTabsPerPage: 10,                // Tabs clicked per page to find routed tabs
+    settleTime: 500,                   // Wait after clicking a tab (ms)
+    file: 'discovered-pages.json'      // Page list written for the validator, relative to the working directory
+  },
+
   // Custom patterns to detect (non-Horizon implementations)
   customPatterns: {
     buttons: 'button:not([class*="now-"]), input[type="button"]:not([class*="now-"]), input[type="submit"]:not([class*="now-"])',
@@ -52,6 +180,125 @@ export const config = {
     selects: 'select:not([class*="now-"])'
   },
 
+  // Root directory for screenshots/ and reports/ (override with --out-dir)
+  outputDir: process.cwd(),
+
+  // Console output format: 'text' or 'json' (override with --format)
+  outputFormat: 'text',
+
+  // Pages the validator audits at the same time, each in its own browser page
+  // sharing the login session (override with SN_CONCURRENCY or --concurrency)
+  concurrency: 1,
+
+  // Validator results written to reports/<timestamp>/
+  // Any of 'json', 'junit', 'sarif', 'html' (override with --report)
+  reportFormats: ['json', 'junit', 'sarif', 'html'],
+
+  // Compliance gates - any failure makes the validator exit with code 1
+  // Set a numeric gate to null to disable it
+  thresholds: {
+    maxCustomElementsPerPage: null, // Max custom/non-Horizon elements on a page
+    maxSpecViolations: 0,           // Max Figma spec violations on a page
+    minHorizonCoverage: null,       // Min % of Horizon instances vs. custom elements on a page
+    minScore: null,                 // Min compliance score (0-100) of a page
+    failOnPageLoadError: true       // Fail when a page cannot be loaded or audited
+  },
+
+  // Compliance score (utils/scoring.js): 100 minus weighted deductions per page,
+  // component type and instance
+  scoring: {
+    // Points deducted per finding (token deviations count once per affected instance)
+    weights: {
+      customElement: 2,
+      specViolation: 5,
+      accessibilityError: 8,
+      accessibilityWarning: 3,
+      tokenHardCoded: 2,
+      tokenWrongToken: 3,
+      tokenValueMismatch: 1
+    },
+    // Most points one category can deduct from a score
+    caps: {
+      customElements: 30,
+      specViolations: 40,
+      accessibility: 40,
+      tokens: 20
+    },
+    // Extra checks the validator runs on each page so their findings count towards the score:
+    // 'accessibility' (moves keyboard focus through dialogs) and/or 'tokens'. Off by default
+    audits: []
+  },
+
+  // Baseline snapshot for regression diffs (horizon baseline / horizon validate --diff)
+  baseline: {
+    file: 'baselines/horizon-baseline.json', // Relative to the working directory
+    update: false,                           // Save this run as the new baseline
+    compare: false                           // Diff this run against the stored baseline
+  },
+
+  // Run history (utils/history.js): every validator run appends its summary metrics
+  // to this JSON Lines file; horizon trends charts them over time
+  history: {
+    file: 'history/horizon-history.jsonl', // Relative to the working directory (override with --history)
+    record: true,                          // Append validator runs (--no-history to skip)
+    last: null                             // Trend report: only the last N runs (--last)
+  },
+
+  // Visual regression for component screenshots (horizon visual)
+  visualRegression: {
+    baselineDir: 'baselines/visual', // Relative to the working directory, one folder per page
+    tolerance: 0.5,                  // Max % of mismatched pixels before a component counts as changed
+    threshold: 0.1,                  // Per-pixel color distance threshold (0-1, pixelmatch)
+    update: false                    // Replace the baseline images with this run's screenshots
+  },
+
+  // Interaction state capture (horizon states)
+  stateCapture: {
+    maxInstancesPerComponent: 3, // Visible instances driven per component and page
+    settleTime: 250              // Wait after each interaction for transitions (ms)
+  },
+
+  // Design token file for the computed-style audit (horizon tokens)
+  designTokens: {
+    file: 'design-tokens.json' // Relative to the working directory (override with --tokens)
+  },
+
+  // Figma REST API (npm run update-mapping -- --from-figma)
+  // Set FIGMA_API_BASE_URL to the mock instance URL to use its fixture file
+  figma: {
+    token: process.env.FIGMA_TOKEN,
+    apiBaseUrl: process.env.FIGMA_API_BASE_URL || 'https://api.figma.com'
+  },
+
+  // UI themes the theme audit switches between (horizon themes)
+  // Each theme is applied by saving `preference` through the user preference endpoint;
+  // on a live instance set SN_THEME_LIGHT / SN_THEME_DARK to the theme variant sys_ids
+  themes: {
+    endpoint: '/api/now/ui/user_preference',
+    preference: 'glide.ui.polaris.theme.variant',
+    variants: [
+      { name: 'light', value: process.env.SN_THEME_LIGHT || 'light' },
+      { name: 'dark', value: process.env.SN_THEME_DARK || 'dark', tokens: 'design-tokens.dark.json' } // Token overrides merged over designTokens.file
+    ]
+  },
+
+  // Named viewports each page is audited at by the responsive audit (horizon responsive)
+  // Ordered widest first; the first entry is the reference the others are compared to
+  viewports: [
+    { name: 'desktop', width: 1920, height: 1080 },
+    { name: 'laptop', width: 1366, height: 768 },
+    { name: 'tablet', width: 768, height: 1024 },
+    { name: 'narrow', width: 390, height: 844 }
+  ],
+
+  // Saved login session (cookies and local storage) reused across runs
+  // The file holds live session credentials - keep it out of version control
+  session: {
+    file: process.env.SN_SESSION_FILE || '.horizon-session.json', // Relative to the working directory
+    reuse: true,     // Set to false (or pass --fresh-login) to always submit the login form
+    checkPath: '/'   // Page loaded to check that a restored session is still logged in
+  },
+
   // Puppeteer configuration
   puppeteerOptions: {
     headless: true, // Set to true for CI/CD
@@ -62,10 +309,44 @@ export const config = {
     args: ['--no-sandbox', '--disable-setuid-sandbox']
   },
 
+  // Readiness detection after navigation (utils/readiness.js)
+  // A page is ready once no now-loader is visible, every now-* element is defined and
+  // the now-* elements in all shadow roots have not changed for quietPeriod
+  readiness: {
+    quietPeriod: 750,  // ms without new or removed now-* elements
+    emptyPeriod: 3000, // ms a page without any now-* element must stay empty
+    pollInterval: 100  // ms between checks
+  },
+
+  // Retries for validator pages that fail to load or audit (utils/failures.js)
+  // Failed attempts are classified; only kinds in retryOn are attempted again
+  retries: {
+    attempts: 2, // Retries after the first attempt (override with SN_RETRIES or --retries)
+    backoff: 2000, // ms before the first retry, doubled for each further retry
+    retryOn: ['timeout', 'auth-expired', 'http-error', 'evaluate-error', 'blank-page']
+  },
+
   // Timeouts (in milliseconds)
   timeouts: {
     navigation: 60000,
-    componentLoad: 5000,
+    componentLoad: 15000, // Max wait for components to become ready after navigation
     login: 10000
   }
 };
+
+// Apply SN_CONCURRENCY and SN_RETRIES, then merge horizon.config.json / .yaml (or --config <file>, HORIZON_CONFIG) over the defaults
+try {
+  config.concurrency = readWholeNumber('SN_CONCURRENCY', config.concurrency, 1);
+  config.retries.attempts = readWholeNumber('SN_RETRIES', config.retries.attempts, 0);
+
+  const configFile = findConfigFile();
+  if (configFile) {
+    applyConfigFile(config, configFile);
+  }
+  if (process.env.SN_PAGES_FILE) {
+    config.testPages = readPageList(process.env.SN_PAGES_FILE);
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
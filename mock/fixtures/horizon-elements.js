@@ -0,0 +1,140 @@
+/**
+ * Stand-in Horizon (now-*) custom elements for the mock instance
+ *
+ * Each component attaches an open shadow root and renders an inner element
+ * with the same class conventions as Next Experience (e.g.
+ * class="now-button -primary -md"), so the extractors see realistic markup.
+ * Wrapper elements (macroponents, layouts) move their <template> content
+ * into a shadow root to reproduce the nesting found on workspace pages.
+ */
+(function () {
+  const STYLES = `
+    :host { display: inline-block; font-family: var(--now-font-family, Lato, Arial, sans-serif); }
+    :host([hidden]) { display: none; }
+    .-sm { font-size: var(--now-font-size--sm, 12px); padding: var(--now-spacing--xxs, 4px) var(--now-spacing--sm, 8px); }
+    .-md { font-size: var(--now-font-size--md, 14px); padding: var(--now-spacing--xs, 6px) var(--now-spacing--md, 12px); }
+    .-lg { font-size: var(--now-font-size--lg, 16px); padding: var(--now-spacing--sm, 8px) var(--now-spacing--lg, 16px); }
+    button { border-radius: var(--now-button--border-radius, 4px); border: 1px solid #8790a1; background: rgb(var(--now-color--neutral-0, 255, 255, 255)); color: #1e263b; }
+    button.-primary { background: rgb(var(--now-color--primary-1, 3, 45, 66)); color: #fff; }
+    button:hover { background: rgb(var(--now-color--neutral-3, 228, 230, 231)); }
+    button.-primary:hover { background: rgb(var(--now-color--primary-2, 2, 34, 50)); }
+    button:active { transform: translateY(1px); }
+    button:focus-visible { outline: 2px solid rgb(var(--now-color--focus, 53, 147, 37)); outline-offset: 2px; }
+    button:disabled { opacity: 0.5; cursor: not-allowed; }
+    .now-card { display: block; border-radius: var(--now-card--border-radius, 8px); box-shadow: var(--now-card--shadow, 0 2px 4px rgba(0, 0, 0, 0.2)); background: rgb(var(--now-color--neutral-0, 255, 255, 255)); }
+    .now-card:hover { box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25); }
+  `;
+
+  function attr(el, name, fallback) {
+    const value = el.getAttribute(name);
+    return value === null || value === '' ? fallback : value;
+  }
+
+  function classes(base, ...modifiers) {
+    return [base, ...modifiers.filter(Boolean).map(m => `-${m}`)].join(' ');
+  }
+
+  // Tab selected by the route (…/params/<route-param>/<index>), else the first tab
+  function selectedTabIndex(el) {
+    const param = el.getAttribute('route-param');
+    const match = param && location.pathname.match(new RegExp(`/params/${param}/(\\d+)`));
+    return match ? Number(match[1]) : 0;
+  }
+
+  const renderers = {
+    'now-button': el => {
+      const icon = el.hasAttribute('icon') ? `<now-icon icon="${attr(el, 'icon', '')}" size="sm"></now-icon>` : '';
+      const label = attr(el, 'label', '');
+      const disabled = el.hasAttribute('disabled') ? ' disabled' : '';
+      const ariaLabel = el.hasAttribute('tooltip-content') ? ` aria-label="${attr(el, 'tooltip-content', '')}"` : '';
+      return `<button class="${classes('now-button', attr(el, 'variant', 'secondary'), attr(el, 'size', 'md'))}"${disabled}${ariaLabel}>${icon}${label}</button>`;
+    },
+    'now-input': el => `<label class="now-label" for="input">${attr(el, 'label', '')}</label><input id="input" class="${classes('now-input', attr(el, 'invalid', null) !== null ? 'error' : null, attr(el, 'size', 'md'))}" type="${attr(el, 'type', 'text')}" value="${attr(el, 'value', '')}">`,
+    'now-textarea': el => `<label class="now-label" for="textarea">${attr(el, 'label', '')}</label><textarea id="textarea" class="${classes('now-textarea', attr(el, 'size', 'md'))}"></textarea>`,
+    'now-dropdown': el => `<button class="${classes('now-dropdown', attr(el, 'variant', null), attr(el, 'size', 'md'))}" aria-haspopup="listbox"${el.hasAttribute('label') ? ` aria-label="${attr(el, 'label', '')}"` : ''}>${attr(el, 'placeholder', 'Select')}<now-icon icon="chevron-down-outline" size="sm"></now-icon></button>`,
+    'now-modal': el => `<div class="${classes('now-modal', attr(el, 'size', 'md'))}" role="dialog" aria-modal="true" aria-label="${attr(el, 'header-label', '')}"><slot></slot><now-button variant="primary" size="md" label="OK"></now-button></div>`,
+    'now-card': el => `<div class="${classes('now-card', attr(el, 'size', 'md'))}"><slot></slot></div>`,
+    'now-alert': el => `<div class="${classes('now-alert', attr(el, 'status', 'informational'))}" role="alert"><now-icon icon="info-circle-outline" size="md"></now-icon><span>${attr(el, 'content', '')}</span></div>`,
+    'now-icon': el => `<svg class="${classes('now-icon', attr(el, 'size', 'md'))}" width="16" height="16" aria-hidden="true"><circle cx="8" cy="8" r="6"></circle></svg>`,
+    'now-tabs': el => {
+      const items = attr(el, 'items', 'Overview,Details').split(',');
+      const selected = selectedTabIndex(el);
+      return `<div class="now-tabs" role="tablist">${items.map((item, i) => `<button class="now-tab${i === selected ? ' -selected' : ''}" role="tab" aria-selected="${i === selected}">${item}</button>`).join('')}</div>`;
+    },
+    'now-toggle': el => `<div class="${classes('now-toggle', attr(el, 'size', 'md'))}" role="switch" aria-checked="${el.hasAttribute('checked')}"></div>`,
+    'now-checkbox': el => `<input class="${classes('now-checkbox', attr(el, 'size', 'md'))}" type="checkbox"${el.hasAttribute('checked') ? ' checked' : ''}><label>${attr(el, 'label', '')}</label>`,
+    'now-radio': el => `<div class="${classes('now-radio-buttons', attr(el, 'size', 'md'))}" role="radiogroup"><input type="radio"><label>${attr(el, 'label', '')}</label></div>`,
+    'now-popover': () => `<div class="now-popover"><slot></slot></div>`,
+    'now-tooltip': el => `<div class="now-tooltip" role="tooltip">${attr(el, 'content', '')}</div>`,
+    'now-avatar': el => `<div class="${classes('now-avatar', attr(el, 'size', 'md'))}">${attr(el, 'user-name', 'A').split(' ').map(part => part[0]).join('')}</div>`,
+    'now-badge': el => `<span class="${classes('now-badge', attr(el, 'color', 'neutral'), attr(el, 'size', 'md'))}">${attr(el, 'value', '')}</span>`,
+    'now-progress': el => `<div class="${classes('now-progress', attr(el, 'size', 'md'))}" role="progressbar" aria-valuenow="${attr(el, 'value', '0')}"></div>`,
+    'now-loader': el => `<div class="${classes('now-loader', attr(el, 'size', 'md'))}" role="status">${attr(el, 'label', '')}</div>`
+  };
+
+  // Behavior for stand-ins that react to the user or change after rendering
+  const behaviors = {
+    // Loaders with loading-ms hide once their content has "loaded", like a real now-loader
+    'now-loader': el => {
+      const ms = Number(el.getAttribute('loading-ms'));
+      if (ms > 0) setTimeout(() => { el.hidden = true; }, ms);
+    },
+
+    // Tabs with a route-param put the selected tab in the URL like workspace record tabs
+    // (…/params/selected-tab-index/2); the first tab is the bare route
+    'now-tabs': (el, root) => {
+      const tabs = Array.from(root.querySelectorAll('[role="tab"]'));
+      tabs.forEach((tab, index) => tab.addEventListener('click', () => {
+        tabs.forEach(other => {
+          other.classList.toggle('-selected', other === tab);
+          other.setAttribute('aria-selected', String(other === tab));
+        });
+
+        const param = el.getAttribute('route-param');
+        if (param) {
+          const base = location.pathname.replace(/\/params\/.*$/, '');
+          history.pushState(null, '', index === 0 ? base : `${base}/params/${param}/${index}`);
+        }
+      }));
+    }
+  };
+
+  Object.entries(renderers).forEach(([tagName, render]) => {
+    customElements.define(tagName, class extends HTMLElement {
+      connectedCallback() {
+        if (this.shadowRoot) return;
+        const root = this.attachShadow({ mode: 'open' });
+        root.innerHTML = `<style>${STYLES}</style>${render(this)}`;
+        behaviors[tagName]?.(this, root);
+      }
+    });
+  });
+
+  // Workspace wrappers that host their children inside a shadow root
+  const wrappers = [
+    'sn-polaris-layout',
+    'sn-canvas-main',
+    'sn-workspace-content',
+    'sn-record-form',
+    'macroponent-sow-home',
+    'macroponent-sow-list',
+    'macroponent-sow-record',
+    'macroponent-portfolio-plans',
+    'seismic-hoist'
+  ];
+
+  wrappers.forEach(tagName => {
+    customElements.define(tagName, class extends HTMLElement {
+      connectedCallback() {
+        if (this.shadowRoot) return;
+        const root = this.attachShadow({ mode: 'open' });
+        const template = Array.from(this.children).find(child => child.tagName === 'TEMPLATE');
+        if (template) {
+          root.appendChild(template.content.cloneNode(true));
+        } else {
+          root.innerHTML = '<slot></slot>';
+        }
+      }
+    });
+  });
+})();
@@ -0,0 +1,191 @@
+/**
+ * Stand-in SAML identity provider for the mock instance
+ *
+ * Runs on its own port so the SAML redirect leaves the instance origin like
+ * a real SSO login. It shows a user name / password form, optionally asks
+ * for a TOTP code, and posts a signed stand-in assertion back to the
+ * instance's assertion consumer service (HTTP-POST binding). A signed-in
+ * IdP session skips the form on the next login.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { verifyTotp } from '../utils/totp.js';
+
+const IDP_SESSION_COOKIE = 'idp_session';
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)} | Mock IdP</title>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+  res.end(body);
+}
+
+/**
+ * Sign a stand-in assertion: base64 JSON payload and its HMAC
+ * @param {Object} assertion - Assertion fields
+ * @param {Buffer} signingKey - Key shared with the instance
+ */
+export function signAssertion(assertion, signingKey) {
+  const payload = Buffer.from(JSON.stringify(assertion)).toString('base64');
+  const signature = crypto.createHmac('sha256', signingKey).update(payload).digest('base64');
+  return `${payload}.${signature}`;
+}
+
+/**
+ * Check a SAMLResponse from signAssertion
+ * @param {string} samlResponse - Posted SAMLResponse value
+ * @param {Buffer} signingKey - Key shared with the IdP
+ * @returns {Object|null} The assertion, or null when the signature does not match
+ */
+export function verifyAssertion(samlResponse, signingKey) {
+  const [payload, signature] = String(samlResponse || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', signingKey).update(payload).digest('base64');
+  if (signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+  return JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+}
+
+/**
+ * Start the stand-in IdP
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @param {string} options.username - Accepted user name
+ * @param {string} options.password - Accepted password
+ * @param {string} [options.totpSecret] - Base32 secret; when set a TOTP code is required
+ * @param {string} options.acsUrl - Instance assertion consumer service URL
+ * @param {Buffer} options.signingKey - Key shared with the instance
+ * @returns {Promise<{server: http.Server, url: string, close: () => Promise<void>}>}
+ */
+export async function startMockIdp(options) {
+  const { port, username, password, totpSecret, acsUrl, signingKey } = options;
+
+  const sessions = new Map();     // IdP session id -> user name
+  const transactions = new Map(); // Pending MFA transaction id -> RelayState
+
+  const renderLogin = (relayState, error) => page('Sign in', `
+  <form id="idp-login" action="/sso" method="post">
+    ${error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : ''}
+    <input type="hidden" name="RelayState" value="${escapeHtml(relayState)}">
+    <label for="username">Username</label>
+    <input id="username" name="username" type="text" autocomplete="username">
+    <label for="password">Password</label>
+    <input id="password" name="password" type="password" autocomplete="current-password">
+    <button type="submit">Sign in</button>
+  </form>`);
+
+  const renderMfa = (transaction, error) => page('Verify', `
+  <form id="idp-mfa" action="/mfa" method="post">
+    ${error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : ''}
+    <input type="hidden" name="transaction" value="${escapeHtml(transaction)}">
+    <label for="otp">Verification code</label>
+    <input id="otp" name="otp" type="text" inputmode="numeric" autocomplete="one-time-code">
+    <button type="submit">Verify</button>
+  </form>`);
+
+  // Auto-submitting form that posts the assertion to the instance
+  const signIn = (res, user, relayState, headers = {}) => {
+    const samlResponse = signAssertion({ issuer: 'mock-idp', nameId: user, issuedAt: new Date().toISOString() }, signingKey);
+    send(res, 200, page('Signing in', `
+  <form id="saml-post" action="${escapeHtml(acsUrl)}" method="post">
+    <input type="hidden" name="SAMLResponse" value="${escapeHtml(samlResponse)}">
+    <input type="hidden" name="RelayState" value="${escapeHtml(relayState)}">
+    <noscript><button type="submit">Continue</button></noscript>
+  </form>
+  <script>document.getElementById('saml-post').submit();</script>`), headers);
+  };
+
+  const startSession = user => {
+    const id = crypto.randomBytes(16).toString('hex');
+    sessions.set(id, user);
+    return { 'Set-Cookie': `${IDP_SESSION_COOKIE}=${id}; Path=/; HttpOnly` };
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const cookies = Object.fromEntries((req.headers.cookie || '').split(';').map(part => part.trim().split('=')));
+    const sessionUser = sessions.get(cookies[IDP_SESSION_COOKIE]);
+
+    try {
+      if (url.pathname === '/sso' && req.method === 'GET') {
+        const relayState = url.searchParams.get('RelayState') || '/';
+        return sessionUser ? signIn(res, sessionUser, relayState) : send(res, 200, renderLogin(relayState));
+      }
+
+      if (url.pathname === '/sso' && req.method === 'POST') {
+        const form = await readForm(req);
+        if (form.username !== username || form.password !== password) {
+          return send(res, 200, renderLogin(form.RelayState, 'Incorrect username or password'));
+        }
+
+        if (totpSecret) {
+          const transaction = crypto.randomBytes(16).toString('hex');
+          transactions.set(transaction, form.RelayState);
+          return send(res, 200, renderMfa(transaction));
+        }
+        return signIn(res, form.username, form.RelayState, startSession(form.username));
+      }
+
+      if (url.pathname === '/mfa' && req.method === 'POST') {
+        const form = await readForm(req);
+        if (!transactions.has(form.transaction)) {
+          return send(res, 200, renderLogin('/', 'Your sign-in expired, try again'));
+        }
+        if (!verifyTotp(totpSecret, form.otp)) {
+          return send(res, 200, renderMfa(form.transaction, 'Invalid verification code'));
+        }
+
+        const relayState = transactions.get(form.transaction);
+        transactions.delete(form.transaction);
+        return signIn(res, username, relayState, startSession(username));
+      }
+
+      send(res, 404, 'Not found', { 'Content-Type': 'text/plain' });
+    } catch (error) {
+      send(res, 500, escapeHtml(error.message), { 'Content-Type': 'text/plain' });
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, resolve);
+  });
+
+  return {
+    server,
+    url: `http://localhost:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+}
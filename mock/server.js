@@ -0,0 +1,530 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for a ServiceNow instance
+ *
+ * Serves a fake login form, logout, and fixture workspace pages built from
+ * now-* custom elements with open shadow roots, so every audit can run
+ * without a live instance. The user's theme preference (saved through
+ * /api/now/ui/user_preference, read and deleted through the
+ * sys_user_preference Table API) switches pages between the light and dark
+ * Polaris theme.
+ *
+ * Every login strategy in utils/auth.js can be tried against it: the native
+ * login.do form (with a TOTP prompt when MOCK_TOTP_SECRET is set), SAML SSO
+ * through the stand-in IdP in idp.js, an OAuth bearer token
+ * (MOCK_OAUTH_TOKEN) and an existing session cookie. It also answers the Figma REST endpoints used by
+ * utils/figma-client.js from fixtures/figma.
+ *
+ * Usage:
+ *   npm run mock-instance
+ *
+ * Then point the tools at it:
+ *   SN_BASE_URL=http://localhost:3100 SN_USERNAME=admin SN_PASSWORD=admin npm test
+ *   FIGMA_API_BASE_URL=http://localhost:3100 FIGMA_TOKEN=mock npm run update-mapping -- --from-figma
+ */
+
+import http from 'http';
+import fs from 'fs';
+import crypto from 'crypto';
+import { PNG } from 'pngjs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { startMockIdp, verifyAssertion } from './idp.js';
+import { verifyTotp } from '../utils/totp.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const fixturesDir = join(__dirname, 'fixtures');
+
+const SESSION_COOKIE = 'JSESSIONID';
+const MFA_COOKIE = 'glide_mfa_pending';
+
+/**
+ * Workspace routes and the fixture each one renders
+ */
+const pageRoutes = [
+  { pattern: /^\/now\/sow\/home$/, fixture: 'sow-home.html', title: 'Service Operations Workspace - Home' },
+  { pattern: /^\/now\/sow\/list$/, fixture: 'sow-list.html', title: 'Service Operations Workspace - Lists' },
+  { pattern: /^\/now\/sow\/record\/(?<table>[\w]+)\/(?<sysId>[0-9a-f]{32})$/, fixture: 'sow-record.html', title: 'Service Operations Workspace - Record' },
+  { pattern: /^\/now\/alignment-workspace\/portfolio-plans$/, fixture: 'portfolio-plans.html', title: 'Alignment Workspace - Portfolio Plans' },
+  { pattern: /^\/now\/alignment-workspace\/portfolio-plans\/sub\/create-new-portfolio-plan$/, fixture: 'create-portfolio-plan.html', title: 'Alignment Workspace - New Portfolio Plan' }
+];
+
+/**
+ * Theme variants the mock renders, keyed by the preference value
+ */
+const THEME_PREFERENCE = 'glide.ui.polaris.theme.variant';
+const THEME_VARIANTS = ['light', 'dark'];
+
+/**
+ * Escape a value for safe interpolation into HTML
+ * @param {string} value - Raw value
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a fixture page inside the shared Polaris shell
+ * @param {string} fixture - File name under fixtures/pages
+ * @param {string} title - Document title
+ * @param {Object} params - Values for {{placeholders}} in the fixture
+ * @param {string} [theme] - Theme variant (light or dark)
+ */
+function renderPage(fixture, title, params = {}, theme = 'light') {
+  const body = fs.readFileSync(join(fixturesDir, 'pages', fixture), 'utf8')
+    .replace(/\{\{(\w+)\}\}/g, (_, key) => escapeHtml(params[key] ?? ''));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="/styles/polaris-theme.css">
+</head>
+<body class="polaris-enabled now-theme-polaris now-theme-variant-${escapeHtml(theme)}">
+${body}
+<script src="/scripts/horizon-elements.js"></script>
+</body>
+</html>`;
+}
+
+/**
+ * Render the native login.do form
+ * @param {string} gotoUrl - Where to redirect after login
+ * @param {string} [error] - Error message to display
+ */
+function renderLogin(gotoUrl, error) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Log in | ServiceNow</title>
+</head>
+<body>
+  <form id="loginPage" action="/login.do" method="post">
+    ${error ? `<div class="outputmsg_error">${escapeHtml(error)}</div>` : ''}
+    <input type="hidden" name="sysparm_goto_url" value="${escapeHtml(gotoUrl)}">
+    <label for="user_name">User name</label>
+    <input id="user_name" name="user_name" type="text" autocomplete="username">
+    <label for="user_password">Password</label>
+    <input id="user_password" name="user_password" type="password" autocomplete="current-password">
+    <button id="sysverb_login" type="submit">Log in</button>
+  </form>
+</body>
+</html>`;
+}
+
+/**
+ * Render the native MFA code prompt
+ * @param {string} [error] - Error message to display
+ */
+function renderMfa(error) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Multi-factor authentication | ServiceNow</title>
+</head>
+<body>
+  <form id="mfaPage" action="/validate_multifactor_auth_code.do" method="post">
+    ${error ? `<div class="outputmsg_error">${escapeHtml(error)}</div>` : ''}
+    <label for="txtResponse">Enter the passcode from your authenticator app</label>
+    <input id="txtResponse" name="txtResponse" type="text" inputmode="numeric" autocomplete="one-time-code">
+    <button id="sysverb_validate_mfa_code" type="submit">Verify</button>
+  </form>
+</body>
+</html>`;
+}
+
+/**
+ * Parse the Cookie header into an object
+ * @param {http.IncomingMessage} req - Incoming request
+ */
+function parseCookies(req) {
+  return Object.fromEntries(
+    (req.headers.cookie || '')
+      .split(';')
+      .map(part => part.trim().split('='))
+      .filter(([name]) => name)
+      .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))])
+  );
+}
+
+/**
+ * Read and parse a url-encoded request body
+ * @param {http.IncomingMessage} req - Incoming request
+ */
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Incoming request
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body || '{}'));
+      } catch (error) {
+        reject(new Error('Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Find a node by ID in the Figma fixture file
+ * @param {Object} node - Node to search from
+ * @param {string} id - Node ID, e.g. "28:12"
+ */
+function findFigmaNode(node, id) {
+  if (node.id === id) return node;
+  for (const child of node.children || []) {
+    const found = findFigmaNode(child, id);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Render a stand-in PNG for a Figma node: a solid block sized like the node,
+ * colored from its ID so different variants look different
+ * @param {Object} node - Figma node
+ * @param {number} scale - Render scale
+ */
+function renderFigmaNode(node, scale) {
+  const box = node.absoluteBoundingBox || { width: 120, height: 40 };
+  const width = Math.max(1, Math.round(box.width * scale));
+  const height = Math.max(1, Math.round(box.height * scale));
+  const [r, g, b] = crypto.createHash('md5').update(node.id).digest();
+
+  const png = new PNG({ width, height });
+  for (let i = 0; i < png.data.length; i += 4) {
+    png.data[i] = r;
+    png.data[i + 1] = g;
+    png.data[i + 2] = b;
+    png.data[i + 3] = 255;
+  }
+  return PNG.sync.write(png);
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+  res.end(body);
+}
+
+function redirect(res, location, headers = {}) {
+  res.writeHead(302, { Location: location, ...headers });
+  res.end();
+}
+
+/**
+ * Start the mock instance
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on (0 picks a free port)
+ * @param {string} [options.username] - Accepted user name
+ * @param {string} [options.password] - Accepted password
+ * @param {string} [options.totpSecret] - Base32 TOTP secret; when set, logins ask for a code
+ * @param {string} [options.oauthToken] - Accepted OAuth bearer token
+ * @param {number} [options.idpPort] - Port of the stand-in SAML IdP (0 picks a free port)
+ * @returns {Promise<{server: http.Server, url: string, idpUrl: string, close: () => Promise<void>}>}
+ */
+export async function startMockServer(options = {}) {
+  const {
+    port = Number(process.env.MOCK_PORT || 3100),
+    username = process.env.MOCK_SN_USERNAME || 'admin',
+    password = process.env.MOCK_SN_PASSWORD || 'admin',
+    totpSecret = process.env.MOCK_TOTP_SECRET,
+    oauthToken = process.env.MOCK_OAUTH_TOKEN || 'mock-oauth-token',
+    idpPort = process.env.MOCK_IDP_PORT ? Number(process.env.MOCK_IDP_PORT) : (port === 0 ? 0 : port + 1)
+  } = options;
+
+  const sessions = new Set();
+  const pendingMfa = new Map(); // MFA cookie -> URL to continue to
+  const signingKey = crypto.randomBytes(32); // Shared with the IdP to sign assertions
+  let idp;
+
+  const startSession = () => {
+    const newSession = crypto.randomBytes(16).toString('hex');
+    sessions.add(newSession);
+    return `${SESSION_COOKIE}=${newSession}; Path=/; HttpOnly`;
+  };
+  // User preferences outlive sessions, like sys_user_preference records
+  const preferences = {};
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const cookies = parseCookies(req);
+    const sessionId = cookies[SESSION_COOKIE];
+    let loggedIn = sessionId && sessions.has(sessionId);
+
+    // A valid bearer token starts a session, so later requests only need the cookie
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!loggedIn && bearer && oauthToken && bearer[1] === oauthToken) {
+      res.setHeader('Set-Cookie', startSession());
+      loggedIn = true;
+    }
+
+    try {
+      if (url.pathname === '/scripts/horizon-elements.js') {
+        return send(res, 200, fs.readFileSync(join(fixturesDir, 'horizon-elements.js')), {
+          'Content-Type': 'application/javascript; charset=utf-8'
+        });
+      }
+
+      if (url.pathname === '/styles/polaris-theme.css') {
+        return send(res, 200, fs.readFileSync(join(fixturesDir, 'polaris-theme.css')), {
+          'Content-Type': 'text/css; charset=utf-8'
+        });
+      }
+
+      if (url.pathname === '/login.do' && req.method === 'GET') {
+        return send(res, 200, renderLogin(url.searchParams.get('sysparm_goto_url') || '/now/sow/home'));
+      }
+
+      if (url.pathname === '/login.do' && req.method === 'POST') {
+        const form = await readForm(req);
+        const gotoUrl = form.sysparm_goto_url || '/now/sow/home';
+
+        if (form.user_name !== username || form.user_password !== password) {
+          return send(res, 200, renderLogin(gotoUrl, 'User name or password invalid'));
+        }
+
+        const target = gotoUrl.startsWith('/') ? gotoUrl : '/now/sow/home';
+
+        if (totpSecret) {
+          const pending = crypto.randomBytes(16).toString('hex');
+          pendingMfa.set(pending, target);
+          return redirect(res, '/validate_multifactor_auth_code.do', {
+            'Set-Cookie': `${MFA_COOKIE}=${pending}; Path=/; HttpOnly`
+          });
+        }
+
+        return redirect(res, target, { 'Set-Cookie': startSession() });
+      }
+
+      if (url.pathname === '/validate_multifactor_auth_code.do') {
+        const pending = cookies[MFA_COOKIE];
+        if (!pendingMfa.has(pending)) {
+          return redirect(res, '/login.do');
+        }
+        if (req.method !== 'POST') {
+          return send(res, 200, renderMfa());
+        }
+
+        const form = await readForm(req);
+        if (!verifyTotp(totpSecret, form.txtResponse)) {
+          return send(res, 200, renderMfa('Invalid passcode'));
+        }
+
+        const target = pendingMfa.get(pending);
+        pendingMfa.delete(pending);
+        res.setHeader('Set-Cookie', [startSession(), `${MFA_COOKIE}=; Path=/; Max-Age=0`]);
+        return redirect(res, target);
+      }
+
+      // SAML SSO: redirect to the stand-in IdP, which posts back to /saml/acs
+      if (url.pathname === '/login_with_sso.do') {
+        const relayState = url.searchParams.get('sysparm_goto_url') || '/now/sow/home';
+        if (loggedIn) return redirect(res, relayState);
+
+        const samlRequest = Buffer.from(JSON.stringify({
+          issuer: `http://${req.headers.host}`,
+          id: crypto.randomBytes(8).toString('hex')
+        })).toString('base64');
+        return redirect(res, `${idp.url}/sso?SAMLRequest=${encodeURIComponent(samlRequest)}&RelayState=${encodeURIComponent(relayState)}`);
+      }
+
+      if (url.pathname === '/saml/acs' && req.method === 'POST') {
+        const form = await readForm(req);
+        const assertion = verifyAssertion(form.SAMLResponse, signingKey);
+        if (!assertion || assertion.nameId !== username) {
+          return send(res, 403, renderLogin('/now/sow/home', 'SSO login failed: invalid SAML response'));
+        }
+
+        const relayState = (form.RelayState || '').startsWith('/') ? form.RelayState : '/now/sow/home';
+        return redirect(res, relayState, { 'Set-Cookie': startSession() });
+      }
+
+      if (url.pathname === '/logout.do') {
+        sessions.delete(sessionId);
+        return redirect(res, '/login.do', {
+          'Set-Cookie': `${SESSION_COOKIE}=; Path=/; Max-Age=0`
+        });
+      }
+
+      if (url.pathname === '/api/now/ui/user_preference' && req.method === 'POST') {
+        const json = { 'Content-Type': 'application/json' };
+        if (!loggedIn) {
+          return send(res, 401, JSON.stringify({ error: { message: 'User Not Authenticated' } }), json);
+        }
+
+        const { name, value } = await readJson(req);
+        if (!name) {
+          return send(res, 400, JSON.stringify({ error: { message: 'Preference name is required' } }), json);
+        }
+        if (name === THEME_PREFERENCE && !THEME_VARIANTS.includes(value)) {
+          return send(res, 400, JSON.stringify({ error: { message: `Unknown theme variant: ${value}` } }), json);
+        }
+
+        preferences[name] = String(value);
+        return send(res, 200, JSON.stringify({ result: { name, value: preferences[name] } }), json);
+      }
+
+      // Table API for the user's own sys_user_preference records (read and delete)
+      if (url.pathname.startsWith('/api/now/table/sys_user_preference')) {
+        const json = { 'Content-Type': 'application/json' };
+        if (!loggedIn) {
+          return send(res, 401, JSON.stringify({ error: { message: 'User Not Authenticated' } }), json);
+        }
+
+        const preferenceId = name => crypto.createHash('md5').update(name).digest('hex');
+        const recordId = url.pathname.split('/')[5];
+
+        if (req.method === 'GET' && !recordId) {
+          const name = /(?:^|\^)name=([^^]*)/.exec(url.searchParams.get('sysparm_query') || '')?.[1];
+          const names = name === undefined ? Object.keys(preferences) : [name].filter(n => n in preferences);
+          const result = names.map(n => ({ sys_id: preferenceId(n), name: n, value: preferences[n] }));
+          return send(res, 200, JSON.stringify({ result }), json);
+        }
+
+        if (req.method === 'DELETE' && recordId) {
+          const name = Object.keys(preferences).find(n => preferenceId(n) === recordId);
+          if (!name) {
+            return send(res, 404, JSON.stringify({ error: { message: 'No Record found' } }), json);
+          }
+          delete preferences[name];
+          res.writeHead(204);
+          return res.end();
+        }
+
+        return send(res, 405, JSON.stringify({ error: { message: 'Method not allowed' } }), json);
+      }
+
+      if (url.pathname.startsWith('/now/')) {
+        if (!loggedIn) {
+          return redirect(res, `/login.do?sysparm_goto_url=${encodeURIComponent(url.pathname + url.search)}`);
+        }
+
+        // Route parameters (…/params/selected-tab-index/1) select content within the same page
+        const routePath = url.pathname.replace(/\/params\/.*$/, '');
+
+        for (const route of pageRoutes) {
+          const match = routePath.match(route.pattern);
+          if (match) {
+            return send(res, 200, renderPage(route.fixture, route.title, match.groups, preferences[THEME_PREFERENCE]));
+          }
+        }
+
+        return send(res, 404, renderPage('not-found.html', 'Page not found', { path: url.pathname }, preferences[THEME_PREFERENCE]));
+      }
+
+      // Figma REST API stand-in (FIGMA_API_BASE_URL=http://localhost:3100)
+      if (url.pathname.startsWith('/v1/')) {
+        const json = { 'Content-Type': 'application/json' };
+        const figmaFile = JSON.parse(fs.readFileSync(join(fixturesDir, 'figma', 'file.json'), 'utf8'));
+
+        // Rendered images are served without a token, like Figma's pre-signed URLs
+        const render = url.pathname.match(/^\/v1\/renders\/([\d:]+)\.png$/);
+        if (render) {
+          const node = findFigmaNode(figmaFile.document, render[1]);
+          if (!node) return send(res, 404, 'Not found', { 'Content-Type': 'text/plain' });
+          return send(res, 200, renderFigmaNode(node, Number(url.searchParams.get('scale') || 1)), { 'Content-Type': 'image/png' });
+        }
+
+        if (!req.headers['x-figma-token']) {
+          return send(res, 403, JSON.stringify({ status: 403, err: 'Invalid token' }), json);
+        }
+
+        const ids = (url.searchParams.get('ids') || '').split(',').filter(Boolean);
+
+        if (/^\/v1\/files\/[\w-]+$/.test(url.pathname)) {
+          return send(res, 200, JSON.stringify(figmaFile), json);
+        }
+
+        if (/^\/v1\/files\/[\w-]+\/nodes$/.test(url.pathname)) {
+          const nodes = Object.fromEntries(ids.map(id => {
+            const node = findFigmaNode(figmaFile.document, id);
+            return [id, node ? { document: node } : null];
+          }));
+          return send(res, 200, JSON.stringify({ name: figmaFile.name, nodes }), json);
+        }
+
+        if (/^\/v1\/images\/[\w-]+$/.test(url.pathname)) {
+          const origin = `http://${req.headers.host}`;
+          const scale = url.searchParams.get('scale') || 1;
+          const images = Object.fromEntries(ids.map(id => [
+            id,
+            findFigmaNode(figmaFile.document, id) ? `${origin}/v1/renders/${id}.png?scale=${scale}` : null
+          ]));
+          return send(res, 200, JSON.stringify({ err: null, images }), json);
+        }
+
+        return send(res, 404, JSON.stringify({ status: 404, err: 'Not found' }), json);
+      }
+
+      if (url.pathname === '/') {
+        return redirect(res, loggedIn ? '/now/sow/home' : '/login.do');
+      }
+
+      send(res, 404, 'Not found', { 'Content-Type': 'text/plain' });
+    } catch (error) {
+      send(res, 500, escapeHtml(error.message), { 'Content-Type': 'text/plain' });
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, resolve);
+  });
+
+  const baseUrl = `http://localhost:${server.address().port}`;
+
+  try {
+    idp = await startMockIdp({ port: idpPort, username, password, totpSecret, acsUrl: `${baseUrl}/saml/acs`, signingKey });
+  } catch (error) {
+    await new Promise(resolve => server.close(() => resolve()));
+    throw error;
+  }
+
+  return {
+    server,
+    url: baseUrl,
+    idpUrl: idp.url,
+    close: async () => {
+      await idp.close();
+      await new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+// Run standalone: npm run mock-instance
+if (process.argv[1] === __filename) {
+  startMockServer()
+    .then(({ url, idpUrl }) => {
+      console.log(`🧪 Mock ServiceNow instance running at ${url}`);
+      console.log(`   SAML IdP at ${idpUrl}${process.env.MOCK_TOTP_SECRET ? ' (TOTP required)' : ''}`);
+      console.log(`   Set SN_BASE_URL=${url} to point the validator at it`);
+      console.log('   Press Ctrl+C to stop\n');
+    })
+    .catch(error => {
+      console.error('❌ Failed to start mock instance:', error.message);
+      process.exit(1);
+    });
+}
@@ -8,121 +8,202 @@
  *
  * Then follow the prompts to enter node IDs for each component page.
  * You can also pass node IDs as arguments for batch update.
+ *
+ * Or read everything from the Figma REST API (needs FIGMA_TOKEN in .env):
+ *   node scripts/update-mapping.js --from-figma [component-name ...]
  */
 
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import readline from 'readline';
+import { getFigmaFile, findComponentSet, deriveComponentProperties } from '../utils/figma-client.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const mappingPath = join(__dirname, '..', 'figma-component-mapping.json');
 
-// Read current mapping
-const mapping = JSON.parse(fs.readFileSync(mappingPath, 'utf8'));
+/**
+ * Fill page/node IDs and component properties from the Figma file at mapping.fileKey
+ * @param {Object} mapping - Parsed figma-component-mapping.json
+ * @param {string[]} [componentNames] - Only update these components (all when empty)
+ * @returns {Promise<Object>} The updated mapping
+ */
+async function updateFromFigma(mapping, componentNames = []) {
+  console.log(`\n🎨 Reading Figma file ${mapping.fileKey}...\n`);
 
-// Components that need node IDs
-const componentsToUpdate = Object.entries(mapping.componentMapping)
-  .filter(([_, config]) => !config.figmaComponentNodeId)
-  .map(([name, config]) => ({ name, pageName: config.figmaPageName }));
+  const file = await getFigmaFile(mapping.fileKey);
+  const pages = file.document.children.filter(node => node.type === 'CANVAS');
 
-console.log('\n📋 Figma Component Mapping Updater\n');
-console.log(`Found ${componentsToUpdate.length} components to update:\n`);
+  const entries = Object.entries(mapping.componentMapping)
+    .filter(([name]) => componentNames.length === 0 || componentNames.includes(name));
 
-componentsToUpdate.forEach(({ name, pageName }) => {
-  console.log(`  - ${name} (Figma page: "${pageName}")`);
-});
+  let updated = 0;
 
-console.log('\n📖 Instructions:');
-console.log('  1. Open Figma file: Next Experience -> Components');
-console.log('  2. Click on each page in the left sidebar');
-console.log('  3. Copy the node-id from the URL (e.g., node-id=123-456)');
-console.log('  4. Enter it when prompted (you can enter as "123-456" or "123:456")\n');
-console.log('  💡 Tip: Keep Figma and terminal side-by-side for efficiency!\n');
+  entries.forEach(([name, entry]) => {
+    const page = pages.find(p => p.name.trim().toLowerCase() === entry.figmaPageName.trim().toLowerCase());
+    if (!page) {
+      console.log(`❌ ${name}: no Figma page named "${entry.figmaPageName}"`);
+      return;
+    }
 
-// Interactive mode
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+    entry.figmaPageId = page.id;
 
-let index = 0;
+    const componentSet = findComponentSet(page, entry);
+    if (!componentSet) {
+      console.log(`⚠️  ${name}: page "${page.name}" (${page.id}) has no component set`);
+      return;
+    }
 
-function promptNext() {
-  if (index >= componentsToUpdate.length) {
-    console.log('\n✅ All components updated!');
+    entry.figmaComponentNodeId = componentSet.id;
 
-    // Save the mapping
-    fs.writeFileSync(mappingPath, JSON.stringify(mapping, null, 2) + '\n');
-    console.log(`💾 Saved to: ${mappingPath}\n`);
+    // Figma is the source of truth for every property it defines; hand-written extras stay
+    const properties = deriveComponentProperties(componentSet);
+    Object.assign(entry, properties);
 
-    rl.close();
-    return;
-  }
+    updated++;
+    const summary = Object.entries(properties).map(([key, values]) => `${key}: ${values.length}`).join(', ');
+    console.log(`✅ ${name} -> page ${page.id}, set ${componentSet.id} "${componentSet.name}"${summary ? ` (${summary})` : ''}`);
+  });
 
-  const { name, pageName } = componentsToUpdate[index];
+  fs.writeFileSync(mappingPath, JSON.stringify(mapping, null, 2) + '\n');
+  console.log(`\n📊 Updated ${updated}/${entries.length} components from "${file.name}"`);
+  console.log(`💾 Saved to: ${mappingPath}\n`);
 
-  rl.question(`\n📍 Navigate to Figma page: "${pageName}"\n   Enter node-id for ${name} (or 'skip'): `, (answer) => {
-    const trimmed = answer.trim();
+  return mapping;
+}
 
-    if (trimmed.toLowerCase() === 'skip') {
-      console.log('   ⏭️  Skipped');
-      index++;
-      promptNext();
-      return;
-    }
+/**
+ * Update figmaComponentNodeId values in figma-component-mapping.json
+ * @param {string[]} [args] - Batch updates as component-name:node-id; prompts interactively when empty.
+ *   With --from-figma, the remaining args are component names to update from the Figma API.
+ * @returns {Promise<Object>} The updated mapping
+ */
+export function runUpdateMapping(args = []) {
+  // Read current mapping
+  const mapping = JSON.parse(fs.readFileSync(mappingPath, 'utf8'));
 
-    if (!trimmed) {
-      console.log('   ⚠️  No input, skipping...');
-      index++;
-      promptNext();
-      return;
+  if (args.includes('--from-figma')) {
+    return updateFromFigma(mapping, args.filter(arg => arg !== '--from-figma'));
+  }
+
+  // Check if node IDs were passed as command line arguments
+  if (args.length > 0) {
+    // Expect format: component-name:node-id component-name:node-id ...
+    const updates = args.map(arg => ({ arg, match: /^([^:]+):(\d+[-:]\d+)$/.exec(arg) }));
+    const invalid = updates.filter(update => !update.match).map(update => `"${update.arg}"`);
+    if (invalid.length > 0) {
+      console.log('\nUsage: node scripts/update-mapping.js <component-name>:<node-id> ...');
+      console.log('   e.g. node scripts/update-mapping.js now-button:123-456 now-input:123:789\n');
+      return Promise.reject(new Error(`Invalid argument(s) ${invalid.join(', ')}. Expected component-name:node-id`));
     }
 
-    // Convert dash format to colon format (123-456 -> 123:456)
-    const nodeId = trimmed.replace('-', ':');
+    console.log('\n📦 Batch update mode\n');
 
-    // Validate format (should be like 123:456)
-    if (!/^\d+:\d+$/.test(nodeId)) {
-      console.log(`   ❌ Invalid format. Expected format: 123:456 or 123-456`);
-      // Don't increment index, ask again
-      promptNext();
-      return;
-    }
+    updates.forEach(({ match: [, componentName, nodeId] }) => {
+      const formattedNodeId = nodeId.replace('-', ':');
 
-    // Update mapping
-    mapping.componentMapping[name].figmaComponentNodeId = nodeId;
-    console.log(`   ✅ Updated ${name} -> ${nodeId}`);
+      if (mapping.componentMapping[componentName]) {
+        mapping.componentMapping[componentName].figmaComponentNodeId = formattedNodeId;
+        console.log(`✅ Updated ${componentName} -> ${formattedNodeId}`);
+      } else {
+        console.log(`❌ Unknown component: ${componentName}`);
+      }
+    });
 
-    index++;
-    promptNext();
-  });
-}
+    fs.writeFileSync(mappingPath, JSON.stringify(mapping, null, 2) + '\n');
+    console.log(`\n💾 Saved to: ${mappingPath}\n`);
+    return Promise.resolve(mapping);
+  }
+
+  // Components that need node IDs
+  const componentsToUpdate = Object.entries(mapping.componentMapping)
+    .filter(([_, config]) => !config.figmaComponentNodeId)
+    .map(([name, config]) => ({ name, pageName: config.figmaPageName }));
+
+  console.log('\n📋 Figma Component Mapping Updater\n');
+  console.log(`Found ${componentsToUpdate.length} components to update:\n`);
 
-// Check if node IDs were passed as command line arguments
-const args = process.argv.slice(2);
+  componentsToUpdate.forEach(({ name, pageName }) => {
+    console.log(`  - ${name} (Figma page: "${pageName}")`);
+  });
 
-if (args.length > 0) {
-  console.log('\n📦 Batch update mode\n');
+  console.log('\n📖 Instructions:');
+  console.log('  1. Open Figma file: Next Experience -> Components');
+  console.log('  2. Click on each page in the left sidebar');
+  console.log('  3. Copy the node-id from the URL (e.g., node-id=123-456)');
+  console.log('  4. Enter it when prompted (you can enter as "123-456" or "123:456")\n');
+  console.log('  💡 Tip: Keep Figma and terminal side-by-side for efficiency!\n');
 
-  // Expect format: component-name:node-id component-name:node-id ...
-  args.forEach(arg => {
-    const [componentName, nodeId] = arg.split(':');
-    const formattedNodeId = nodeId.replace('-', ':');
+  // Interactive mode
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
 
-    if (mapping.componentMapping[componentName]) {
-      mapping.componentMapping[componentName].figmaComponentNodeId = formattedNodeId;
-      console.log(`✅ Updated ${componentName} -> ${formattedNodeId}`);
-    } else {
-      console.log(`❌ Unknown component: ${componentName}`);
+  let index = 0;
+
+  return new Promise(resolve => {
+    function promptNext() {
+      if (index >= componentsToUpdate.length) {
+        console.log('\n✅ All components updated!');
+
+        // Save the mapping
+        fs.writeFileSync(mappingPath, JSON.stringify(mapping, null, 2) + '\n');
+        console.log(`💾 Saved to: ${mappingPath}\n`);
+
+        rl.close();
+        resolve(mapping);
+        return;
+      }
+
+      const { name, pageName } = componentsToUpdate[index];
+
+      rl.question(`\n📍 Navigate to Figma page: "${pageName}"\n   Enter node-id for ${name} (or 'skip'): `, (answer) => {
+        const trimmed = answer.trim();
+
+        if (trimmed.toLowerCase() === 'skip') {
+          console.log('   ⏭️  Skipped');
+          index++;
+          promptNext();
+          return;
+        }
+
+        if (!trimmed) {
+          console.log('   ⚠️  No input, skipping...');
+          index++;
+          promptNext();
+          return;
+        }
+
+        // Convert dash format to colon format (123-456 -> 123:456)
+        const nodeId = trimmed.replace('-', ':');
+
+        // Validate format (should be like 123:456)
+        if (!/^\d+:\d+$/.test(nodeId)) {
+          console.log(`   ❌ Invalid format. Expected format: 123:456 or 123-456`);
+          // Don't increment index, ask again
+          promptNext();
+          return;
+        }
+
+        // Update mapping
+        mapping.componentMapping[name].figmaComponentNodeId = nodeId;
+        console.log(`   ✅ Updated ${name} -> ${nodeId}`);
+
+        index++;
+        promptNext();
+      });
     }
+
+    promptNext();
   });
+}
 
-  fs.writeFileSync(mappingPath, JSON.stringify(mapping, null, 2) + '\n');
-  console.log(`\n💾 Saved to: ${mappingPath}\n`);
-  rl.close();
-} else {
-  // Interactive mode
-  promptNext();
+// Run when executed directly (npm run update-mapping)
+if (process.argv[1] === __filename) {
+  runUpdateMapping(process.argv.slice(2)).catch(error => {
+    console.error('❌ Mapping update failed:', error.message);
+    process.exitCode = 1;
+  });
 }
@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import puppeteer from 'puppeteer';
+import { config } from '../config.js';
+import { isLoggedIn, loginToServiceNow } from '../utils/auth.js';
+import { generateTotp } from '../utils/totp.js';
+import { startMockServer } from '../mock/server.js';
+
+// Every strategy logs into the mock instance (and its stand-in SAML IdP) with MFA turned on
+const TOTP_SECRET = 'JBSWY3DPEHPK3PXP';
+const OAUTH_TOKEN = 'auth-test-token';
+
+let mock;
+let browser;
+let browserError;
+
+/**
+ * Log in over HTTP and return the session cookie the mock issued
+ * @param {string} baseUrl - Mock instance URL
+ */
+async function issueSessionCookie(baseUrl) {
+  const login = await fetch(`${baseUrl}/login.do`, {
+    method: 'POST',
+    body: new URLSearchParams({ user_name: 'admin', user_password: 'admin', sysparm_goto_url: '/now/sow/home' }),
+    redirect: 'manual'
+  });
+  const mfaCookie = login.headers.getSetCookie()[0].split(';')[0];
+
+  const mfa = await fetch(`${baseUrl}/validate_multifactor_auth_code.do`, {
+    method: 'POST',
+    headers: { cookie: mfaCookie },
+    body: new URLSearchParams({ txtResponse: generateTotp(TOTP_SECRET) }),
+    redirect: 'manual'
+  });
+  return mfa.headers.getSetCookie().find(cookie => cookie.startsWith('JSESSIONID=')).split(';')[0];
+}
+
+before(async () => {
+  mock = await startMockServer({ port: 0, idpPort: 0, totpSecret: TOTP_SECRET, oauthToken: OAUTH_TOKEN });
+
+  Object.assign(config, { baseUrl: mock.url, username: 'admin', password: 'admin' });
+  config.auth.totp.secret = TOTP_SECRET;
+  config.auth.oauthToken = OAUTH_TOKEN;
+  config.auth.sessionCookie = await issueSessionCookie(mock.url);
+  config.session.reuse = false;
+  config.session.file = null;
+
+  try {
+    browser = await puppeteer.launch(config.puppeteerOptions);
+  } catch (error) {
+    browserError = error.message.split('\n')[0];
+  }
+});
+
+after(async () => {
+  await browser?.close();
+  await mock?.close();
+});
+
+for (const strategy of ['form', 'saml', 'oauth', 'cookie']) {
+  test(`the ${strategy} strategy logs into the mock instance`, async (t) => {
+    if (!browser) {
+      t.skip(`Chrome could not be launched: ${browserError}`);
+      return;
+    }
+
+    config.auth.strategy = strategy;
+    const context = await browser.createBrowserContext();
+    try {
+      const page = await context.newPage();
+      assert.equal(await loginToServiceNow(page), true);
+      assert.equal(new URL(page.url()).origin, mock.url);
+      assert.equal(await isLoggedIn(page), true);
+
+      // The session also works for a workspace page
+      await page.goto(`${mock.url}/now/sow/home`, { waitUntil: 'networkidle2' });
+      assert.equal(new URL(page.url()).pathname, '/now/sow/home');
+    } finally {
+      await context.close();
+    }
+  });
+}
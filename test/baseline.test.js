@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createBaselineSnapshot, diffSnapshots, loadBaseline, recordBaseline, saveBaseline } from '../utils/baseline.js';
+
+const homePage = (overrides = {}) => ({
+  page: '/now/sow/home',
+  horizonResults: {
+    'now-button': { count: 3, variants: ['primary'], sizes: ['md'] },
+    'now-input': { count: 2, variants: [], sizes: [] }
+  },
+  customResults: { buttons: 1 },
+  specViolations: { 'now-button': ['Instance 2: invalid size "xl"'] },
+  ...overrides
+});
+
+const snapshot = pageResults => createBaselineSnapshot(pageResults, { baseUrl: 'http://localhost:3100' });
+
+test('createBaselineSnapshot keeps audit data and skips failed pages', () => {
+  const baseline = snapshot([homePage(), { page: '/now/sow/list', error: 'HTTP 503' }]);
+
+  assert.equal(baseline.baseUrl, 'http://localhost:3100');
+  assert.deepEqual(Object.keys(baseline.pages), ['/now/sow/home']);
+  assert.deepEqual(baseline.pages['/now/sow/home'], {
+    components: {
+      'now-button': { count: 3, variants: ['primary'], sizes: ['md'] },
+      'now-input': { count: 2, variants: [], sizes: [] }
+    },
+    customPatterns: { buttons: 1 },
+    specViolations: { 'now-button': { 'invalid size "xl"': 1 } }
+  });
+});
+
+test('an unchanged run has no differences', () => {
+  const diff = diffSnapshots(snapshot([homePage()]), snapshot([homePage()]));
+  assert.deepEqual(diff.pages, {});
+  assert.equal(diff.regressions, 0);
+});
+
+test('violations compare by message, not by instance number', () => {
+  const moved = homePage({ specViolations: { 'now-button': ['Instance 3: invalid size "xl"'] } });
+  assert.deepEqual(diffSnapshots(snapshot([homePage()]), snapshot([moved])).pages, {});
+});
+
+test('added components, variants, sizes and count changes are reported without counting as regressions', () => {
+  const current = homePage({
+    horizonResults: {
+      'now-button': { count: 4, variants: ['primary', 'secondary'], sizes: ['md', 'sm'] },
+      'now-input': { count: 2, variants: [], sizes: [] },
+      'now-card': { count: 1, variants: [], sizes: [] }
+    }
+  });
+  const diff = diffSnapshots(snapshot([homePage()]), snapshot([current]));
+  const changes = diff.pages['/now/sow/home'];
+
+  assert.deepEqual(changes.newComponents, [{ component: 'now-card', count: 1 }]);
+  assert.deepEqual(changes.countChanges, [{ component: 'now-button', before: 3, after: 4 }]);
+  assert.deepEqual(changes.newVariants, [{ component: 'now-button', variant: 'secondary' }]);
+  assert.deepEqual(changes.newSizes, [{ component: 'now-button', size: 'sm' }]);
+  assert.equal(changes.regressions, 0);
+  assert.equal(diff.regressions, 0);
+});
+
+test('removed components, new custom elements and new violations are regressions', () => {
+  const current = homePage({
+    horizonResults: { 'now-button': { count: 3, variants: ['primary'], sizes: ['md'] } },
+    customResults: { buttons: 2, inputs: 1 },
+    specViolations: { 'now-button': ['Instance 2: invalid size "xl"', 'Instance 3: invalid size "xl"', 'Instance 1: invalid variant "fancy"'] }
+  });
+  const changes = diffSnapshots(snapshot([homePage()]), snapshot([current])).pages['/now/sow/home'];
+
+  assert.deepEqual(changes.disappearedComponents, [{ component: 'now-input', count: 2 }]);
+  assert.deepEqual(changes.newCustomPatterns, [
+    { pattern: 'buttons', before: 1, after: 2 },
+    { pattern: 'inputs', before: 0, after: 1 }
+  ]);
+  assert.deepEqual(changes.newViolations, [
+    { component: 'now-button', message: 'invalid size "xl"', count: 1 },
+    { component: 'now-button', message: 'invalid variant "fancy"', count: 1 }
+  ]);
+  assert.equal(changes.regressions, 5);
+});
+
+test('fixed custom elements and violations are reported as resolved', () => {
+  const current = homePage({ customResults: {}, specViolations: {} });
+  const diff = diffSnapshots(snapshot([homePage()]), snapshot([current]));
+  const changes = diff.pages['/now/sow/home'];
+
+  assert.deepEqual(changes.resolvedCustomPatterns, [{ pattern: 'buttons', before: 1, after: 0 }]);
+  assert.deepEqual(changes.resolvedViolations, [{ component: 'now-button', message: 'invalid size "xl"', count: 1 }]);
+  assert.equal(diff.regressions, 0);
+});
+
+test('pages missing from either run are listed separately', () => {
+  const diff = diffSnapshots(snapshot([homePage()]), snapshot([homePage({ page: '/now/sow/list' })]));
+  assert.deepEqual(diff.missingPages, ['/now/sow/home']);
+  assert.deepEqual(diff.newPages, ['/now/sow/list']);
+  assert.deepEqual(diff.pages, {});
+});
+
+test('saveBaseline and loadBaseline round-trip a snapshot', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'horizon-baseline-'));
+  try {
+    const filePath = path.join(dir, 'nested', 'baseline.json');
+    assert.equal(loadBaseline(filePath), null);
+
+    const baseline = snapshot([homePage()]);
+    saveBaseline(filePath, baseline);
+    assert.deepEqual(loadBaseline(filePath), baseline);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('recordBaseline keeps the previous baseline when a page failed to load', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'horizon-baseline-'));
+  try {
+    const filePath = path.join(dir, 'baseline.json');
+    const previous = snapshot([homePage(), homePage({ page: '/now/sow/list' })]);
+    saveBaseline(filePath, previous);
+
+    const recorded = recordBaseline(filePath, [homePage({ customResults: {} }), { page: '/now/sow/list', error: 'HTTP 503' }]);
+    assert.deepEqual(recorded, { saved: false, failedPages: ['/now/sow/list'] });
+    assert.deepEqual(loadBaseline(filePath), previous);
+
+    assert.deepEqual(recordBaseline(filePath, [homePage()], { baseUrl: 'http://localhost:3100' }), { saved: true, failedPages: [] });
+    assert.deepEqual(Object.keys(loadBaseline(filePath).pages), ['/now/sow/home']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
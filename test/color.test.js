@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkTextContrast, contrastRatio, effectiveBackground, parseColor, relativeLuminance } from '../utils/color.js';
+
+const ratio = (first, second) => contrastRatio(parseColor(first), parseColor(second));
+
+test('parseColor reads hex, rgb(), rgba(), bare triplets and named colors', () => {
+  assert.deepEqual(parseColor('#fff'), { r: 255, g: 255, b: 255, a: 1 });
+  assert.deepEqual(parseColor('#032d42'), { r: 3, g: 45, b: 66, a: 1 });
+  assert.deepEqual(parseColor('#00000080'), { r: 0, g: 0, b: 0, a: 128 / 255 });
+  assert.deepEqual(parseColor('rgba(3, 45, 66, 0.5)'), { r: 3, g: 45, b: 66, a: 0.5 });
+  assert.deepEqual(parseColor('rgb(3 45 66 / 50%)'), { r: 3, g: 45, b: 66, a: 0.5 });
+  assert.deepEqual(parseColor('3, 45, 66'), { r: 3, g: 45, b: 66, a: 1 });
+  assert.deepEqual(parseColor('transparent'), { r: 0, g: 0, b: 0, a: 0 });
+  assert.equal(parseColor('var(--now-color--primary-1)'), null);
+});
+
+test('relativeLuminance spans black to white', () => {
+  assert.equal(relativeLuminance(parseColor('#000')), 0);
+  assert.equal(relativeLuminance(parseColor('#fff')), 1);
+});
+
+test('contrastRatio matches known WCAG ratios', () => {
+  assert.equal(ratio('#000', '#fff'), 21);
+  assert.equal(ratio('#fff', '#fff'), 1);
+  assert.equal(ratio('#767676', '#fff').toFixed(2), '4.54');
+  assert.equal(ratio('#777', '#fff').toFixed(2), '4.48');
+  assert.equal(ratio('#949494', '#fff').toFixed(2), '3.03');
+  // Order does not matter
+  assert.equal(ratio('#fff', '#767676'), ratio('#767676', '#fff'));
+});
+
+test('effectiveBackground blends translucent layers onto the canvas', () => {
+  assert.deepEqual(effectiveBackground([]), { r: 255, g: 255, b: 255, a: 1 });
+  assert.deepEqual(effectiveBackground(['rgba(0, 0, 0, 0)', 'rgb(3, 45, 66)']), { r: 3, g: 45, b: 66, a: 1 });
+  assert.deepEqual(effectiveBackground(['rgba(0, 0, 0, 0.5)']), { r: 128, g: 128, b: 128, a: 1 });
+});
+
+test('checkTextContrast needs 4.5:1 for normal text', () => {
+  const passing = checkTextContrast({ color: '#767676', background: ['#fff'], fontSize: 14, fontWeight: 400 });
+  assert.equal(passing.minimum, 4.5);
+  assert.equal(passing.passes, true);
+
+  const failing = checkTextContrast({ color: '#777', background: ['#fff'], fontSize: 14, fontWeight: 400 });
+  assert.equal(failing.passes, false);
+  assert.deepEqual(failing.background, { r: 255, g: 255, b: 255, a: 1 });
+});
+
+test('checkTextContrast needs 3:1 for large text', () => {
+  const grey = { color: '#949494', background: ['#fff'] };
+  assert.equal(checkTextContrast({ ...grey, fontSize: 24, fontWeight: 400 }).minimum, 3);
+  assert.equal(checkTextContrast({ ...grey, fontSize: 24, fontWeight: 400 }).passes, true);
+  assert.equal(checkTextContrast({ ...grey, fontSize: 18.66, fontWeight: 700 }).passes, true);
+  // 18.66px only counts as large when bold
+  assert.equal(checkTextContrast({ ...grey, fontSize: 18.66, fontWeight: 400 }).minimum, 4.5);
+  assert.equal(checkTextContrast({ ...grey, fontSize: 23, fontWeight: 600 }).passes, false);
+});
+
+test('checkTextContrast blends translucent text onto its background', () => {
+  // Half-transparent black on white renders as #808080 (3.95:1)
+  const contrast = checkTextContrast({ color: 'rgba(0, 0, 0, 0.5)', background: ['#fff'], fontSize: 14, fontWeight: 400 });
+  assert.equal(contrast.ratio.toFixed(2), '3.95');
+  assert.equal(contrast.passes, false);
+  assert.equal(checkTextContrast({ color: 'currentcolor', background: [], fontSize: 14, fontWeight: 400 }), null);
+});
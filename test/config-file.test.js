@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { applyConfigFile, findConfigFile, loadConfigFile, mergeSettings, validateConfigFile } from '../utils/config-file.js';
+import { config } from '../config.js';
+
+const withTmpDir = (fn) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'horizon-config-'));
+  try {
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+const defaults = () => ({
+  baseUrl: 'http://localhost:3100',
+  testPages: ['/now/sow/home'],
+  pageOverrides: {},
+  horizonComponents: ['now-button', 'now-input', 'now-modal'],
+  viewports: [{ name: 'desktop', width: 1920, height: 1080 }, { name: 'mobile', width: 390, height: 844 }],
+  reportFormats: ['json', 'junit', 'sarif', 'html'],
+  thresholds: { maxCustomElementsPerPage: null, maxSpecViolations: 0, failOnPageLoadError: true },
+  scoring: { weights: { customElement: 2, specViolation: 5 }, caps: { customElements: 30 }, audits: [] }
+});
+
+test('a valid config file has no errors', () => {
+  assert.deepEqual(validateConfigFile({
+    instance: 'dev12345',
+    pages: ['/now/sow/home', { path: '/now/sow/list', wait: 5000, viewport: 'mobile', skipComponents: ['now-modal'] }],
+    reportFormats: ['json', 'sarif'],
+    thresholds: { maxSpecViolations: 2, minScore: null },
+    scoring: { audits: ['tokens'] }
+  }), []);
+});
+
+test('unknown settings are reported with the settings that exist', () => {
+  const errors = validateConfigFile({ instanse: 'dev12345', thresholds: { maxSpecViolation: 1 } });
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /^instanse: unknown setting \(expected one of: .*instance.*\)$/);
+  assert.match(errors[1], /^thresholds\.maxSpecViolation: unknown setting \(expected one of: .*maxSpecViolations.*\)$/);
+});
+
+test('type, enum, range and pattern errors name the setting', () => {
+  assert.deepEqual(validateConfigFile({
+    concurrency: '4',
+    reportFormats: ['json', 'pdf'],
+    retries: { attempts: -1 },
+    baseUrl: 'localhost:3100',
+    pages: [{ path: '/now/sow/home', wait: 1.5 }, 42]
+  }), [
+    'concurrency: expected integer, got "4"',
+    'reportFormats[1]: expected one of json, junit, sarif, html, got "pdf"',
+    'retries.attempts: must be at least 0, got -1',
+    'baseUrl: "localhost:3100" does not match ^https?://',
+    'pages[0].wait: expected integer, got number',
+    'pages[1]: expected string or object, got integer'
+  ]);
+});
+
+test('required keys and duplicate items are reported', () => {
+  assert.deepEqual(validateConfigFile({
+    pages: [{ wait: 1000 }],
+    horizonComponents: ['now-button', 'now-button']
+  }), [
+    'pages[0].path: is required',
+    'horizonComponents: duplicate item "now-button"'
+  ]);
+});
+
+test('mergeSettings merges nested objects key by key', () => {
+  const target = defaults();
+  mergeSettings(target, { thresholds: { maxSpecViolations: 3 }, scoring: { weights: { customElement: 1 } } });
+
+  assert.deepEqual(target.thresholds, { maxCustomElementsPerPage: null, maxSpecViolations: 3, failOnPageLoadError: true });
+  assert.deepEqual(target.scoring.weights, { customElement: 1, specViolation: 5 });
+  assert.deepEqual(target.scoring.caps, { customElements: 30 });
+});
+
+test('mergeSettings replaces arrays instead of merging them', () => {
+  const target = defaults();
+  mergeSettings(target, { reportFormats: ['sarif'], horizonComponents: ['now-card'], scoring: { audits: ['tokens'] } });
+
+  assert.deepEqual(target.reportFormats, ['sarif']);
+  assert.deepEqual(target.horizonComponents, ['now-card']);
+  assert.deepEqual(target.scoring.audits, ['tokens']);
+});
+
+test('applyConfigFile loads YAML pages with their overrides', () => withTmpDir(dir => {
+  const filePath = path.join(dir, 'horizon.config.yaml');
+  fs.writeFileSync(filePath, [
+    'instance: dev12345',
+    'pages:',
+    '  - /now/sow/home',
+    '  - path: /now/sow/list',
+    '    viewport: mobile',
+    '    skipComponents: [now-modal]',
+    'thresholds:',
+    '  maxSpecViolations: 2'
+  ].join('\n'));
+
+  const target = applyConfigFile(defaults(), filePath);
+  assert.equal(target.instance, 'dev12345');
+  assert.equal(target.baseUrl, undefined);
+  assert.deepEqual(target.testPages, ['/now/sow/home', '/now/sow/list']);
+  assert.deepEqual(target.pageOverrides, { '/now/sow/list': { viewport: 'mobile', skipComponents: ['now-modal'] } });
+  assert.equal(target.thresholds.maxSpecViolations, 2);
+  assert.equal(target.thresholds.failOnPageLoadError, true);
+  assert.equal(target.configFile, filePath);
+}));
+
+test('applyConfigFile checks page overrides against the merged config', () => withTmpDir(dir => {
+  const filePath = path.join(dir, 'horizon.config.json');
+  fs.writeFileSync(filePath, JSON.stringify({ pages: [{ path: '/now/sow/home', viewport: 'tablet', skipComponents: ['now-card'] }] }));
+
+  assert.throws(() => applyConfigFile(defaults(), filePath), error => {
+    assert.match(error.message, /pages \/now\/sow\/home: unknown viewport "tablet" \(expected one of: desktop, mobile\)/);
+    assert.match(error.message, /pages \/now\/sow\/home: skipComponents has "now-card", which is not in horizonComponents/);
+    return true;
+  });
+}));
+
+test('loadConfigFile lists every schema error and treats an empty YAML file as no overrides', () => withTmpDir(dir => {
+  const invalid = path.join(dir, 'horizon.config.json');
+  fs.writeFileSync(invalid, JSON.stringify({ concurrency: 0, outputDir: 3 }));
+  assert.throws(() => loadConfigFile(invalid), {
+    message: 'Invalid horizon.config.json (schema: horizon.config.schema.json):\n  - concurrency: must be at least 1, got 0\n  - outputDir: expected string, got integer'
+  });
+
+  const empty = path.join(dir, 'horizon.config.yml');
+  fs.writeFileSync(empty, '');
+  assert.deepEqual(loadConfigFile(empty), {});
+}));
+
+test('findConfigFile prefers --config, then HORIZON_CONFIG, then the working directory', () => withTmpDir(dir => {
+  ['horizon.config.yaml', 'flag.json', 'env.json'].forEach(name => fs.writeFileSync(path.join(dir, name), '{}'));
+
+  assert.equal(findConfigFile({ argv: ['node', 'horizon', '--config', 'flag.json'], env: { HORIZON_CONFIG: 'env.json' }, cwd: dir }), path.join(dir, 'flag.json'));
+  assert.equal(findConfigFile({ argv: ['node', 'horizon', '--config=flag.json'], env: {}, cwd: dir }), path.join(dir, 'flag.json'));
+  assert.equal(findConfigFile({ argv: [], env: { HORIZON_CONFIG: 'env.json' }, cwd: dir }), path.join(dir, 'env.json'));
+  assert.equal(findConfigFile({ argv: [], env: {}, cwd: dir }), path.join(dir, 'horizon.config.yaml'));
+  assert.equal(findConfigFile({ argv: [], env: {}, cwd: os.tmpdir() + '/does-not-exist' }), null);
+  assert.throws(() => findConfigFile({ argv: ['--config', 'missing.json'], env: {}, cwd: dir }), /Config file not found: .*missing\.json/);
+}));
+
+test('getPageSettings leaves out the components a page skips', () => {
+  const saved = config.pageOverrides;
+  try {
+    config.pageOverrides = { '/now/sow/list': { skipComponents: ['now-modal'] } };
+    assert.equal(config.getPageSettings('/now/sow/list').components.includes('now-modal'), false);
+    assert.deepEqual(config.getPageSettings('/now/sow/home').components, config.horizonComponents);
+  } finally {
+    config.pageOverrides = saved;
+  }
+});
@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { compareInstanceStyles, expectedStyles, loadDesignTokens, styleValuesMatch } from '../utils/design-tokens.js';
+
+const designTokens = {
+  tokens: {
+    '--now-font-family': 'Lato, Arial, sans-serif',
+    '--now-color--primary-1': '3, 45, 66',
+    '--now-color--neutral-0': '255, 255, 255',
+    '--now-spacing--sm': '8px',
+    '--now-spacing--md': '12px'
+  },
+  components: {
+    'now-button': {
+      base: { fontFamily: '--now-font-family', backgroundColor: '--now-color--neutral-0', fontWeight: '600' },
+      variants: { primary: { backgroundColor: '--now-color--primary-1' } },
+      sizes: { md: { paddingLeft: '--now-spacing--md' } }
+    }
+  }
+};
+
+/**
+ * A style as extracted from an instance
+ * @param {string} value - Computed value
+ * @param {string|null} declared - Value in the component's own styles
+ * @param {string[]} [tokens] - Custom properties the declaration reads
+ */
+const style = (value, declared = null, tokens = []) => ({ value, declared, tokens, origin: 'shadow' });
+
+const primaryButton = styles => ({ component: 'now-button', variant: 'primary', size: 'md', styles });
+
+test('styleValuesMatch compares colors across notations', () => {
+  assert.equal(styleValuesMatch('color', 'rgb(3, 45, 66)', '3, 45, 66'), true);
+  assert.equal(styleValuesMatch('color', 'rgb(3, 45, 66)', '#032d42'), true);
+  assert.equal(styleValuesMatch('color', 'rgb(4, 46, 67)', '#032d42'), true);
+  assert.equal(styleValuesMatch('color', 'rgb(3, 45, 70)', '#032d42'), false);
+  assert.equal(styleValuesMatch('color', 'rgba(0, 0, 0, 0)', 'transparent'), true);
+});
+
+test('styleValuesMatch converts lengths to px within half a pixel', () => {
+  assert.equal(styleValuesMatch('length', '14px', '0.875rem'), true);
+  assert.equal(styleValuesMatch('length', '12.4px', '12px'), true);
+  assert.equal(styleValuesMatch('length', '13px', '12px'), false);
+  assert.equal(styleValuesMatch('length', 'auto', 'auto'), true);
+});
+
+test('styleValuesMatch compares the first font family and named weights', () => {
+  assert.equal(styleValuesMatch('font-family', '"Lato", sans-serif', 'Lato, Arial, sans-serif'), true);
+  assert.equal(styleValuesMatch('font-family', 'Arial', 'Lato, Arial'), false);
+  assert.equal(styleValuesMatch('font-weight', '700', 'bold'), true);
+  assert.equal(styleValuesMatch('font-weight', '400', '600'), false);
+});
+
+test('styleValuesMatch compares shadows in computed form', () => {
+  assert.equal(styleValuesMatch('shadow', 'rgba(0, 0, 0, 0.2) 0px 2px 4px 0px', '0 2px 4px rgba(0, 0, 0, 0.2)'), true);
+  assert.equal(styleValuesMatch('shadow', 'rgba(0, 0, 0, 0.2) 0px 4px 8px 0px', '0 2px 4px rgba(0, 0, 0, 0.2)'), false);
+  assert.equal(styleValuesMatch('shadow', 'none', 'none'), true);
+  assert.equal(styleValuesMatch('shadow', 'none', '0 2px 4px black'), false);
+});
+
+test('expectedStyles layers the variant and size over the base', () => {
+  assert.deepEqual(expectedStyles(designTokens.components['now-button'], 'primary', 'md'), {
+    fontFamily: '--now-font-family',
+    backgroundColor: '--now-color--primary-1',
+    fontWeight: '600',
+    paddingLeft: '--now-spacing--md'
+  });
+  assert.equal(expectedStyles(designTokens.components['now-button'], null, null).backgroundColor, '--now-color--neutral-0');
+});
+
+test('compareInstanceStyles passes an instance that uses the expected tokens', () => {
+  const findings = compareInstanceStyles(primaryButton({
+    fontFamily: style('Lato, Arial, sans-serif', 'var(--now-font-family)', ['--now-font-family']),
+    backgroundColor: style('rgb(3, 45, 66)', 'rgb(var(--now-color--primary-1))', ['--now-color--primary-1']),
+    fontWeight: style('600'),
+    paddingLeft: style('12px', 'var(--now-spacing--md)', ['--now-spacing--md'])
+  }), designTokens);
+  assert.deepEqual(findings, []);
+});
+
+test('compareInstanceStyles reports hard-coded values, wrong tokens and value mismatches', () => {
+  const findings = compareInstanceStyles(primaryButton({
+    backgroundColor: style('rgb(3, 45, 66)', '#032d42'),
+    paddingLeft: style('8px', 'var(--now-spacing--sm)', ['--now-spacing--sm']),
+    fontWeight: style('400')
+  }), designTokens);
+
+  assert.deepEqual(findings, [
+    {
+      type: 'hard-coded',
+      property: 'backgroundColor',
+      message: 'backgroundColor is hard-coded as "#032d42" instead of var(--now-color--primary-1)'
+    },
+    {
+      type: 'value-mismatch',
+      property: 'fontWeight',
+      message: 'fontWeight is "400", expected "600"'
+    },
+    {
+      type: 'wrong-token',
+      property: 'paddingLeft',
+      message: 'paddingLeft uses --now-spacing--sm instead of --now-spacing--md'
+    },
+    {
+      type: 'value-mismatch',
+      property: 'paddingLeft',
+      message: 'paddingLeft is "8px", expected "12px" (--now-spacing--md)'
+    }
+  ]);
+});
+
+test('compareInstanceStyles only traces tokens for values the component declares itself', () => {
+  // Inherited values cannot be traced to a declaration, but their value is still checked
+  const findings = compareInstanceStyles(primaryButton({
+    fontFamily: style('Arial', null)
+  }), designTokens);
+  assert.deepEqual(findings.map(finding => finding.type), ['value-mismatch']);
+});
+
+test('compareInstanceStyles skips components and properties the token file does not cover', () => {
+  assert.deepEqual(compareInstanceStyles({ component: 'now-card', variant: null, size: null, styles: {} }, designTokens), []);
+  assert.deepEqual(compareInstanceStyles(primaryButton({}), designTokens), []);
+});
+
+test('loadDesignTokens flattens a Figma variables export and resolves aliases', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'horizon-tokens-'));
+  try {
+    const filePath = path.join(dir, 'tokens.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      tokens: {
+        '--now-font-family': 'Lato',
+        now: {
+          color: {
+            'primary-1': { $type: 'color', $value: '#032d42' },
+            brand: { $type: 'color', $value: '{now.color.primary-1}' }
+          },
+          radius: {
+            $value: 4,
+            $extensions: { 'com.figma': { codeSyntax: { WEB: 'var(--now-button--border-radius)' } } }
+          }
+        }
+      },
+      components: { 'now-button': { base: { color: '--now-color-brand' } } }
+    }));
+
+    const loaded = loadDesignTokens(filePath);
+    assert.deepEqual(loaded.tokens, {
+      '--now-font-family': 'Lato',
+      '--now-color-primary-1': '#032d42',
+      '--now-color-brand': '#032d42',
+      '--now-button--border-radius': '4'
+    });
+    assert.deepEqual(loaded.components, { 'now-button': { base: { color: '--now-color-brand' } } });
+    assert.throws(() => loadDesignTokens(path.join(dir, 'missing.json')), /Token file not found/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
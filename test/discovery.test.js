@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { isInScope, readPageList, routePattern, scopedPath, workspacePrefix, writePageList } from '../utils/discovery.js';
+
+const SYS_ID = '9d385017c611228701d22104cc95c371';
+const BASE_URL = 'http://localhost:3100';
+
+test('routePattern collapses sys_ids and numeric ids', () => {
+  assert.equal(routePattern(`/now/sow/record/incident/${SYS_ID}`), '/now/sow/record/incident/:sysId');
+  assert.equal(routePattern(`/now/sow/record/incident/${SYS_ID.toUpperCase()}`), '/now/sow/record/incident/:sysId');
+  assert.equal(routePattern('/now/sow/list/42'), '/now/sow/list/:id');
+  assert.equal(routePattern('/now/sow/home/'), '/now/sow/home');
+  assert.equal(routePattern('/'), '/');
+});
+
+test('routePattern keeps route parameter values except sys_ids', () => {
+  assert.equal(routePattern('/now/sow/list/params/list-id/2/tab/3'), '/now/sow/list/params/list-id/2/tab/3');
+  assert.equal(routePattern(`/now/sow/record/params/sys-id/${SYS_ID}/tab/1`), '/now/sow/record/params/sys-id/:sysId/tab/1');
+});
+
+test('workspacePrefix keeps the first two path segments', () => {
+  assert.equal(workspacePrefix('/now/sow/home'), '/now/sow/');
+  assert.equal(workspacePrefix(`/now/sow/record/incident/${SYS_ID}`), '/now/sow/');
+});
+
+test('isInScope matches path prefixes and honours excludes', () => {
+  assert.equal(isInScope('/now/sow/home', ['/now/sow/']), true);
+  assert.equal(isInScope('/now/sow', ['/now/sow/']), true);
+  assert.equal(isInScope('/now/sowx/home', ['/now/sow/']), false);
+  assert.equal(isInScope('/now/cwf/agent', ['/now/sow/']), false);
+  assert.equal(isInScope('/now/sow/kb/article', ['/now/sow/', '/now/cwf/'], ['/kb/']), false);
+});
+
+test('scopedPath drops the query and hash of in-scope links', () => {
+  assert.equal(scopedPath('/now/sow/list?sysparm_query=active=true#top', BASE_URL, ['/now/sow/']), '/now/sow/list');
+  assert.equal(scopedPath(`${BASE_URL}/now/sow/record/incident/${SYS_ID}?tab=2`, BASE_URL, ['/now/sow/']), `/now/sow/record/incident/${SYS_ID}`);
+  assert.equal(routePattern(scopedPath(`/now/sow/record/incident/${SYS_ID}?tab=2`, BASE_URL, ['/now/sow/'])), '/now/sow/record/incident/:sysId');
+});
+
+test('scopedPath rejects other origins and out-of-scope paths', () => {
+  assert.equal(scopedPath('https://docs.servicenow.com/now/sow/home', BASE_URL, ['/now/sow/']), null);
+  assert.equal(scopedPath('http://localhost:3101/now/sow/home', BASE_URL, ['/now/sow/']), null);
+  assert.equal(scopedPath('/nav_to.do?uri=incident.do', BASE_URL, ['/now/sow/']), null);
+  assert.equal(scopedPath('/now/sow/logout', BASE_URL, ['/now/sow/'], ['logout']), null);
+});
+
+test('writePageList and readPageList round-trip a discovery', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'horizon-discovery-'));
+  try {
+    const filePath = path.join(dir, 'nested', 'pages.json');
+    const discovery = { root: '/now/sow/home', pages: ['/now/sow/home', '/now/sow/list'], routes: [] };
+
+    assert.equal(writePageList(filePath, discovery), path.resolve(filePath));
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), discovery);
+    assert.deepEqual(readPageList(filePath), ['/now/sow/home', '/now/sow/list']);
+
+    // A plain array of paths works too
+    fs.writeFileSync(filePath, JSON.stringify(['/now/sow/kb']));
+    assert.deepEqual(readPageList(filePath), ['/now/sow/kb']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('readPageList rejects missing files and invalid lists', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'horizon-discovery-'));
+  try {
+    assert.throws(() => readPageList(path.join(dir, 'missing.json')), /Page list not found: .*missing\.json\. Create it with horizon discover/);
+
+    const filePath = path.join(dir, 'pages.json');
+    for (const content of [{ pages: [] }, { pages: ['now/sow/home'] }, { pages: [42] }, { routes: [] }]) {
+      fs.writeFileSync(filePath, JSON.stringify(content));
+      assert.throws(() => readPageList(filePath), /must contain a non-empty "pages" array of paths starting with \//);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { classifyFailure, isRetryable, pageFailure, withRetries } from '../utils/failures.js';
+
+const retryOn = ['timeout', 'auth-expired', 'http-error', 'evaluate-error', 'blank-page'];
+
+const timeoutError = () => Object.assign(new Error('Navigation timeout of 60000 ms exceeded'), { name: 'TimeoutError' });
+
+test('classifyFailure recognizes Puppeteer and network errors', () => {
+  assert.equal(classifyFailure(timeoutError()), 'timeout');
+  assert.equal(classifyFailure(new Error('Waiting for selector timed out')), 'timeout');
+  assert.equal(classifyFailure(new Error('net::ERR_CONNECTION_REFUSED at http://localhost:3100/now/sow/home')), 'http-error');
+  assert.equal(classifyFailure(new Error('Execution context was destroyed, most likely because of a navigation.')), 'evaluate-error');
+  assert.equal(classifyFailure(new Error('Protocol error (Runtime.callFunctionOn): Target closed')), 'evaluate-error');
+  assert.equal(classifyFailure(new Error('Cannot read properties of undefined')), 'error');
+});
+
+test('classifyFailure keeps the kind of a classified failure', () => {
+  assert.equal(classifyFailure(pageFailure('auth-expired', 'Redirected to the login page (/login.do)')), 'auth-expired');
+});
+
+test('isRetryable retries transient kinds but not client errors', () => {
+  assert.equal(isRetryable(pageFailure('timeout', 'timed out'), retryOn), true);
+  assert.equal(isRetryable(pageFailure('http-error', 'HTTP 503', { status: 503 }), retryOn), true);
+  assert.equal(isRetryable(pageFailure('http-error', 'HTTP 429', { status: 429 }), retryOn), true);
+  assert.equal(isRetryable(pageFailure('http-error', 'net::ERR_CONNECTION_RESET'), retryOn), true);
+  assert.equal(isRetryable(pageFailure('http-error', 'HTTP 404', { status: 404 }), retryOn), false);
+  assert.equal(isRetryable(pageFailure('error', 'Cannot read properties of undefined'), retryOn), false);
+  assert.equal(isRetryable(pageFailure('blank-page', 'The page rendered no content'), ['timeout']), false);
+});
+
+test('withRetries returns the first successful attempt', async () => {
+  const delays = [];
+  const outcome = await withRetries(async (attempt) => {
+    if (attempt < 3) throw timeoutError();
+    return 'audited';
+  }, { retries: 2, backoff: 1, retryOn, onRetry: (error, attempt, delay) => delays.push([error.kind, attempt, delay]) });
+
+  assert.equal(outcome.result, 'audited');
+  assert.equal(outcome.attempts, 3);
+  assert.deepEqual(outcome.failures.map(f => f.kind), ['timeout', 'timeout']);
+  assert.deepEqual(delays, [['timeout', 1, 1], ['timeout', 2, 2]]);
+});
+
+test('withRetries stops after the configured number of retries', async () => {
+  let calls = 0;
+  await assert.rejects(withRetries(async () => {
+    calls++;
+    throw timeoutError();
+  }, { retries: 2, backoff: 0, retryOn }), error => {
+    assert.equal(error.kind, 'timeout');
+    assert.equal(error.attempts, 3);
+    assert.equal(error.failures.length, 3);
+    return true;
+  });
+  assert.equal(calls, 3);
+});
+
+test('withRetries does not retry with retries set to 0', async () => {
+  let calls = 0;
+  await assert.rejects(withRetries(async () => {
+    calls++;
+    throw timeoutError();
+  }, { retries: 0, backoff: 0, retryOn }), { kind: 'timeout', attempts: 1 });
+  assert.equal(calls, 1);
+});
+
+test('withRetries gives up at once on a fatal failure', async () => {
+  let calls = 0;
+  await assert.rejects(withRetries(async () => {
+    calls++;
+    throw pageFailure('http-error', 'HTTP 404 Not Found', { status: 404 });
+  }, { retries: 5, backoff: 0, retryOn }), { kind: 'http-error', status: 404, attempts: 1 });
+  assert.equal(calls, 1);
+});
+
+test('withRetries rejects a retry count that is not a whole number', async () => {
+  let calls = 0;
+  for (const retries of [NaN, -1, 1.5]) {
+    await assert.rejects(withRetries(async () => { calls++; }, { retries, backoff: 0, retryOn }), /Invalid retry count/);
+  }
+  assert.equal(calls, 0);
+});
+
+test('an invalid SN_RETRIES stops with a clear error', () => {
+  const configPath = fileURLToPath(new URL('../config.js', import.meta.url));
+  const run = spawnSync(process.execPath, ['--input-type=module', '-e', `await import(${JSON.stringify(configPath)});`], {
+    env: { ...process.env, SN_RETRIES: 'yes' },
+    encoding: 'utf8'
+  });
+
+  assert.equal(run.status, 1);
+  assert.match(run.stderr, /Invalid SN_RETRIES "yes"\. Expected a whole number of at least 0/);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { deriveComponentProperties, findNodesByType, findVariantNode, parseVariantName } from '../utils/figma-client.js';
+
+// The mock instance's Figma file
+const figmaFile = JSON.parse(fs.readFileSync(new URL('../mock/fixtures/figma/file.json', import.meta.url), 'utf8'));
+const componentSet = name => findNodesByType(figmaFile.document, 'COMPONENT_SET').find(set => set.name === name);
+
+const variant = (id, name) => ({ id, name, type: 'COMPONENT' });
+
+const button = {
+  id: '28:12',
+  name: 'Button',
+  type: 'COMPONENT_SET',
+  children: [
+    variant('28:1', 'Variant=Primary, Size=Md'),
+    variant('28:2', 'Variant=Secondary, Size=Md'),
+    variant('28:3', 'Variant=Secondary, Size=Lg'),
+    { id: '28:4', name: 'Docs', type: 'FRAME' }
+  ]
+};
+
+test('deriveComponentProperties maps variant options onto mapping keys', () => {
+  assert.deepEqual(deriveComponentProperties(componentSet('Button')), {
+    variants: ['primary', 'secondary', 'tertiary', 'primary-positive', 'secondary-positive', 'primary-negative', 'secondary-negative'],
+    sizes: ['sm', 'md', 'lg'],
+    states: ['default', 'hover', 'pressed', 'focus', 'disabled']
+  });
+  assert.deepEqual(Object.keys(deriveComponentProperties(componentSet('Popover'))), ['variants', 'sizes', 'primaryPosition', 'secondaryPosition']);
+});
+
+test('deriveComponentProperties skips boolean, text and instance-swap properties', () => {
+  // The Loader's "Label" and "Action" toggles must not become allowed label/action attribute values
+  assert.deepEqual(deriveComponentProperties(componentSet('Loader')), { sizes: ['sm', 'md', 'lg'] });
+
+  assert.deepEqual(deriveComponentProperties({
+    componentPropertyDefinitions: {
+      'Size': { type: 'VARIANT', variantOptions: ['Sm'] },
+      'Text#1:0': { type: 'TEXT', defaultValue: 'Label' },
+      'Icon#1:1': { type: 'INSTANCE_SWAP', defaultValue: '2:3' },
+      'Dismissible#1:2': { type: 'BOOLEAN', defaultValue: false }
+    }
+  }), { sizes: ['sm'] });
+});
+
+test('deriveComponentProperties merges properties that share a mapping key', () => {
+  assert.deepEqual(deriveComponentProperties({
+    componentPropertyDefinitions: {
+      Variant: { type: 'VARIANT', variantOptions: ['Primary', 'Secondary'] },
+      Hierarchy: { type: 'VARIANT', variantOptions: ['Secondary', 'Tertiary'] }
+    }
+  }), { variants: ['primary', 'secondary', 'tertiary'] });
+  assert.deepEqual(deriveComponentProperties({}), {});
+});
+
+test('parseVariantName reads property=value pairs', () => {
+  assert.deepEqual(parseVariantName('Variant=Primary negative, Size=Md, Primary position=Top'), {
+    variants: 'primary-negative',
+    sizes: 'md',
+    primaryPosition: 'top'
+  });
+  assert.deepEqual(parseVariantName('Docs'), {});
+});
+
+test('findVariantNode picks the variant matching the most attributes', () => {
+  assert.equal(findVariantNode(button, { variant: 'secondary', size: 'lg' }).id, '28:3');
+  assert.equal(findVariantNode(button, { variant: 'primary' }).id, '28:1');
+  // Attributes that are not variant properties are ignored
+  assert.equal(findVariantNode(button, { variant: 'secondary', label: 'Save' }).id, '28:2');
+});
+
+test('findVariantNode falls back to the component set when nothing matches', () => {
+  assert.equal(findVariantNode(button, {}), button);
+  assert.equal(findVariantNode(button, { variant: 'tertiary' }), button);
+  assert.equal(findVariantNode(button, { variant: '', size: null }), button);
+});
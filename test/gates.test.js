@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateGates, gateExitCode, horizonCoverage } from '../utils/gates.js';
+
+const thresholds = {
+  maxCustomElementsPerPage: null,
+  maxSpecViolations: 0,
+  minHorizonCoverage: null,
+  minScore: null,
+  failOnPageLoadError: true
+};
+
+const pageResult = (overrides = {}) => ({
+  page: '/now/sow/home',
+  horizonResults: { 'now-button': { count: 3 } },
+  customResults: {},
+  specViolations: {},
+  ...overrides
+});
+
+test('a compliant page passes every gate', () => {
+  const failures = evaluateGates([pageResult()], {
+    ...thresholds,
+    maxCustomElementsPerPage: 0,
+    minHorizonCoverage: 100,
+    minScore: 90
+  });
+  assert.deepEqual(failures, []);
+});
+
+test('maxSpecViolations fails a page with more violations than allowed', () => {
+  const failures = evaluateGates([pageResult({ specViolations: { 'now-button': ['Instance 1: invalid size "xl"'] } })], thresholds);
+  assert.deepEqual(failures, [{
+    gate: 'maxSpecViolations',
+    page: '/now/sow/home',
+    message: '1 Figma spec violation(s), maximum is 0'
+  }]);
+});
+
+test('maxCustomElementsPerPage counts every custom pattern', () => {
+  const result = pageResult({ customResults: { buttons: 2, inputs: 1 } });
+  assert.deepEqual(evaluateGates([result], { ...thresholds, maxCustomElementsPerPage: 3 }), []);
+  assert.deepEqual(evaluateGates([result], { ...thresholds, maxCustomElementsPerPage: 2 }).map(f => f.gate), ['maxCustomElementsPerPage']);
+});
+
+test('minHorizonCoverage compares Horizon instances with custom elements', () => {
+  const result = pageResult({ customResults: { buttons: 1 } });
+  assert.equal(horizonCoverage(result), 75);
+  assert.deepEqual(evaluateGates([result], { ...thresholds, minHorizonCoverage: 75 }), []);
+  assert.equal(evaluateGates([result], { ...thresholds, minHorizonCoverage: 80 })[0].message, 'Horizon coverage 75.0%, minimum is 80%');
+});
+
+test('minHorizonCoverage skips a page without any UI elements', () => {
+  const result = pageResult({ horizonResults: {} });
+  assert.equal(horizonCoverage(result), null);
+  assert.deepEqual(evaluateGates([result], { ...thresholds, minHorizonCoverage: 100 }), []);
+});
+
+test('minScore fails pages scored below the minimum and skips unscored pages', () => {
+  const low = pageResult({ page: '/now/sow/list', score: { score: 69 } });
+  const failures = evaluateGates([pageResult({ score: { score: 70 } }), low, pageResult({ page: '/now/sow/kb' })], { ...thresholds, minScore: 70 });
+  assert.deepEqual(failures, [{ gate: 'minScore', page: '/now/sow/list', message: 'compliance score 69/100, minimum is 70' }]);
+});
+
+test('failOnPageLoadError reports the failure kind and can be turned off', () => {
+  const failed = { page: '/now/sow/list', error: 'Navigation timeout of 60000 ms exceeded', failure: { kind: 'timeout' } };
+  assert.deepEqual(evaluateGates([failed], thresholds), [{
+    gate: 'failOnPageLoadError',
+    page: '/now/sow/list',
+    message: 'page could not be audited (timeout): Navigation timeout of 60000 ms exceeded'
+  }]);
+  assert.deepEqual(evaluateGates([failed], { ...thresholds, failOnPageLoadError: false }), []);
+});
+
+test('gates set to null are disabled', () => {
+  const result = pageResult({ customResults: { buttons: 10 }, specViolations: { 'now-button': ['a', 'b'] }, score: { score: 0 } });
+  assert.deepEqual(evaluateGates([result], { ...thresholds, maxSpecViolations: null }), []);
+});
+
+test('gateExitCode fails the run only on gate failures outside a baseline recording', () => {
+  const failures = [{ gate: 'maxSpecViolations', page: '/now/sow/home', message: '1 Figma spec violation(s), maximum is 0' }];
+  assert.equal(gateExitCode([]), 0);
+  assert.equal(gateExitCode(failures), 1);
+  assert.equal(gateExitCode(failures, { recordingBaseline: true }), 0);
+});
+
+test('gateExitCode keeps page load errors fatal while recording a baseline', () => {
+  const failures = [
+    { gate: 'maxSpecViolations', page: '/now/sow/home', message: '1 Figma spec violation(s), maximum is 0' },
+    { gate: 'failOnPageLoadError', page: '/now/sow/list', message: 'page could not be audited (timeout): Navigation timeout of 60000 ms exceeded' }
+  ];
+  assert.equal(gateExitCode(failures, { recordingBaseline: true }), 1);
+});
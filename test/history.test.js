@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { appendHistory, buildTrends, createHistoryEntry, readHistory, seriesChange } from '../utils/history.js';
+
+const meta = {
+  runId: '2026-10-01_09-00-00',
+  runAt: '2026-10-01T09:00:00',
+  baseUrl: 'http://localhost:3100',
+  profile: 'dev',
+  reportDir: 'reports/2026-10-01_09-00-00',
+  screenshotDir: 'screenshots/2026-10-01_09-00-00'
+};
+
+const homePage = {
+  page: '/now/sow/home',
+  horizonResults: { 'now-button': { count: 3 }, 'now-input': { count: 1 } },
+  customResults: { buttons: 2 },
+  specViolations: { 'now-button': ['Instance 1: invalid size "xl"'] },
+  accessibility: { findings: [{ rule: 'missing-label', severity: 'error', component: 'now-input' }] },
+  score: { score: 80, components: { 'now-button': { score: 95 }, 'now-input': { score: 92 } } }
+};
+
+const failedPage = {
+  page: '/now/sow/list',
+  error: 'Navigation timeout of 60000 ms exceeded',
+  failure: { kind: 'timeout' }
+};
+
+const withTmpDir = (fn) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'horizon-history-'));
+  try {
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+test('createHistoryEntry summarizes the run, its pages and components', () => {
+  const entry = createHistoryEntry([homePage, failedPage], meta);
+
+  assert.equal(entry.runId, meta.runId);
+  assert.equal(entry.profile, 'dev');
+  assert.equal(entry.reportDir, meta.reportDir);
+  assert.deepEqual(entry.summary, {
+    score: 80,
+    pages: 2,
+    failedPages: 1,
+    horizonInstances: 4,
+    customElements: 2,
+    specViolations: 1,
+    accessibilityFindings: 1,
+    tokenDeviations: null
+  });
+  assert.deepEqual(entry.pages['/now/sow/list'], { score: null, failure: 'timeout' });
+  assert.deepEqual(entry.pages['/now/sow/home'], {
+    score: 80,
+    horizonTypes: 2,
+    horizonInstances: 4,
+    customElements: 2,
+    specViolations: 1,
+    accessibilityFindings: 1,
+    tokenDeviations: null
+  });
+  assert.deepEqual(entry.components, {
+    'now-button': { instances: 3, specViolations: 1, score: 95, pages: 1 },
+    'now-input': { instances: 1, specViolations: 0, score: 92, pages: 1 }
+  });
+});
+
+test('appendHistory adds one line per run and readHistory skips corrupt lines', () => withTmpDir(dir => {
+  const filePath = path.join(dir, 'history', 'horizon-history.jsonl');
+  const first = createHistoryEntry([homePage], meta);
+  const second = createHistoryEntry([failedPage], { ...meta, runId: '2026-10-02_09-00-00' });
+
+  appendHistory(filePath, first);
+  fs.appendFileSync(filePath, '{"runId": "interrupted\n');
+  appendHistory(filePath, second);
+
+  const { entries, skipped } = readHistory(filePath);
+  assert.deepEqual(entries, [first, second]);
+  assert.deepEqual(skipped, [2]);
+}));
+
+test('readHistory explains how to create a missing history file', () => withTmpDir(dir => {
+  assert.throws(() => readHistory(path.join(dir, 'missing.jsonl')), /History file not found: .*missing\.jsonl - run "horizon validate" first/);
+}));
+
+test('buildTrends lines up one value per run, with gaps where a page was not audited', () => {
+  const runs = [
+    createHistoryEntry([homePage, failedPage], meta),
+    createHistoryEntry([
+      { ...homePage, customResults: {}, score: { score: 90, components: { 'now-button': { score: 100 } } } },
+      { ...homePage, page: '/now/sow/list', score: { score: 70, components: {} } }
+    ], { ...meta, runId: '2026-10-02_09-00-00' })
+  ];
+  const trends = buildTrends(runs);
+
+  assert.deepEqual(trends.runs.map(run => [run.runId, run.score, run.failedPages]), [
+    ['2026-10-01_09-00-00', 80, 1],
+    ['2026-10-02_09-00-00', 80, 0]
+  ]);
+  assert.deepEqual(trends.instance, [80, 80]);
+  assert.deepEqual(trends.pages['/now/sow/home'].score, [80, 90]);
+  assert.deepEqual(trends.pages['/now/sow/home'].customElements, [2, 0]);
+  assert.deepEqual(trends.pages['/now/sow/list'].score, [null, 70]);
+  assert.deepEqual(trends.components['now-button'].score, [95, 100]);
+  assert.deepEqual(trends.components['now-input'].score, [92, null]);
+  assert.deepEqual(trends.components['now-input'].instances, [1, 2]);
+});
+
+test('seriesChange compares the first and latest values that exist', () => {
+  assert.deepEqual(seriesChange([null, 72, null, 85, null]), { first: 72, latest: 85, change: 13 });
+  assert.deepEqual(seriesChange([90]), { first: 90, latest: 90, change: 0 });
+  assert.deepEqual(seriesChange([null, null]), { first: null, latest: null, change: null });
+});
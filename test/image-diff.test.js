@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PNG } from 'pngjs';
+import { compareImages } from '../utils/image-diff.js';
+
+const WHITE = [255, 255, 255, 255];
+const BLACK = [0, 0, 0, 255];
+
+let dir;
+
+/**
+ * Write a PNG fixture
+ * @param {string} name - File name inside the temp directory
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Function} colorAt - (x, y) => [r, g, b, a]
+ */
+function writePng(name, width, height, colorAt) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      png.data.set(colorAt(x, y), (y * width + x) * 4);
+    }
+  }
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, PNG.sync.write(png));
+  return filePath;
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'horizon-image-diff-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('identical images have no mismatched pixels', () => {
+  const baseline = writePng('identical-baseline.png', 10, 10, () => WHITE);
+  const actual = writePng('identical-actual.png', 10, 10, () => WHITE);
+  const diffPath = path.join(dir, 'identical-diff.png');
+
+  assert.deepEqual(compareImages(actual, baseline, diffPath), {
+    width: 10,
+    height: 10,
+    mismatchedPixels: 0,
+    mismatchPercentage: 0,
+    sizeChanged: false
+  });
+  assert.ok(fs.existsSync(diffPath));
+});
+
+test('changed pixels are counted and written to the diff image', () => {
+  const baseline = writePng('changed-baseline.png', 10, 10, () => WHITE);
+  // Top two rows turn black: 20 of 100 pixels
+  const actual = writePng('changed-actual.png', 10, 10, (x, y) => (y < 2 ? BLACK : WHITE));
+  const diffPath = path.join(dir, 'changed-diff.png');
+
+  const result = compareImages(actual, baseline, diffPath);
+  assert.equal(result.mismatchedPixels, 20);
+  assert.equal(result.mismatchPercentage, 20);
+  assert.equal(result.sizeChanged, false);
+
+  const diff = PNG.sync.read(fs.readFileSync(diffPath));
+  assert.equal(diff.width, 10);
+  assert.equal(diff.height, 10);
+});
+
+test('differences below the color threshold are ignored', () => {
+  const baseline = writePng('threshold-baseline.png', 4, 4, () => WHITE);
+  const actual = writePng('threshold-actual.png', 4, 4, () => [250, 250, 250, 255]);
+
+  assert.equal(compareImages(actual, baseline, path.join(dir, 'threshold-diff.png')).mismatchedPixels, 0);
+  assert.equal(compareImages(actual, baseline, path.join(dir, 'threshold-diff.png'), { threshold: 0 }).mismatchedPixels, 16);
+});
+
+test('images of different sizes are compared on a shared canvas', () => {
+  const baseline = writePng('size-baseline.png', 10, 10, () => WHITE);
+  const actual = writePng('size-actual.png', 10, 12, () => WHITE);
+  const diffPath = path.join(dir, 'size-diff.png');
+
+  const result = compareImages(actual, baseline, diffPath);
+  assert.equal(result.width, 10);
+  assert.equal(result.height, 12);
+  assert.equal(result.sizeChanged, true);
+  // The two extra rows exist only in the new screenshot
+  assert.equal(result.mismatchedPixels, 20);
+  assert.equal(result.mismatchPercentage, (20 / 120) * 100);
+
+  const diff = PNG.sync.read(fs.readFileSync(diffPath));
+  assert.equal(diff.height, 12);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBaselineSnapshot } from '../utils/baseline.js';
+import { compareInstances } from '../utils/instance-comparison.js';
+
+const homePage = (overrides = {}) => ({
+  page: '/now/sow/home',
+  horizonResults: {
+    'now-button': { count: 3, variants: ['primary', 'secondary'], sizes: ['md'] },
+    'now-input': { count: 2, variants: [], sizes: [] }
+  },
+  customResults: { buttons: 1 },
+  specViolations: { 'now-button': ['Instance 2: invalid size "xl"'] },
+  ...overrides
+});
+
+const snapshot = (...pageResults) => createBaselineSnapshot(pageResults);
+
+test('identical instances have no differences', () => {
+  const comparison = compareInstances({ dev: snapshot(homePage()), prod: snapshot(homePage()) }, ['/now/sow/home']);
+
+  assert.deepEqual(comparison.profiles, ['dev', 'prod']);
+  assert.equal(comparison.differences, 0);
+  assert.deepEqual(comparison.pages['/now/sow/home'], {
+    notAudited: [],
+    components: [],
+    customPatterns: [],
+    specViolations: [],
+    differences: 0
+  });
+});
+
+test('variant and size order does not count as a difference', () => {
+  const reordered = homePage({
+    horizonResults: {
+      'now-button': { count: 3, variants: ['secondary', 'primary'], sizes: ['md'] },
+      'now-input': { count: 2, variants: [], sizes: [] }
+    }
+  });
+  assert.equal(compareInstances({ dev: snapshot(homePage()), prod: snapshot(reordered) }, ['/now/sow/home']).differences, 0);
+});
+
+test('component counts, variants and sizes are compared per instance', () => {
+  const prod = homePage({
+    horizonResults: {
+      'now-button': { count: 4, variants: ['primary'], sizes: ['md'] },
+      'now-input': { count: 2, variants: [], sizes: ['sm'] }
+    }
+  });
+  const { components } = compareInstances({ dev: snapshot(homePage()), prod: snapshot(prod) }, ['/now/sow/home']).pages['/now/sow/home'];
+
+  assert.deepEqual(components, [
+    {
+      component: 'now-button',
+      differs: ['count', 'variants'],
+      byProfile: {
+        dev: { count: 3, variants: ['primary', 'secondary'], sizes: ['md'] },
+        prod: { count: 4, variants: ['primary'], sizes: ['md'] }
+      }
+    },
+    {
+      component: 'now-input',
+      differs: ['sizes'],
+      byProfile: {
+        dev: { count: 2, variants: [], sizes: [] },
+        prod: { count: 2, variants: [], sizes: ['sm'] }
+      }
+    }
+  ]);
+});
+
+test('a component missing on one instance counts as zero there', () => {
+  const prod = homePage({ horizonResults: { 'now-button': { count: 3, variants: ['primary', 'secondary'], sizes: ['md'] } } });
+  const { components } = compareInstances({ dev: snapshot(homePage()), prod: snapshot(prod) }, ['/now/sow/home']).pages['/now/sow/home'];
+
+  assert.deepEqual(components, [{
+    component: 'now-input',
+    differs: ['count'],
+    byProfile: {
+      dev: { count: 2, variants: [], sizes: [] },
+      prod: { count: 0, variants: [], sizes: [] }
+    }
+  }]);
+});
+
+test('custom patterns and spec violations are compared by count', () => {
+  const prod = homePage({
+    customResults: { buttons: 1, inputs: 2 },
+    specViolations: { 'now-button': ['Instance 1: invalid size "xl"', 'Instance 3: invalid size "xl"'] }
+  });
+  const comparison = compareInstances({ dev: snapshot(homePage()), test: snapshot(homePage()), prod: snapshot(prod) }, ['/now/sow/home']);
+  const page = comparison.pages['/now/sow/home'];
+
+  assert.deepEqual(page.customPatterns, [{ pattern: 'inputs', byProfile: { dev: 0, test: 0, prod: 2 } }]);
+  assert.deepEqual(page.specViolations, [{
+    component: 'now-button',
+    message: 'invalid size "xl"',
+    byProfile: { dev: 1, test: 1, prod: 2 }
+  }]);
+  assert.equal(page.differences, 2);
+  assert.equal(comparison.differences, 2);
+});
+
+test('pages that failed on an instance are listed as not audited there', () => {
+  const dev = snapshot(homePage(), homePage({ page: '/now/sow/list' }));
+  const prod = snapshot(homePage(), { page: '/now/sow/list', error: 'HTTP 503' });
+  const comparison = compareInstances({ dev, prod }, ['/now/sow/home', '/now/sow/list']);
+
+  assert.deepEqual(comparison.pages['/now/sow/list'].notAudited, ['prod']);
+  assert.equal(comparison.pages['/now/sow/list'].differences, 0);
+  assert.equal(comparison.differences, 0);
+});
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { runWithPagePool } from '../utils/page-pool.js';
+
+/**
+ * Browser stand-in that hands out numbered pages
+ */
+function fakeBrowser() {
+  const pages = [];
+  return {
+    pages,
+    async newPage() {
+      const page = fakePage(`page-${pages.length + 1}`);
+      pages.push(page);
+      return page;
+    }
+  };
+}
+
+/**
+ * Page stand-in that only knows whether it is closed
+ * @param {string} id - Name used in assertions
+ */
+function fakePage(id) {
+  let closed = false;
+  return {
+    id,
+    isClosed: () => closed,
+    async close() {
+      closed = true;
+    }
+  };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('results keep the order of the items', async () => {
+  // Earlier items finish last
+  const results = await runWithPagePool(fakeBrowser(), [30, 20, 10, 0], async (page, delay, index) => {
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return `${index}:${delay}`;
+  }, { concurrency: 4 });
+
+  assert.deepEqual(results, ['0:30', '1:20', '2:10', '3:0']);
+});
+
+test('no more than concurrency tasks run at the same time', async () => {
+  const browser = fakeBrowser();
+  let active = 0;
+  let peak = 0;
+
+  await runWithPagePool(browser, Array.from({ length: 7 }, (_, i) => i), async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await tick();
+    active--;
+  }, { concurrency: 3 });
+
+  assert.equal(peak, 3);
+  assert.equal(browser.pages.length, 3);
+});
+
+test('the pool never opens more pages than there are items', async () => {
+  const browser = fakeBrowser();
+  await runWithPagePool(browser, ['/now/sow/home'], async () => {}, { concurrency: 8 });
+  assert.equal(browser.pages.length, 1);
+
+  const empty = fakeBrowser();
+  assert.deepEqual(await runWithPagePool(empty, [], async () => {}, { concurrency: 8 }), []);
+});
+
+test('a failing item gets the onError result and the others still run', async () => {
+  const results = await runWithPagePool(fakeBrowser(), ['/a', '/b', '/c'], async (page, item) => {
+    if (item === '/b') throw new Error('HTTP 503');
+    return { page: item };
+  }, {
+    concurrency: 2,
+    onError: (error, item, index) => ({ page: item, index, error: error.message })
+  });
+
+  assert.deepEqual(results, [{ page: '/a' }, { page: '/b', index: 1, error: 'HTTP 503' }, { page: '/c' }]);
+});
+
+test('onError defaults to the error message', async () => {
+  const results = await runWithPagePool(fakeBrowser(), ['/a'], async () => {
+    throw new Error('Navigation timeout of 60000 ms exceeded');
+  });
+  assert.deepEqual(results, [{ error: 'Navigation timeout of 60000 ms exceeded' }]);
+});
+
+test('a worker whose page was closed continues on a new page', async () => {
+  const browser = fakeBrowser();
+  const used = [];
+
+  await runWithPagePool(browser, ['/a', '/b', '/c'], async (page, item) => {
+    used.push(page.id);
+    // The page crashes while auditing the first item
+    if (item === '/a') {
+      await page.close();
+      throw new Error('Target closed');
+    }
+  }, { concurrency: 1 });
+
+  assert.deepEqual(used, ['page-1', 'page-2', 'page-2']);
+  assert.ok(browser.pages.every(page => page.isClosed()));
+});
+
+test('the logged-in first page is reused and left open', async () => {
+  const browser = fakeBrowser();
+  const firstPage = fakePage('login');
+  const used = new Set();
+
+  await runWithPagePool(browser, ['/a', '/b', '/c', '/d'], async (page) => {
+    used.add(page.id);
+    await tick();
+  }, { concurrency: 2, firstPage });
+
+  assert.deepEqual([...used].sort(), ['login', 'page-1']);
+  assert.equal(firstPage.isClosed(), false);
+  assert.equal(browser.pages[0].isClosed(), true);
+});
+
+test('an invalid SN_CONCURRENCY stops with a clear error', () => {
+  const configPath = fileURLToPath(new URL('../config.js', import.meta.url));
+  for (const value of ['-3', '2.5', 'abc']) {
+    const run = spawnSync(process.execPath, ['--input-type=module', '-e', `await import(${JSON.stringify(configPath)});`], {
+      env: { ...process.env, SN_CONCURRENCY: value },
+      encoding: 'utf8'
+    });
+
+    assert.equal(run.status, 1);
+    assert.match(run.stderr, new RegExp(`Invalid SN_CONCURRENCY "${value}"\\. Expected a whole number of at least 1`));
+  }
+});
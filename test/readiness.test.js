@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { waitForHorizonReady } from '../utils/readiness.js';
+
+const snapshot = (counts, overrides = {}) => ({ readyState: 'complete', counts, loaders: [], undefinedComponents: [], ...overrides });
+
+/**
+ * Page whose snapshots follow a list, repeating the last one
+ * @param {Array<Object>} snapshots - snapshotHorizonState results in order
+ */
+const pageWith = (snapshots) => ({
+  evaluate: async () => snapshots.length > 1 ? snapshots.shift() : snapshots[0]
+});
+
+const timing = { timeout: 400, quietPeriod: 40, emptyPeriod: 150, pollInterval: 10 };
+
+test('a page is ready once its components stop changing', async () => {
+  const page = pageWith([
+    snapshot({ 'now-button': 1 }),
+    snapshot({ 'now-button': 3 }),
+    snapshot({ 'now-button': 3, 'now-input': 1 })
+  ]);
+  const result = await waitForHorizonReady(page, timing);
+
+  assert.equal(result.ready, true);
+  assert.deepEqual(result.components, { 'now-button': 3, 'now-input': 1 });
+  assert.match(result.message, /^Page ready after \d+ ms$/);
+});
+
+test('an empty page is not ready before its components render', async () => {
+  const page = pageWith([
+    ...Array(8).fill(snapshot({})),
+    snapshot({ 'now-record-list': 1 })
+  ]);
+  const result = await waitForHorizonReady(page, timing);
+
+  assert.equal(result.ready, true);
+  assert.deepEqual(result.components, { 'now-record-list': 1 });
+  assert.ok(result.elapsed >= timing.quietPeriod);
+});
+
+test('a page without components is ready once it stays empty for the empty period', async () => {
+  const result = await waitForHorizonReady(pageWith([snapshot({})]), timing);
+
+  assert.equal(result.ready, true);
+  assert.ok(result.elapsed >= timing.emptyPeriod);
+  assert.ok(result.elapsed < timing.timeout);
+  assert.deepEqual(result.components, {});
+  assert.match(result.message, /^Page ready after \d+ ms \(no now-\* components rendered\)$/);
+});
+
+test('an empty page whose document is still loading is reported as not ready at the timeout', async () => {
+  const result = await waitForHorizonReady(pageWith([snapshot({}, { readyState: 'interactive' })]), timing);
+
+  assert.equal(result.ready, false);
+  assert.ok(result.elapsed >= timing.timeout);
+  assert.match(result.message, /^Page not ready after \d+ ms: no now-\* components rendered; document interactive$/);
+});
+
+test('visible loaders and undefined components keep a page from being ready', async () => {
+  const result = await waitForHorizonReady(pageWith([
+    snapshot({ 'now-loader': 1, 'now-card': 2 }, { loaders: ['now-card > now-loader'], undefinedComponents: ['now-card'] })
+  ]), timing);
+
+  assert.equal(result.ready, false);
+  assert.match(result.message, /1 now-loader still visible \(now-card > now-loader\); not yet defined: now-card$/);
+});
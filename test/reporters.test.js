@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toJson, toJUnit, toSarif } from '../utils/reporters.js';
+
+const audited = {
+  page: '/now/sow/home',
+  url: 'http://localhost:3100/now/sow/home',
+  horizonResults: {
+    'now-button': { count: 3, variants: ['primary'], sizes: ['md'] },
+    'now-input': { count: 1, variants: [], sizes: [] }
+  },
+  customResults: { buttons: 2 },
+  specViolations: {
+    'now-button': ['Instance 1: invalid variant "fancy" & <bold>']
+  }
+};
+
+const failed = {
+  page: '/now/sow/list',
+  url: 'http://localhost:3100/now/sow/list',
+  error: 'HTTP 503 "Service Unavailable"',
+  failure: { kind: 'http-error', step: 'navigation', status: 503, attempts: 3, screenshot: null, history: [] }
+};
+
+test('toJson sums page counts and groups failures by kind', () => {
+  const doc = toJson([audited, failed], { baseUrl: 'http://localhost:3100', gateFailures: [] });
+
+  assert.equal(doc.baseUrl, 'http://localhost:3100');
+  assert.deepEqual(doc.summary.failuresByKind, { 'http-error': 1 });
+  assert.equal(doc.summary.pages, 2);
+  assert.equal(doc.summary.failedPages, 1);
+  assert.equal(doc.summary.horizonInstances, 4);
+  assert.equal(doc.summary.customElements, 2);
+  assert.equal(doc.summary.specViolations, 1);
+  assert.deepEqual(doc.gates, { passed: true, failures: [] });
+  assert.deepEqual(doc.pages[0].summary, { horizonTypes: 2, horizonInstances: 4, customElements: 2, specViolations: 1 });
+});
+
+test('toJson leaves out gates when they were not evaluated', () => {
+  assert.equal(toJson([audited]).gates, undefined);
+});
+
+test('toJUnit writes one testsuite per page and one testcase per component', () => {
+  const xml = toJUnit([audited, failed]);
+
+  assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>/);
+  assert.match(xml, /<testsuites name="Horizon Design System Validation" tests="3" failures="1" errors="1">/);
+  assert.match(xml, /<testsuite name="\/now\/sow\/home" tests="2" failures="1" errors="0">/);
+  assert.match(xml, /<testcase classname="\/now\/sow\/home" name="now-input"\/>/);
+  assert.match(xml, /<property name="custom.buttons" value="2"\/>/);
+  assert.match(xml, /<error type="http-error" message="HTTP 503 &quot;Service Unavailable&quot;"\/>/);
+});
+
+test('toJUnit escapes XML in violation messages', () => {
+  const xml = toJUnit([audited]);
+
+  assert.match(xml, /<failure type="spec-violation" message="1 Figma spec violation\(s\)">Instance 1: invalid variant &quot;fancy&quot; &amp; &lt;bold&gt;<\/failure>/);
+  assert.doesNotMatch(xml, /<bold>/);
+});
+
+test('toSarif reports violations, custom elements and page failures', () => {
+  const sarif = toSarif([audited, failed]);
+  const [run] = sarif.runs;
+
+  assert.equal(sarif.version, '2.1.0');
+  assert.deepEqual(run.tool.driver.rules.map(rule => rule.id), ['horizon/spec-violation', 'horizon/custom-element', 'horizon/page-load']);
+  assert.deepEqual(run.results.map(result => [result.ruleId, result.level]), [
+    ['horizon/spec-violation', 'error'],
+    ['horizon/custom-element', 'warning'],
+    ['horizon/page-load', 'error']
+  ]);
+  assert.equal(run.results[0].message.text, '<now-button> Instance 1: invalid variant "fancy" & <bold>');
+  assert.equal(run.results[0].locations[0].physicalLocation.artifactLocation.uri, 'now/sow/home');
+  assert.deepEqual(run.results[0].locations[0].logicalLocations, [{ name: 'now-button', kind: 'element' }]);
+  assert.equal(run.results[2].message.text, '/now/sow/list: [http-error] HTTP 503 "Service Unavailable"');
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectScoreFindings, explainScore, scoreFindings, scorePage, scoreRun } from '../utils/scoring.js';
+
+const scoring = {
+  weights: {
+    customElement: 2,
+    specViolation: 5,
+    accessibilityError: 8,
+    accessibilityWarning: 3,
+    tokenHardCoded: 2,
+    tokenWrongToken: 3,
+    tokenValueMismatch: 1
+  },
+  caps: {
+    customElements: 30,
+    specViolations: 40,
+    accessibility: 40,
+    tokens: 20
+  }
+};
+
+const pageResult = (overrides = {}) => ({
+  page: '/now/sow/home',
+  horizonResults: { 'now-button': { count: 4 }, 'now-input': { count: 1 } },
+  customResults: {},
+  specViolations: {},
+  ...overrides
+});
+
+test('a page without findings scores 100', () => {
+  const score = scorePage(pageResult(), scoring);
+  assert.equal(score.score, 100);
+  assert.deepEqual(score.deductions, []);
+  assert.deepEqual(Object.keys(score.components), ['now-button', 'now-input']);
+  assert.equal(score.components['now-button'].score, 100);
+});
+
+test('each finding deducts its weight', () => {
+  const result = pageResult({
+    customResults: { buttons: 3 },
+    specViolations: { 'now-button': ['Instance 1: invalid size "xl"'] },
+    accessibility: {
+      findings: [
+        { rule: 'button-name', severity: 'error', component: 'now-button' },
+        { rule: 'focus-visible', severity: 'warning', component: 'now-input' }
+      ]
+    },
+    tokens: {
+      groups: [
+        { component: 'now-button', count: 2, findings: [{ type: 'hard-coded' }, { type: 'value-mismatch' }] },
+        { component: 'now-input', count: 1, findings: [{ type: 'wrong-token' }] }
+      ]
+    }
+  });
+
+  const score = scorePage(result, scoring);
+  assert.deepEqual(score.deductions.map(d => [d.category, d.points]), [
+    ['customElements', 6],
+    ['specViolations', 5],
+    ['accessibility', 11],
+    ['tokens', 9]
+  ]);
+  assert.equal(score.score, 100 - 6 - 5 - 11 - 9);
+});
+
+test('token findings count once per affected instance', () => {
+  const findings = collectScoreFindings(pageResult({
+    tokens: { groups: [{ component: 'now-button', count: 4, findings: [{ type: 'hard-coded' }] }] }
+  }), scoring.weights);
+  assert.deepEqual(findings, [{ category: 'tokens', rule: 'hard-coded', component: 'now-button', count: 4, weight: 2 }]);
+});
+
+test('caps limit what one category can deduct', () => {
+  const score = scorePage(pageResult({ customResults: { buttons: 20, inputs: 5 } }), scoring);
+  assert.deepEqual(score.deductions.map(d => [d.category, d.points, d.uncapped, d.cap]), [['customElements', 30, 50, 30]]);
+  assert.equal(score.score, 70);
+  assert.equal(explainScore(score)[0], '-30 custom elements (capped from -50): buttons 20 × 2, inputs 5 × 2');
+});
+
+test('scores never go below 0', () => {
+  const findings = [
+    { category: 'customElements', rule: 'buttons', component: null, count: 50, weight: 2 },
+    { category: 'specViolations', rule: 'spec-violation', component: 'now-button', count: 50, weight: 5 }
+  ];
+  assert.equal(scoreFindings(findings, {}).score, 0);
+});
+
+test('component scores only include findings attributed to the component', () => {
+  const score = scorePage(pageResult({
+    customResults: { buttons: 3 },
+    specViolations: { 'now-button': ['Instance 1: invalid size "xl"', 'Instance 2: invalid size "xl"'] }
+  }), scoring);
+  assert.equal(score.components['now-button'].score, 90);
+  assert.equal(score.components['now-input'].score, 100);
+  assert.equal(score.score, 84);
+});
+
+test('a page that could not be audited is not scored', () => {
+  assert.equal(scorePage({ page: '/now/sow/list', error: 'HTTP 503' }, scoring), null);
+});
+
+test('scoreRun averages page scores and component scores across pages', () => {
+  const home = pageResult({ specViolations: { 'now-button': ['Instance 1: invalid size "xl"'] } });
+  const list = pageResult({ page: '/now/sow/list', customResults: { buttons: 2 }, specViolations: { 'now-button': ['a', 'b', 'c'] } });
+  const failed = { page: '/now/sow/kb', error: 'HTTP 503' };
+  const pageResults = [home, list, failed].map(result => ({ ...result, score: scorePage(result, scoring) }));
+
+  const run = scoreRun(pageResults);
+  assert.equal(run.score, Math.round((95 + 81) / 2));
+  assert.equal(run.pages, 2);
+  assert.deepEqual(run.unscored, ['/now/sow/kb']);
+  assert.deepEqual(run.components['now-button'], { score: 90, pages: 2, lowest: { page: '/now/sow/list', score: 85 } });
+  assert.deepEqual(run.components['now-input'], { score: 100, pages: 2, lowest: { page: '/now/sow/home', score: 100 } });
+});
+
+test('scoreRun has no instance score when no page was audited', () => {
+  assert.deepEqual(scoreRun([{ page: '/now/sow/kb', error: 'HTTP 503', score: null }]), {
+    score: null,
+    pages: 0,
+    unscored: ['/now/sow/kb'],
+    components: {}
+  });
+});
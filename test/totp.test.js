@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeBase32, generateTotp, verifyTotp } from '../utils/totp.js';
+
+// RFC 6238 appendix B: HMAC-SHA1 with the ASCII secret "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+test('decodeBase32 follows RFC 4648', () => {
+  assert.equal(decodeBase32('MZXW6YTBOI======').toString(), 'foobar');
+  assert.equal(decodeBase32('mzxw 6ytb oi').toString(), 'foobar');
+  assert.equal(decodeBase32(RFC_SECRET).toString(), '12345678901234567890');
+  assert.throws(() => decodeBase32('MZXW1'), /Invalid base32 character "1" in TOTP secret/);
+});
+
+test('generateTotp matches the RFC 6238 test vectors', () => {
+  RFC_VECTORS.forEach(([seconds, code]) => {
+    assert.equal(generateTotp(RFC_SECRET, { time: seconds * 1000, digits: 8 }), code, `T = ${seconds}`);
+  });
+});
+
+test('generateTotp keeps leading zeros in 6-digit codes', () => {
+  assert.equal(generateTotp(RFC_SECRET, { time: 1111111109 * 1000 }), '081804');
+});
+
+test('verifyTotp accepts the neighbouring time steps only', () => {
+  const now = Date.now();
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, { time: now })), true);
+  assert.equal(verifyTotp(RFC_SECRET, ` ${generateTotp(RFC_SECRET, { time: now - 30000 })} `), true);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, { time: now + 120000 })), false);
+  assert.equal(verifyTotp(RFC_SECRET, ''), false);
+});
@@ -0,0 +1,449 @@
+import puppeteer from 'puppeteer';
+import { config } from '../config.js';
+import { waitForHorizonReady } from '../utils/readiness.js';
+import { loginToServiceNow } from '../utils/auth.js';
+import { injectComponentIndex, COMPONENT_INDEX_KEY } from '../utils/component-index.js';
+import { getLocalTimestamp, getLocalISOTimestamp } from '../utils/timestamp.js';
+import { checkTextContrast } from '../utils/color.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Components whose inner form control needs an associated label
+ */
+const LABELLED_COMPONENTS = ['now-input', 'now-textarea', 'now-dropdown'];
+
+/**
+ * Collect what the accessibility checks need from every Horizon component,
+ * reading the inner element of each shadow root
+ * @param {import('puppeteer').Page} page - Page with Horizon components loaded
+ * @param {string[]} [components] - Horizon tags to audit (config.getPageSettings(testPage).components)
+ * @returns {Promise<Array<Object>>} One entry per visible instance
+ */
+async function extractAccessibilityData(page, components = config.horizonComponents) {
+  await injectComponentIndex(page, components);
+
+  return await page.evaluate((indexKey, labelledComponents) => {
+    const instances = [];
+
+    // Parent across shadow boundaries
+    function composedParent(node) {
+      if (node.parentElement) return node.parentElement;
+      const root = node.getRootNode();
+      return root instanceof ShadowRoot ? root.host : null;
+    }
+
+    // Custom-element ancestry, e.g. "macroponent-sow-home > now-card > now-button"
+    function componentPath(host) {
+      const parts = [];
+      for (let node = host; node; node = composedParent(node)) {
+        if (node.tagName.includes('-')) {
+          parts.unshift(node.tagName.toLowerCase() + (node.id ? `#${node.id}` : ''));
+        }
+      }
+      return parts.join(' > ');
+    }
+
+    // Accessible name from aria-label, aria-labelledby, <label> or text content
+    function accessibleName(element, root, useContent) {
+      const ariaLabel = element.getAttribute('aria-label');
+      if (ariaLabel && ariaLabel.trim()) return { name: ariaLabel.trim(), source: 'aria-label' };
+
+      const labelledBy = element.getAttribute('aria-labelledby');
+      if (labelledBy) {
+        const text = labelledBy.split(/\s+/)
+          .map(id => root.getElementById(id))
+          .filter(Boolean)
+          .map(label => label.textContent.trim())
+          .join(' ');
+        if (text) return { name: text, source: 'aria-labelledby' };
+      }
+
+      if (element.id) {
+        const label = Array.from(root.querySelectorAll('label[for]')).find(l => l.htmlFor === element.id);
+        if (label && label.textContent.trim()) return { name: label.textContent.trim(), source: 'label' };
+      }
+
+      const wrappingLabel = element.closest('label');
+      if (wrappingLabel && wrappingLabel.textContent.trim()) {
+        return { name: wrappingLabel.textContent.trim(), source: 'label' };
+      }
+
+      if (useContent && element.textContent.trim()) {
+        return { name: element.textContent.trim(), source: 'content' };
+      }
+
+      const title = element.getAttribute('title');
+      if (title && title.trim()) return { name: title.trim(), source: 'title' };
+
+      return null;
+    }
+
+    // background-color of the element and every composed ancestor, innermost first
+    function backgroundLayers(element) {
+      const layers = [];
+      for (let node = element; node; node = composedParent(node)) {
+        const background = window.getComputedStyle(node).backgroundColor;
+        layers.push(background);
+        if (/^rgb\(/.test(background)) break; // Opaque, nothing behind it shows through
+      }
+      return layers;
+    }
+
+    Object.entries(window[indexKey].components).forEach(([componentName, data]) => {
+      data.elements.forEach((host, index) => {
+        const rect = host.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+
+        const root = host.shadowRoot;
+        const inner = root
+          ? root.querySelector(`.${componentName}`) ||
+            Array.from(root.children).find(child => !['STYLE', 'SLOT', 'LINK', 'SCRIPT'].includes(child.tagName))
+          : null;
+
+        const instance = {
+          component: componentName,
+          index,
+          path: componentPath(host),
+          hasShadowRoot: Boolean(root),
+          hostLabel: host.getAttribute('label') || host.getAttribute('aria-label') || null
+        };
+
+        if (inner) {
+          const style = window.getComputedStyle(inner);
+          const text = (inner.value !== undefined && inner.tagName !== 'BUTTON' ? inner.value : inner.textContent).trim();
+
+          instance.text = text.substring(0, 80);
+          instance.contrast = text ? {
+            color: style.color,
+            background: backgroundLayers(inner),
+            fontSize: parseFloat(style.fontSize),
+            fontWeight: parseInt(style.fontWeight, 10) || 400
+          } : null;
+        }
+
+        if (componentName === 'now-button' && inner) {
+          const button = inner.tagName === 'BUTTON' ? inner : inner.querySelector('button') || inner;
+          instance.iconOnly = !button.textContent.trim() && Boolean(button.querySelector('now-icon, svg'));
+          instance.accessibleName = accessibleName(button, root, true);
+        }
+
+        if (labelledComponents.includes(componentName) && inner) {
+          const control = inner.matches('input, textarea, select, button, [role="combobox"], [role="listbox"]')
+            ? inner
+            : root.querySelector('input, textarea, select, button, [role="combobox"]');
+          instance.control = control ? control.tagName.toLowerCase() : null;
+          // A dropdown's visible text is its placeholder/selection, not a label
+          instance.accessibleName = control ? accessibleName(control, root, false) : null;
+        }
+
+        if (componentName === 'now-modal') {
+          const dialog = root
+            ? root.querySelector('[role="dialog"], [role="alertdialog"], dialog')
+            : null;
+          instance.dialog = dialog ? {
+            role: dialog.getAttribute('role') || 'dialog',
+            ariaModal: dialog.getAttribute('aria-modal') === 'true' || dialog.tagName === 'DIALOG',
+            accessibleName: accessibleName(dialog, root, false)
+          } : null;
+        }
+
+        instances.push(instance);
+      });
+    });
+
+    return instances;
+  }, COMPONENT_INDEX_KEY, LABELLED_COMPONENTS);
+}
+
+/**
+ * Check that keyboard focus cannot leave an open modal with Tab / Shift+Tab
+ * @param {import('puppeteer').Page} page - Page with the modal open
+ * @param {number} index - Index of the modal in the component index
+ * @returns {Promise<{focusable: number, escapedForward: boolean, escapedBackward: boolean}>}
+ */
+async function checkFocusTrap(page, index) {
+  // Focus the first or last tabbable element inside the modal (piercing nested shadow roots)
+  const focusEdge = (edge) => page.evaluate((indexKey, index, edge) => {
+    const modal = window[indexKey].components['now-modal'].elements[index];
+    const tabbable = [];
+    const selector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+    // Walk the flat tree: shadow content instead of light children, slots expanded
+    (function walk(node) {
+      let children;
+      if (node.shadowRoot) {
+        children = Array.from(node.shadowRoot.children);
+      } else if (node.tagName === 'SLOT') {
+        const assigned = node.assignedElements({ flatten: true });
+        children = assigned.length > 0 ? assigned : Array.from(node.children);
+      } else {
+        children = Array.from(node.children);
+      }
+
+      children.forEach(child => {
+        if (child.matches(selector) && child.getClientRects().length > 0) tabbable.push(child);
+        walk(child);
+      });
+    })(modal);
+
+    const target = edge === 'first' ? tabbable[0] : tabbable[tabbable.length - 1];
+    if (target) target.focus();
+    return tabbable.length;
+  }, COMPONENT_INDEX_KEY, index, edge);
+
+  // True when the deepest focused element is no longer inside the modal
+  const focusEscaped = () => page.evaluate((indexKey, index) => {
+    const modal = window[indexKey].components['now-modal'].elements[index];
+    let active = document.activeElement;
+    while (active && active.shadowRoot && active.shadowRoot.activeElement) {
+      active = active.shadowRoot.activeElement;
+    }
+
+    for (let node = active; node; ) {
+      if (node === modal) return false;
+      const root = node.getRootNode();
+      node = node.parentElement || (root instanceof ShadowRoot ? root.host : null);
+    }
+    return true;
+  }, COMPONENT_INDEX_KEY, index);
+
+  const focusable = await focusEdge('last');
+  if (focusable === 0) {
+    return { focusable, escapedForward: false, escapedBackward: false };
+  }
+
+  await page.keyboard.press('Tab');
+  const escapedForward = await focusEscaped();
+
+  await focusEdge('first');
+  await page.keyboard.down('Shift');
+  await page.keyboard.press('Tab');
+  await page.keyboard.up('Shift');
+  const escapedBackward = await focusEscaped();
+
+  return { focusable, escapedForward, escapedBackward };
+}
+
+/**
+ * Turn extracted data into findings
+ * @param {Array<Object>} instances - Output of extractAccessibilityData
+ * @returns {Array<{rule: string, severity: string, component: string, path: string, message: string}>}
+ */
+function evaluateInstances(instances) {
+  const findings = [];
+  const add = (instance, rule, severity, message) => findings.push({
+    rule,
+    severity,
+    component: instance.component,
+    path: instance.path,
+    message
+  });
+
+  instances.forEach(instance => {
+    if (instance.component === 'now-button' && !instance.accessibleName) {
+      add(instance, 'button-name', 'error', instance.iconOnly
+        ? 'Icon-only button has no accessible name (set aria-label or tooltip-content)'
+        : 'Button has no accessible name');
+    }
+
+    if (LABELLED_COMPONENTS.includes(instance.component) && instance.control && !instance.accessibleName) {
+      add(instance, 'form-label', 'error', `<${instance.control}> has no associated label (label[for], aria-label or aria-labelledby)${instance.hostLabel ? ` although the host has label="${instance.hostLabel}"` : ''}`);
+    }
+
+    if (instance.component === 'now-modal') {
+      if (!instance.dialog) {
+        add(instance, 'dialog-role', 'error', 'Modal has no element with role="dialog"');
+      } else {
+        if (!instance.dialog.ariaModal) {
+          add(instance, 'dialog-role', 'warning', 'Dialog is missing aria-modal="true"');
+        }
+        if (!instance.dialog.accessibleName) {
+          add(instance, 'dialog-name', 'error', 'Dialog has no accessible name (aria-label or aria-labelledby)');
+        }
+      }
+
+      if (instance.focusTrap) {
+        if (instance.focusTrap.focusable === 0) {
+          add(instance, 'focus-trap', 'error', 'Modal contains no focusable element');
+        } else if (instance.focusTrap.escapedForward || instance.focusTrap.escapedBackward) {
+          const directions = [
+            instance.focusTrap.escapedForward && 'Tab from the last element',
+            instance.focusTrap.escapedBackward && 'Shift+Tab from the first element'
+          ].filter(Boolean).join(' and ');
+          add(instance, 'focus-trap', 'error', `Focus leaves the modal on ${directions}`);
+        }
+      }
+    }
+
+    if (instance.contrast) {
+      const contrast = checkTextContrast(instance.contrast);
+      if (contrast && !contrast.passes) {
+        const { ratio, minimum, background } = contrast;
+        add(instance, 'color-contrast', 'error', `Text "${instance.text}" has contrast ${ratio.toFixed(2)}:1, minimum is ${minimum}:1 (${instance.contrast.color} on ${background.r}, ${background.g}, ${background.b})`);
+      }
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Run every accessibility check on the current page
+ * @param {import('puppeteer').Page} page - Page with Horizon components loaded
+ * @param {string[]} [components] - Horizon tags to audit (config.getPageSettings(testPage).components)
+ * @returns {Promise<{instances: number, findings: Array<Object>}>}
+ */
+export async function auditPageAccessibility(page, components = config.horizonComponents) {
+  const instances = await extractAccessibilityData(page, components);
+
+  for (const instance of instances.filter(i => i.component === 'now-modal')) {
+    instance.focusTrap = await checkFocusTrap(page, instance.index);
+  }
+
+  return { instances: instances.length, findings: evaluateInstances(instances) };
+}
+
+/**
+ * Print findings for one page
+ * @param {string} testPage - Page path
+ * @param {{instances: number, findings: Array<Object>}} result - Output of auditPageAccessibility
+ */
+function printPageFindings(testPage, result) {
+  console.log(`\n📋 ${testPage}: ${result.instances} visible instance(s), ${result.findings.length} finding(s)`);
+
+  result.findings.forEach(finding => {
+    console.log(`  ${finding.severity === 'error' ? '❌' : '⚠️'} [${finding.rule}] ${finding.path}`);
+    console.log(`     ${finding.message}`);
+  });
+}
+
+/**
+ * Generate markdown accessibility report
+ * @param {string} reportDir - Report directory
+ * @param {Array<Object>} pageResults - Per-page audit results
+ */
+function generateAccessibilityReport(reportDir, pageResults) {
+  const reportPath = path.join(reportDir, 'accessibility-audit.md');
+  const allFindings = pageResults.flatMap(result => result.findings || []);
+
+  const byRule = allFindings.reduce((acc, finding) => {
+    acc[finding.rule] = (acc[finding.rule] || 0) + 1;
+    return acc;
+  }, {});
+
+  let report = `# Horizon Accessibility Audit
+
+**Generated:** ${getLocalISOTimestamp()}
+**Instance:** ${config.getBaseUrl()}
+
+## Summary
+
+| Rule | Findings |
+|------|----------|
+${Object.entries(byRule).map(([rule, count]) => `| ${rule} | ${count} |`).join('\n') || '| - | 0 |'}
+
+`;
+
+  pageResults.forEach(result => {
+    report += `## ${result.page}\n\n`;
+
+    if (result.error) {
+      report += `❌ Could not audit page: ${result.error}\n\n`;
+      return;
+    }
+
+    if (result.findings.length === 0) {
+      report += `✅ No findings on ${result.instances} visible instance(s)\n\n`;
+      return;
+    }
+
+    report += '| Severity | Rule | Component path | Finding |\n|----------|------|----------------|---------|\n';
+    result.findings.forEach(finding => {
+      report += `| ${finding.severity} | ${finding.rule} | \`${finding.path}\` | ${finding.message.replace(/\|/g, '\\|')} |\n`;
+    });
+    report += '\n';
+  });
+
+  fs.writeFileSync(reportPath, report);
+  console.log(`\n📄 Accessibility report saved: accessibility-audit.md`);
+}
+
+/**
+ * Main accessibility audit runner
+ * @returns {Promise<Array<Object>|undefined>} Per-page findings
+ */
+export async function runAccessibilityAudit() {
+  console.log('🚀 Starting Horizon Accessibility Audit\n');
+
+  if (!config.isConfigured()) {
+    console.error('❌ Missing ServiceNow configuration in .env file');
+    process.exit(1);
+  }
+
+  const reportDir = path.join(config.outputDir, 'reports', 'a11y-' + getLocalTimestamp());
+  if (!fs.existsSync(reportDir)) {
+    fs.mkdirSync(reportDir, { recursive: true });
+  }
+
+  const browser = await puppeteer.launch(config.puppeteerOptions);
+  const pageResults = [];
+
+  try {
+    const page = await browser.newPage();
+    await loginToServiceNow(page);
+
+    for (const testPage of config.testPages) {
+      const fullUrl = `${config.getBaseUrl()}${testPage}`;
+
+      try {
+        const settings = config.getPageSettings(testPage);
+        await page.setViewport(settings.viewport);
+        await page.goto(fullUrl, {
+          waitUntil: 'networkidle2',
+          timeout: config.timeouts.navigation
+        });
+
+        const readiness = await waitForHorizonReady(page, { timeout: settings.wait });
+        if (!readiness.ready) console.log(`⚠️ ${readiness.message}`);
+
+        const result = await auditPageAccessibility(page, settings.components);
+        printPageFindings(testPage, result);
+        pageResults.push({ page: testPage, url: fullUrl, ...result });
+
+      } catch (error) {
+        console.error(`❌ Error auditing page ${testPage}:`, error.message);
+        pageResults.push({ page: testPage, url: fullUrl, error: error.message });
+      }
+    }
+
+    const jsonPath = path.join(reportDir, 'accessibility-audit.json');
+    fs.writeFileSync(jsonPath, JSON.stringify({
+      generatedAt: getLocalISOTimestamp(),
+      baseUrl: config.getBaseUrl(),
+      pages: pageResults
+    }, null, 2));
+    console.log(`\n💾 JSON data saved: accessibility-audit.json`);
+
+    generateAccessibilityReport(reportDir, pageResults);
+
+    console.log('\n' + '='.repeat(60));
+    console.log('✅ Accessibility Audit Complete!');
+    console.log('='.repeat(60));
+    console.log(`\n📁 Location: ${reportDir}`);
+
+    return pageResults;
+
+  } catch (error) {
+    console.error('❌ Fatal error:', error);
+    process.exitCode = 1;
+  } finally {
+    await browser.close();
+  }
+}
+
+// Run the accessibility audit when executed directly (npm run a11y-audit)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runAccessibilityAudit();
+}
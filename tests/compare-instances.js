@@ -0,0 +1,188 @@
+import { config } from '../config.js';
+import { applyProfile } from '../utils/profiles.js';
+import { createBaselineSnapshot } from '../utils/baseline.js';
+import { compareInstances, printInstanceComparison } from '../utils/instance-comparison.js';
+import { getLocalTimestamp, getLocalISOTimestamp } from '../utils/timestamp.js';
+import { auditPages } from './horizon-validator.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Escape a value for a markdown table cell
+ * @param {*} value - Cell value
+ */
+function cell(value) {
+  return String(value).replace(/\|/g, '\\|');
+}
+
+/**
+ * Generate markdown comparison report
+ * @param {string} reportDir - Report directory
+ * @param {Object} comparison - Output of compareInstances
+ * @param {Object<string, Object>} instances - Per-profile run summary
+ */
+function generateComparisonReport(reportDir, comparison, instances) {
+  const reportPath = path.join(reportDir, 'instance-comparison.md');
+  const profiles = comparison.profiles;
+  const header = columns => `| ${columns.join(' | ')} |\n|${columns.map(() => '---').join('|')}|\n`;
+
+  let report = `# Cross-Instance Comparison
+
+**Generated:** ${getLocalISOTimestamp()}
+**Differences:** ${comparison.differences}
+
+${header(['Profile', 'Instance', 'Pages audited', 'Page errors'])}${Object.entries(instances).map(([profile, run]) =>
+  `| ${profile} | ${run.baseUrl || '-'} | ${run.error ? `❌ ${cell(run.error)}` : run.audited} | ${run.pageErrors?.length || 0} |`).join('\n')}
+
+`;
+
+  Object.entries(comparison.pages).forEach(([page, diff]) => {
+    report += `## ${page}\n\n`;
+
+    if (diff.notAudited.length > 0) {
+      report += `⚠️ Not audited on: ${diff.notAudited.join(', ')}\n\n`;
+    }
+    if (diff.differences === 0) {
+      report += `✅ No differences between ${profiles.filter(p => !diff.notAudited.includes(p)).join(', ') || 'instances'}\n\n`;
+      return;
+    }
+
+    const compared = profiles.filter(p => !diff.notAudited.includes(p));
+
+    if (diff.components.length > 0) {
+      report += '### Components\n\n';
+      report += header(['Component', 'Differs', ...compared]);
+      diff.components.forEach(c => {
+        const values = compared.map(profile => {
+          const data = c.byProfile[profile];
+          return `${data.count} · ${data.variants.join('/') || '-'} · ${data.sizes.join('/') || '-'}`;
+        });
+        report += `| ${c.component} | ${c.differs.join(', ')} | ${values.join(' | ')} |\n`;
+      });
+      report += '\n_Count · variants · sizes_\n\n';
+    }
+
+    if (diff.customPatterns.length > 0) {
+      report += '### Custom patterns\n\n';
+      report += header(['Pattern', ...compared]);
+      diff.customPatterns.forEach(c => {
+        report += `| ${c.pattern} | ${compared.map(profile => c.byProfile[profile]).join(' | ')} |\n`;
+      });
+      report += '\n';
+    }
+
+    if (diff.specViolations.length > 0) {
+      report += '### Spec violations\n\n';
+      report += header(['Component', 'Violation', ...compared]);
+      diff.specViolations.forEach(v => {
+        report += `| ${v.component} | ${cell(v.message)} | ${compared.map(profile => v.byProfile[profile]).join(' | ')} |\n`;
+      });
+      report += '\n';
+    }
+  });
+
+  fs.writeFileSync(reportPath, report);
+  console.log(`📄 Comparison report saved: instance-comparison.md`);
+}
+
+/**
+ * Audit the pages on each instance profile and compare the results
+ * Only the pages are audited: the runs write no validator reports or history
+ * and skip the compliance gates. The exit code is 1 when the instances differ,
+ * a page could not be audited on every instance, or fewer than two instances
+ * were audited.
+ * @param {string[]} [profileNames] - Profiles to compare (default: all in SN_PROFILES)
+ * @returns {Promise<Object|undefined>} Output of compareInstances
+ */
+export async function runInstanceComparison(profileNames = Object.keys(config.profiles)) {
+  console.log('🚀 Starting Cross-Instance Comparison\n');
+
+  if (profileNames.length < 2) {
+    console.error('❌ Need at least two instance profiles to compare. Set SN_PROFILES=dev,test,prod and SN_<PROFILE>_INSTANCE in .env');
+    process.exitCode = 1;
+    return;
+  }
+
+  const pages = [...config.testPages];
+  const snapshots = {};
+  const instances = {};
+
+  for (const profile of profileNames) {
+    console.log(`\n${'#'.repeat(60)}`);
+    console.log(`🏷️ Profile: ${profile}`);
+    console.log('#'.repeat(60));
+
+    try {
+      applyProfile(profile);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      instances[profile] = { error: error.message };
+      continue;
+    }
+
+    if (!config.isConfigured()) {
+      const message = `Missing instance or credentials for profile "${profile}"`;
+      console.error(`❌ ${message}`);
+      instances[profile] = { baseUrl: null, error: message };
+      continue;
+    }
+
+    const baseUrl = config.getBaseUrl();
+    let pageResults;
+    try {
+      ({ pageResults } = await auditPages());
+    } catch (error) {
+      console.error(`❌ ${profile}: ${error.message}`);
+      instances[profile] = { baseUrl, error: error.message };
+      continue;
+    }
+
+    snapshots[profile] = createBaselineSnapshot(pageResults, { baseUrl });
+    instances[profile] = {
+      baseUrl,
+      audited: Object.keys(snapshots[profile].pages).length,
+      pageErrors: pageResults.filter(result => result.error).map(result => ({ page: result.page, error: result.error }))
+    };
+  }
+
+  if (Object.keys(snapshots).length < 2) {
+    console.error('\n❌ Fewer than two instances were audited - nothing to compare');
+    process.exitCode = 1;
+    return;
+  }
+
+  const comparison = compareInstances(snapshots, pages);
+  printInstanceComparison(comparison);
+
+  const reportDir = path.join(config.outputDir, 'reports', 'instances-' + getLocalTimestamp());
+  fs.mkdirSync(reportDir, { recursive: true });
+
+  fs.writeFileSync(path.join(reportDir, 'instance-comparison.json'), JSON.stringify({
+    generatedAt: getLocalISOTimestamp(),
+    instances,
+    snapshots,
+    comparison
+  }, null, 2));
+  console.log(`💾 JSON data saved: instance-comparison.json`);
+
+  generateComparisonReport(reportDir, comparison, instances);
+
+  const incomplete = Object.values(comparison.pages).some(diff => diff.notAudited.length > 0);
+  if (comparison.differences > 0 || incomplete) {
+    process.exitCode = 1;
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log('✅ Cross-Instance Comparison Complete!');
+  console.log('='.repeat(60));
+  console.log(`\n📁 Location: ${reportDir}`);
+
+  return comparison;
+}
+
+// Run the comparison when executed directly (npm run compare-instances [-- dev,prod])
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const names = process.argv[2] ? process.argv[2].split(',').map(name => name.trim()).filter(Boolean) : undefined;
+  runInstanceComparison(names);
+}
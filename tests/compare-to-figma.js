@@ -1,11 +1,12 @@
 import puppeteer from 'puppeteer';
 import { config } from '../config.js';
+import { waitForHorizonReady } from '../utils/readiness.js';
 import { loginToServiceNow } from '../utils/auth.js';
+import { injectComponentIndex, COMPONENT_INDEX_KEY } from '../utils/component-index.js';
 import { getLocalTimestamp, getReadableTimestamp } from '../utils/timestamp.js';
 import fs from 'fs';
 import path from 'path';
-
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+import { fileURLToPath } from 'url';
 
 /**
  * Create timestamped report directory
@@ -13,7 +14,7 @@ const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 function createReportDirectory() {
   const timestamp = getLocalTimestamp();
 
-  const reportDir = path.join(process.cwd(), 'reports', timestamp);
+  const reportDir = path.join(config.outputDir, 'reports', timestamp);
 
   if (!fs.existsSync(reportDir)) {
     fs.mkdirSync(reportDir, { recursive: true });
@@ -45,30 +46,17 @@ async function saveScreenshot(page, reportDir, pageName) {
 
 /**
  * Extract Horizon components from page (including Shadow DOM)
+ * @param {import('puppeteer').Page} page - Page with Horizon components loaded
+ * @param {string[]} [components] - Horizon tags to extract (config.getPageSettings(testPage).components)
  */
-async function extractComponents(page) {
-  return await page.evaluate((horizonComponents) => {
-    const componentResults = {};
-
-    function searchInShadowDOM(root, componentName) {
-      let found = [];
-      const elements = root.querySelectorAll(componentName);
-      found.push(...Array.from(elements));
+async function extractComponents(page, components = config.horizonComponents) {
+  await injectComponentIndex(page, components);
 
-      const allElements = root.querySelectorAll('*');
-      allElements.forEach(el => {
-        if (el.shadowRoot) {
-          found.push(...searchInShadowDOM(el.shadowRoot, componentName));
-        }
-      });
-
-      return found;
-    }
+  return await page.evaluate((indexKey) => {
+    const componentResults = {};
 
-    horizonComponents.forEach(componentName => {
-      const elementsInMain = Array.from(document.querySelectorAll(componentName));
-      const elementsInShadow = searchInShadowDOM(document, componentName);
-      const allElements = [...elementsInMain, ...elementsInShadow];
+    Object.entries(window[indexKey].components).forEach(([componentName, data]) => {
+      const allElements = data.elements;
 
       if (allElements.length > 0) {
         const instances = allElements.map(el => ({
@@ -85,8 +73,8 @@ async function extractComponents(page) {
 
         componentResults[componentName] = {
           count: allElements.length,
-          countInMain: elementsInMain.length,
-          countInShadow: elementsInShadow.length,
+          countInMain: data.countInMain,
+          countInShadow: data.countInShadow,
           instances: instances,
           variants: [...new Set(instances.map(i => i.variant))],
           sizes: [...new Set(instances.map(i => i.size))]
@@ -95,7 +83,7 @@ async function extractComponents(page) {
     });
 
     return componentResults;
-  }, config.horizonComponents);
+  }, COMPONENT_INDEX_KEY);
 }
 
 /**
@@ -200,14 +188,13 @@ function generateMarkdownReport(reportDir, pageUrl, components, figmaData) {
 
 /**
  * Main comparison runner
+ * @param {string|null} [figmaFileUrl] - Figma design system file URL
+ * @returns {Promise<Object|undefined>} Extracted components and report path
  */
-async function runComparison() {
+export async function runComparison(figmaFileUrl = null) {
   console.log('🚀 Starting Horizon to Figma Comparison\n');
 
-  // Get Figma file URL from command line or prompt
-  const figmaFileUrl = process.argv[2] || null;
-
-  if (!config.instance || !config.username || !config.password) {
+  if (!config.isConfigured()) {
     console.error('❌ Missing ServiceNow configuration in .env file');
     process.exit(1);
   }
@@ -227,19 +214,22 @@ async function runComparison() {
     console.log(`🔍 Analyzing page: ${testPage}`);
     console.log('='.repeat(60));
 
+    const settings = config.getPageSettings(testPage);
+    await page.setViewport(settings.viewport);
     await page.goto(fullUrl, {
       waitUntil: 'networkidle2',
       timeout: config.timeouts.navigation
     });
 
-    await sleep(config.timeouts.componentLoad + 5000);
+    const readiness = await waitForHorizonReady(page, { timeout: settings.wait });
+    if (!readiness.ready) console.log(`⚠️ ${readiness.message}`);
 
     // Take screenshot
     await saveScreenshot(page, reportDir, testPage);
 
     // Extract components
     console.log('\n📊 Extracting Horizon components...\n');
-    const components = await extractComponents(page);
+    const components = await extractComponents(page, settings.components);
 
     Object.entries(components).forEach(([name, data]) => {
       console.log(`  ✅ ${name}: ${data.count} instances`);
@@ -263,6 +253,8 @@ async function runComparison() {
       console.log('\n   Then use Claude with Figma MCP to complete the comparison.');
     }
 
+    return { page: testPage, components, reportPath };
+
   } catch (error) {
     console.error('❌ Fatal error:', error);
   } finally {
@@ -270,4 +262,7 @@ async function runComparison() {
   }
 }
 
-runComparison();
+// Run the comparison when executed directly (npm run compare-figma <figma-file-url>)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runComparison(process.argv[2] || null);
+}
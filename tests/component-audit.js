@@ -1,15 +1,12 @@
 import puppeteer from 'puppeteer';
 import { config } from '../config.js';
+import { waitForHorizonReady } from '../utils/readiness.js';
 import { loginToServiceNow } from '../utils/auth.js';
+import { injectComponentIndex, COMPONENT_INDEX_KEY } from '../utils/component-index.js';
 import { getLocalTimestamp } from '../utils/timestamp.js';
 import fs from 'fs';
 import path from 'path';
-
-/**
- * Sleep utility function (replacement for deprecated page.waitForTimeout)
- * @param {number} ms - Milliseconds to sleep
- */
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+import { fileURLToPath } from 'url';
 
 /**
  * Create timestamped screenshot directory
@@ -18,7 +15,7 @@ const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 function createScreenshotDirectory() {
   const timestamp = getLocalTimestamp();
 
-  const screenshotDir = path.join(process.cwd(), 'screenshots', timestamp);
+  const screenshotDir = path.join(config.outputDir, 'screenshots', timestamp);
 
   if (!fs.existsSync(screenshotDir)) {
     fs.mkdirSync(screenshotDir, { recursive: true });
@@ -54,43 +51,23 @@ async function saveScreenshot(page, screenshotDir, pageName) {
 /**
  * Walk the DOM tree and extract all Horizon components (including Shadow DOM)
  * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {string[]} [components] - Horizon tags to extract (config.getPageSettings(testPage).components)
  */
-async function extractComponentTree(page) {
+async function extractComponentTree(page, components = config.horizonComponents) {
   console.log('\n🌲 Extracting component tree (including Shadow DOM)...');
 
-  const componentTree = await page.evaluate((horizonComponents) => {
-    const results = [];
-
-    // Function to recursively search inside shadow DOMs
-    function searchInShadowDOM(root, componentName) {
-      let found = [];
-
-      // Search in current root
-      const elements = root.querySelectorAll(componentName);
-      found.push(...Array.from(elements));
+  await injectComponentIndex(page, components);
 
-      // Search in all shadow roots
-      const allElements = root.querySelectorAll('*');
-      allElements.forEach(el => {
-        if (el.shadowRoot) {
-          found.push(...searchInShadowDOM(el.shadowRoot, componentName));
-        }
-      });
-
-      return found;
-    }
-
-    // Find all Horizon components in main DOM and shadow DOMs
-    horizonComponents.forEach(componentName => {
-      const elementsInMain = Array.from(document.querySelectorAll(componentName));
-      const elementsInShadow = searchInShadowDOM(document, componentName);
-      const allElements = [...elementsInMain, ...elementsInShadow];
+  const componentTree = await page.evaluate((indexKey) => {
+    const results = [];
 
-      allElements.forEach((element, index) => {
+    // Walk every indexed Horizon component (main DOM and shadow DOMs)
+    Object.entries(window[indexKey].components).forEach(([componentName, data]) => {
+      data.elements.forEach((element, index) => {
         const componentData = {
           component: componentName,
           instance: index + 1,
-          location: elementsInMain.includes(element) ? 'main' : 'shadow',
+          location: element.getRootNode() === document ? 'main' : 'shadow',
           attributes: {},
           innerHTML: element.innerHTML.substring(0, 100), // First 100 chars
           parent: element.parentElement?.tagName.toLowerCase(),
@@ -108,7 +85,7 @@ async function extractComponentTree(page) {
     });
 
     return results;
-  }, config.horizonComponents);
+  }, COMPONENT_INDEX_KEY);
 
   return componentTree;
 }
@@ -209,13 +186,14 @@ function analyzeUsagePatterns(componentTree) {
 
 /**
  * Main component audit runner
+ * @returns {Promise<Array<Object>|undefined>} Extracted component tree
  */
-async function runComponentAudit() {
+export async function runComponentAudit() {
   console.log('🚀 Starting Deep Component Audit\n');
 
   // Validate configuration
-  if (!config.instance || !config.username || !config.password) {
-    console.error('❌ Missing configuration. Please set SN_INSTANCE, SN_USERNAME, and SN_PASSWORD in .env file');
+  if (!config.isConfigured()) {
+    console.error('❌ Missing configuration. Please set SN_INSTANCE (or SN_BASE_URL), SN_USERNAME, and SN_PASSWORD in .env file');
     process.exit(1);
   }
 
@@ -236,25 +214,29 @@ async function runComponentAudit() {
 
     console.log(`\n📄 Auditing page: ${testPage}`);
 
+    const settings = config.getPageSettings(testPage);
+    await page.setViewport(settings.viewport);
     await page.goto(fullUrl, {
       waitUntil: 'networkidle2',
       timeout: config.timeouts.navigation
     });
 
-    // Wait for components to load
-    await sleep(config.timeouts.componentLoad);
+    // Wait for components to settle
+    const readiness = await waitForHorizonReady(page, { timeout: settings.wait });
+    if (!readiness.ready) console.log(`⚠️ ${readiness.message}`);
 
     // Save screenshot
     await saveScreenshot(page, screenshotDir, testPage);
 
     // Extract component tree
-    const componentTree = await extractComponentTree(page);
+    const componentTree = await extractComponentTree(page, settings.components);
 
     // Generate reports
     generateInventoryReport(componentTree, testPage);
     analyzeUsagePatterns(componentTree);
 
     console.log('✅ Component audit complete!');
+    return componentTree;
 
   } catch (error) {
     console.error('❌ Fatal error:', error);
@@ -263,5 +245,7 @@ async function runComponentAudit() {
   }
 }
 
-// Run the audit
-runComponentAudit();
+// Run the audit when executed directly (npm run test:components)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runComponentAudit();
+}
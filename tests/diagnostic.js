@@ -1,18 +1,20 @@
 import puppeteer from 'puppeteer';
 import { config } from '../config.js';
+import { waitForHorizonReady } from '../utils/readiness.js';
 import { loginToServiceNow } from '../utils/auth.js';
+import { injectComponentIndex, COMPONENT_INDEX_KEY } from '../utils/component-index.js';
 import fs from 'fs';
 import path from 'path';
-
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+import { fileURLToPath } from 'url';
 
 /**
  * Diagnostic script to inspect page structure and detect Shadow DOM
+ * @returns {Promise<Object|undefined>} Page analysis
  */
-async function runDiagnostic() {
+export async function runDiagnostic() {
   console.log('🔬 Starting Diagnostic Analysis\n');
 
-  if (!config.instance || !config.username || !config.password) {
+  if (!config.isConfigured()) {
     console.error('❌ Missing configuration');
     process.exit(1);
   }
@@ -23,25 +25,25 @@ async function runDiagnostic() {
     const page = await browser.newPage();
     await loginToServiceNow(page);
 
-    // Test the SOW home page (should have Horizon components)
-    const testPage = '/now/sow/home';
+    // Test first page (defaults to SOW home which has Horizon components)
+    const testPage = config.testPages[0];
     const fullUrl = `${config.getBaseUrl()}${testPage}`;
 
     console.log(`📄 Analyzing page: ${testPage}\n`);
 
+    const settings = config.getPageSettings(testPage);
+    await page.setViewport(settings.viewport);
     await page.goto(fullUrl, {
       waitUntil: 'networkidle2',
       timeout: config.timeouts.navigation
     });
 
     console.log('⏳ Waiting for page to fully load...\n');
-    await sleep(config.timeouts.componentLoad);
-
-    // Additional wait for dynamic content
-    await sleep(5000);
+    const readiness = await waitForHorizonReady(page, { timeout: settings.wait });
+    if (!readiness.ready) console.log(`⚠️ ${readiness.message}`);
 
     // Take screenshot for visual inspection
-    const screenshotDir = path.join(process.cwd(), 'screenshots', 'diagnostic');
+    const screenshotDir = path.join(config.outputDir, 'screenshots', 'diagnostic');
     if (!fs.existsSync(screenshotDir)) {
       fs.mkdirSync(screenshotDir, { recursive: true });
     }
@@ -49,8 +51,11 @@ async function runDiagnostic() {
     await page.screenshot({ path: screenshotPath, fullPage: true });
     console.log(`📸 Screenshot saved: ${screenshotPath}\n`);
 
+    // Index Horizon components across all shadow roots
+    await injectComponentIndex(page, settings.components);
+
     // Comprehensive page analysis
-    const analysis = await page.evaluate((horizonComponents) => {
+    const analysis = await page.evaluate((indexKey) => {
       const results = {
         customElements: [],
         shadowHosts: [],
@@ -99,40 +104,18 @@ async function runDiagnostic() {
         }
       });
 
-      // 2. Function to recursively search inside shadow DOMs
-      function searchInShadowDOM(root, componentName) {
-        let found = [];
-
-        // Search in current root
-        const elements = root.querySelectorAll(componentName);
-        found.push(...Array.from(elements));
-
-        // Search in all shadow roots
-        const allElements = root.querySelectorAll('*');
-        allElements.forEach(el => {
-          if (el.shadowRoot) {
-            found.push(...searchInShadowDOM(el.shadowRoot, componentName));
-          }
-        });
-
-        return found;
-      }
-
-      // Check for specific Horizon components in main DOM and shadow DOMs
-      horizonComponents.forEach(componentName => {
-        const elementsInMain = document.querySelectorAll(componentName);
-        const elementsInShadow = searchInShadowDOM(document, componentName);
-
-        if (elementsInMain.length > 0 || elementsInShadow.length > 0) {
-          results.horizonComponentsFound[componentName] = {
-            countInMain: elementsInMain.length,
-            countInShadow: elementsInShadow.length,
-            totalCount: elementsInMain.length + elementsInShadow.length,
-            hasShadowRoot: elementsInMain[0]?.shadowRoot || elementsInShadow[0]?.shadowRoot ? true : false,
-            shadowRootMode: (elementsInMain[0]?.shadowRoot || elementsInShadow[0]?.shadowRoot)?.mode || 'none'
-          };
-        }
+      // 2. Check for specific Horizon components in main DOM and shadow DOMs
+      Object.entries(window[indexKey].components).forEach(([componentName, data]) => {
+        const shadowRoot = data.elements[0].shadowRoot;
+        results.horizonComponentsFound[componentName] = {
+          countInMain: data.countInMain,
+          countInShadow: data.countInShadow,
+          totalCount: data.elements.length,
+          hasShadowRoot: shadowRoot ? true : false,
+          shadowRootMode: shadowRoot?.mode || 'none'
+        };
       });
+      results.pageInfo.shadowRootCount = window[indexKey].shadowRootCount;
 
       // 3. Look for ServiceNow UI patterns in class names
       allElements.forEach(el => {
@@ -182,7 +165,7 @@ async function runDiagnostic() {
       results.allCustomTags = Array.from(results.allCustomTags);
 
       return results;
-    }, config.horizonComponents);
+    }, COMPONENT_INDEX_KEY);
 
     // Display results
     console.log('='.repeat(80));
@@ -194,6 +177,7 @@ async function runDiagnostic() {
     console.log(`   URL: ${analysis.pageInfo.url}`);
     console.log(`   Ready State: ${analysis.pageInfo.readyState}`);
     console.log(`   Total Elements: ${analysis.pageInfo.totalElements}`);
+    console.log(`   Open Shadow Roots: ${analysis.pageInfo.shadowRootCount}`);
     console.log(`   Body Classes: ${analysis.pageInfo.bodyClasses.substring(0, 100)}${analysis.pageInfo.bodyClasses.length > 100 ? '...' : ''}`);
 
     if (analysis.pageInfo.bodyText.trim()) {
@@ -282,19 +266,7 @@ async function runDiagnostic() {
         try {
           const frameHandle = await page.frames()[i + 1]; // 0 is main frame
           if (frameHandle) {
-            const frameAnalysis = await frameHandle.evaluate((horizonComponents) => {
-              const found = {};
-              horizonComponents.forEach(componentName => {
-                const elements = document.querySelectorAll(componentName);
-                if (elements.length > 0) {
-                  found[componentName] = {
-                    count: elements.length,
-                    hasShadowRoot: elements[0].shadowRoot ? true : false
-                  };
-                }
-              });
-              return found;
-            }, config.horizonComponents);
+            const frameAnalysis = await injectComponentIndex(frameHandle, settings.components);
 
             if (Object.keys(frameAnalysis).length > 0) {
               console.log(`   📦 Frame ${i}: Found components!`);
@@ -329,6 +301,7 @@ async function runDiagnostic() {
     }
 
     console.log('\n✅ Diagnostic complete!\n');
+    return analysis;
 
   } catch (error) {
     console.error('❌ Fatal error:', error);
@@ -337,4 +310,7 @@ async function runDiagnostic() {
   }
 }
 
-runDiagnostic();
+// Run the diagnostic when executed directly (npm run diagnostic)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runDiagnostic();
+}
@@ -1,11 +1,12 @@
 import puppeteer from 'puppeteer';
 import { config } from '../config.js';
+import { waitForHorizonReady } from '../utils/readiness.js';
 import { loginToServiceNow } from '../utils/auth.js';
+import { injectComponentIndex, COMPONENT_INDEX_KEY } from '../utils/component-index.js';
 import { getLocalTimestamp, getReadableTimestamp, getLocalISOTimestamp } from '../utils/timestamp.js';
 import fs from 'fs';
 import path from 'path';
-
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+import { fileURLToPath } from 'url';
 
 /**
  * Extract variants and sizes from class names
@@ -44,25 +45,14 @@ function parseComponentClasses(className) {
 
 /**
  * Extract enhanced component data with class-based variants
+ * @param {import('puppeteer').Page} page - Page with Horizon components loaded
+ * @param {string[]} [components] - Horizon tags to extract (config.getPageSettings(testPage).components)
  */
-async function extractEnhancedComponents(page) {
-  return await page.evaluate((horizonComponents) => {
-    const componentResults = {};
-
-    function searchInShadowDOM(root, componentName) {
-      let found = [];
-      const elements = root.querySelectorAll(componentName);
-      found.push(...Array.from(elements));
-
-      const allElements = root.querySelectorAll('*');
-      allElements.forEach(el => {
-        if (el.shadowRoot) {
-          found.push(...searchInShadowDOM(el.shadowRoot, componentName));
-        }
-      });
+async function extractEnhancedComponents(page, components = config.horizonComponents) {
+  await injectComponentIndex(page, components);
 
-      return found;
-    }
+  return await page.evaluate((indexKey) => {
+    const componentResults = {};
 
     // Function to parse class-based variants and sizes
     function parseClasses(className) {
@@ -94,10 +84,8 @@ async function extractEnhancedComponents(page) {
       };
     }
 
-    horizonComponents.forEach(componentName => {
-      const elementsInMain = Array.from(document.querySelectorAll(componentName));
-      const elementsInShadow = searchInShadowDOM(document, componentName);
-      const allElements = [...elementsInMain, ...elementsInShadow];
+    Object.entries(window[indexKey].components).forEach(([componentName, data]) => {
+      const allElements = data.elements;
 
       if (allElements.length > 0) {
         const instances = allElements.map(el => {
@@ -145,8 +133,8 @@ async function extractEnhancedComponents(page) {
 
         componentResults[componentName] = {
           count: allElements.length,
-          countInMain: elementsInMain.length,
-          countInShadow: elementsInShadow.length,
+          countInMain: data.countInMain,
+          countInShadow: data.countInShadow,
           variants: allVariants,
           sizes: allSizes,
           variantDistribution: variantCounts,
@@ -159,7 +147,7 @@ async function extractEnhancedComponents(page) {
     });
 
     return componentResults;
-  }, config.horizonComponents);
+  }, COMPONENT_INDEX_KEY);
 }
 
 /**
@@ -291,7 +279,7 @@ function generateEnhancedReport(reportDir, pageUrl, components) {
   report += `2. Verify size consistency aligns with design system guidelines\n`;
   report += `3. Check disabled states for accessibility compliance\n`;
   report += `4. Validate icon usage follows Horizon icon library\n`;
-  report += `5. Ensure ARIA labels present on icon-only buttons\n`;
+  report += `5. Check icon-only buttons, form labels, dialogs and contrast with \`horizon a11y\`\n`;
 
   fs.writeFileSync(reportPath, report);
   console.log(`\n📄 Enhanced report saved: enhanced-analysis.md`);
@@ -301,16 +289,17 @@ function generateEnhancedReport(reportDir, pageUrl, components) {
 
 /**
  * Main enhanced extraction runner
+ * @returns {Promise<Object|undefined>} Extracted components keyed by tag name
  */
-async function runEnhancedExtraction() {
+export async function runEnhancedExtraction() {
   console.log('🚀 Starting Enhanced Component Extraction\n');
 
-  if (!config.instance || !config.username || !config.password) {
+  if (!config.isConfigured()) {
     console.error('❌ Missing ServiceNow configuration in .env file');
     process.exit(1);
   }
 
-  const reportDir = path.join(process.cwd(), 'reports', 'enhanced-' + getLocalTimestamp());
+  const reportDir = path.join(config.outputDir, 'reports', 'enhanced-' + getLocalTimestamp());
 
   if (!fs.existsSync(reportDir)) {
     fs.mkdirSync(reportDir, { recursive: true });
@@ -327,15 +316,18 @@ async function runEnhancedExtraction() {
 
     console.log(`📄 Analyzing page: ${testPage}\n`);
 
+    const settings = config.getPageSettings(testPage);
+    await page.setViewport(settings.viewport);
     await page.goto(fullUrl, {
       waitUntil: 'networkidle2',
       timeout: config.timeouts.navigation
     });
 
-    await sleep(config.timeouts.componentLoad + 5000);
+    const readiness = await waitForHorizonReady(page, { timeout: settings.wait });
+    if (!readiness.ready) console.log(`⚠️ ${readiness.message}`);
 
     console.log('📊 Extracting components with variant/size detection...\n');
-    const components = await extractEnhancedComponents(page);
+    const components = await extractEnhancedComponents(page, settings.components);
 
     // Display summary
     console.log('Component Summary:');
@@ -358,6 +350,8 @@ async function runEnhancedExtraction() {
     console.log('='.repeat(60));
     console.log(`\n📁 Location: ${reportDir}`);
 
+    return components;
+
   } catch (error) {
     console.error('❌ Fatal error:', error);
   } finally {
@@ -365,4 +359,7 @@ async function runEnhancedExtraction() {
   }
 }
 
-runEnhancedExtraction();
+// Run the extraction when executed directly (npm run extract-enhanced)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runEnhancedExtraction();
+}
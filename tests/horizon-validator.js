@@ -1,28 +1,41 @@
 import puppeteer from 'puppeteer';
 import { config } from '../config.js';
+import { waitForHorizonReady } from '../utils/readiness.js';
 import { loginToServiceNow } from '../utils/auth.js';
-import { getLocalTimestamp } from '../utils/timestamp.js';
+import { injectComponentIndex, COMPONENT_INDEX_KEY } from '../utils/component-index.js';
+import { getLocalTimestamp, getLocalISOTimestamp } from '../utils/timestamp.js';
+import { writeValidationResults } from '../utils/reporters.js';
+import { evaluateGates, gateExitCode, printGateResults } from '../utils/gates.js';
+import { runWithPagePool } from '../utils/page-pool.js';
+import { explainScore, scoreBadge, scorePage, scoreRun } from '../utils/scoring.js';
+import { appendHistory, createHistoryEntry } from '../utils/history.js';
+import { loadDesignTokens } from '../utils/design-tokens.js';
+import { auditPageAccessibility } from './accessibility-audit.js';
+import { auditPageTokens } from './token-audit.js';
+import { checkPageContent, checkPageLoad, classifyFailure, FAILURE_KINDS, withRetries } from '../utils/failures.js';
+import { createBaselineSnapshot, diffSnapshots, loadBaseline, printBaselineDiff, recordBaseline } from '../utils/baseline.js';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
 import { createRequire } from 'module';
 
 const require = createRequire(import.meta.url);
 const figmaMapping = require('../figma-component-mapping.json');
 
 /**
- * Sleep utility function (replacement for deprecated page.waitForTimeout)
- * @param {number} ms - Milliseconds to sleep
+ * Class modifiers (e.g. class="now-button -primary -md") recognised as variants and sizes
  */
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const VARIANT_PATTERNS = ['primary', 'secondary', 'tertiary', 'destructive', 'ghost',
+  'default', 'error', 'warning', 'info', 'success', 'bare', 'iconic', 'filled', 'outlined', 'text'];
+const SIZE_PATTERNS = ['xs', 'sm', 'md', 'lg', 'xl', '2xl', 'full'];
 
 /**
  * Create timestamped screenshot directory
+ * @param {string} timestamp - Run timestamp used as the folder name
  * @returns {string} Path to the screenshot directory
  */
-function createScreenshotDirectory() {
-  const timestamp = getLocalTimestamp();
-
-  const screenshotDir = path.join(process.cwd(), 'screenshots', timestamp);
+function createScreenshotDirectory(timestamp) {
+  const screenshotDir = path.join(config.outputDir, 'screenshots', timestamp);
 
   if (!fs.existsSync(screenshotDir)) {
     fs.mkdirSync(screenshotDir, { recursive: true });
@@ -58,55 +71,50 @@ async function saveScreenshot(page, screenshotDir, pageName) {
 /**
  * Audit Horizon components on a page (including Shadow DOM)
  * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {string[]} [components] - Horizon tags to audit (config.getPageSettings(testPage).components)
  */
-async function auditHorizonComponents(page) {
+export async function auditHorizonComponents(page, components = config.horizonComponents) {
   console.log('\n📊 Auditing Horizon components (including Shadow DOM)...');
 
-  const results = await page.evaluate((horizonComponents) => {
-    const componentResults = {};
+  await injectComponentIndex(page, components);
 
-    // Function to recursively search inside shadow DOMs
-    function searchInShadowDOM(root, componentName) {
-      let found = [];
+  const results = await page.evaluate((indexKey, variantPatterns, sizePatterns) => {
+    const componentResults = {};
 
-      // Search in current root
-      const elements = root.querySelectorAll(componentName);
-      found.push(...Array.from(elements));
+    Object.entries(window[indexKey].components).forEach(([componentName, data]) => {
+      const firstElement = data.elements[0];
 
-      // Search in all shadow roots
-      const allElements = root.querySelectorAll('*');
-      allElements.forEach(el => {
-        if (el.shadowRoot) {
-          found.push(...searchInShadowDOM(el.shadowRoot, componentName));
-        }
+      // Collect the distinct class-based variants and sizes in use
+      const variants = new Set();
+      const sizes = new Set();
+      data.elements.forEach(el => {
+        const target = el.shadowRoot?.querySelector('button, input, textarea, div[class]') || el;
+        (target.className || '').split(/\s+/)
+          .filter(c => c.startsWith('-'))
+          .map(c => c.slice(1))
+          .forEach(c => {
+            if (variantPatterns.includes(c)) variants.add(c);
+            if (sizePatterns.includes(c)) sizes.add(c);
+          });
       });
 
-      return found;
-    }
-
-    horizonComponents.forEach(componentName => {
-      const elementsInMain = document.querySelectorAll(componentName);
-      const elementsInShadow = searchInShadowDOM(document, componentName);
-      const allElements = [...elementsInMain, ...elementsInShadow];
-
-      if (allElements.length > 0) {
-        const firstElement = allElements[0];
-        componentResults[componentName] = {
-          count: allElements.length,
-          countInMain: elementsInMain.length,
-          countInShadow: elementsInShadow.length,
-          details: {
-            tagName: firstElement.tagName.toLowerCase(),
-            classes: firstElement.className,
-            attributes: Array.from(firstElement.attributes).map(attr => `${attr.name}="${attr.value}"`).join(' '),
-            hasShadowRoot: firstElement.shadowRoot ? true : false
-          }
-        };
-      }
+      componentResults[componentName] = {
+        count: data.elements.length,
+        countInMain: data.countInMain,
+        countInShadow: data.countInShadow,
+        variants: [...variants].sort(),
+        sizes: [...sizes].sort(),
+        details: {
+          tagName: firstElement.tagName.toLowerCase(),
+          classes: firstElement.className,
+          attributes: Array.from(firstElement.attributes).map(attr => `${attr.name}="${attr.value}"`).join(' '),
+          hasShadowRoot: firstElement.shadowRoot ? true : false
+        }
+      };
     });
 
     return componentResults;
-  }, config.horizonComponents);
+  }, COMPONENT_INDEX_KEY, VARIANT_PATTERNS, SIZE_PATTERNS);
 
   // Log results
   Object.entries(results).forEach(([component, data]) => {
@@ -143,6 +151,7 @@ async function findCustomPatterns(page) {
 
 /**
  * Validate found Horizon components against their Figma specs (variants + sizes)
+ * Reuses the component index injected by auditHorizonComponents.
  * @param {import('puppeteer').Page} page - Puppeteer page instance
  * @param {Object} auditResults - Output of auditHorizonComponents
  */
@@ -155,11 +164,7 @@ async function validateComponentSpecs(page, auditResults) {
     const spec = figmaMapping.componentMapping[componentName];
     if (!spec || !spec.figmaComponentNodeId) continue;
 
-    const violations = await page.evaluate((componentName, spec) => {
-      const variantPatterns = ['primary', 'secondary', 'tertiary', 'destructive', 'ghost',
-        'default', 'error', 'warning', 'info', 'success', 'bare', 'iconic', 'filled', 'outlined', 'text'];
-      const sizePatterns = ['xs', 'sm', 'md', 'lg', 'xl', '2xl', 'full'];
-
+    const violations = await page.evaluate((componentName, spec, indexKey, variantPatterns, sizePatterns) => {
       function getClassVariants(el) {
         const target = el.shadowRoot?.querySelector('button, input, textarea, div[class]') || el;
         const classes = (target.className || '').split(/\s+/);
@@ -169,15 +174,7 @@ async function validateComponentSpecs(page, auditResults) {
         };
       }
 
-      function searchShadowDOM(root, selector) {
-        const found = [...root.querySelectorAll(selector)];
-        root.querySelectorAll('*').forEach(el => {
-          if (el.shadowRoot) found.push(...searchShadowDOM(el.shadowRoot, selector));
-        });
-        return found;
-      }
-
-      const elements = searchShadowDOM(document, componentName);
+      const elements = window[indexKey].components[componentName]?.elements || [];
       const issues = [];
 
       elements.forEach((el, i) => {
@@ -260,7 +257,7 @@ async function validateComponentSpecs(page, auditResults) {
       });
 
       return issues;
-    }, componentName, spec);
+    }, componentName, spec, COMPONENT_INDEX_KEY, VARIANT_PATTERNS, SIZE_PATTERNS);
 
     if (violations.length > 0) {
       specViolations[componentName] = violations;
@@ -276,105 +273,327 @@ async function validateComponentSpecs(page, auditResults) {
 
 /**
  * Generate compliance report
- * @param {Object} horizonResults - Horizon component audit results
- * @param {Object} customResults - Custom pattern findings
- * @param {Object} specViolations - Figma spec violations
- * @param {string} pageUrl - Page URL being audited
+ * @param {Object} pageResult - Audited page, with its score from scorePage
  */
-function generateReport(horizonResults, customResults, specViolations, pageUrl) {
+function generateReport(pageResult) {
   console.log('\n' + '='.repeat(60));
-  console.log(`📋 COMPLIANCE REPORT: ${pageUrl}`);
+  console.log(`📋 COMPLIANCE REPORT: ${pageResult.page}`);
   console.log('='.repeat(60));
 
-  const horizonCount = Object.keys(horizonResults).length;
-  const customCount = Object.values(customResults).reduce((sum, count) => sum + count, 0);
-  const specViolationCount = Object.keys(specViolations).length;
+  const horizonCount = Object.keys(pageResult.horizonResults).length;
+  const customCount = Object.values(pageResult.customResults).reduce((sum, count) => sum + count, 0);
+  const specViolationCount = Object.keys(pageResult.specViolations).length;
 
   console.log(`\n✅ Horizon components detected: ${horizonCount} types`);
   console.log(`⚠️ Custom/non-Horizon elements: ${customCount} total`);
   console.log(`🔬 Figma spec violations: ${specViolationCount} component(s)`);
+  if (pageResult.accessibility) {
+    console.log(`♿ Accessibility findings: ${pageResult.accessibility.findings.length}`);
+  }
+  if (pageResult.tokens) {
+    console.log(`🎨 Token deviations: ${pageResult.tokens.groups.reduce((sum, group) => sum + group.findings.length * group.count, 0)}`);
+  }
+
+  const { score } = pageResult;
+  console.log(`\n${scoreBadge(score.score)} Compliance score: ${score.score}/100`);
+  explainScore(score).forEach(line => console.log(`   ${line}`));
 
-  if (horizonCount > 0 && customCount === 0 && specViolationCount === 0) {
-    console.log('\n🎉 EXCELLENT! This page is fully Horizon-compliant!');
-  } else if (horizonCount > customCount && specViolationCount === 0) {
-    console.log('\n👍 GOOD. Mostly using Horizon, but some custom elements detected.');
-  } else if (specViolationCount > 0) {
-    console.log('\n⚠️ WARNING. Horizon components found but some violate Figma specs.');
-  } else if (customCount > 0) {
-    console.log('\n⚠️ WARNING. Significant custom elements detected. Consider migrating to Horizon.');
+  const flagged = Object.entries(score.components).filter(([, componentScore]) => componentScore.score < 100);
+  if (flagged.length > 0) {
+    console.log('   Components:');
+    flagged.forEach(([component, componentScore]) => {
+      console.log(`     ${scoreBadge(componentScore.score)} ${component}: ${componentScore.score}/100`);
+    });
   }
 
   console.log('='.repeat(60) + '\n');
 }
 
 /**
- * Main test runner
+ * Print one line per page so failed pages stay visible after the detailed reports
+ * @param {Array<Object>} pageResults - Per-page results, including failures
  */
-async function runValidation() {
-  console.log('🚀 Starting ServiceNow Horizon Design System Validator\n');
+function printPageSummary(pageResults) {
+  const failed = pageResults.filter(result => result.error);
 
-  // Validate configuration
-  if (!config.instance || !config.username || !config.password) {
-    console.error('❌ Missing configuration. Please set SN_INSTANCE, SN_USERNAME, and SN_PASSWORD in .env file');
-    process.exit(1);
-  }
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`📋 PAGE SUMMARY: ${pageResults.length - failed.length}/${pageResults.length} audited`);
+  console.log('='.repeat(60));
+
+  pageResults.forEach(result => {
+    const retried = (result.failure?.attempts || result.attempts || 1) > 1
+      ? ` after ${result.failure?.attempts || result.attempts} attempts`
+      : '';
+
+    if (!result.error) {
+      console.log(`  ${scoreBadge(result.score.score)} ${result.page} - ${result.score.score}/100${retried}`);
+      return;
+    }
+
+    const { kind, step, screenshot } = result.failure;
+    console.log(`  ❌ ${result.page} - ${kind}${step ? ` during ${step}` : ''}${retried}`);
+    console.log(`     ${FAILURE_KINDS[kind]}: ${result.error}`);
+    if (screenshot) console.log(`     📸 ${screenshot}`);
+  });
+
+  const run = scoreRun(pageResults);
+  console.log(`\n${scoreBadge(run.score)} Instance score: ${run.score === null ? 'n/a' : `${run.score}/100`} (${run.pages} page(s) scored${run.unscored.length > 0 ? `, ${run.unscored.length} not audited` : ''})`);
+  Object.entries(run.components).forEach(([component, componentScore]) => {
+    const lowest = componentScore.score < 100 && componentScore.pages > 1
+      ? ` (lowest ${componentScore.lowest.score} on ${componentScore.lowest.page})`
+      : '';
+    console.log(`  ${scoreBadge(componentScore.score)} ${component}: ${componentScore.score}/100${lowest}`);
+  });
+}
 
+/**
+ * Log in and audit every page in config.testPages
+ * Saves a screenshot and prints a report per page. Result files, baselines,
+ * run history and gates are left to the caller.
+ * @param {string} [timestamp] - Run timestamp used as the screenshot folder name
+ * @returns {Promise<{pageResults: Array<Object>, screenshotDir: string}>} Per-page audit results
+ */
+export async function auditPages(timestamp = getLocalTimestamp()) {
   const browser = await puppeteer.launch(config.puppeteerOptions);
 
   try {
     const page = await browser.newPage();
 
     // Create timestamped screenshot directory
-    const screenshotDir = createScreenshotDirectory();
+    const screenshotDir = createScreenshotDirectory(timestamp);
+
+    // Token deviations only count towards the score when the token file loads
+    let designTokens = null;
+    if (config.scoring.audits.includes('tokens')) {
+      try {
+        designTokens = loadDesignTokens(path.resolve(config.designTokens.file));
+      } catch (error) {
+        console.log(`⚠️ ${error.message} - token deviations are not scored\n`);
+      }
+    }
 
     // Login to ServiceNow
     await loginToServiceNow(page);
 
-    // Test each configured page
-    for (const testPage of config.testPages) {
+    if (config.concurrency > 1) {
+      console.log(`\n⚡ Auditing ${config.testPages.length} page(s), up to ${config.concurrency} at a time`);
+    }
+
+    // Test each configured page; results stay in config.testPages order
+    const pageResults = await runWithPagePool(browser, config.testPages, async (poolPage, testPage) => {
       const fullUrl = `${config.getBaseUrl()}${testPage}`;
 
       console.log(`\n${'='.repeat(60)}`);
       console.log(`🔍 Testing page: ${testPage}`);
       console.log('='.repeat(60));
 
+      // Per-page overrides from the config file (viewport, wait, skipped components)
+      const settings = config.getPageSettings(testPage);
+      if (settings.skipComponents.length > 0) {
+        console.log(`⏭️ Skipping: ${settings.skipComponents.join(', ')}`);
+      }
+
       try {
-        await page.goto(fullUrl, {
-          waitUntil: 'networkidle2',
-          timeout: config.timeouts.navigation
+        const { result, attempts } = await withRetries(async () => {
+          let step = 'navigation';
+          try {
+            await poolPage.setViewport(settings.viewport);
+            const response = await poolPage.goto(fullUrl, {
+              waitUntil: 'networkidle2',
+              timeout: config.timeouts.navigation
+            });
+            await checkPageLoad(poolPage, response);
+
+            // Wait for components to settle
+            step = 'readiness';
+            const readiness = await waitForHorizonReady(poolPage, { timeout: settings.wait });
+            if (!readiness.ready) console.log(`⚠️ ${readiness.message}`);
+            await checkPageContent(poolPage);
+
+            // Save screenshot
+            step = 'audit';
+            const screenshot = await saveScreenshot(poolPage, screenshotDir, testPage);
+
+            // Audit Horizon components
+            const horizonResults = await auditHorizonComponents(poolPage, settings.components);
+
+            // Find custom patterns
+            const customResults = await findCustomPatterns(poolPage);
+
+            // Validate against Figma specs
+            const specViolations = await validateComponentSpecs(poolPage, horizonResults);
+
+            // Checks whose findings count towards the score. Tokens go first: the
+            // accessibility focus checks leave focus rings on the page
+            const tokens = designTokens ? await auditPageTokens(poolPage, designTokens, settings.components) : undefined;
+            const accessibility = config.scoring.audits.includes('accessibility')
+              ? await auditPageAccessibility(poolPage, settings.components)
+              : undefined;
+
+            return { screenshot, readiness, horizonResults, customResults, specViolations, accessibility, tokens };
+          } catch (error) {
+            error.step = step;
+            throw error;
+          }
+        }, {
+          onRetry: async (error, attempt, delay) => {
+            console.log(`🔁 ${testPage}: ${error.kind} during ${error.step} (${error.message}) - retry ${attempt}/${config.retries.attempts} in ${delay} ms`);
+            if (error.kind === 'auth-expired') {
+              await loginToServiceNow(poolPage);
+            }
+          }
         });
 
-        // Wait for components to load
-        await sleep(config.timeouts.componentLoad);
+        const pageResult = {
+          page: testPage,
+          url: fullUrl,
+          screenshot: result.screenshot,
+          attempts,
+          readiness: { ready: result.readiness.ready, elapsed: result.readiness.elapsed, message: result.readiness.message },
+          horizonResults: result.horizonResults,
+          customResults: result.customResults,
+          specViolations: result.specViolations,
+          accessibility: result.accessibility,
+          tokens: result.tokens
+        };
+        pageResult.score = scorePage(pageResult, config.scoring);
 
-        // Save screenshot
-        await saveScreenshot(page, screenshotDir, testPage);
+        // Generate report
+        generateReport(pageResult);
 
-        // Audit Horizon components
-        const horizonResults = await auditHorizonComponents(page);
+        return pageResult;
+      } catch (error) {
+        // Keep what the page looked like when it gave up
+        try {
+          error.screenshot = await saveScreenshot(poolPage, screenshotDir, `${testPage}_failed`);
+        } catch (screenshotError) {
+          console.error(`⚠️ Could not save failure screenshot for ${testPage}:`, screenshotError.message);
+        }
+        throw error;
+      }
+    }, {
+      concurrency: config.concurrency,
+      firstPage: page,
+      onError: (error, testPage) => {
+        const kind = classifyFailure(error);
+        console.error(`❌ Error testing page ${testPage} (${kind}):`, error.message);
+        return {
+          page: testPage,
+          url: `${config.getBaseUrl()}${testPage}`,
+          error: error.message,
+          failure: {
+            kind,
+            step: error.step || null,
+            status: error.status || null,
+            attempts: error.attempts || 1,
+            screenshot: error.screenshot || null,
+            history: error.failures || []
+          }
+        };
+      }
+    });
 
-        // Find custom patterns
-        const customResults = await findCustomPatterns(page);
+    printPageSummary(pageResults);
 
-        // Validate against Figma specs
-        const specViolations = await validateComponentSpecs(page, horizonResults);
+    return { pageResults, screenshotDir };
+  } finally {
+    await browser.close();
+  }
+}
 
-        // Generate report
-        generateReport(horizonResults, customResults, specViolations, testPage);
+/**
+ * Main test runner
+ * @returns {Promise<Array<Object>|undefined>} Per-page audit results
+ */
+export async function runValidation() {
+  console.log('🚀 Starting ServiceNow Horizon Design System Validator\n');
 
-      } catch (error) {
-        console.error(`❌ Error testing page ${testPage}:`, error.message);
+  // Validate configuration
+  if (!config.isConfigured()) {
+    console.error('❌ Missing configuration. Please set SN_INSTANCE (or SN_BASE_URL), SN_USERNAME, and SN_PASSWORD in .env file');
+    process.exit(1);
+  }
+
+  const timestamp = getLocalTimestamp();
+
+  try {
+    const { pageResults, screenshotDir } = await auditPages(timestamp);
+
+    const reportDir = path.join(config.outputDir, 'reports', timestamp);
+    const baselinePath = path.resolve(config.baseline.file);
+
+    // Compare against the stored baseline
+    if (config.baseline.compare) {
+      const baseline = loadBaseline(baselinePath);
+      if (baseline) {
+        const diff = diffSnapshots(baseline, createBaselineSnapshot(pageResults));
+        printBaselineDiff(diff);
+        fs.mkdirSync(reportDir, { recursive: true });
+        fs.writeFileSync(path.join(reportDir, 'baseline-diff.json'), JSON.stringify(diff, null, 2));
+      } else {
+        console.log(`\n⚠️ No baseline found at ${baselinePath} - run "horizon baseline" first`);
+      }
+    }
+
+    // Check compliance gates
+    const gateFailures = evaluateGates(pageResults, config.thresholds);
+    printGateResults(gateFailures);
+
+    // Write machine-readable results for CI
+    if (config.reportFormats.length > 0) {
+      const written = writeValidationResults(reportDir, pageResults, config.reportFormats, {
+        baseUrl: config.getBaseUrl(),
+        gateFailures
+      });
+      console.log(`💾 Results saved to: ${reportDir}`);
+      written.forEach(filePath => console.log(`   • ${path.basename(filePath)}`));
+    }
+
+    // Record this run as the new baseline
+    let baselineNotSaved = false;
+    if (config.baseline.update) {
+      const recorded = recordBaseline(baselinePath, pageResults, { baseUrl: config.getBaseUrl() });
+      if (recorded.saved) {
+        console.log(`📌 Baseline saved to: ${baselinePath}`);
+      } else {
+        baselineNotSaved = true;
+        console.log(`\n❌ Baseline not saved: ${recorded.failedPages.length} page(s) could not be audited (${recorded.failedPages.join(', ')})`);
       }
     }
 
-    console.log('✅ Validation complete!');
+    // Index the run in the history store for horizon trends
+    if (config.history.record) {
+      const historyPath = path.resolve(config.history.file);
+      appendHistory(historyPath, createHistoryEntry(pageResults, {
+        runId: timestamp,
+        runAt: getLocalISOTimestamp(),
+        baseUrl: config.getBaseUrl(),
+        profile: config.activeProfile,
+        reportDir: fs.existsSync(reportDir) ? path.relative(process.cwd(), reportDir) : null,
+        screenshotDir: path.relative(process.cwd(), screenshotDir)
+      }));
+      console.log(`🗂️ Run added to history: ${historyPath}`);
+    }
+
+    // Gate failures fail the run; a baseline recording only fails on pages that did not load
+    if (gateExitCode(gateFailures, { recordingBaseline: config.baseline.update }) !== 0) {
+      process.exitCode = 1;
+      console.log('\n❌ Validation failed compliance gates');
+    } else if (baselineNotSaved) {
+      process.exitCode = 1;
+      console.log('\n❌ Baseline recording failed');
+    } else {
+      console.log('\n✅ Validation complete!');
+    }
+    return pageResults;
 
   } catch (error) {
     console.error('❌ Fatal error:', error);
-  } finally {
-    await browser.close();
+    process.exitCode = 1;
   }
 }
 
-// Run the validation
-runValidation();
+// Run the validation when executed directly (npm test)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runValidation();
+}
@@ -0,0 +1,270 @@
+import puppeteer from 'puppeteer';
+import { config } from '../config.js';
+import { waitForHorizonReady } from '../utils/readiness.js';
+import { loginToServiceNow } from '../utils/auth.js';
+import { injectComponentIndex, COMPONENT_INDEX_KEY } from '../utils/component-index.js';
+import { routePattern, workspacePrefix, scopedPath, writePageList } from '../utils/discovery.js';
+import { getLocalISOTimestamp } from '../utils/timestamp.js';
+import { fileURLToPath } from 'url';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Link kinds and the config.discovery.follow entry that enables each one
+const FOLLOW_KINDS = {
+  sidebar: 'sidebar',
+  record: 'records',
+  tab: 'tabs',
+  link: 'links'
+};
+
+/**
+ * Collect every link on the page, including links inside shadow roots
+ * Links are classified by where they sit: navigation (sidebar), lists and
+ * tables (record) or anywhere else (link).
+ * @param {import('puppeteer').Page} page - Loaded page
+ * @returns {Promise<Array<{href: string, kind: string, text: string}>>}
+ */
+async function collectLinks(page) {
+  return page.evaluate(() => {
+    const composedParent = (el) => el.parentElement || el.parentNode?.host || null;
+
+    const classify = (anchor) => {
+      if (/\/record\//.test(anchor.pathname)) return 'record';
+      for (let el = anchor; el; el = composedParent(el)) {
+        if (el.matches('nav, [role="navigation"], [role="menubar"], [class*="sidebar"]')) return 'sidebar';
+        if (el.matches('table, [role="grid"], [role="table"], [role="row"]')) return 'record';
+      }
+      return 'link';
+    };
+
+    const links = [];
+    const visit = (root) => {
+      root.querySelectorAll('*').forEach(el => {
+        if (el.tagName === 'A' && el.hasAttribute('href')) {
+          links.push({ href: el.href, kind: classify(el), text: el.textContent.trim().slice(0, 80) });
+        }
+        if (el.shadowRoot) visit(el.shadowRoot);
+      });
+    };
+    visit(document);
+
+    return links;
+  });
+}
+
+/**
+ * Click each tab on the page and record the tabs that change the route
+ * A tab that changes the route (a new document or an in-page pushState) is
+ * undone by reloading the page, so every tab is clicked on the original route.
+ * @param {import('puppeteer').Page} page - Loaded page
+ * @param {string} pageUrl - URL to return to
+ * @returns {Promise<Array<{href: string, kind: string, text: string}>>}
+ */
+async function collectTabRoutes(page, pageUrl) {
+  const tabCount = await page.evaluate(() => {
+    let count = 0;
+    const visit = (root) => {
+      root.querySelectorAll('*').forEach(el => {
+        if (el.getAttribute('role') === 'tab') count++;
+        if (el.shadowRoot) visit(el.shadowRoot);
+      });
+    };
+    visit(document);
+    return count;
+  });
+  const routes = [];
+
+  for (let i = 0; i < Math.min(tabCount, config.discovery.maxTabsPerPage); i++) {
+    try {
+      const text = await page.evaluate((index) => {
+        const tabs = [];
+        const visit = (root) => {
+          root.querySelectorAll('*').forEach(el => {
+            if (el.getAttribute('role') === 'tab') tabs.push(el);
+            if (el.shadowRoot) visit(el.shadowRoot);
+          });
+        };
+        visit(document);
+
+        // Marker that disappears when the click loads a new document
+        window.__horizonDiscoveryDocument = true;
+        if (!tabs[index]) return null;
+        tabs[index].click();
+        return tabs[index].textContent.trim().slice(0, 80);
+      }, i);
+
+      if (text === null) continue;
+      await sleep(config.discovery.settleTime);
+
+      const routeChanged = page.url() !== pageUrl;
+      if (routeChanged) {
+        routes.push({ href: page.url(), kind: 'tab', text });
+      }
+
+      // The tab changed the route or replaced the document: load the page again before the next tab
+      const sameDocument = await page.evaluate(() => window.__horizonDiscoveryDocument === true).catch(() => false);
+      if (routeChanged || !sameDocument) {
+        await page.goto(pageUrl, { waitUntil: 'networkidle2', timeout: config.timeouts.navigation });
+        await waitForHorizonReady(page);
+      }
+    } catch (error) {
+      console.log(`     ⚠️ Tab ${i + 1}: ${error.message}`);
+    }
+  }
+
+  return routes;
+}
+
+/**
+ * Count Horizon component instances on the page
+ * @param {import('puppeteer').Page} page - Loaded page
+ * @param {string[]} [components] - Horizon tags to count (config.getPageSettings(route.path).components)
+ */
+async function countComponents(page, components = config.horizonComponents) {
+  await injectComponentIndex(page, components);
+  return page.evaluate((indexKey) => {
+    return Object.values(window[indexKey].components).reduce((sum, c) => sum + c.elements.length, 0);
+  }, COMPONENT_INDEX_KEY);
+}
+
+/**
+ * Crawl a workspace and write the discovered page list
+ * Starts at the root page and follows sidebar, tab and list-to-record links
+ * breadth first, up to config.discovery.maxDepth hops and maxPages pages.
+ * Only the first page of each route pattern is visited.
+ * @param {string} [root] - Workspace page to start from (default: config.discovery.root)
+ * @returns {Promise<Object|undefined>} The page list that was written
+ */
+export async function runPageDiscovery(root = config.discovery.root) {
+  console.log('🚀 Starting Page Discovery\n');
+
+  if (!config.isConfigured()) {
+    console.error('❌ Missing ServiceNow configuration in .env file');
+    process.exit(1);
+  }
+
+  const { maxDepth, maxPages, follow, exclude } = config.discovery;
+  const rootPath = root.startsWith('/') ? root : `/${root}`;
+  const scope = config.discovery.scope || [workspacePrefix(rootPath)];
+  const baseUrl = config.getBaseUrl();
+
+  console.log(`🧭 Root: ${rootPath}`);
+  console.log(`   Scope: ${scope.join(', ')} · depth ${maxDepth} · max ${maxPages} page(s) · following ${follow.join(', ')}\n`);
+
+  // Route pattern -> discovered route, in the order routes were found
+  const known = new Map([[routePattern(rootPath), { path: rootPath, pattern: routePattern(rootPath), depth: 0, source: 'root', from: null, duplicates: 0 }]]);
+  const queue = [known.get(routePattern(rootPath))];
+  const skipped = { outOfScope: 0, notFollowed: 0 };
+  let visited = 0;
+
+  const browser = await puppeteer.launch(config.puppeteerOptions);
+
+  try {
+    const page = await browser.newPage();
+    await loginToServiceNow(page);
+
+    while (queue.length > 0 && visited < maxPages) {
+      const route = queue.shift();
+      const pageUrl = `${baseUrl}${route.path}`;
+      visited++;
+
+      try {
+        await page.goto(pageUrl, {
+          waitUntil: 'networkidle2',
+          timeout: config.timeouts.navigation
+        });
+
+        const settings = config.getPageSettings(route.path);
+        const readiness = await waitForHorizonReady(page, { timeout: settings.wait });
+        if (!readiness.ready) console.log(`⚠️ ${readiness.message}`);
+
+        if (!scopedPath(page.url(), baseUrl, scope, exclude)) {
+          throw new Error(`Redirected to ${new URL(page.url()).pathname}`);
+        }
+
+        route.title = await page.title();
+        route.components = await countComponents(page, settings.components);
+        route.visited = true;
+
+        let found = 0;
+        if (route.depth < maxDepth) {
+          const links = await collectLinks(page);
+          if (follow.includes('tabs')) {
+            links.push(...await collectTabRoutes(page, page.url()));
+          }
+
+          for (const link of links) {
+            const linkPath = scopedPath(link.href, baseUrl, scope, exclude);
+            if (!linkPath) {
+              skipped.outOfScope++;
+              continue;
+            }
+            if (!follow.includes(FOLLOW_KINDS[link.kind])) {
+              skipped.notFollowed++;
+              continue;
+            }
+
+            const pattern = routePattern(linkPath);
+            if (known.has(pattern)) {
+              if (known.get(pattern).path !== linkPath) known.get(pattern).duplicates++;
+              continue;
+            }
+
+            const next = { path: linkPath, pattern, depth: route.depth + 1, source: link.kind, from: route.path, label: link.text, duplicates: 0 };
+            known.set(pattern, next);
+            queue.push(next);
+            found++;
+          }
+        }
+
+        console.log(`  ✅ [${route.depth}] ${route.path} - ${route.components} component(s)${found > 0 ? `, ${found} new route(s)` : ''}`);
+
+      } catch (error) {
+        console.error(`  ❌ [${route.depth}] ${route.path}: ${error.message}`);
+        route.error = error.message;
+      }
+    }
+
+    const routes = [...known.values()];
+    const pages = routes.filter(r => r.visited).map(r => r.path);
+    const unvisited = routes.filter(r => !r.visited && !r.error).map(r => r.path);
+
+    const discovery = {
+      generatedAt: getLocalISOTimestamp(),
+      baseUrl,
+      root: rootPath,
+      scope,
+      maxDepth,
+      pages,
+      routes: routes.map(({ visited: _, ...r }) => ({ ...r, status: r.error ? 'error' : r.visited ? 'visited' : 'not visited' }))
+    };
+
+    const filePath = writePageList(config.discovery.file, discovery);
+
+    console.log('\n' + '='.repeat(60));
+    console.log('✅ Page Discovery Complete!');
+    console.log('='.repeat(60));
+    console.log(`\n🗺️ ${pages.length} page(s) discovered, ${routes.reduce((sum, r) => sum + r.duplicates, 0)} duplicate link(s) collapsed by route pattern`);
+    if (unvisited.length > 0) {
+      console.log(`⚠️ Page limit (${maxPages}) reached - ${unvisited.length} route(s) not visited: ${unvisited.join(', ')}`);
+    }
+    if (skipped.outOfScope + skipped.notFollowed > 0) {
+      console.log(`   Skipped ${skipped.outOfScope} out-of-scope link(s), ${skipped.notFollowed} link(s) of kinds not followed`);
+    }
+    console.log(`\n💾 Page list saved to: ${filePath}`);
+    console.log(`   Audit it with: horizon validate --pages-file ${config.discovery.file}`);
+
+    return discovery;
+
+  } catch (error) {
+    console.error('❌ Fatal error:', error);
+    process.exitCode = 1;
+  } finally {
+    await browser.close();
+  }
+}
+
+// Run the crawler when executed directly (npm run discover-pages [-- /now/sow/home])
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runPageDiscovery(process.argv[2]);
+}
@@ -0,0 +1,325 @@
+import puppeteer from 'puppeteer';
+import { config } from '../config.js';
+import { waitForHorizonReady } from '../utils/readiness.js';
+import { loginToServiceNow } from '../utils/auth.js';
+import { injectComponentIndex, COMPONENT_INDEX_KEY } from '../utils/component-index.js';
+import { getLocalTimestamp, getLocalISOTimestamp } from '../utils/timestamp.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Sanitize page path into a file name
+ * @param {string} pageName - Page path
+ */
+function sanitizePageName(pageName) {
+  return pageName
+    .replace(/\//g, '_')
+    .replace(/[^a-zA-Z0-9_-]/g, '')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Measure every Horizon component at the current viewport
+ * @param {import('puppeteer').Page} page - Page with Horizon components loaded
+ * @param {string[]} [components] - Horizon tags to measure (config.getPageSettings(testPage).components)
+ * @returns {Promise<{viewport: Object, documentOverflow: number, components: Object, issues: Array<Object>}>}
+ */
+async function measureLayout(page, components = config.horizonComponents) {
+  await injectComponentIndex(page, components);
+
+  return await page.evaluate((indexKey) => {
+    const viewportWidth = document.documentElement.clientWidth;
+    const issues = [];
+    const components = {};
+
+    // Parent across shadow boundaries
+    function composedParent(node) {
+      if (node.parentElement) return node.parentElement;
+      const root = node.getRootNode();
+      return root instanceof ShadowRoot ? root.host : null;
+    }
+
+    // Custom-element ancestry, e.g. "macroponent-sow-list > now-card > now-button"
+    function componentPath(host) {
+      const parts = [];
+      for (let node = host; node; node = composedParent(node)) {
+        if (node.tagName.includes('-')) {
+          parts.unshift(node.tagName.toLowerCase() + (node.id ? `#${node.id}` : ''));
+        }
+      }
+      return parts.join(' > ');
+    }
+
+    // Part of the element left visible by ancestors with overflow: hidden/clip
+    // (scroll containers are skipped - their content is reachable by scrolling)
+    function unclippedRect(element, rect) {
+      let { left, top, right, bottom } = rect;
+      for (let node = composedParent(element); node && node !== document.documentElement; node = composedParent(node)) {
+        const style = window.getComputedStyle(node);
+        const clipsX = ['hidden', 'clip'].includes(style.overflowX);
+        const clipsY = ['hidden', 'clip'].includes(style.overflowY);
+        if (!clipsX && !clipsY) continue;
+
+        const box = node.getBoundingClientRect();
+        if (clipsX) {
+          left = Math.max(left, box.left);
+          right = Math.min(right, box.right);
+        }
+        if (clipsY) {
+          top = Math.max(top, box.top);
+          bottom = Math.min(bottom, box.bottom);
+        }
+      }
+      return { width: Math.max(0, right - left), height: Math.max(0, bottom - top) };
+    }
+
+    Object.entries(window[indexKey].components).forEach(([componentName, data]) => {
+      let visible = 0;
+      let totalWidth = 0;
+      let totalHeight = 0;
+
+      data.elements.forEach(host => {
+        const rect = host.getBoundingClientRect();
+        const style = window.getComputedStyle(host);
+        if (rect.width === 0 || rect.height === 0 || style.visibility === 'hidden') return;
+
+        visible++;
+        totalWidth += rect.width;
+        totalHeight += rect.height;
+
+        const issue = (type, message) => issues.push({
+          type,
+          component: componentName,
+          path: componentPath(host),
+          message
+        });
+
+        if (rect.right > viewportWidth + 1 || rect.left < -1) {
+          issue('viewport-overflow', `extends ${Math.round(Math.max(rect.right - viewportWidth, -rect.left))}px beyond the viewport`);
+        }
+
+        const shown = unclippedRect(host, rect);
+        if (shown.width < rect.width - 1 || shown.height < rect.height - 1) {
+          issue('clipped', `clipped by an overflow: hidden ancestor (${Math.round(shown.width)}×${Math.round(shown.height)} of ${Math.round(rect.width)}×${Math.round(rect.height)}px visible)`);
+        }
+
+        const root = host.shadowRoot;
+        const inner = root && (root.querySelector(`.${componentName}`) ||
+          Array.from(root.children).find(child => !['STYLE', 'SLOT', 'LINK', 'SCRIPT'].includes(child.tagName)));
+        if (inner && inner.scrollWidth > inner.clientWidth + 1 && inner.clientWidth > 0) {
+          issue('content-overflow', `content is ${inner.scrollWidth - inner.clientWidth}px wider than the component`);
+        }
+      });
+
+      components[componentName] = {
+        count: data.elements.length,
+        visible,
+        averageWidth: visible > 0 ? Math.round(totalWidth / visible) : 0,
+        averageHeight: visible > 0 ? Math.round(totalHeight / visible) : 0
+      };
+    });
+
+    return {
+      documentOverflow: Math.max(0, document.documentElement.scrollWidth - viewportWidth),
+      components,
+      issues
+    };
+  }, COMPONENT_INDEX_KEY);
+}
+
+/**
+ * Compare each viewport against the first (widest) one
+ * @param {Array<Object>} viewportResults - Per-viewport measurements for one page
+ * @returns {Array<{viewport: string, component: string, message: string}>}
+ */
+function compareViewports(viewportResults) {
+  const [reference, ...others] = viewportResults;
+  const changes = [];
+
+  others.forEach(result => {
+    const names = new Set([...Object.keys(reference.components), ...Object.keys(result.components)]);
+    names.forEach(componentName => {
+      const before = reference.components[componentName] || { count: 0, visible: 0 };
+      const after = result.components[componentName] || { count: 0, visible: 0 };
+
+      if (after.count !== before.count) {
+        changes.push({ viewport: result.viewport.name, component: componentName, message: `rendered ${before.count} → ${after.count}` });
+      }
+      if (after.visible < before.visible) {
+        changes.push({ viewport: result.viewport.name, component: componentName, message: `${before.visible - after.visible} instance(s) hidden (${before.visible} → ${after.visible} visible)` });
+      } else if (after.visible > before.visible) {
+        changes.push({ viewport: result.viewport.name, component: componentName, message: `${after.visible - before.visible} more visible (${before.visible} → ${after.visible})` });
+      }
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * Generate markdown responsive report
+ * @param {string} reportDir - Report directory
+ * @param {Array<Object>} pageResults - Per-page results
+ */
+function generateResponsiveReport(reportDir, pageResults) {
+  const reportPath = path.join(reportDir, 'responsive-audit.md');
+
+  let report = `# Responsive Audit
+
+**Generated:** ${getLocalISOTimestamp()}
+**Instance:** ${config.getBaseUrl()}
+**Viewports:** ${config.viewports.map(v => `${v.name} (${v.width}×${v.height})`).join(', ')}
+
+`;
+
+  pageResults.forEach(result => {
+    report += `## ${result.page}\n\n`;
+
+    if (result.error) {
+      report += `❌ Could not audit page: ${result.error}\n\n`;
+      return;
+    }
+
+    const viewports = result.viewports.filter(v => !v.error);
+    const componentNames = [...new Set(viewports.flatMap(v => Object.keys(v.components)))];
+
+    report += `| Component | ${viewports.map(v => v.viewport.name).join(' | ')} |\n`;
+    report += `|-----------|${viewports.map(() => '---').join('|')}|\n`;
+    componentNames.forEach(componentName => {
+      const cells = viewports.map(v => {
+        const data = v.components[componentName];
+        return data ? `${data.visible}/${data.count} · ${data.averageWidth}px` : '-';
+      });
+      report += `| ${componentName} | ${cells.join(' | ')} |\n`;
+    });
+    report += '\n_Visible/rendered instances · average width_\n\n';
+
+    result.viewports.filter(v => v.error).forEach(v => {
+      report += `- ❌ **${v.viewport.name}:** ${v.error}\n`;
+    });
+
+    if (result.changes.length > 0) {
+      report += `### Changes vs. ${viewports[0]?.viewport.name}\n\n`;
+      result.changes.forEach(change => {
+        report += `- **${change.viewport}** \`${change.component}\`: ${change.message}\n`;
+      });
+      report += '\n';
+    }
+
+    const issues = viewports.flatMap(v => v.issues.map(issue => ({ ...issue, viewport: v.viewport.name })));
+    const overflowing = viewports.filter(v => v.documentOverflow > 0);
+    if (issues.length > 0 || overflowing.length > 0) {
+      report += '### Overflow and clipping\n\n';
+      overflowing.forEach(v => {
+        report += `- ⚠️ **${v.viewport.name}:** page scrolls horizontally by ${v.documentOverflow}px\n`;
+      });
+      issues.forEach(issue => {
+        report += `- ❌ **${issue.viewport}** \`${issue.path}\` (${issue.type}): ${issue.message}\n`;
+      });
+      report += '\n';
+    }
+  });
+
+  fs.writeFileSync(reportPath, report);
+  console.log(`\n📄 Responsive report saved: responsive-audit.md`);
+}
+
+/**
+ * Main responsive audit runner
+ * @returns {Promise<Array<Object>|undefined>} Per-page, per-viewport results
+ */
+export async function runResponsiveAudit() {
+  console.log('🚀 Starting Responsive Audit\n');
+
+  if (!config.isConfigured()) {
+    console.error('❌ Missing ServiceNow configuration in .env file');
+    process.exit(1);
+  }
+
+  console.log(`📐 Viewports: ${config.viewports.map(v => `${v.name} ${v.width}×${v.height}`).join(', ')}\n`);
+
+  const reportDir = path.join(config.outputDir, 'reports', 'responsive-' + getLocalTimestamp());
+  if (!fs.existsSync(reportDir)) {
+    fs.mkdirSync(reportDir, { recursive: true });
+  }
+
+  const browser = await puppeteer.launch(config.puppeteerOptions);
+  const pageResults = [];
+
+  try {
+    const page = await browser.newPage();
+    await loginToServiceNow(page);
+
+    for (const testPage of config.testPages) {
+      const fullUrl = `${config.getBaseUrl()}${testPage}`;
+      const viewportResults = [];
+
+      console.log(`\n📄 ${testPage}`);
+
+      for (const viewport of config.viewports) {
+        try {
+          await page.setViewport({ width: viewport.width, height: viewport.height });
+          await page.goto(fullUrl, {
+            waitUntil: 'networkidle2',
+            timeout: config.timeouts.navigation
+          });
+
+          // The page's wait and skipped components apply; its viewport does not, every viewport is audited
+          const settings = config.getPageSettings(testPage);
+          const readiness = await waitForHorizonReady(page, { timeout: settings.wait });
+          if (!readiness.ready) console.log(`⚠️ ${readiness.message}`);
+
+          await page.screenshot({
+            path: path.join(reportDir, `${sanitizePageName(testPage) || 'root'}_${viewport.name}.png`),
+            fullPage: true
+          });
+
+          const layout = await measureLayout(page, settings.components);
+          viewportResults.push({ viewport, ...layout });
+
+          const visible = Object.values(layout.components).reduce((sum, c) => sum + c.visible, 0);
+          console.log(`  ${layout.issues.length > 0 ? '⚠️' : '✅'} ${viewport.name.padEnd(8)} ${visible} visible component(s), ${layout.issues.length} overflow/clipping issue(s)${layout.documentOverflow > 0 ? `, page scrolls horizontally by ${layout.documentOverflow}px` : ''}`);
+
+        } catch (error) {
+          console.error(`  ❌ ${viewport.name}: ${error.message}`);
+          viewportResults.push({ viewport, error: error.message });
+        }
+      }
+
+      const measured = viewportResults.filter(v => !v.error);
+      const changes = measured.length > 1 ? compareViewports(measured) : [];
+      changes.forEach(change => console.log(`     ${change.viewport}: <${change.component}> ${change.message}`));
+
+      pageResults.push({ page: testPage, url: fullUrl, viewports: viewportResults, changes });
+    }
+
+    fs.writeFileSync(path.join(reportDir, 'responsive-audit.json'), JSON.stringify({
+      generatedAt: getLocalISOTimestamp(),
+      baseUrl: config.getBaseUrl(),
+      viewports: config.viewports,
+      pages: pageResults
+    }, null, 2));
+    console.log(`\n💾 JSON data saved: responsive-audit.json`);
+
+    generateResponsiveReport(reportDir, pageResults);
+
+    console.log('\n' + '='.repeat(60));
+    console.log('✅ Responsive Audit Complete!');
+    console.log('='.repeat(60));
+    console.log(`\n📁 Location: ${reportDir}`);
+
+    return pageResults;
+
+  } catch (error) {
+    console.error('❌ Fatal error:', error);
+    process.exitCode = 1;
+  } finally {
+    await browser.close();
+  }
+}
+
+// Run the responsive audit when executed directly (npm run responsive-audit)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runResponsiveAudit();
+}
@@ -0,0 +1,470 @@
+import puppeteer from 'puppeteer';
+import { config } from '../config.js';
+import { waitForHorizonReady } from '../utils/readiness.js';
+import { loginToServiceNow } from '../utils/auth.js';
+import { injectComponentIndex, COMPONENT_INDEX_KEY } from '../utils/component-index.js';
+import { getLocalTimestamp, getLocalISOTimestamp } from '../utils/timestamp.js';
+import { compareImages } from '../utils/image-diff.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const figmaMapping = require('../figma-component-mapping.json');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * States the runner can drive with Puppeteer. Other declared states
+ * (disabled, checked, ...) are captured when an instance is already in them.
+ */
+const DRIVEN_STATES = ['default', 'hover', 'focus', 'pressed', 'active'];
+
+/**
+ * How to tell whether an instance is already in an observed state
+ */
+const OBSERVED_STATES = {
+  disabled: instance => instance.disabled,
+  checked: instance => instance.checked === true,
+  unchecked: instance => instance.checked === false,
+  indeterminate: instance => instance.indeterminate
+};
+
+/**
+ * Computed style properties recorded per state
+ */
+const STATE_PROPERTIES = [
+  'color', 'background-color', 'border-top-color', 'box-shadow',
+  'outline-style', 'outline-width', 'outline-color', 'outline-offset',
+  'opacity', 'transform', 'cursor', 'text-decoration-line'
+];
+
+/**
+ * Sanitize page path into a folder name
+ * @param {string} pageName - Page path
+ */
+function sanitizePageName(pageName) {
+  return pageName
+    .replace(/\//g, '_')
+    .replace(/[^a-zA-Z0-9_-]/g, '')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Find visible instances of every component that declares states in the mapping
+ * @param {import('puppeteer').Page} page - Page with Horizon components loaded
+ * @param {Object<string, string[]>} statefulComponents - Declared states per component
+ * @param {string[]} [horizonComponents] - Horizon tags to index (config.getPageSettings(testPage).components)
+ */
+async function findStatefulInstances(page, statefulComponents, horizonComponents = config.horizonComponents) {
+  await injectComponentIndex(page, horizonComponents);
+
+  return await page.evaluate((indexKey, components, maxInstances) => {
+    const instances = [];
+
+    Object.keys(components).forEach(componentName => {
+      const elements = window[indexKey].components[componentName]?.elements || [];
+
+      elements
+        .map((element, index) => ({ element, index }))
+        .filter(({ element }) => {
+          const rect = element.getBoundingClientRect();
+          return rect.width > 0 && rect.height > 0;
+        })
+        .slice(0, maxInstances)
+        .forEach(({ element, index }) => {
+          const control = element.shadowRoot?.querySelector('input, button, textarea, select, [tabindex]');
+          instances.push({
+            component: componentName,
+            index,
+            variant: element.getAttribute('variant'),
+            size: element.getAttribute('size'),
+            label: element.getAttribute('label'),
+            disabled: element.hasAttribute('disabled') || Boolean(control?.disabled) ||
+              control?.getAttribute('aria-disabled') === 'true',
+            checked: control && 'checked' in control && control.type === 'checkbox' ? control.checked : null,
+            indeterminate: Boolean(control?.indeterminate)
+          });
+        });
+    });
+
+    return instances;
+  }, COMPONENT_INDEX_KEY, statefulComponents, config.stateCapture.maxInstancesPerComponent);
+}
+
+/**
+ * Scroll an instance into view and return its box in page coordinates
+ * @param {import('puppeteer').Page} page - Page
+ * @param {Object} instance - Instance from findStatefulInstances
+ */
+async function locateInstance(page, instance) {
+  return await page.evaluate((indexKey, componentName, index) => {
+    const element = window[indexKey].components[componentName].elements[index];
+    element.scrollIntoView({ block: 'center', inline: 'center' });
+    const rect = element.getBoundingClientRect();
+    return {
+      x: rect.x + window.scrollX,
+      y: rect.y + window.scrollY,
+      viewportX: rect.x,
+      viewportY: rect.y,
+      width: rect.width,
+      height: rect.height
+    };
+  }, COMPONENT_INDEX_KEY, instance.component, instance.index);
+}
+
+/**
+ * Computed styles of the instance's inner element
+ * @param {import('puppeteer').Page} page - Page
+ * @param {Object} instance - Instance from findStatefulInstances
+ */
+async function readStateStyles(page, instance) {
+  return await page.evaluate((indexKey, componentName, index, properties) => {
+    const host = window[indexKey].components[componentName].elements[index];
+    const root = host.shadowRoot;
+    const inner = (root && (root.querySelector(`.${componentName}`) ||
+      Array.from(root.children).find(child => !['STYLE', 'SLOT', 'LINK', 'SCRIPT'].includes(child.tagName)))) || host;
+
+    const computed = window.getComputedStyle(inner);
+    return Object.fromEntries(properties.map(property => [property, computed.getPropertyValue(property).trim()]));
+  }, COMPONENT_INDEX_KEY, instance.component, instance.index, STATE_PROPERTIES);
+}
+
+/**
+ * Return the instance to rest: pointer away, nothing focused, no button held
+ * @param {import('puppeteer').Page} page - Page
+ */
+async function resetInteraction(page) {
+  await page.mouse.move(0, 0);
+  await page.evaluate(() => {
+    let active = document.activeElement;
+    while (active && active.shadowRoot && active.shadowRoot.activeElement) {
+      active = active.shadowRoot.activeElement;
+    }
+    if (active && active.blur) active.blur();
+  });
+}
+
+/**
+ * Drive an instance into a state
+ * Returns a cleanup function to run after the capture.
+ * @param {import('puppeteer').Page} page - Page
+ * @param {Object} instance - Instance from findStatefulInstances
+ * @param {Object} box - Output of locateInstance
+ * @param {string} state - One of DRIVEN_STATES
+ */
+async function driveState(page, instance, box, state) {
+  const centerX = box.viewportX + box.width / 2;
+  const centerY = box.viewportY + box.height / 2;
+
+  if (state === 'hover') {
+    await page.mouse.move(centerX, centerY);
+  } else if (state === 'focus') {
+    // A key press first makes Chrome treat the focus as keyboard focus (:focus-visible)
+    await page.keyboard.press('Shift');
+    await page.evaluate((indexKey, componentName, index) => {
+      const host = window[indexKey].components[componentName].elements[index];
+      const target = host.shadowRoot?.querySelector('button, input, textarea, select, a[href], [tabindex]') || host;
+      target.focus();
+    }, COMPONENT_INDEX_KEY, instance.component, instance.index);
+  } else if (state === 'pressed' || state === 'active') {
+    await page.mouse.move(centerX, centerY);
+    await page.mouse.down();
+    // Release away from the element so the press does not trigger a click on it
+    return async () => {
+      await page.mouse.move(0, 0);
+      await page.mouse.up();
+    };
+  }
+
+  return async () => {};
+}
+
+/**
+ * Style properties whose values differ between two captures
+ * @param {Object} base - Styles at rest
+ * @param {Object} styles - Styles in a state
+ */
+function changedProperties(base, styles) {
+  return Object.keys(styles).filter(property => styles[property] !== base[property]);
+}
+
+/**
+ * True when the captured styles show a focus indicator
+ * @param {Object} base - Styles at rest
+ * @param {Object} styles - Styles while focused
+ */
+function hasFocusIndicator(base, styles) {
+  const outline = styles['outline-style'] !== 'none' && parseFloat(styles['outline-width']) > 0;
+  const ring = styles['box-shadow'] !== base['box-shadow'] && styles['box-shadow'] !== 'none';
+  return outline || ring;
+}
+
+/**
+ * Capture every declared state of one instance and check it
+ * @param {import('puppeteer').Page} page - Page
+ * @param {Object} instance - Instance from findStatefulInstances
+ * @param {string[]} declaredStates - States from figma-component-mapping.json
+ * @param {string} outputDir - Directory for screenshots
+ */
+async function captureInstanceStates(page, instance, declaredStates, outputDir) {
+  const baseName = `${instance.component}_instance_${instance.index + 1}`;
+  const padding = 8;
+  const states = {};
+  const findings = [];
+
+  await resetInteraction(page);
+  const box = await locateInstance(page, instance);
+  const clip = {
+    x: Math.max(0, box.x - padding),
+    y: Math.max(0, box.y - padding),
+    width: box.width + padding * 2,
+    height: box.height + padding * 2
+  };
+
+  const capture = async (state) => {
+    const screenshot = `${baseName}_${state}.png`;
+    await page.screenshot({ path: path.join(outputDir, screenshot), clip });
+    return { screenshot, styles: await readStateStyles(page, instance) };
+  };
+
+  // The resting capture is the reference for every driven state
+  await sleep(config.stateCapture.settleTime);
+  const rest = await capture('default');
+
+  for (const state of declaredStates) {
+    if (state === 'default') {
+      states.default = { status: 'captured', ...rest };
+      continue;
+    }
+
+    if (OBSERVED_STATES[state]) {
+      if (OBSERVED_STATES[state](instance)) {
+        states[state] = { status: 'captured', observed: true, ...rest };
+      } else {
+        states[state] = { status: 'not-present' };
+      }
+      continue;
+    }
+
+    if (!DRIVEN_STATES.includes(state)) {
+      states[state] = { status: 'unsupported' };
+      continue;
+    }
+
+    if (instance.disabled) {
+      states[state] = { status: 'skipped', reason: 'instance is disabled' };
+      continue;
+    }
+
+    await resetInteraction(page);
+    const release = await driveState(page, instance, box, state);
+    await sleep(config.stateCapture.settleTime);
+    const result = await capture(state);
+    await release();
+
+    const diffImage = `${baseName}_${state}.diff.png`;
+    const pixels = compareImages(
+      path.join(outputDir, result.screenshot),
+      path.join(outputDir, rest.screenshot),
+      path.join(outputDir, diffImage)
+    );
+    const changed = changedProperties(rest.styles, result.styles);
+
+    states[state] = {
+      status: 'captured',
+      ...result,
+      changedProperties: changed,
+      mismatchPercentage: pixels.mismatchPercentage,
+      diffImage
+    };
+
+    if (changed.length === 0 && pixels.mismatchedPixels === 0) {
+      findings.push({ state, message: `${state} state looks identical to the default state` });
+    }
+    if (state === 'focus' && !hasFocusIndicator(rest.styles, result.styles)) {
+      findings.push({ state, message: 'keyboard focus shows no focus ring (no outline or box-shadow change)' });
+    }
+  }
+
+  await resetInteraction(page);
+
+  return { ...instance, states, findings };
+}
+
+/**
+ * Disabled instances must look different from an enabled instance of the same variant and size
+ * @param {Array<Object>} results - Per-instance results for one page
+ */
+function checkDisabledStyles(results) {
+  results.filter(result => result.states.disabled?.status === 'captured').forEach(disabled => {
+    const enabled = results.find(result => result.component === disabled.component &&
+      !result.disabled &&
+      result.variant === disabled.variant &&
+      result.size === disabled.size &&
+      result.states.default);
+    if (!enabled) return;
+
+    const changed = changedProperties(enabled.states.default.styles, disabled.states.disabled.styles);
+    if (changed.length === 0) {
+      disabled.findings.push({ state: 'disabled', message: 'disabled instance is styled exactly like an enabled one' });
+    }
+  });
+}
+
+/**
+ * Label for an instance, e.g. now-button #2 "Save"
+ * @param {Object} result - Instance result
+ */
+function instanceLabel(result) {
+  return `${result.component} #${result.index + 1}${result.label ? ` "${result.label}"` : ''}`;
+}
+
+/**
+ * Generate markdown state report
+ * @param {string} reportDir - Report directory
+ * @param {Array<Object>} pageResults - Per-page results
+ */
+function generateStateReport(reportDir, pageResults) {
+  const reportPath = path.join(reportDir, 'state-capture.md');
+
+  let report = `# Interaction State Capture
+
+**Generated:** ${getLocalISOTimestamp()}
+**Instance:** ${config.getBaseUrl()}
+
+States come from \`figma-component-mapping.json\`. Hover, focus and pressed/active are driven with the mouse and keyboard; disabled/checked/unchecked/indeterminate are captured when an instance is already in that state.
+
+`;
+
+  pageResults.forEach(pageResult => {
+    report += `## ${pageResult.page}\n\n`;
+
+    if (pageResult.error) {
+      report += `❌ Could not capture page: ${pageResult.error}\n\n`;
+      return;
+    }
+
+    pageResult.instances.forEach(result => {
+      report += `### ${instanceLabel(result)}\n\n`;
+      report += '| State | Status | Changed properties | Pixels changed | Screenshot |\n|-------|--------|--------------------|----------------|------------|\n';
+      Object.entries(result.states).forEach(([state, data]) => {
+        const changed = data.changedProperties ? data.changedProperties.join(', ') || '-' : '';
+        const pixels = data.mismatchPercentage !== undefined ? `${data.mismatchPercentage.toFixed(2)}%` : '';
+        const screenshot = data.screenshot ? `![${state}](${pageResult.folder}/${data.screenshot})` : '';
+        report += `| ${state} | ${data.status}${data.reason ? ` (${data.reason})` : ''} | ${changed} | ${pixels} | ${screenshot} |\n`;
+      });
+      report += '\n';
+      result.findings.forEach(finding => {
+        report += `- ❌ **${finding.state}:** ${finding.message}\n`;
+      });
+      if (result.findings.length > 0) report += '\n';
+    });
+  });
+
+  fs.writeFileSync(reportPath, report);
+  console.log(`\n📄 State report saved: state-capture.md`);
+}
+
+/**
+ * Main state capture runner
+ * @returns {Promise<Array<Object>|undefined>} Per-page results
+ */
+export async function runStateCapture() {
+  console.log('🚀 Starting Interaction State Capture\n');
+
+  if (!config.isConfigured()) {
+    console.error('❌ Missing ServiceNow configuration in .env file');
+    process.exit(1);
+  }
+
+  const statefulComponents = Object.fromEntries(
+    Object.entries(figmaMapping.componentMapping)
+      .filter(([, spec]) => Array.isArray(spec.states) && spec.states.length > 0)
+      .map(([componentName, spec]) => [componentName, spec.states])
+  );
+  console.log(`🎯 Components with declared states: ${Object.keys(statefulComponents).join(', ')}\n`);
+
+  const reportDir = path.join(config.outputDir, 'reports', 'states-' + getLocalTimestamp());
+  if (!fs.existsSync(reportDir)) {
+    fs.mkdirSync(reportDir, { recursive: true });
+  }
+
+  const browser = await puppeteer.launch(config.puppeteerOptions);
+  const pageResults = [];
+
+  try {
+    const page = await browser.newPage();
+    await loginToServiceNow(page);
+
+    for (const testPage of config.testPages) {
+      const fullUrl = `${config.getBaseUrl()}${testPage}`;
+      const folder = sanitizePageName(testPage) || 'root';
+      const outputDir = path.join(reportDir, folder);
+      fs.mkdirSync(outputDir, { recursive: true });
+
+      console.log(`\n📄 ${testPage}`);
+
+      try {
+        const settings = config.getPageSettings(testPage);
+        await page.setViewport(settings.viewport);
+        await page.goto(fullUrl, {
+          waitUntil: 'networkidle2',
+          timeout: config.timeouts.navigation
+        });
+
+        const readiness = await waitForHorizonReady(page, { timeout: settings.wait });
+        if (!readiness.ready) console.log(`⚠️ ${readiness.message}`);
+
+        const instances = await findStatefulInstances(page, statefulComponents, settings.components);
+        const results = [];
+
+        for (const instance of instances) {
+          const result = await captureInstanceStates(page, instance, statefulComponents[instance.component], outputDir);
+          results.push(result);
+        }
+        checkDisabledStyles(results);
+
+        results.forEach(result => {
+          const captured = Object.entries(result.states).filter(([, data]) => data.status === 'captured').map(([state]) => state);
+          console.log(`  ${result.findings.length > 0 ? '❌' : '✅'} ${instanceLabel(result)}: ${captured.join(', ')}`);
+          result.findings.forEach(finding => console.log(`     ${finding.state}: ${finding.message}`));
+        });
+
+        pageResults.push({ page: testPage, url: fullUrl, folder, instances: results });
+
+      } catch (error) {
+        console.error(`❌ Error capturing page ${testPage}:`, error.message);
+        pageResults.push({ page: testPage, url: fullUrl, folder, error: error.message });
+      }
+    }
+
+    fs.writeFileSync(path.join(reportDir, 'state-capture.json'), JSON.stringify({
+      generatedAt: getLocalISOTimestamp(),
+      baseUrl: config.getBaseUrl(),
+      pages: pageResults
+    }, null, 2));
+    console.log(`\n💾 JSON data saved: state-capture.json`);
+
+    generateStateReport(reportDir, pageResults);
+
+    console.log('\n' + '='.repeat(60));
+    console.log('✅ State Capture Complete!');
+    console.log('='.repeat(60));
+    console.log(`\n📁 Location: ${reportDir}`);
+
+    return pageResults;
+
+  } catch (error) {
+    console.error('❌ Fatal error:', error);
+    process.exitCode = 1;
+  } finally {
+    await browser.close();
+  }
+}
+
+// Run the state capture when executed directly (npm run state-capture)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runStateCapture();
+}
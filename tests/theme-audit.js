@@ -0,0 +1,393 @@
+import puppeteer from 'puppeteer';
+import { config } from '../config.js';
+import { waitForHorizonReady } from '../utils/readiness.js';
+import { loginToServiceNow } from '../utils/auth.js';
+import { applyTheme, getThemeClasses, getThemePreference, restoreThemePreference } from '../utils/theme.js';
+import { getLocalTimestamp, getLocalISOTimestamp } from '../utils/timestamp.js';
+import { STYLE_PROPERTIES, loadDesignTokens } from '../utils/design-tokens.js';
+import { colorsEqual, parseColor } from '../utils/color.js';
+import { auditHorizonComponents } from './horizon-validator.js';
+import { auditPageTokens } from './token-audit.js';
+import { auditPageAccessibility } from './accessibility-audit.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Style properties compared across themes
+ */
+const COLOR_PROPERTIES = Object.keys(STYLE_PROPERTIES).filter(property => STYLE_PROPERTIES[property].kind === 'color');
+
+/**
+ * Sanitize page path into a file name
+ * @param {string} pageName - Page path
+ */
+function sanitizePageName(pageName) {
+  return pageName
+    .replace(/\//g, '_')
+    .replace(/[^a-zA-Z0-9_-]/g, '')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Load the token file for a theme: the shared file with the theme's
+ * token overrides (if any) merged over it
+ * @param {{name: string, tokens?: string}} theme - Entry from config.themes.variants
+ * @returns {{tokens: Object, components: Object}}
+ */
+function loadThemeTokens(theme) {
+  const base = loadDesignTokens(path.resolve(config.designTokens.file));
+  if (!theme.tokens) return base;
+
+  const overrides = loadDesignTokens(path.resolve(theme.tokens));
+  return {
+    tokens: { ...base.tokens, ...overrides.tokens },
+    components: { ...base.components, ...overrides.components }
+  };
+}
+
+/**
+ * Label for a style group, e.g. now-button (primary, md)
+ * @param {{component: string, variant: string|null, size: string|null}} group - Style group
+ */
+function groupLabel(group) {
+  const qualifiers = [group.variant, group.size].filter(Boolean);
+  return `${group.component}${qualifiers.length > 0 ? ` (${qualifiers.join(', ')})` : ''}`;
+}
+
+/**
+ * Find component colors that stay the same in every theme
+ * Style groups are matched across themes by component, variant and size.
+ * @param {Array<{theme: string, tokens: Object}>} themeResults - Successful per-theme results for one page
+ * @returns {Array<Object>}
+ */
+function findStaticColors(themeResults) {
+  const keyOf = group => JSON.stringify([group.component, group.variant, group.size]);
+  const byTheme = themeResults.map(result => {
+    const groups = new Map();
+    result.tokens.groups.forEach(group => {
+      if (!groups.has(keyOf(group))) groups.set(keyOf(group), group);
+    });
+    return groups;
+  });
+
+  const findings = [];
+  byTheme[0].forEach((group, key) => {
+    const matches = byTheme.map(groups => groups.get(key));
+    if (matches.some(match => !match)) return;
+
+    COLOR_PROPERTIES.forEach(property => {
+      const value = group.styles[property].value;
+      const color = parseColor(value);
+      if (!color || color.a === 0) return;
+
+      if (matches.every(match => colorsEqual(match.styles[property].value, value))) {
+        findings.push({
+          component: group.component,
+          variant: group.variant,
+          size: group.size,
+          count: group.count,
+          property,
+          value,
+          declared: group.styles[property].declared
+        });
+      }
+    });
+  });
+
+  return findings;
+}
+
+/**
+ * Contrast failures in every theme after the first, marking the ones the
+ * first theme does not have
+ * @param {Array<{theme: string, accessibility: Object}>} themeResults - Successful per-theme results for one page
+ * @returns {Array<Object>}
+ */
+function findThemeContrastFailures(themeResults) {
+  const [reference, ...others] = themeResults;
+  const contrastFindings = result => result.accessibility.findings.filter(finding => finding.rule === 'color-contrast');
+  const failingInReference = new Set(contrastFindings(reference).map(finding => finding.path));
+
+  return others.flatMap(result => contrastFindings(result).map(finding => ({
+    theme: result.theme,
+    ...finding,
+    alsoIn: failingInReference.has(finding.path) ? reference.theme : null
+  })));
+}
+
+/**
+ * Component count differences between the first theme and the others
+ * @param {Array<{theme: string, components: Object}>} themeResults - Successful per-theme results for one page
+ * @returns {Array<{theme: string, component: string, message: string}>}
+ */
+function compareComponentCounts(themeResults) {
+  const [reference, ...others] = themeResults;
+  const changes = [];
+
+  others.forEach(result => {
+    const names = new Set([...Object.keys(reference.components), ...Object.keys(result.components)]);
+    names.forEach(componentName => {
+      const before = reference.components[componentName]?.count || 0;
+      const after = result.components[componentName]?.count || 0;
+      if (before !== after) {
+        changes.push({ theme: result.theme, component: componentName, message: `${before} → ${after} instance(s)` });
+      }
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * Count token findings of each type for one theme
+ * @param {{groups: Array<Object>}} tokens - Output of auditPageTokens
+ */
+function countTokenFindings(tokens) {
+  const counts = { 'hard-coded': 0, 'wrong-token': 0, 'value-mismatch': 0 };
+  tokens.groups.forEach(group => {
+    group.findings.forEach(finding => {
+      counts[finding.type] += group.count;
+    });
+  });
+  return counts;
+}
+
+/**
+ * Generate markdown theme report
+ * @param {string} reportDir - Report directory
+ * @param {Array<Object>} pageResults - Per-page, per-theme results
+ */
+function generateThemeReport(reportDir, pageResults) {
+  const reportPath = path.join(reportDir, 'theme-audit.md');
+  const themeNames = config.themes.variants.map(theme => theme.name);
+
+  const staticCount = pageResults.reduce((sum, result) => sum + (result.staticColors || []).length, 0);
+  const contrastCount = pageResults.reduce((sum, result) => sum + (result.contrastFailures || []).length, 0);
+
+  let report = `# Theme Audit
+
+**Generated:** ${getLocalISOTimestamp()}
+**Instance:** ${config.getBaseUrl()}
+**Themes:** ${themeNames.join(', ')} (reference: ${themeNames[0]})
+
+## Summary
+
+| Finding | Count |
+|---------|-------|
+| Colors that do not change with the theme | ${staticCount} |
+| Contrast failures in ${themeNames.slice(1).join(', ') || '-'} | ${contrastCount} |
+
+`;
+
+  pageResults.forEach(result => {
+    report += `## ${result.page}\n\n`;
+
+    const measured = Object.entries(result.themes).filter(([, data]) => !data.error);
+    Object.entries(result.themes).filter(([, data]) => data.error).forEach(([theme, data]) => {
+      report += `- ❌ **${theme}:** ${data.error}\n`;
+    });
+    if (measured.length < Object.keys(result.themes).length) report += '\n';
+    if (measured.length === 0) return;
+
+    report += '| Theme | Theme classes | Components | Hard-coded | Wrong token | Value mismatch | Contrast failures |\n';
+    report += '|-------|---------------|------------|------------|-------------|----------------|-------------------|\n';
+    measured.forEach(([theme, data]) => {
+      const counts = countTokenFindings(data.tokens);
+      const components = Object.values(data.components).reduce((sum, c) => sum + c.count, 0);
+      const contrast = data.accessibility.findings.filter(finding => finding.rule === 'color-contrast').length;
+      report += `| ${theme} | ${data.themeClasses.join(' ') || '-'} | ${components} | ${counts['hard-coded']} | ${counts['wrong-token']} | ${counts['value-mismatch']} | ${contrast} |\n`;
+    });
+    report += '\n';
+
+    if (result.componentChanges.length > 0) {
+      report += '### Component changes\n\n';
+      result.componentChanges.forEach(change => {
+        report += `- **${change.theme}** \`${change.component}\`: ${change.message}\n`;
+      });
+      report += '\n';
+    }
+
+    if (result.staticColors.length > 0) {
+      report += '### Colors that do not change with the theme\n\n';
+      report += '| Component | Instances | Property | Value | Declared |\n|-----------|-----------|----------|-------|----------|\n';
+      result.staticColors.forEach(finding => {
+        report += `| ${groupLabel(finding)} | ${finding.count} | ${finding.property} | ${finding.value} | ${finding.declared ? `\`${finding.declared}\`` : 'inherited'} |\n`;
+      });
+      report += '\n';
+    }
+
+    if (result.contrastFailures.length > 0) {
+      report += '### Contrast failures\n\n';
+      report += '| Theme | Component path | Finding | Also fails in |\n|-------|----------------|---------|---------------|\n';
+      result.contrastFailures.forEach(finding => {
+        report += `| ${finding.theme} | \`${finding.path}\` | ${finding.message.replace(/\|/g, '\\|')} | ${finding.alsoIn || '-'} |\n`;
+      });
+      report += '\n';
+    }
+  });
+
+  fs.writeFileSync(reportPath, report);
+  console.log(`\n📄 Theme report saved: theme-audit.md`);
+}
+
+/**
+ * Main theme audit runner
+ * Switches the user's theme, then runs the component, token and contrast
+ * audits on every page for each theme in config.themes.variants.
+ * @returns {Promise<Array<Object>|undefined>} Per-page, per-theme results
+ */
+export async function runThemeAudit() {
+  console.log('🚀 Starting Theme Audit\n');
+
+  if (!config.isConfigured()) {
+    console.error('❌ Missing ServiceNow configuration in .env file');
+    process.exit(1);
+  }
+
+  const themes = config.themes.variants;
+  const themeTokens = {};
+  try {
+    themes.forEach(theme => {
+      themeTokens[theme.name] = loadThemeTokens(theme);
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`🎨 Themes: ${themes.map(theme => theme.name).join(', ')} (${config.themes.preference})\n`);
+
+  const reportDir = path.join(config.outputDir, 'reports', 'themes-' + getLocalTimestamp());
+  if (!fs.existsSync(reportDir)) {
+    fs.mkdirSync(reportDir, { recursive: true });
+  }
+
+  const browser = await puppeteer.launch(config.puppeteerOptions);
+  const pageResults = config.testPages.map(testPage => ({
+    page: testPage,
+    url: `${config.getBaseUrl()}${testPage}`,
+    themes: {}
+  }));
+  let page;
+  let originalTheme; // Undefined until the user's own preference has been read
+
+  try {
+    page = await browser.newPage();
+    await loginToServiceNow(page);
+
+    // The audit changes a real user preference, so remember it first
+    originalTheme = await getThemePreference(page);
+    console.log(`🎨 Current theme preference: ${originalTheme ? originalTheme.value : 'instance default'}`);
+
+    for (const theme of themes) {
+      console.log(`\n${'='.repeat(60)}`);
+      console.log(`🎨 Theme: ${theme.name}`);
+      console.log('='.repeat(60));
+
+      try {
+        await applyTheme(page, theme);
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        pageResults.forEach(result => {
+          result.themes[theme.name] = { error: error.message };
+        });
+        continue;
+      }
+
+      for (const result of pageResults) {
+        try {
+          const settings = config.getPageSettings(result.page);
+          await page.setViewport(settings.viewport);
+          await page.goto(result.url, {
+            waitUntil: 'networkidle2',
+            timeout: config.timeouts.navigation
+          });
+
+          const readiness = await waitForHorizonReady(page, { timeout: settings.wait });
+          if (!readiness.ready) console.log(`⚠️ ${readiness.message}`);
+
+          await page.screenshot({
+            path: path.join(reportDir, `${sanitizePageName(result.page) || 'root'}_${sanitizePageName(theme.name)}.png`),
+            fullPage: true
+          });
+
+          const themeClasses = await getThemeClasses(page);
+          console.log(`\n📄 ${result.page} (${themeClasses.join(' ') || 'no theme classes'})`);
+
+          const components = await auditHorizonComponents(page, settings.components);
+          const tokens = await auditPageTokens(page, themeTokens[theme.name], settings.components);
+          const accessibility = await auditPageAccessibility(page, settings.components);
+
+          result.themes[theme.name] = { themeClasses, components, tokens, accessibility };
+
+        } catch (error) {
+          console.error(`❌ Error auditing page ${result.page} in ${theme.name}:`, error.message);
+          result.themes[theme.name] = { error: error.message };
+        }
+      }
+    }
+
+    console.log(`\n${'='.repeat(60)}`);
+    console.log('📋 THEME COMPARISON');
+    console.log('='.repeat(60));
+
+    pageResults.forEach(result => {
+      const measured = themes
+        .filter(theme => result.themes[theme.name] && !result.themes[theme.name].error)
+        .map(theme => ({ theme: theme.name, ...result.themes[theme.name] }));
+
+      result.componentChanges = measured.length > 1 ? compareComponentCounts(measured) : [];
+      result.staticColors = measured.length > 1 ? findStaticColors(measured) : [];
+      result.contrastFailures = measured.length > 1 ? findThemeContrastFailures(measured) : [];
+
+      console.log(`\n📄 ${result.page}: ${result.staticColors.length} static color(s), ${result.contrastFailures.length} contrast failure(s) outside ${themes[0].name}`);
+      result.staticColors.forEach(finding => {
+        console.log(`  ⚠️ ${groupLabel(finding)} ${finding.property} stays ${finding.value}${finding.declared ? ` (declared ${finding.declared})` : ''}`);
+      });
+      result.contrastFailures.forEach(finding => {
+        console.log(`  ❌ [${finding.theme}] ${finding.path}`);
+        console.log(`     ${finding.message}`);
+      });
+    });
+
+    fs.writeFileSync(path.join(reportDir, 'theme-audit.json'), JSON.stringify({
+      generatedAt: getLocalISOTimestamp(),
+      baseUrl: config.getBaseUrl(),
+      preference: config.themes.preference,
+      themes: themes.map(theme => theme.name),
+      pages: pageResults
+    }, null, 2));
+    console.log(`\n💾 JSON data saved: theme-audit.json`);
+
+    generateThemeReport(reportDir, pageResults);
+
+    console.log('\n' + '='.repeat(60));
+    console.log('✅ Theme Audit Complete!');
+    console.log('='.repeat(60));
+    console.log(`\n📁 Location: ${reportDir}`);
+
+    return pageResults;
+
+  } catch (error) {
+    console.error('❌ Fatal error:', error);
+    process.exitCode = 1;
+  } finally {
+    // Give the user back the theme they had before the audit
+    if (page && originalTheme !== undefined) {
+      const original = originalTheme ? originalTheme.value : 'instance default';
+      try {
+        await restoreThemePreference(page, originalTheme);
+        console.log(`🎨 Theme preference restored: ${original}`);
+      } catch (error) {
+        console.error(`⚠️ Could not restore theme preference "${original}": ${error.message}`);
+      }
+    }
+    await browser.close();
+  }
+}
+
+// Run the theme audit when executed directly (npm run theme-audit)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runThemeAudit();
+}
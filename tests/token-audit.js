@@ -0,0 +1,345 @@
+import puppeteer from 'puppeteer';
+import { config } from '../config.js';
+import { waitForHorizonReady } from '../utils/readiness.js';
+import { loginToServiceNow } from '../utils/auth.js';
+import { injectComponentIndex, COMPONENT_INDEX_KEY } from '../utils/component-index.js';
+import { getLocalTimestamp, getLocalISOTimestamp } from '../utils/timestamp.js';
+import { STYLE_PROPERTIES, loadDesignTokens, compareInstanceStyles } from '../utils/design-tokens.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Collect computed styles from the inner element of every now-* shadow root
+ * and trace each property back to the --now-* custom properties that set it
+ * @param {import('puppeteer').Page} page - Page with Horizon components loaded
+ * @param {{tokens: Object, components: Object}} designTokens - Output of loadDesignTokens
+ * @param {string[]} [components] - Horizon tags to audit (config.getPageSettings(testPage).components)
+ * @returns {Promise<Array<Object>>} One entry per instance: { component, variant, size, styles }
+ */
+async function extractComponentStyles(page, designTokens, components = config.horizonComponents) {
+  await injectComponentIndex(page, components);
+
+  const specKeys = Object.fromEntries(
+    Object.entries(designTokens.components).map(([tag, spec]) => [tag, {
+      variants: Object.keys(spec.variants || {}),
+      sizes: Object.keys(spec.sizes || {})
+    }])
+  );
+
+  return await page.evaluate((indexKey, styleProperties, specKeys) => {
+    const INHERITED = ['color', 'font-family', 'font-size', 'font-weight'];
+    const instances = [];
+
+    // Style rules from a shadow root's <style> elements and adopted sheets
+    function collectRules(root) {
+      const rules = [];
+      const walk = list => Array.from(list).forEach(rule => {
+        if (rule.selectorText !== undefined) {
+          rules.push(rule);
+        } else if (rule.cssRules && (!rule.media || window.matchMedia(rule.media.mediaText).matches)) {
+          walk(rule.cssRules);
+        }
+      });
+
+      [...Array.from(root.styleSheets || []), ...(root.adoptedStyleSheets || [])].forEach(sheet => {
+        try {
+          walk(sheet.cssRules);
+        } catch (e) {
+          // Cross-origin sheet
+        }
+      });
+      return rules;
+    }
+
+    function matchesSelector(element, selector) {
+      try {
+        return element.matches(selector);
+      } catch (e) {
+        return false;
+      }
+    }
+
+    // Declared value for a property: inline style, then the last matching
+    // shadow rule (source order stands in for specificity), then :host rules
+    // for inherited properties
+    function findDeclaration(element, host, rules, definition) {
+      const names = [definition.css, ...definition.shorthands];
+      const lookup = style => {
+        for (const name of names) {
+          const value = style.getPropertyValue(name);
+          if (value) return value.trim();
+        }
+        return '';
+      };
+
+      const inline = lookup(element.style);
+      if (inline) return { declared: inline, origin: 'inline' };
+
+      let found = null;
+      rules.forEach(rule => {
+        const value = lookup(rule.style);
+        if (!value) return;
+
+        const selectors = rule.selectorText.split(',').map(s => s.trim());
+        if (selectors.some(selector => !selector.startsWith(':host') && matchesSelector(element, selector))) {
+          found = { declared: value, origin: 'shadow' };
+        }
+      });
+      if (found || !INHERITED.includes(definition.css)) return found;
+
+      rules.forEach(rule => {
+        const value = lookup(rule.style);
+        if (!value) return;
+
+        const selectors = rule.selectorText.split(',').map(s => s.trim());
+        const hostMatch = selectors.some(selector => {
+          if (selector === ':host') return true;
+          const inner = /^:host\((.+)\)$/.exec(selector);
+          return inner ? matchesSelector(host, inner[1]) : false;
+        });
+        if (hostMatch) found = { declared: value, origin: 'host' };
+      });
+      return found;
+    }
+
+    Object.entries(window[indexKey].components).forEach(([componentName, data]) => {
+      data.elements.forEach(host => {
+        const root = host.shadowRoot;
+        if (!root) return;
+
+        const inner = root.querySelector(`.${componentName}`) ||
+          Array.from(root.children).find(child => !['STYLE', 'SLOT', 'LINK', 'SCRIPT'].includes(child.tagName));
+        if (!inner) return;
+
+        const rules = collectRules(root);
+        const computed = window.getComputedStyle(inner);
+        const modifiers = Array.from(inner.classList)
+          .filter(c => c.startsWith('-'))
+          .map(c => c.substring(1));
+        const keys = specKeys[componentName] || { variants: [], sizes: [] };
+
+        const styles = {};
+        Object.entries(styleProperties).forEach(([property, definition]) => {
+          const declaration = findDeclaration(inner, host, rules, definition);
+          const tokens = declaration
+            ? [...declaration.declared.matchAll(/var\(\s*(--[\w-]+)/g)].map(match => match[1])
+            : [];
+
+          styles[property] = {
+            value: computed.getPropertyValue(definition.css).trim(),
+            declared: declaration ? declaration.declared : null,
+            origin: declaration ? declaration.origin : 'inherited',
+            tokens,
+            tokenValues: Object.fromEntries(tokens.map(token => [token, computed.getPropertyValue(token).trim()]))
+          };
+        });
+
+        instances.push({
+          component: componentName,
+          variant: host.getAttribute('variant') || modifiers.find(m => keys.variants.includes(m)) || null,
+          size: host.getAttribute('size') || modifiers.find(m => keys.sizes.includes(m)) || null,
+          styles
+        });
+      });
+    });
+
+    return instances;
+  }, COMPONENT_INDEX_KEY, STYLE_PROPERTIES, specKeys);
+}
+
+/**
+ * Audit the components on the current page against the token file
+ * Identical instances (same component, variant, size and styles) are grouped.
+ * @param {import('puppeteer').Page} page - Page with Horizon components loaded
+ * @param {{tokens: Object, components: Object}} designTokens - Output of loadDesignTokens
+ * @param {string[]} [components] - Horizon tags to audit (config.getPageSettings(testPage).components)
+ * @returns {Promise<{instances: number, groups: Array<Object>}>}
+ */
+export async function auditPageTokens(page, designTokens, components = config.horizonComponents) {
+  const instances = await extractComponentStyles(page, designTokens, components);
+  const groups = new Map();
+
+  instances.forEach(instance => {
+    const key = JSON.stringify([instance.component, instance.variant, instance.size, instance.styles]);
+    if (groups.has(key)) {
+      groups.get(key).count++;
+    } else {
+      groups.set(key, { ...instance, count: 1, findings: compareInstanceStyles(instance, designTokens) });
+    }
+  });
+
+  return { instances: instances.length, groups: Array.from(groups.values()) };
+}
+
+/**
+ * Label for a group of instances, e.g. now-button (primary, md)
+ * @param {Object} group - Instance group
+ */
+function groupLabel(group) {
+  const qualifiers = [group.variant, group.size].filter(Boolean);
+  return `${group.component}${qualifiers.length > 0 ? ` (${qualifiers.join(', ')})` : ''}`;
+}
+
+/**
+ * Print token findings for one page
+ * @param {string} testPage - Page path
+ * @param {{instances: number, groups: Array<Object>}} result - Output of auditPageTokens
+ */
+function printPageFindings(testPage, result) {
+  const flagged = result.groups.filter(group => group.findings.length > 0);
+
+  console.log(`\n📋 ${testPage}: ${result.instances} instance(s), ${flagged.length} style group(s) with findings`);
+
+  flagged.forEach(group => {
+    console.log(`  ${groupLabel(group)} ×${group.count}`);
+    group.findings.forEach(finding => {
+      console.log(`    ${finding.type === 'value-mismatch' ? '⚠️' : '❌'} ${finding.message}`);
+    });
+  });
+}
+
+/**
+ * Generate markdown token report
+ * @param {string} reportDir - Report directory
+ * @param {Array<Object>} pageResults - Per-page token audit results
+ * @param {string} tokenFile - Token file used
+ */
+function generateTokenReport(reportDir, pageResults, tokenFile) {
+  const reportPath = path.join(reportDir, 'token-audit.md');
+
+  const count = type => pageResults.reduce((sum, result) => sum + (result.groups || [])
+    .reduce((groupSum, group) => groupSum + group.findings.filter(f => f.type === type).length * group.count, 0), 0);
+
+  let report = `# Design Token Audit
+
+**Generated:** ${getLocalISOTimestamp()}
+**Instance:** ${config.getBaseUrl()}
+**Token file:** ${tokenFile}
+
+## Summary
+
+| Finding | Instances |
+|---------|-----------|
+| Hard-coded value instead of token | ${count('hard-coded')} |
+| Different token than expected | ${count('wrong-token')} |
+| Value differs from token | ${count('value-mismatch')} |
+
+`;
+
+  pageResults.forEach(result => {
+    report += `## ${result.page}\n\n`;
+
+    if (result.error) {
+      report += `❌ Could not audit page: ${result.error}\n\n`;
+      return;
+    }
+
+    const flagged = result.groups.filter(group => group.findings.length > 0);
+    if (flagged.length === 0) {
+      report += `✅ All ${result.instances} instance(s) match the token file\n\n`;
+      return;
+    }
+
+    report += '| Component | Instances | Property | Finding |\n|-----------|-----------|----------|---------|\n';
+    flagged.forEach(group => {
+      group.findings.forEach(finding => {
+        report += `| ${groupLabel(group)} | ${group.count} | ${finding.property} | ${finding.type}: ${finding.message.replace(/\|/g, '\\|')} |\n`;
+      });
+    });
+    report += '\n';
+  });
+
+  fs.writeFileSync(reportPath, report);
+  console.log(`\n📄 Token report saved: token-audit.md`);
+}
+
+/**
+ * Main token audit runner
+ * @returns {Promise<Array<Object>|undefined>} Per-page token audit results
+ */
+export async function runTokenAudit() {
+  console.log('🚀 Starting Design Token Audit\n');
+
+  if (!config.isConfigured()) {
+    console.error('❌ Missing ServiceNow configuration in .env file');
+    process.exit(1);
+  }
+
+  const tokenFile = path.resolve(config.designTokens.file);
+  let designTokens;
+  try {
+    designTokens = loadDesignTokens(tokenFile);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`🎨 Loaded ${Object.keys(designTokens.tokens).length} tokens and ${Object.keys(designTokens.components).length} component specs from ${tokenFile}\n`);
+
+  const reportDir = path.join(config.outputDir, 'reports', 'token-audit-' + getLocalTimestamp());
+  if (!fs.existsSync(reportDir)) {
+    fs.mkdirSync(reportDir, { recursive: true });
+  }
+
+  const browser = await puppeteer.launch(config.puppeteerOptions);
+  const pageResults = [];
+
+  try {
+    const page = await browser.newPage();
+    await loginToServiceNow(page);
+
+    for (const testPage of config.testPages) {
+      const fullUrl = `${config.getBaseUrl()}${testPage}`;
+
+      try {
+        const settings = config.getPageSettings(testPage);
+        await page.setViewport(settings.viewport);
+        await page.goto(fullUrl, {
+          waitUntil: 'networkidle2',
+          timeout: config.timeouts.navigation
+        });
+
+        const readiness = await waitForHorizonReady(page, { timeout: settings.wait });
+        if (!readiness.ready) console.log(`⚠️ ${readiness.message}`);
+
+        const result = await auditPageTokens(page, designTokens, settings.components);
+        printPageFindings(testPage, result);
+        pageResults.push({ page: testPage, url: fullUrl, ...result });
+
+      } catch (error) {
+        console.error(`❌ Error auditing page ${testPage}:`, error.message);
+        pageResults.push({ page: testPage, url: fullUrl, error: error.message });
+      }
+    }
+
+    const jsonPath = path.join(reportDir, 'token-audit.json');
+    fs.writeFileSync(jsonPath, JSON.stringify({
+      generatedAt: getLocalISOTimestamp(),
+      baseUrl: config.getBaseUrl(),
+      tokenFile,
+      pages: pageResults
+    }, null, 2));
+    console.log(`\n💾 JSON data saved: token-audit.json`);
+
+    generateTokenReport(reportDir, pageResults, tokenFile);
+
+    console.log('\n' + '='.repeat(60));
+    console.log('✅ Token Audit Complete!');
+    console.log('='.repeat(60));
+    console.log(`\n📁 Location: ${reportDir}`);
+
+    return pageResults;
+
+  } catch (error) {
+    console.error('❌ Fatal error:', error);
+    process.exitCode = 1;
+  } finally {
+    await browser.close();
+  }
+}
+
+// Run the token audit when executed directly (npm run token-audit)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runTokenAudit();
+}
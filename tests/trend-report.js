@@ -0,0 +1,493 @@
+import { config } from '../config.js';
+import { buildTrends, readHistory, seriesChange } from '../utils/history.js';
+import { getLocalTimestamp, getLocalISOTimestamp } from '../utils/timestamp.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SERIES_COLORS = ['#667eea', '#f57f17', '#c62828', '#2e7d32'];
+
+/**
+ * Escape text for HTML content and attributes
+ * @param {*} value - Raw value
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape a value for a markdown table cell
+ * @param {*} value - Cell value
+ */
+function cell(value) {
+  return String(value).replace(/\|/g, '\\|');
+}
+
+/**
+ * Format a change between two values, e.g. +12 or -3
+ * @param {number|null} change - Output of seriesChange
+ */
+function formatChange(change) {
+  if (change === null) return '-';
+  return change > 0 ? `+${change}` : String(change);
+}
+
+/**
+ * Inline SVG line chart, one point per run
+ * Runs without a value leave a gap in the line.
+ * @param {Array<{name: string, values: Array<number|null>}>} series - Lines to draw
+ * @param {string[]} labels - Run label per point (shown on hover)
+ * @param {Object} [options]
+ * @param {number|null} [options.max] - Top of the y axis (default: largest value)
+ * @param {number} [options.width] - Width in px
+ * @param {number} [options.height] - Height in px
+ */
+function lineChart(series, labels, options = {}) {
+  const { width = 320, height = 120 } = options;
+  const pad = { top: 10, right: 10, bottom: 20, left: 30 };
+  const values = series.flatMap(s => s.values).filter(v => v !== null);
+  const max = options.max ?? Math.max(1, ...values);
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+  const x = index => pad.left + (labels.length > 1 ? (index / (labels.length - 1)) * plotWidth : plotWidth / 2);
+  const y = value => pad.top + plotHeight - (value / max) * plotHeight;
+
+  const lines = series.map((s, seriesIndex) => {
+    const color = SERIES_COLORS[seriesIndex % SERIES_COLORS.length];
+
+    // Split the line where a run has no value
+    const segments = [[]];
+    s.values.forEach((value, index) => {
+      if (value === null) {
+        segments.push([]);
+      } else {
+        segments[segments.length - 1].push(`${x(index).toFixed(1)},${y(value).toFixed(1)}`);
+      }
+    });
+
+    const polylines = segments.filter(points => points.length > 1)
+      .map(points => `<polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="2"/>`).join('');
+    const dots = s.values.map((value, index) => value === null ? '' :
+      `<circle cx="${x(index).toFixed(1)}" cy="${y(value).toFixed(1)}" r="3" fill="${color}"><title>${escapeHtml(`${labels[index]} - ${s.name}: ${value}`)}</title></circle>`).join('');
+    return polylines + dots;
+  }).join('');
+
+  const grid = [0, 0.5, 1].map(fraction => {
+    const value = Math.round(max * fraction);
+    return `<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(value)}" y2="${y(value)}" stroke="#eee"/>` +
+      `<text x="${pad.left - 4}" y="${y(value) + 4}" text-anchor="end">${value}</text>`;
+  }).join('');
+
+  const axis = labels.length > 0
+    ? `<text x="${pad.left}" y="${height - 4}">${escapeHtml(labels[0])}</text>` +
+      (labels.length > 1 ? `<text x="${width - pad.right}" y="${height - 4}" text-anchor="end">${escapeHtml(labels[labels.length - 1])}</text>` : '')
+    : '';
+
+  const legend = series.length > 1
+    ? `<div class="legend">${series.map((s, i) => `<span><i style="background:${SERIES_COLORS[i % SERIES_COLORS.length]}"></i>${escapeHtml(s.name)}</span>`).join('')}</div>`
+    : '';
+
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img">${grid}${axis}${lines}</svg>${legend}`;
+}
+
+/**
+ * Card with a score chart for one page or component
+ * @param {string} title - Page path or component name
+ * @param {Array<number|null>} scores - Score per run
+ * @param {string[]} labels - Run labels
+ */
+function trendCard(title, scores, labels) {
+  const { latest, change } = seriesChange(scores);
+  const direction = change > 0 ? 'up' : change < 0 ? 'down' : 'flat';
+
+  return `
+        <div class="trend-card">
+          <div class="trend-header">
+            <code>${escapeHtml(title)}</code>
+            <span class="change ${direction}">${latest === null ? 'not scored' : `${latest}/100 (${formatChange(change)})`}</span>
+          </div>
+          ${lineChart([{ name: 'Score', values: scores }], labels, { max: 100 })}
+        </div>`;
+}
+
+/**
+ * Generate the HTML trend report
+ * @param {string} reportDir - Report directory
+ * @param {Object} trends - Output of buildTrends
+ * @param {string} baseUrl - Instance the runs belong to
+ */
+function generateTrendHtml(reportDir, trends, baseUrl) {
+  const labels = trends.runs.map(run => run.runAt.replace('T', ' ').slice(0, 16));
+  const instance = seriesChange(trends.instance);
+  const counts = ['customElements', 'specViolations', 'accessibilityFindings'].map(key => ({
+    name: { customElements: 'Custom elements', specViolations: 'Spec violations', accessibilityFindings: 'Accessibility findings' }[key],
+    values: trends.runs.map(run => run[key] ?? null)
+  }));
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Horizon Compliance Trends</title>
+  <style>
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+      background: #f5f5f5;
+      padding: 40px 20px;
+      color: #1a1a1a;
+    }
+
+    .container {
+      max-width: 1400px;
+      margin: 0 auto;
+      background: white;
+      border-radius: 8px;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+      padding: 40px;
+    }
+
+    h1 {
+      margin-bottom: 10px;
+    }
+
+    h2 {
+      margin: 40px 0 20px;
+      color: #2c3e50;
+    }
+
+    .subtitle {
+      color: #666;
+      margin-bottom: 30px;
+      font-size: 14px;
+    }
+
+    .stats {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+      gap: 20px;
+      margin-bottom: 30px;
+    }
+
+    .stat-card {
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: white;
+      padding: 24px;
+      border-radius: 8px;
+      box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+    }
+
+    .stat-value {
+      font-size: 36px;
+      font-weight: 700;
+      margin-bottom: 8px;
+    }
+
+    .stat-label {
+      font-size: 14px;
+      opacity: 0.9;
+    }
+
+    .overview {
+      display: grid;
+      grid-template-columns: 1fr 1fr;
+      gap: 20px;
+    }
+
+    .trend-grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(320px, 1fr));
+      gap: 20px;
+    }
+
+    .trend-card {
+      border: 1px solid #e0e0e0;
+      border-radius: 8px;
+      padding: 16px;
+      background: #fafafa;
+    }
+
+    .trend-header {
+      display: flex;
+      justify-content: space-between;
+      gap: 12px;
+      margin-bottom: 8px;
+      font-size: 13px;
+    }
+
+    .trend-header code {
+      word-break: break-all;
+    }
+
+    .change {
+      white-space: nowrap;
+      font-weight: 600;
+    }
+
+    .change.up {
+      color: #2e7d32;
+    }
+
+    .change.down {
+      color: #c62828;
+    }
+
+    .change.flat {
+      color: #666;
+    }
+
+    svg text {
+      font-size: 10px;
+      fill: #666;
+    }
+
+    .legend {
+      font-size: 12px;
+      color: #666;
+      margin-top: 4px;
+    }
+
+    .legend span {
+      margin-right: 16px;
+    }
+
+    .legend i {
+      display: inline-block;
+      width: 10px;
+      height: 10px;
+      border-radius: 2px;
+      margin-right: 4px;
+    }
+
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 13px;
+    }
+
+    th,
+    td {
+      text-align: left;
+      padding: 6px 10px;
+      border-bottom: 1px solid #eee;
+    }
+
+    th {
+      background: #f5f5f5;
+      color: #444;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>📈 Horizon Compliance Trends</h1>
+    <p class="subtitle">${escapeHtml(baseUrl)} - ${trends.runs.length} run(s) from ${escapeHtml(labels[0])} to ${escapeHtml(labels[labels.length - 1])} - generated ${escapeHtml(getLocalISOTimestamp())}</p>
+
+    <div class="stats">
+      <div class="stat-card">
+        <div class="stat-value">${instance.latest ?? '—'}</div>
+        <div class="stat-label">Instance Score</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${formatChange(instance.change)}</div>
+        <div class="stat-label">Change Since First Run</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${trends.runs.length}</div>
+        <div class="stat-label">Runs</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${Object.keys(trends.pages).length}</div>
+        <div class="stat-label">Pages Tracked</div>
+      </div>
+    </div>
+
+    <div class="overview">
+      <div class="trend-card">
+        <div class="trend-header"><strong>Instance score</strong></div>
+        ${lineChart([{ name: 'Score', values: trends.instance }], labels, { max: 100, width: 640, height: 200 })}
+      </div>
+      <div class="trend-card">
+        <div class="trend-header"><strong>Findings</strong></div>
+        ${lineChart(counts, labels, { width: 640, height: 200 })}
+      </div>
+    </div>
+
+    <h2>📄 Pages</h2>
+    <div class="trend-grid">${Object.entries(trends.pages).map(([page, data]) => trendCard(page, data.score, labels)).join('')}
+    </div>
+
+    <h2>🧩 Components</h2>
+    <div class="trend-grid">${Object.entries(trends.components).map(([component, data]) => trendCard(component, data.score, labels)).join('')}
+    </div>
+
+    <h2>🗂️ Runs</h2>
+    <table>
+      <thead>
+        <tr><th>Run</th><th>Profile</th><th>Score</th><th>Pages</th><th>Failed</th><th>Custom elements</th><th>Spec violations</th><th>Report</th></tr>
+      </thead>
+      <tbody>${trends.runs.slice().reverse().map(run => `
+        <tr>
+          <td>${escapeHtml(run.runAt.replace('T', ' '))}</td>
+          <td>${escapeHtml(run.profile || '-')}</td>
+          <td>${run.score ?? '-'}</td>
+          <td>${run.pages}</td>
+          <td>${run.failedPages}</td>
+          <td>${run.customElements ?? '-'}</td>
+          <td>${run.specViolations ?? '-'}</td>
+          <td>${run.reportDir ? `<a href="${escapeHtml(path.relative(reportDir, path.resolve(run.reportDir)).split(path.sep).join('/'))}/">${escapeHtml(run.runId)}</a>` : '-'}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+  </div>
+</body>
+</html>`;
+
+  const reportPath = path.join(reportDir, 'trends.html');
+  fs.writeFileSync(reportPath, html);
+  console.log(`\n📄 Trend report generated: trends.html`);
+  return reportPath;
+}
+
+/**
+ * Generate the markdown trend report
+ * @param {string} reportDir - Report directory
+ * @param {Object} trends - Output of buildTrends
+ * @param {string} baseUrl - Instance the runs belong to
+ */
+function generateTrendMarkdown(reportDir, trends, baseUrl) {
+  const header = columns => `| ${columns.join(' | ')} |\n|${columns.map(() => '---').join('|')}|\n`;
+  const row = (name, values) => {
+    const { first, latest, change } = seriesChange(values);
+    return `| ${cell(name)} | ${first ?? '-'} | ${latest ?? '-'} | ${formatChange(change)} |`;
+  };
+  const instance = seriesChange(trends.instance);
+
+  const report = `# Horizon Compliance Trends
+
+**Generated:** ${getLocalISOTimestamp()}
+**Instance:** ${baseUrl}
+**Runs:** ${trends.runs.length} (${trends.runs[0].runAt} to ${trends.runs[trends.runs.length - 1].runAt})
+**Instance score:** ${instance.first ?? '-'} → ${instance.latest ?? '-'} (${formatChange(instance.change)})
+
+## Pages
+
+${header(['Page', 'First score', 'Latest score', 'Change'])}${Object.entries(trends.pages).map(([page, data]) => row(page, data.score)).join('\n')}
+
+## Components
+
+${header(['Component', 'First score', 'Latest score', 'Change'])}${Object.entries(trends.components).map(([component, data]) => row(component, data.score)).join('\n')}
+
+## Runs
+
+${header(['Run', 'Profile', 'Score', 'Pages', 'Failed', 'Custom elements', 'Spec violations', 'Report'])}${trends.runs.slice().reverse().map(run =>
+  `| ${run.runAt} | ${run.profile || '-'} | ${run.score ?? '-'} | ${run.pages} | ${run.failedPages} | ${run.customElements ?? '-'} | ${run.specViolations ?? '-'} | ${run.reportDir || '-'} |`).join('\n')}
+`;
+
+  fs.writeFileSync(path.join(reportDir, 'trends.md'), report);
+  console.log(`📄 Trend summary saved: trends.md`);
+}
+
+/**
+ * Print the trend summary to the console
+ * @param {Object} trends - Output of buildTrends
+ */
+function printTrends(trends) {
+  const instance = seriesChange(trends.instance);
+
+  console.log('\n' + '='.repeat(60));
+  console.log('📈 COMPLIANCE TRENDS');
+  console.log('='.repeat(60));
+  console.log(`\n🏅 Instance score: ${instance.first ?? '-'} → ${instance.latest ?? '-'} (${formatChange(instance.change)}) over ${trends.runs.length} run(s)`);
+
+  const print = (title, entries) => {
+    console.log(`\n${title}`);
+    entries.forEach(([name, data]) => {
+      const { latest, change } = seriesChange(data.score);
+      const icon = change > 0 ? '📈' : change < 0 ? '📉' : '➖';
+      console.log(`  ${icon} ${name}: ${latest ?? 'not scored'}${change ? ` (${formatChange(change)})` : ''}`);
+    });
+  };
+  print('📄 Pages:', Object.entries(trends.pages));
+  print('🧩 Components:', Object.entries(trends.components));
+}
+
+/**
+ * Main trend report runner
+ * Reads the run history; no browser or login is needed.
+ * @returns {Promise<Object|undefined>} Trend data
+ */
+export async function runTrendReport() {
+  console.log('🚀 Starting Compliance Trend Report\n');
+
+  const historyPath = path.resolve(config.history.file);
+  let history;
+  try {
+    history = readHistory(historyPath);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (history.skipped.length > 0) {
+    console.log(`⚠️ Skipped unreadable history line(s): ${history.skipped.join(', ')}`);
+  }
+
+  // Runs against other instances would mix into the same trend
+  const baseUrl = config.instance || config.baseUrl
+    ? config.getBaseUrl()
+    : history.entries[history.entries.length - 1]?.baseUrl;
+  let entries = history.entries.filter(entry => entry.baseUrl === baseUrl);
+  if (config.history.last) {
+    entries = entries.slice(-config.history.last);
+  }
+
+  if (entries.length === 0) {
+    console.error(`❌ No runs for ${baseUrl || 'this instance'} in ${historyPath}`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`🗂️ ${entries.length} run(s) of ${baseUrl} from ${historyPath}`);
+
+  const trends = buildTrends(entries);
+
+  const reportDir = path.join(config.outputDir, 'reports', 'trends-' + getLocalTimestamp());
+  if (!fs.existsSync(reportDir)) {
+    fs.mkdirSync(reportDir, { recursive: true });
+  }
+
+  fs.writeFileSync(path.join(reportDir, 'trends.json'), JSON.stringify({
+    generatedAt: getLocalISOTimestamp(),
+    baseUrl,
+    historyFile: historyPath,
+    ...trends
+  }, null, 2));
+  console.log(`\n💾 JSON data saved: trends.json`);
+
+  generateTrendHtml(reportDir, trends, baseUrl);
+  generateTrendMarkdown(reportDir, trends, baseUrl);
+  printTrends(trends);
+
+  console.log('\n' + '='.repeat(60));
+  console.log('✅ Trend Report Complete!');
+  console.log('='.repeat(60));
+  console.log(`\n📁 Location: ${reportDir}`);
+
+  return trends;
+}
+
+// Run the report when executed directly (npm run trends)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runTrendReport();
+}
@@ -1,11 +1,31 @@
 import puppeteer from 'puppeteer';
 import { config } from '../config.js';
+import { waitForHorizonReady } from '../utils/readiness.js';
 import { loginToServiceNow } from '../utils/auth.js';
+import { injectComponentIndex, COMPONENT_INDEX_KEY } from '../utils/component-index.js';
 import { getLocalTimestamp } from '../utils/timestamp.js';
+import { compareImages } from '../utils/image-diff.js';
+import { getFigmaNodes, getFigmaImages, downloadFigmaImage, findVariantNode } from '../utils/figma-client.js';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
 
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const require = createRequire(import.meta.url);
+const figmaMapping = require('../figma-component-mapping.json');
+
+/**
+ * Escape text for HTML content and attributes
+ * @param {*} value - Raw value
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
 
 /**
  * Create visual comparison directory
@@ -13,7 +33,7 @@ const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 function createVisualComparisonDirectory() {
   const timestamp = getLocalTimestamp();
 
-  const comparisonDir = path.join(process.cwd(), 'reports', 'visual-comparison', timestamp);
+  const comparisonDir = path.join(config.outputDir, 'reports', 'visual-comparison', timestamp);
 
   if (!fs.existsSync(comparisonDir)) {
     fs.mkdirSync(comparisonDir, { recursive: true });
@@ -25,28 +45,17 @@ function createVisualComparisonDirectory() {
 
 /**
  * Capture specific component screenshots
+ * @param {import('puppeteer').Page} page - Page with Horizon components loaded
+ * @param {string} comparisonDir - Directory for the screenshots
+ * @param {string[]} [horizonComponents] - Horizon tags to capture (config.getPageSettings(testPage).components)
  */
-async function captureComponentScreenshots(page, comparisonDir) {
+async function captureComponentScreenshots(page, comparisonDir, horizonComponents = config.horizonComponents) {
   console.log('📸 Capturing component-level screenshots...\n');
 
-  const components = await page.evaluate(() => {
-    const componentData = [];
-
-    // Function to search Shadow DOM
-    function searchInShadowDOM(root, componentName) {
-      let found = [];
-      const elements = root.querySelectorAll(componentName);
-      found.push(...Array.from(elements));
-
-      const allElements = root.querySelectorAll('*');
-      allElements.forEach(el => {
-        if (el.shadowRoot) {
-          found.push(...searchInShadowDOM(el.shadowRoot, componentName));
-        }
-      });
+  await injectComponentIndex(page, horizonComponents);
 
-      return found;
-    }
+  const components = await page.evaluate((indexKey) => {
+    const componentData = [];
 
     // Priority components to capture
     const componentsToCapture = [
@@ -60,9 +69,7 @@ async function captureComponentScreenshots(page, comparisonDir) {
     ];
 
     componentsToCapture.forEach(componentName => {
-      const elementsInMain = Array.from(document.querySelectorAll(componentName));
-      const elementsInShadow = searchInShadowDOM(document, componentName);
-      const allElements = [...elementsInMain, ...elementsInShadow];
+      const allElements = window[indexKey].components[componentName]?.elements || [];
 
       // Get first few instances of each component
       allElements.slice(0, 3).forEach((element, index) => {
@@ -88,7 +95,7 @@ async function captureComponentScreenshots(page, comparisonDir) {
     });
 
     return componentData;
-  });
+  }, COMPONENT_INDEX_KEY);
 
   console.log(`Found ${components.length} visible components to capture\n`);
 
@@ -126,10 +133,153 @@ async function captureComponentScreenshots(page, comparisonDir) {
   return components;
 }
 
+/**
+ * Compare each captured crop against its stored baseline image
+ * Adds a visualDiff entry to every component that has a screenshot.
+ * @param {string} comparisonDir - Directory holding this run's screenshots
+ * @param {Array<Object>} components - Captured component metadata
+ * @param {string} pageName - Page the components were captured on
+ */
+function compareToBaseline(comparisonDir, components, pageName) {
+  const { baselineDir, tolerance, threshold, update } = config.visualRegression;
+
+  const sanitizedName = pageName
+    .replace(/\//g, '_')
+    .replace(/[^a-zA-Z0-9_-]/g, '')
+    .replace(/^_+|_+$/g, '');
+  const pageBaselineDir = path.join(path.resolve(baselineDir), sanitizedName);
+
+  console.log(`\n🔍 Comparing against baseline: ${pageBaselineDir}\n`);
+
+  if (update && !fs.existsSync(pageBaselineDir)) {
+    fs.mkdirSync(pageBaselineDir, { recursive: true });
+  }
+
+  for (const comp of components) {
+    const filename = `${comp.component}_instance_${comp.index}.png`;
+    const actualPath = path.join(comparisonDir, filename);
+    const baselinePath = path.join(pageBaselineDir, filename);
+
+    // Screenshot was skipped during capture
+    if (!fs.existsSync(actualPath)) continue;
+
+    if (update) {
+      fs.copyFileSync(actualPath, baselinePath);
+      comp.visualDiff = { status: 'baseline-updated' };
+      console.log(`  📌 ${filename}: baseline updated`);
+    } else if (!fs.existsSync(baselinePath)) {
+      comp.visualDiff = { status: 'new' };
+      console.log(`  🆕 ${filename}: no baseline image`);
+    } else {
+      const baseName = filename.replace('.png', '');
+      const diffImage = `${baseName}.diff.png`;
+      const baselineImage = `${baseName}.baseline.png`;
+
+      const result = compareImages(actualPath, baselinePath, path.join(comparisonDir, diffImage), { threshold });
+
+      // Keep a copy of the baseline next to the report so it is self-contained
+      fs.copyFileSync(baselinePath, path.join(comparisonDir, baselineImage));
+
+      const changed = result.sizeChanged || result.mismatchPercentage > tolerance;
+      comp.visualDiff = {
+        status: changed ? 'changed' : 'unchanged',
+        ...result,
+        tolerance,
+        diffImage,
+        baselineImage
+      };
+
+      const sizeNote = result.sizeChanged ? ', size changed' : '';
+      console.log(`  ${changed ? '❌' : '✅'} ${filename}: ${result.mismatchPercentage.toFixed(2)}% mismatch${sizeNote}`);
+    }
+
+    // Update component metadata with the comparison result
+    fs.writeFileSync(actualPath.replace('.png', '.json'), JSON.stringify(comp, null, 2));
+  }
+
+  const changedCount = components.filter(c => c.visualDiff?.status === 'changed').length;
+  const newCount = components.filter(c => c.visualDiff?.status === 'new').length;
+  console.log(`\n📊 ${changedCount} changed, ${newCount} without baseline (tolerance ${tolerance}%)`);
+  if (newCount > 0 && !update) {
+    console.log('💡 Record baseline images with: horizon visual --update-visual-baseline');
+  }
+}
+
+/**
+ * Fetch Figma renders for the captured components
+ * Each instance gets the variant component matching its attributes when the
+ * mapped component set defines one, otherwise the component set itself.
+ * @param {string} comparisonDir - Directory holding this run's screenshots
+ * @param {Array<Object>} components - Captured component metadata
+ * @returns {Promise<string|null>} Why no renders were fetched, or null on success
+ */
+async function fetchFigmaRenders(comparisonDir, components) {
+  console.log('\n🎨 Fetching Figma renders...\n');
+
+  if (!config.figma.token) {
+    console.log('  ⚠️ FIGMA_TOKEN is not set, skipping Figma renders');
+    return 'FIGMA_TOKEN is not set';
+  }
+
+  const setIds = [...new Set(components
+    .map(comp => figmaMapping.componentMapping[comp.component]?.figmaComponentNodeId)
+    .filter(Boolean))];
+
+  if (setIds.length === 0) {
+    console.log('  ⚠️ No captured component has a figmaComponentNodeId');
+    return 'No captured component has a figmaComponentNodeId in figma-component-mapping.json';
+  }
+
+  try {
+    const componentSets = await getFigmaNodes(figmaMapping.fileKey, setIds);
+
+    components.forEach(comp => {
+      const componentSet = componentSets[figmaMapping.componentMapping[comp.component]?.figmaComponentNodeId];
+      if (!componentSet) return;
+
+      const node = findVariantNode(componentSet, comp.attributes);
+      comp.figma = { nodeId: node.id, nodeName: node.name };
+    });
+
+    const nodeIds = [...new Set(components.filter(c => c.figma).map(c => c.figma.nodeId))];
+    const imageUrls = await getFigmaImages(figmaMapping.fileKey, nodeIds, { scale: 2 });
+
+    const images = {};
+    for (const nodeId of nodeIds) {
+      const filename = `figma_${nodeId.replace(/:/g, '-')}.png`;
+      try {
+        if (!imageUrls[nodeId]) throw new Error('Figma returned no image');
+        await downloadFigmaImage(imageUrls[nodeId], path.join(comparisonDir, filename));
+        images[nodeId] = filename;
+        console.log(`  ✅ ${filename}`);
+      } catch (error) {
+        console.log(`  ⚠️ Skipped Figma node ${nodeId}: ${error.message}`);
+      }
+    }
+
+    components.forEach(comp => {
+      if (!comp.figma) return;
+      comp.figma.image = images[comp.figma.nodeId] || null;
+      fs.writeFileSync(
+        path.join(comparisonDir, `${comp.component}_instance_${comp.index}.json`),
+        JSON.stringify(comp, null, 2)
+      );
+    });
+
+    return null;
+  } catch (error) {
+    console.log(`  ⚠️ ${error.message}`);
+    return error.message;
+  }
+}
+
 /**
  * Generate visual comparison HTML report
+ * @param {string} comparisonDir - Directory to write the report into
+ * @param {Array<Object>} components - Captured component metadata
+ * @param {string|null} figmaError - Why Figma renders are missing, if they are
  */
-function generateVisualReport(comparisonDir, components) {
+function generateVisualReport(comparisonDir, components, figmaError) {
   const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -240,6 +390,22 @@ function generateVisualReport(comparisonDir, components) {
       border-radius: 4px;
     }
 
+    .instance-image.side-by-side {
+      display: grid;
+      grid-template-columns: 1fr 1fr;
+      gap: 12px;
+    }
+
+    .instance-image figure {
+      text-align: center;
+      font-size: 11px;
+      color: #666;
+    }
+
+    .instance-image figcaption {
+      margin-top: 4px;
+    }
+
     .instance-meta {
       padding: 16px;
       font-size: 12px;
@@ -310,6 +476,58 @@ function generateVisualReport(comparisonDir, components) {
       font-size: 14px;
       opacity: 0.9;
     }
+
+    .instance-card.changed {
+      border-color: #d32f2f;
+      box-shadow: 0 0 0 2px rgba(211, 47, 47, 0.2);
+    }
+
+    .diff-badge {
+      float: right;
+      padding: 2px 10px;
+      border-radius: 10px;
+      font-size: 11px;
+      font-weight: 600;
+    }
+
+    .diff-badge.changed {
+      background: #ffebee;
+      color: #c62828;
+    }
+
+    .diff-badge.unchanged {
+      background: #e8f5e9;
+      color: #2e7d32;
+    }
+
+    .diff-badge.new,
+    .diff-badge.baseline-updated {
+      background: #e3f2fd;
+      color: #1976d2;
+    }
+
+    .diff-images {
+      display: grid;
+      grid-template-columns: 1fr 1fr;
+      gap: 12px;
+      padding: 16px;
+      background: white;
+      border-top: 1px solid #e0e0e0;
+    }
+
+    .diff-images figure {
+      text-align: center;
+      font-size: 11px;
+      color: #666;
+    }
+
+    .diff-images img {
+      max-width: 100%;
+      height: auto;
+      border: 1px solid #e0e0e0;
+      border-radius: 4px;
+      margin-bottom: 4px;
+    }
   </style>
 </head>
 <body>
@@ -326,25 +544,31 @@ function generateVisualReport(comparisonDir, components) {
         <div class="stat-value">${components.length}</div>
         <div class="stat-label">Screenshots Captured</div>
       </div>
+      <div class="stat-card">
+        <div class="stat-value">${components.filter(c => c.visualDiff?.status === 'changed').length}</div>
+        <div class="stat-label">Changed vs. Baseline</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${components.filter(c => c.figma?.image).length}</div>
+        <div class="stat-label">With Figma Render</div>
+      </div>
       <div class="stat-card">
         <div class="stat-value">100%</div>
         <div class="stat-label">Shadow DOM</div>
       </div>
     </div>
 
-${generateComponentSections(components)}
-
+${figmaError ? `
     <div class="figma-placeholder">
-      <h3>📐 Figma Design Comparison</h3>
+      <h3>📐 Figma renders unavailable</h3>
       <p>
-        To complete the visual comparison:<br><br>
-        1. Open the Figma file in Figma Desktop<br>
-        2. Navigate to each component in the design library<br>
-        3. Select the component and use Figma MCP: <code>get_screenshot</code><br>
-        4. Place Figma screenshots alongside ServiceNow screenshots<br>
-        5. Compare variants, sizing, spacing, and colors
+        ${escapeHtml(figmaError)}<br><br>
+        Set <code>FIGMA_TOKEN</code> in .env (and <code>FIGMA_API_BASE_URL</code> for a local stand-in)<br>
+        to show the mapped Figma component next to each ServiceNow screenshot.
       </p>
     </div>
+` : ''}
+${generateComponentSections(components)}
   </div>
 </body>
 </html>`;
@@ -356,6 +580,19 @@ ${generateComponentSections(components)}
   return reportPath;
 }
 
+function generateDiffBadge(visualDiff) {
+  if (!visualDiff) return '';
+
+  const labels = {
+    changed: `Changed ${visualDiff.mismatchPercentage?.toFixed(2)}%`,
+    unchanged: `Unchanged ${visualDiff.mismatchPercentage?.toFixed(2)}%`,
+    new: 'No baseline',
+    'baseline-updated': 'Baseline updated'
+  };
+
+  return `<span class="diff-badge ${visualDiff.status}">${labels[visualDiff.status]}</span>`;
+}
+
 function generateComponentSections(components) {
   const grouped = components.reduce((acc, comp) => {
     if (!acc[comp.component]) {
@@ -365,25 +602,53 @@ function generateComponentSections(components) {
     return acc;
   }, {});
 
-  return Object.entries(grouped).map(([componentName, instances]) => {
+  return Object.entries(grouped).map(([component, instances]) => {
+    const componentName = escapeHtml(component);
     const instanceCards = instances.map(inst => `
-      <div class="instance-card">
-        <div class="instance-header">Instance ${inst.index}</div>
-        <div class="instance-image">
-          <img src="${componentName}_instance_${inst.index}.png" alt="${componentName} instance ${inst.index}">
+      <div class="instance-card${inst.visualDiff?.status === 'changed' ? ' changed' : ''}">
+        <div class="instance-header">
+          Instance ${inst.index}
+          ${generateDiffBadge(inst.visualDiff)}
+        </div>
+        <div class="instance-image${inst.figma?.image ? ' side-by-side' : ''}">
+          <figure>
+            <img src="${componentName}_instance_${inst.index}.png" alt="${componentName} instance ${inst.index}">
+            ${inst.figma?.image ? '<figcaption>ServiceNow</figcaption>' : ''}
+          </figure>
+          ${inst.figma?.image ? `
+          <figure>
+            <img src="${escapeHtml(inst.figma.image)}" alt="${componentName} Figma ${escapeHtml(inst.figma.nodeName)}">
+            <figcaption>Figma</figcaption>
+          </figure>` : ''}
         </div>
         <div class="instance-meta">
           <div class="meta-row">
             <div class="meta-label">Size:</div>
             <div class="meta-value">${Math.round(inst.rect.width)}×${Math.round(inst.rect.height)}px</div>
           </div>
+          ${inst.figma ? `
+          <div class="meta-row">
+            <div class="meta-label">Figma:</div>
+            <div class="meta-value">${escapeHtml(inst.figma.nodeName)} (${escapeHtml(inst.figma.nodeId)})</div>
+          </div>` : ''}
           ${Object.entries(inst.attributes).slice(0, 3).map(([key, value]) => `
             <div class="meta-row">
-              <div class="meta-label">${key}:</div>
-              <div class="meta-value">${value || '(empty)'}</div>
+              <div class="meta-label">${escapeHtml(key)}:</div>
+              <div class="meta-value">${escapeHtml(value || '(empty)')}</div>
             </div>
           `).join('')}
         </div>
+        ${inst.visualDiff?.status === 'changed' ? `
+        <div class="diff-images">
+          <figure>
+            <img src="${escapeHtml(inst.visualDiff.baselineImage)}" alt="${componentName} instance ${inst.index} baseline">
+            <figcaption>Baseline</figcaption>
+          </figure>
+          <figure>
+            <img src="${escapeHtml(inst.visualDiff.diffImage)}" alt="${componentName} instance ${inst.index} diff">
+            <figcaption>Diff</figcaption>
+          </figure>
+        </div>` : ''}
       </div>
     `).join('');
 
@@ -403,11 +668,12 @@ function generateComponentSections(components) {
 
 /**
  * Main visual comparison runner
+ * @returns {Promise<Array<Object>|undefined>} Captured component metadata
  */
-async function runVisualComparison() {
+export async function runVisualComparison() {
   console.log('🚀 Starting Visual Comparison Generator\n');
 
-  if (!config.instance || !config.username || !config.password) {
+  if (!config.isConfigured()) {
     console.error('❌ Missing ServiceNow configuration in .env file');
     process.exit(1);
   }
@@ -418,11 +684,10 @@ async function runVisualComparison() {
   try {
     const page = await browser.newPage();
 
-    // Set larger viewport for better component visibility
+    // Use the configured viewport at a higher resolution for clarity
     await page.setViewport({
-      width: 1920,
-      height: 1080,
-      deviceScaleFactor: 2 // Higher resolution for clarity
+      ...config.puppeteerOptions.defaultViewport,
+      deviceScaleFactor: 2
     });
 
     await loginToServiceNow(page);
@@ -433,12 +698,17 @@ async function runVisualComparison() {
 
     console.log(`📄 Analyzing page: ${testPage}\n`);
 
+    // The page's viewport override, still at the higher resolution
+    const settings = config.getPageSettings(testPage);
+    await page.setViewport({ ...settings.viewport, deviceScaleFactor: 2 });
+
     await page.goto(fullUrl, {
       waitUntil: 'networkidle2',
       timeout: config.timeouts.navigation
     });
 
-    await sleep(config.timeouts.componentLoad + 5000);
+    const readiness = await waitForHorizonReady(page, { timeout: settings.wait });
+    if (!readiness.ready) console.log(`⚠️ ${readiness.message}`);
 
     // Capture full page screenshot first
     const fullPagePath = path.join(comparisonDir, 'full-page.png');
@@ -449,10 +719,16 @@ async function runVisualComparison() {
     console.log('✅ Full page screenshot captured\n');
 
     // Capture individual components
-    const components = await captureComponentScreenshots(page, comparisonDir);
+    const components = await captureComponentScreenshots(page, comparisonDir, settings.components);
+
+    // Compare against baseline images
+    compareToBaseline(comparisonDir, components, testPage);
+
+    // Fetch the matching Figma renders
+    const figmaError = await fetchFigmaRenders(comparisonDir, components);
 
     // Generate HTML report
-    const reportPath = generateVisualReport(comparisonDir, components);
+    const reportPath = generateVisualReport(comparisonDir, components, figmaError);
 
     console.log('\n' + '='.repeat(60));
     console.log('✅ Visual Comparison Complete!');
@@ -460,7 +736,11 @@ async function runVisualComparison() {
     console.log(`\n📁 Location: ${comparisonDir}`);
     console.log(`📄 Report: ${path.basename(reportPath)}`);
     console.log(`\n💡 Open the HTML report in your browser to view results`);
-    console.log(`💡 Use Figma Desktop + MCP to capture matching design screenshots`);
+    if (figmaError) {
+      console.log(`💡 Set FIGMA_TOKEN to show Figma renders next to the screenshots`);
+    }
+
+    return components;
 
   } catch (error) {
     console.error('❌ Fatal error:', error);
@@ -469,4 +749,7 @@ async function runVisualComparison() {
   }
 }
 
-runVisualComparison();
+// Run the visual comparison when executed directly (npm run visual-compare)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runVisualComparison();
+}
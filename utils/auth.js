@@ -1,41 +1,213 @@
 import { config } from '../config.js';
+import fs from 'fs';
+import path from 'path';
+import { generateTotp, totpSecondsRemaining } from './totp.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
- * Login to ServiceNow instance
+ * Enter a TOTP code when the instance or IdP asks for one
+ * Does nothing when no TOTP secret is configured or no code field appears.
+ * @param {import('puppeteer').Page} page - Page that just submitted a password
+ */
+async function completeMfa(page) {
+  const { secret, inputSelector, submitSelector } = config.auth.totp;
+  if (!secret) return;
+
+  const input = await page.waitForSelector(inputSelector, { timeout: config.timeouts.login }).catch(() => null);
+  if (!input) return;
+
+  // Avoid submitting a code that expires before the server checks it
+  const remaining = totpSecondsRemaining();
+  if (remaining < 3) await sleep(remaining * 1000);
+
+  console.log('🔢 Entering MFA code...');
+  await input.type(generateTotp(secret));
+
+  await Promise.all([
+    page.click(submitSelector),
+    page.waitForNavigation({ waitUntil: 'networkidle2', timeout: config.timeouts.navigation })
+  ]);
+}
+
+/**
+ * Native login.do form (#user_name / #user_password)
  * @param {import('puppeteer').Page} page - Puppeteer page instance
  */
-export async function loginToServiceNow(page) {
-  console.log('🔐 Logging into ServiceNow...');
+async function loginWithForm(page) {
+  // Navigate to login page
+  await page.goto(`${config.getBaseUrl()}/login.do`, {
+    waitUntil: 'networkidle2',
+    timeout: config.timeouts.navigation
+  });
 
-  const baseUrl = config.getBaseUrl();
+  // Wait for login form
+  await page.waitForSelector('#user_name', { timeout: config.timeouts.login });
 
-  try {
-    // Navigate to login page
-    await page.goto(`${baseUrl}/login.do`, {
-      waitUntil: 'networkidle2',
-      timeout: config.timeouts.navigation
-    });
+  // Fill in credentials
+  await page.type('#user_name', config.username);
+  await page.type('#user_password', config.password);
+
+  // Submit login form
+  await Promise.all([
+    page.click('#sysverb_login'),
+    page.waitForNavigation({ waitUntil: 'networkidle2', timeout: config.timeouts.navigation })
+  ]);
+
+  await completeMfa(page);
+}
+
+/**
+ * SAML SSO: follow the instance's redirect to the IdP, submit the IdP login
+ * form (and MFA code), and wait for the IdP to post back to the instance
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ */
+async function loginWithSaml(page) {
+  const { loginPath, usernameSelector, passwordSelector, submitSelector } = config.auth.saml;
+  const instanceOrigin = new URL(config.getBaseUrl()).origin;
 
-    // Wait for login form
-    await page.waitForSelector('#user_name', { timeout: config.timeouts.login });
+  await page.goto(`${config.getBaseUrl()}${loginPath}`, {
+    waitUntil: 'networkidle2',
+    timeout: config.timeouts.navigation
+  });
 
-    // Fill in credentials
-    await page.type('#user_name', config.username);
-    await page.type('#user_password', config.password);
+  // Already signed in at the IdP: it posts straight back to the instance
+  if (new URL(page.url()).origin !== instanceOrigin) {
+    console.log(`   IdP: ${new URL(page.url()).origin}`);
+
+    await page.waitForSelector(usernameSelector, { timeout: config.timeouts.login });
+    await page.type(usernameSelector, config.username);
+
+    // Some IdPs ask for the user name and password on separate pages
+    if (!await page.$(passwordSelector)) {
+      await Promise.all([
+        page.click(submitSelector),
+        page.waitForSelector(passwordSelector, { timeout: config.timeouts.login })
+      ]);
+    }
+    await page.type(passwordSelector, config.password);
 
-    // Submit login form
     await Promise.all([
-      page.click('#sysverb_login'),
+      page.click(submitSelector),
       page.waitForNavigation({ waitUntil: 'networkidle2', timeout: config.timeouts.navigation })
     ]);
 
+    await completeMfa(page);
+  }
+
+  await page.waitForFunction(origin => window.location.origin === origin, {
+    timeout: config.timeouts.navigation
+  }, instanceOrigin);
+  await page.waitForNetworkIdle({ timeout: config.timeouts.navigation }).catch(() => {});
+}
+
+/**
+ * OAuth bearer token: send the token with requests to the instance until it
+ * starts a session, then continue with the session cookie
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ */
+async function loginWithOAuthToken(page) {
+  const instanceOrigin = new URL(config.getBaseUrl()).origin;
+  const checkUrl = `${config.getBaseUrl()}${config.session.checkPath}`;
+
+  // Only requests to the instance get the token
+  const addToken = request => {
+    if (request.isInterceptResolutionHandled()) return;
+    const headers = request.headers();
+    if (new URL(request.url()).origin === instanceOrigin) {
+      headers.authorization = `Bearer ${config.auth.oauthToken}`;
+    }
+    request.continue({ headers });
+  };
+
+  await page.setRequestInterception(true);
+  page.on('request', addToken);
+  try {
+    await page.goto(checkUrl, { waitUntil: 'networkidle2', timeout: config.timeouts.navigation });
+  } finally {
+    page.off('request', addToken);
+    await page.setRequestInterception(false);
+  }
+
+  // Other pages (and later runs) only have the session cookie
+  await page.goto(checkUrl, { waitUntil: 'networkidle2', timeout: config.timeouts.navigation });
+  if (!await isLoggedIn(page)) {
+    throw new Error('Instance did not start a session for the OAuth token');
+  }
+}
+
+/**
+ * Existing session: set the cookies from SN_SESSION_COOKIE ("name=value; name2=value2")
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ */
+async function loginWithSessionCookie(page) {
+  const url = new URL(config.getBaseUrl());
+  const cookies = config.auth.sessionCookie
+    .split(';')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [name, ...value] = part.split('=');
+      return {
+        name: name.trim(),
+        value: value.join('=').trim(),
+        domain: url.hostname,
+        path: '/',
+        secure: url.protocol === 'https:',
+        httpOnly: true
+      };
+    });
+
+  await page.browserContext().setCookie(...cookies);
+  await page.goto(`${config.getBaseUrl()}${config.session.checkPath}`, {
+    waitUntil: 'networkidle2',
+    timeout: config.timeouts.navigation
+  });
+}
+
+/**
+ * Login strategies selected with config.auth.strategy (SN_AUTH_STRATEGY or --auth)
+ * Each one leaves the page on the instance, logged in, or throws.
+ */
+export const LOGIN_STRATEGIES = {
+  form: { description: 'login.do form', login: loginWithForm },
+  saml: { description: 'SAML SSO', login: loginWithSaml },
+  oauth: { description: 'OAuth bearer token', login: loginWithOAuthToken },
+  cookie: { description: 'session cookie', login: loginWithSessionCookie }
+};
+
+/**
+ * Login to ServiceNow instance
+ * Reuses the session saved by the previous run when it is still valid and
+ * only runs the login strategy when it has expired.
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ */
+export async function loginToServiceNow(page) {
+  if (config.session.reuse && await restoreSession(page)) {
+    console.log('✅ Reused saved session');
+    return true;
+  }
+
+  const strategy = LOGIN_STRATEGIES[config.auth.strategy];
+  if (!strategy) {
+    throw new Error(`Unknown login strategy "${config.auth.strategy}". Expected one of: ${Object.keys(LOGIN_STRATEGIES).join(', ')}`);
+  }
+
+  console.log(`🔐 Logging into ServiceNow (${strategy.description})...`);
+
+  try {
+    await strategy.login(page);
+
     // Verify login success
-    const currentUrl = page.url();
-    if (currentUrl.includes('login.do')) {
+    if (!await isLoggedIn(page)) {
       throw new Error('Login failed - still on login page');
     }
 
     console.log('✅ Successfully logged in');
+
+    if (config.session.file) {
+      await saveSession(page);
+    }
     return true;
   } catch (error) {
     console.error('❌ Login failed:', error.message);
@@ -49,7 +221,104 @@ export async function loginToServiceNow(page) {
  */
 export async function isLoggedIn(page) {
   const currentUrl = page.url();
-  return !currentUrl.includes('login.do');
+  if (currentUrl.includes('login.do')) return false;
+
+  // Some instances render the login form (or the MFA prompt) without redirecting to login.do
+  const loginForm = await page.$(`#user_name, ${config.auth.totp.inputSelector}`).catch(() => null);
+  return !loginForm;
+}
+
+/**
+ * Path of the saved session file
+ */
+function sessionPath() {
+  return path.resolve(config.session.file);
+}
+
+/**
+ * Save the session cookies and local storage of a logged-in page
+ * The file holds live session credentials, so it is only readable by the owner.
+ * @param {import('puppeteer').Page} page - Logged-in page on the instance
+ */
+export async function saveSession(page) {
+  try {
+    const cookies = await page.browserContext().cookies();
+    const localStorage = await page.evaluate(() => Object.fromEntries(
+      Object.keys(window.localStorage).map(key => [key, window.localStorage.getItem(key)])
+    ));
+
+    fs.writeFileSync(sessionPath(), JSON.stringify({
+      baseUrl: config.getBaseUrl(),
+      username: config.username,
+      savedAt: new Date().toISOString(),
+      cookies,
+      localStorage
+    }, null, 2), { mode: 0o600 });
+    // mode only applies to a new file; tighten a session file that already existed
+    fs.chmodSync(sessionPath(), 0o600);
+
+    console.log(`💾 Session saved to: ${sessionPath()}`);
+  } catch (error) {
+    console.error('⚠️ Could not save session:', error.message);
+  }
+}
+
+/**
+ * Restore the saved session into a page and check that it is still valid
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @returns {Promise<boolean>} True when the page is logged in with the saved session
+ */
+export async function restoreSession(page) {
+  const filePath = sessionPath();
+  if (!config.session.file || !fs.existsSync(filePath)) return false;
+
+  let session;
+  try {
+    session = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`⚠️ Ignoring unreadable session file ${filePath}:`, error.message);
+    return false;
+  }
+
+  // A session only applies to the instance and user it was created for
+  if (session.baseUrl !== config.getBaseUrl() || session.username !== config.username) {
+    return false;
+  }
+
+  console.log(`🔑 Restoring session saved ${session.savedAt}...`);
+
+  try {
+    await page.browserContext().setCookie(...session.cookies);
+
+    await page.goto(`${config.getBaseUrl()}${config.session.checkPath}`, {
+      waitUntil: 'networkidle2',
+      timeout: config.timeouts.navigation
+    });
+
+    if (!await isLoggedIn(page)) {
+      console.log('⏳ Saved session has expired');
+      await page.browserContext().deleteCookie(...session.cookies);
+      return false;
+    }
+
+    await page.evaluate(entries => {
+      Object.entries(entries).forEach(([key, value]) => window.localStorage.setItem(key, value));
+    }, session.localStorage || {});
+
+    return true;
+  } catch (error) {
+    console.error('⚠️ Could not restore session:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Delete the saved session file
+ */
+export function clearSession() {
+  if (config.session.file && fs.existsSync(sessionPath())) {
+    fs.unlinkSync(sessionPath());
+  }
 }
 
 /**
@@ -67,6 +336,9 @@ export async function logout(page) {
       timeout: config.timeouts.navigation
     });
 
+    // The saved session is no longer valid on the server
+    clearSession();
+
     console.log('✅ Logged out successfully');
   } catch (error) {
     console.error('⚠️ Logout warning:', error.message);
@@ -0,0 +1,233 @@
+/**
+ * Baseline snapshots and regression diffs between validator runs
+ *
+ * A baseline stores the per-page audit results (component counts, variants,
+ * sizes, custom patterns, spec violations). Diffing a later run against it
+ * shows what a platform upgrade or UI Builder change did to Horizon usage.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getLocalISOTimestamp } from './timestamp.js';
+
+/**
+ * Strip the per-run instance number so violations compare across runs
+ * ("Instance 3: invalid size(s) ..." -> "invalid size(s) ...")
+ * @param {string} violation - Violation message from validateComponentSpecs
+ */
+function normalizeViolation(violation) {
+  return violation.replace(/^Instance \d+:\s*/, '');
+}
+
+/**
+ * Count identical normalized messages
+ * @param {string[]} violations - Violation messages
+ * @returns {Object<string, number>}
+ */
+function countViolations(violations) {
+  return violations.map(normalizeViolation).reduce((acc, message) => {
+    acc[message] = (acc[message] || 0) + 1;
+    return acc;
+  }, {});
+}
+
+/**
+ * Build a baseline snapshot from validator results
+ * @param {Array<Object>} pageResults - Per-page validator results
+ * @param {Object} [meta] - Run metadata ({ baseUrl })
+ */
+export function createBaselineSnapshot(pageResults, meta = {}) {
+  const pages = {};
+
+  pageResults.forEach(result => {
+    // Pages that failed to load carry no audit data worth keeping
+    if (result.error) return;
+
+    pages[result.page] = {
+      components: Object.fromEntries(
+        Object.entries(result.horizonResults).map(([name, data]) => [name, {
+          count: data.count,
+          variants: data.variants || [],
+          sizes: data.sizes || []
+        }])
+      ),
+      customPatterns: { ...result.customResults },
+      specViolations: Object.fromEntries(
+        Object.entries(result.specViolations).map(([name, violations]) => [name, countViolations(violations)])
+      )
+    };
+  });
+
+  return {
+    createdAt: getLocalISOTimestamp(),
+    baseUrl: meta.baseUrl,
+    pages
+  };
+}
+
+/**
+ * Save a baseline snapshot
+ * @param {string} filePath - Baseline file path
+ * @param {Object} snapshot - Output of createBaselineSnapshot
+ */
+export function saveBaseline(filePath, snapshot) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(snapshot, null, 2) + '\n');
+}
+
+/**
+ * Save the results of a run as the new baseline
+ * Nothing is written when a page failed to load: its entry would be missing
+ * and every later run would report the page as new instead of diffing it.
+ * @param {string} filePath - Baseline file path
+ * @param {Array<Object>} pageResults - Per-page validator results
+ * @param {Object} [meta] - Run metadata ({ baseUrl })
+ * @returns {{saved: boolean, failedPages: string[]}}
+ */
+export function recordBaseline(filePath, pageResults, meta = {}) {
+  const failedPages = pageResults.filter(result => result.error).map(result => result.page);
+  if (failedPages.length > 0) {
+    return { saved: false, failedPages };
+  }
+
+  saveBaseline(filePath, createBaselineSnapshot(pageResults, meta));
+  return { saved: true, failedPages };
+}
+
+/**
+ * Load a baseline snapshot
+ * @param {string} filePath - Baseline file path
+ * @returns {Object|null} Snapshot, or null when the file does not exist
+ */
+export function loadBaseline(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Diff two snapshots page by page
+ * @param {Object} baseline - Stored snapshot
+ * @param {Object} current - Snapshot of the current run
+ * @returns {{pages: Object<string, Object>, missingPages: string[], newPages: string[], regressions: number}}
+ */
+export function diffSnapshots(baseline, current) {
+  const pages = {};
+  let regressions = 0;
+
+  const missingPages = Object.keys(baseline.pages).filter(page => !current.pages[page]);
+  const newPages = Object.keys(current.pages).filter(page => !baseline.pages[page]);
+
+  Object.entries(current.pages).forEach(([page, now]) => {
+    const before = baseline.pages[page];
+    if (!before) return;
+
+    const changes = {
+      disappearedComponents: [],
+      newComponents: [],
+      countChanges: [],
+      newVariants: [],
+      newSizes: [],
+      newCustomPatterns: [],
+      resolvedCustomPatterns: [],
+      newViolations: [],
+      resolvedViolations: []
+    };
+
+    // Components
+    Object.entries(before.components).forEach(([name, data]) => {
+      if (!now.components[name]) {
+        changes.disappearedComponents.push({ component: name, count: data.count });
+      }
+    });
+
+    Object.entries(now.components).forEach(([name, data]) => {
+      const previous = before.components[name];
+      if (!previous) {
+        changes.newComponents.push({ component: name, count: data.count });
+        return;
+      }
+      if (previous.count !== data.count) {
+        changes.countChanges.push({ component: name, before: previous.count, after: data.count });
+      }
+      data.variants.filter(v => !previous.variants.includes(v))
+        .forEach(variant => changes.newVariants.push({ component: name, variant }));
+      data.sizes.filter(s => !previous.sizes.includes(s))
+        .forEach(size => changes.newSizes.push({ component: name, size }));
+    });
+
+    // Custom patterns: any increase is a regression
+    Object.entries(now.customPatterns).forEach(([pattern, count]) => {
+      const previous = before.customPatterns[pattern] || 0;
+      if (count > previous) {
+        changes.newCustomPatterns.push({ pattern, before: previous, after: count });
+      }
+    });
+    Object.entries(before.customPatterns).forEach(([pattern, count]) => {
+      const after = now.customPatterns[pattern] || 0;
+      if (after < count) {
+        changes.resolvedCustomPatterns.push({ pattern, before: count, after });
+      }
+    });
+
+    // Spec violations, compared by normalized message and count
+    const components = new Set([...Object.keys(before.specViolations), ...Object.keys(now.specViolations)]);
+    components.forEach(name => {
+      const previous = before.specViolations[name] || {};
+      const latest = now.specViolations[name] || {};
+
+      Object.entries(latest).forEach(([message, count]) => {
+        const added = count - (previous[message] || 0);
+        if (added > 0) changes.newViolations.push({ component: name, message, count: added });
+      });
+      Object.entries(previous).forEach(([message, count]) => {
+        const removed = count - (latest[message] || 0);
+        if (removed > 0) changes.resolvedViolations.push({ component: name, message, count: removed });
+      });
+    });
+
+    const pageRegressions = changes.disappearedComponents.length +
+      changes.newCustomPatterns.length +
+      changes.newViolations.length;
+    regressions += pageRegressions;
+
+    const hasChanges = Object.values(changes).some(list => list.length > 0);
+    if (hasChanges) {
+      pages[page] = { ...changes, regressions: pageRegressions };
+    }
+  });
+
+  return { baselineCreatedAt: baseline.createdAt, pages, missingPages, newPages, regressions };
+}
+
+/**
+ * Print a baseline diff to the console
+ * @param {Object} diff - Output of diffSnapshots
+ */
+export function printBaselineDiff(diff) {
+  console.log('\n' + '='.repeat(60));
+  console.log(`🔁 CHANGES SINCE BASELINE (${diff.baselineCreatedAt})`);
+  console.log('='.repeat(60));
+
+  if (Object.keys(diff.pages).length === 0 && diff.missingPages.length === 0 && diff.newPages.length === 0) {
+    console.log('\n✅ No changes since baseline\n');
+    return;
+  }
+
+  diff.missingPages.forEach(page => console.log(`\n⚠️ ${page}: in baseline but not audited in this run`));
+  diff.newPages.forEach(page => console.log(`\nℹ️ ${page}: not in baseline`));
+
+  Object.entries(diff.pages).forEach(([page, changes]) => {
+    console.log(`\n📄 ${page}`);
+    changes.newCustomPatterns.forEach(c => console.log(`  ❌ New custom ${c.pattern}: ${c.before} → ${c.after}`));
+    changes.disappearedComponents.forEach(c => console.log(`  ❌ ${c.component} disappeared (was ${c.count})`));
+    changes.newViolations.forEach(v => console.log(`  ❌ New violation on ${v.component}: ${v.message}${v.count > 1 ? ` (×${v.count})` : ''}`));
+    changes.newComponents.forEach(c => console.log(`  ➕ ${c.component} appeared (${c.count})`));
+    changes.countChanges.forEach(c => console.log(`  🔢 ${c.component}: ${c.before} → ${c.after}`));
+    changes.newVariants.forEach(v => console.log(`  🎨 ${v.component}: new variant "${v.variant}"`));
+    changes.newSizes.forEach(s => console.log(`  📏 ${s.component}: new size "${s.size}"`));
+    changes.resolvedCustomPatterns.forEach(c => console.log(`  ✅ Fewer custom ${c.pattern}: ${c.before} → ${c.after}`));
+    changes.resolvedViolations.forEach(v => console.log(`  ✅ Resolved violation on ${v.component}: ${v.message}`));
+  });
+
+  console.log(`\n${diff.regressions > 0 ? '❌' : '✅'} ${diff.regressions} regression(s) since baseline\n`);
+}
@@ -0,0 +1,155 @@
+/**
+ * CSS color parsing and WCAG contrast helpers
+ *
+ * Horizon tokens store colors as bare RGB triplets ("3, 45, 66") used as
+ * rgb(var(--now-color--primary-1)), so those are accepted alongside hex,
+ * rgb() and rgba() values.
+ */
+
+/**
+ * WCAG 2.1 AA minimum contrast ratios
+ */
+export const CONTRAST_MINIMUM = { normal: 4.5, large: 3 };
+
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  transparent: [0, 0, 0, 0]
+};
+
+/**
+ * Parse a CSS color value
+ * @param {string} value - Hex, rgb(), rgba(), bare "r, g, b" triplet or black/white/transparent
+ * @returns {{r: number, g: number, b: number, a: number}|null} Null when the value is not a color
+ */
+export function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim().toLowerCase();
+
+  if (NAMED_COLORS[text]) {
+    const [r, g, b, a = 1] = NAMED_COLORS[text];
+    return { r, g, b, a };
+  }
+
+  const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(text);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) {
+      digits = digits.split('').map(d => d + d).join('');
+    }
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+    };
+  }
+
+  const rgb = /^(?:rgba?\()?\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)?$/.exec(text);
+  if (rgb && (text.startsWith('rgb') || !text.includes('('))) {
+    let a = rgb[4] === undefined ? 1 : parseFloat(rgb[4]);
+    if (rgb[4]?.endsWith('%')) a /= 100;
+    return { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]), a };
+  }
+
+  return null;
+}
+
+/**
+ * Format a parsed color the way getComputedStyle reports it
+ * @param {{r: number, g: number, b: number, a: number}} color - Parsed color
+ */
+export function formatColor({ r, g, b, a }) {
+  return a === 1 ? `rgb(${r}, ${g}, ${b})` : `rgba(${r}, ${g}, ${b}, ${Number(a.toFixed(3))})`;
+}
+
+/**
+ * True when two color values describe the same color
+ * @param {string} first - CSS color
+ * @param {string} second - CSS color
+ * @param {number} [tolerance] - Allowed difference per channel (0-255)
+ */
+export function colorsEqual(first, second, tolerance = 1) {
+  const a = parseColor(first);
+  const b = parseColor(second);
+  if (!a || !b) return false;
+
+  return Math.abs(a.r - b.r) <= tolerance &&
+    Math.abs(a.g - b.g) <= tolerance &&
+    Math.abs(a.b - b.b) <= tolerance &&
+    Math.abs(a.a - b.a) <= 0.01;
+}
+
+/**
+ * Composite a translucent color over an opaque background
+ * @param {{r: number, g: number, b: number, a: number}} foreground - Parsed color
+ * @param {{r: number, g: number, b: number, a: number}} background - Parsed opaque color
+ */
+export function blendColors(foreground, background) {
+  const a = foreground.a;
+  return {
+    r: Math.round(foreground.r * a + background.r * (1 - a)),
+    g: Math.round(foreground.g * a + background.g * (1 - a)),
+    b: Math.round(foreground.b * a + background.b * (1 - a)),
+    a: 1
+  };
+}
+
+/**
+ * WCAG relative luminance of an opaque color
+ * @param {{r: number, g: number, b: number}} color - Parsed color
+ */
+export function relativeLuminance({ r, g, b }) {
+  const channel = value => {
+    const srgb = value / 255;
+    return srgb <= 0.03928 ? srgb / 12.92 : Math.pow((srgb + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+/**
+ * WCAG contrast ratio between two opaque colors (1-21)
+ * @param {{r: number, g: number, b: number}} first - Parsed color
+ * @param {{r: number, g: number, b: number}} second - Parsed color
+ */
+export function contrastRatio(first, second) {
+  const l1 = relativeLuminance(first);
+  const l2 = relativeLuminance(second);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * Resolve the opaque background behind an element from its background layers
+ * @param {string[]} layers - background-color values from the element outwards
+ * @param {string} [canvas] - Color assumed behind the outermost layer
+ * @returns {{r: number, g: number, b: number, a: number}}
+ */
+export function effectiveBackground(layers, canvas = '#ffffff') {
+  return layers
+    .map(parseColor)
+    .filter(Boolean)
+    .reverse()
+    .reduce((below, layer) => blendColors(layer, below), parseColor(canvas));
+}
+
+/**
+ * Check text contrast against WCAG 2.1 AA
+ * Large text (24px, or 18.66px bold) needs 3:1, other text 4.5:1.
+ * @param {Object} text - Computed text styles
+ * @param {string} text.color - Text color
+ * @param {string[]} text.background - background-color values from the element outwards
+ * @param {number} text.fontSize - Font size in px
+ * @param {number} text.fontWeight - Numeric font weight
+ * @returns {{ratio: number, minimum: number, background: Object, passes: boolean}|null} Null when the text color cannot be parsed
+ */
+export function checkTextContrast({ color, background, fontSize, fontWeight }) {
+  const foreground = parseColor(color);
+  if (!foreground) return null;
+
+  const behind = effectiveBackground(background);
+  const ratio = contrastRatio(blendColors(foreground, behind), behind);
+  const large = fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+  const minimum = large ? CONTRAST_MINIMUM.large : CONTRAST_MINIMUM.normal;
+
+  return { ratio, minimum, background: behind, passes: ratio >= minimum };
+}
@@ -0,0 +1,94 @@
+/**
+ * Shared Horizon component indexer
+ *
+ * Walks the document and every open shadow root exactly once and groups all
+ * configured Horizon tags, so each script gets the same deduplicated counts
+ * without re-running querySelectorAll('*') per component name.
+ */
+
+import { config } from '../config.js';
+
+/**
+ * Name of the window property the index is stored under inside the page
+ */
+export const COMPONENT_INDEX_KEY = '__horizonComponentIndex';
+
+/**
+ * Build the component index. Runs inside the browser, so it must stay
+ * self-contained (no references to module scope).
+ *
+ * @param {string[]} horizonComponents - Tag names to index
+ * @returns {{components: Object<string, {elements: Element[], countInMain: number, countInShadow: number}>, shadowRootCount: number, elementCount: number}}
+ */
+export function buildComponentIndex(horizonComponents) {
+  const wanted = new Set(horizonComponents.map(name => name.toLowerCase()));
+  const found = {};
+  let shadowRootCount = 0;
+  let elementCount = 0;
+
+  const roots = [document];
+
+  while (roots.length > 0) {
+    const root = roots.shift();
+    const inShadow = root !== document;
+
+    root.querySelectorAll('*').forEach(el => {
+      elementCount++;
+
+      const tagName = el.tagName.toLowerCase();
+      if (wanted.has(tagName)) {
+        if (!found[tagName]) {
+          found[tagName] = { elements: [], countInMain: 0, countInShadow: 0 };
+        }
+        found[tagName].elements.push(el);
+        if (inShadow) {
+          found[tagName].countInShadow++;
+        } else {
+          found[tagName].countInMain++;
+        }
+      }
+
+      if (el.shadowRoot) {
+        shadowRootCount++;
+        roots.push(el.shadowRoot);
+      }
+    });
+  }
+
+  // Keep the configured component order so reports stay stable between runs
+  const components = {};
+  horizonComponents.forEach(name => {
+    const tagName = name.toLowerCase();
+    if (found[tagName]) components[tagName] = found[tagName];
+  });
+
+  return { components, shadowRootCount, elementCount };
+}
+
+/**
+ * Index Horizon components on the current page and keep the result on
+ * window[COMPONENT_INDEX_KEY] for later page.evaluate calls.
+ * Call again after navigation or any change to the DOM you want reflected.
+ *
+ * @param {import('puppeteer').Page|import('puppeteer').Frame} page - Puppeteer page or frame
+ * @param {string[]} [horizonComponents] - Tag names to index (defaults to config.horizonComponents;
+ *   pass config.getPageSettings(testPage).components to leave out a page's skipComponents)
+ * @returns {Promise<Object<string, {countInMain: number, countInShadow: number, count: number}>>} Per-component counts
+ */
+export async function injectComponentIndex(page, horizonComponents = config.horizonComponents) {
+  const source = `(() => {
+    const index = (${buildComponentIndex.toString()})(${JSON.stringify(horizonComponents)});
+    window[${JSON.stringify(COMPONENT_INDEX_KEY)}] = index;
+    const counts = {};
+    Object.entries(index.components).forEach(([name, data]) => {
+      counts[name] = {
+        count: data.elements.length,
+        countInMain: data.countInMain,
+        countInShadow: data.countInShadow
+      };
+    });
+    return counts;
+  })()`;
+
+  return await page.evaluate(source);
+}
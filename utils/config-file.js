@@ -0,0 +1,260 @@
+/**
+ * Project configuration file (horizon.config.json / .yaml / .yml)
+ *
+ * The file is validated against horizon.config.schema.json and merged over
+ * the defaults in config.js: objects are merged key by key, arrays and other
+ * values replace the default. Only the JSON Schema keywords the schema uses
+ * are implemented, so the tool needs no schema library.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { fileURLToPath } from 'url';
+
+export const CONFIG_FILE_NAMES = ['horizon.config.json', 'horizon.config.yaml', 'horizon.config.yml'];
+
+export const CONFIG_SCHEMA_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'horizon.config.schema.json');
+
+/**
+ * Find the config file to load
+ * --config <file> wins over HORIZON_CONFIG, which wins over a horizon.config.*
+ * file in the working directory.
+ * @param {Object} [options]
+ * @param {string[]} [options.argv] - Command line arguments
+ * @param {Object} [options.env] - Environment variables
+ * @param {string} [options.cwd] - Directory searched for horizon.config.*
+ * @returns {string|null} Absolute path, or null when there is no config file
+ */
+export function findConfigFile({ argv = process.argv, env = process.env, cwd = process.cwd() } = {}) {
+  const flagIndex = argv.findIndex(arg => arg === '--config' || arg.startsWith('--config='));
+  const explicit = flagIndex === -1
+    ? env.HORIZON_CONFIG
+    : argv[flagIndex].includes('=') ? argv[flagIndex].slice('--config='.length) : argv[flagIndex + 1];
+
+  if (explicit) {
+    const resolved = path.resolve(cwd, explicit);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Config file not found: ${resolved}`);
+    }
+    return resolved;
+  }
+
+  const found = CONFIG_FILE_NAMES.map(name => path.join(cwd, name)).find(filePath => fs.existsSync(filePath));
+  return found || null;
+}
+
+/**
+ * Name of a value's JSON type ("integer" for whole numbers)
+ * @param {*} value - Parsed value
+ */
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Replace a "#/$defs/..." reference with the schema node it points to
+ * @param {Object} schema - Schema node
+ * @param {Object} root - Whole schema
+ */
+function resolveRef(schema, root) {
+  if (!schema.$ref) return schema;
+  const { $ref, ...rest } = schema;
+  return { ...$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root), ...rest };
+}
+
+/**
+ * Check a value against a schema node and collect readable errors
+ * @param {*} value - Value to check
+ * @param {Object} node - Schema node
+ * @param {Object} root - Whole schema, for $ref lookups
+ * @param {string} at - Setting path for messages, e.g. pages[2].wait
+ * @param {string[]} errors - Collected messages
+ */
+function checkValue(value, node, root, at, errors) {
+  const schema = resolveRef(node, root);
+  const type = jsonType(value);
+  const label = at || 'config';
+
+  if (schema.oneOf) {
+    // Pick the branch whose type matches, so the messages explain that branch
+    const branches = schema.oneOf.map(branch => resolveRef(branch, root));
+    const branch = branches.find(b => [].concat(b.type).includes(type) || (type === 'integer' && [].concat(b.type).includes('number')));
+    if (!branch) {
+      errors.push(`${label}: expected ${branches.map(b => [].concat(b.type).join(' or ')).join(' or ')}, got ${type}`);
+      return;
+    }
+    checkValue(value, branch, root, at, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const matches = allowed.includes(type) || (type === 'integer' && allowed.includes('number'));
+    if (!matches) {
+      errors.push(`${label}: expected ${allowed.join(' or ')}, got ${type === 'string' ? JSON.stringify(value) : type}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label}: expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+    return;
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${label}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${label}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+  }
+
+  if (type === 'integer' || type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${label}: must be at least ${schema.minimum}, got ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${label}: must be at most ${schema.maximum}, got ${value}`);
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${label}: needs at least ${schema.minItems} item(s)`);
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach(item => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) errors.push(`${label}: duplicate item ${key}`);
+        seen.add(key);
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => checkValue(item, schema.items, root, `${label}[${index}]`, errors));
+    }
+  }
+
+  if (type === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${at ? `${at}.` : ''}${key}: is required`);
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childAt = at ? `${at}.${key}` : key;
+      if (properties[key]) {
+        checkValue(child, properties[key], root, childAt, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childAt}: unknown setting (expected one of: ${Object.keys(properties).filter(k => k !== '$schema').join(', ')})`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        checkValue(child, schema.additionalProperties, root, childAt, errors);
+      }
+    });
+  }
+}
+
+/**
+ * Validate parsed settings against the published schema
+ * @param {Object} settings - Parsed config file
+ * @param {Object} [schema] - Schema (default: horizon.config.schema.json)
+ * @returns {string[]} Error messages, empty when the settings are valid
+ */
+export function validateConfigFile(settings, schema = JSON.parse(fs.readFileSync(CONFIG_SCHEMA_PATH, 'utf8'))) {
+  const errors = [];
+  checkValue(settings, schema, schema, '', errors);
+  return errors;
+}
+
+/**
+ * Read, parse and validate a config file
+ * @param {string} filePath - JSON or YAML config file
+ * @returns {Object} Settings from the file
+ */
+export function loadConfigFile(filePath) {
+  const name = path.basename(filePath);
+  const text = fs.readFileSync(filePath, 'utf8');
+  let settings;
+
+  try {
+    settings = /\.ya?ml$/i.test(filePath) ? yaml.load(text, { filename: name }) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Could not parse ${name}: ${error.message}`);
+  }
+
+  // An empty YAML file means "no overrides"
+  if (settings === undefined || settings === null) {
+    return {};
+  }
+
+  const errors = validateConfigFile(settings);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${name} (schema: horizon.config.schema.json):\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+  return settings;
+}
+
+/**
+ * Merge settings over a config object in place
+ * Plain objects are merged key by key; arrays and other values replace the target.
+ * @param {Object} target - Object to update
+ * @param {Object} settings - Values to merge in
+ */
+export function mergeSettings(target, settings) {
+  Object.entries(settings).forEach(([key, value]) => {
+    const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+    if (isObject(value) && isObject(target[key])) {
+      mergeSettings(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
+/**
+ * Apply a config file to the shared config
+ * `pages` becomes config.testPages, and the overrides given with a page are
+ * kept in config.pageOverrides, keyed by path.
+ * @param {Object} config - Shared config object
+ * @param {string} filePath - Config file to load
+ */
+export function applyConfigFile(config, filePath) {
+  const { $schema: _, pages, ...settings } = loadConfigFile(filePath);
+
+  mergeSettings(config, settings);
+
+  // Like --instance, naming an instance drops the base URL from .env
+  if (settings.instance && !settings.baseUrl) {
+    config.baseUrl = undefined;
+  }
+
+  if (pages) {
+    config.testPages = pages.map(page => (typeof page === 'string' ? page : page.path));
+    config.pageOverrides = Object.fromEntries(pages
+      .filter(page => typeof page === 'object')
+      .map(({ path: pagePath, ...override }) => [pagePath, override]));
+  }
+
+  // Checks that need the merged config
+  const errors = [];
+  Object.entries(config.pageOverrides).forEach(([pagePath, override]) => {
+    if (typeof override.viewport === 'string' && !config.viewports.some(v => v.name === override.viewport)) {
+      errors.push(`pages ${pagePath}: unknown viewport "${override.viewport}" (expected one of: ${config.viewports.map(v => v.name).join(', ')})`);
+    }
+    (override.skipComponents || []).filter(tag => !config.horizonComponents.includes(tag)).forEach(tag => {
+      errors.push(`pages ${pagePath}: skipComponents has "${tag}", which is not in horizonComponents`);
+    });
+  });
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${path.basename(filePath)}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  config.configFile = filePath;
+  return config;
+}
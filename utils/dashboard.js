@@ -0,0 +1,619 @@
+/**
+ * HTML dashboard for a validator run
+ *
+ * Built from the JSON results document (toJson in reporters.js): one row per
+ * page with its screenshot, counts and a drill-down panel, plus client-side
+ * filters by component and severity. The file has no external assets;
+ * screenshots are linked relative to the report directory.
+ */
+
+import path from 'path';
+import { explainScore } from './scoring.js';
+
+/**
+ * Escape text for HTML content and attributes
+ * @param {*} value - Raw value
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Findings for one page, with the same severities as the SARIF report
+ * (spec violations and page failures are errors, custom elements warnings);
+ * accessibility findings keep their own severity, token deviations are warnings
+ * @param {Object} page - Page entry from the JSON results
+ * @param {Array<Object>} gateFailures - Gate failures for the whole run
+ * @returns {Array<{severity: string, type: string, component: string|null, message: string}>}
+ */
+function pageFindings(page, gateFailures) {
+  const findings = [];
+
+  if (page.error) {
+    findings.push({
+      severity: 'error',
+      type: page.failure ? `page load: ${page.failure.kind}` : 'page load',
+      component: null,
+      message: page.error
+    });
+  } else {
+    Object.entries(page.specViolations).forEach(([component, violations]) => {
+      violations.forEach(message => findings.push({ severity: 'error', type: 'spec violation', component, message }));
+    });
+    Object.entries(page.customResults).forEach(([pattern, count]) => {
+      findings.push({ severity: 'warning', type: 'custom element', component: null, message: `${count} custom ${pattern} (not using Horizon)` });
+    });
+    (page.accessibility?.findings || []).forEach(finding => {
+      findings.push({ severity: finding.severity, type: `accessibility: ${finding.rule}`, component: finding.component, message: `${finding.message} (${finding.path})` });
+    });
+    (page.tokens?.groups || []).forEach(group => {
+      group.findings.forEach(finding => {
+        findings.push({ severity: 'warning', type: `token: ${finding.type}`, component: group.component, message: `${finding.message} (×${group.count})` });
+      });
+    });
+  }
+
+  gateFailures.filter(failure => failure.page === page.page).forEach(failure => {
+    findings.push({ severity: 'error', type: `gate: ${failure.gate}`, component: null, message: failure.message });
+  });
+
+  return findings;
+}
+
+/**
+ * Screenshot path as seen from the dashboard file
+ * @param {string|null|undefined} screenshot - Path recorded by the validator
+ * @param {string} reportDir - Directory the dashboard is written to
+ */
+function screenshotLink(screenshot, reportDir) {
+  if (!screenshot) return null;
+  return path.relative(reportDir, path.resolve(screenshot)).split(path.sep).join('/');
+}
+
+/**
+ * CSS class for a score
+ * @param {number|null|undefined} score - 0-100
+ */
+function scoreClass(score) {
+  if (score === null || score === undefined) return '';
+  if (score >= 90) return 'ok';
+  if (score >= 70) return 'warning';
+  return 'error';
+}
+
+/**
+ * Table of the Horizon components found on a page
+ * @param {Object} horizonResults - Page's Horizon results
+ * @param {Object} [componentScores] - Per-component scores from the page score
+ */
+function componentTable(horizonResults, componentScores = {}) {
+  const rows = Object.entries(horizonResults)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([component, data]) => `
+            <tr data-component="${escapeHtml(component)}">
+              <td><code>&lt;${escapeHtml(component)}&gt;</code></td>
+              <td>${data.count}</td>
+              <td>${data.countInMain}</td>
+              <td>${data.countInShadow}</td>
+              <td>${escapeHtml(data.variants.join(', ') || '—')}</td>
+              <td>${escapeHtml(data.sizes.join(', ') || '—')}</td>
+              <td class="score ${scoreClass(componentScores[component]?.score)}">${componentScores[component]?.score ?? '—'}</td>
+            </tr>`).join('');
+
+  if (!rows) {
+    return '<p class="empty">No Horizon components found on this page.</p>';
+  }
+
+  return `
+          <table class="components">
+            <thead>
+              <tr><th>Component</th><th>Instances</th><th>Main DOM</th><th>Shadow DOM</th><th>Variants</th><th>Sizes</th><th>Score</th></tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+          </table>`;
+}
+
+/**
+ * Row and drill-down panel for one page
+ * @param {Object} page - Page entry from the JSON results
+ * @param {Array<Object>} findings - Output of pageFindings
+ * @param {string} reportDir - Directory the dashboard is written to
+ */
+function pageRow(page, findings, reportDir) {
+  const components = [...new Set([
+    ...Object.keys(page.horizonResults || {}),
+    ...findings.map(f => f.component).filter(Boolean)
+  ])];
+  const severities = [...new Set(findings.map(f => f.severity))];
+  const status = severities.includes('error') ? 'error' : severities.includes('warning') ? 'warning' : 'ok';
+  const screenshot = screenshotLink(page.error ? page.failure?.screenshot : page.screenshot, reportDir);
+
+  const findingItems = findings.map(finding => `
+            <li class="finding ${finding.severity}" data-severity="${finding.severity}"${finding.component ? ` data-component="${escapeHtml(finding.component)}"` : ''}>
+              <span class="badge ${finding.severity}">${finding.severity}</span>
+              <span class="finding-type">${escapeHtml(finding.type)}</span>
+              ${finding.component ? `<code>&lt;${escapeHtml(finding.component)}&gt;</code>` : ''}
+              ${escapeHtml(finding.message)}
+            </li>`).join('');
+
+  const failure = page.failure ? `
+          <dl class="failure">
+            <dt>Kind</dt><dd>${escapeHtml(page.failure.kind)}</dd>
+            <dt>Step</dt><dd>${escapeHtml(page.failure.step || '—')}</dd>
+            <dt>Attempts</dt><dd>${page.failure.attempts}</dd>
+            ${page.failure.status ? `<dt>HTTP status</dt><dd>${page.failure.status}</dd>` : ''}
+          </dl>` : '';
+
+  return `
+      <article class="page-row ${status}" data-status="${status}" data-components="${escapeHtml(components.join(' '))}" data-severities="${severities.join(' ')}">
+        <div class="page-summary">
+          <div class="thumbnail">
+            ${screenshot
+              ? `<a href="${escapeHtml(screenshot)}" target="_blank"><img src="${escapeHtml(screenshot)}" alt="Screenshot of ${escapeHtml(page.page)}" loading="lazy"></a>`
+              : '<div class="no-screenshot">No screenshot</div>'}
+          </div>
+          <div class="page-title">
+            <span class="badge ${status}">${page.error ? 'failed' : status}</span>
+            <a href="${escapeHtml(page.url)}" target="_blank">${escapeHtml(page.page)}</a>
+            ${page.readiness && !page.readiness.ready ? `<div class="note">⚠️ ${escapeHtml(page.readiness.message)}</div>` : ''}
+            ${page.attempts > 1 ? `<div class="note">🔁 Passed after ${page.attempts} attempts</div>` : ''}
+          </div>
+          <div class="metric"><strong>${page.summary.horizonTypes}</strong><span>Horizon types</span></div>
+          <div class="metric"><strong>${page.summary.horizonInstances}</strong><span>Horizon instances</span></div>
+          <div class="metric${page.summary.customElements > 0 ? ' warning' : ''}"><strong>${page.summary.customElements}</strong><span>Custom elements</span></div>
+          <div class="metric${page.summary.specViolations > 0 ? ' error' : ''}"><strong>${page.summary.specViolations}</strong><span>Spec violations</span></div>
+          <div class="metric ${scoreClass(page.score?.score)}"><strong>${page.score ? page.score.score : '—'}</strong><span>Score</span></div>
+        </div>
+        <details>
+          <summary>Details (${findings.length} finding${findings.length === 1 ? '' : 's'})</summary>
+          ${failure}
+          ${page.score ? `<div class="deductions">
+            <strong>Score ${page.score.score}/100</strong>
+            ${page.score.deductions.length > 0
+              ? `<ul>${explainScore(page.score).map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`
+              : ' - no deductions'}
+          </div>` : ''}
+          ${findingItems ? `<ul class="findings">${findingItems}
+          </ul>` : '<p class="empty">No findings. 🎉</p>'}
+          ${page.error ? '' : componentTable(page.horizonResults, page.score?.components)}
+        </details>
+      </article>`;
+}
+
+/**
+ * Build the HTML dashboard
+ * @param {Object} results - JSON results document from toJson
+ * @param {Object} [options]
+ * @param {string} [options.reportDir] - Directory the dashboard is written to (for screenshot links)
+ * @returns {string} HTML document
+ */
+export function toHtmlDashboard(results, options = {}) {
+  const { reportDir = process.cwd() } = options;
+  const gateFailures = results.gates?.failures || [];
+  const pages = results.pages.map(page => ({ page, findings: pageFindings(page, gateFailures) }));
+  const components = [...new Set(pages.flatMap(({ page, findings }) => [
+    ...Object.keys(page.horizonResults || {}),
+    ...findings.map(f => f.component).filter(Boolean)
+  ]))].sort();
+
+  const gateSection = results.gates ? `
+    <div class="gates ${results.gates.passed ? 'passed' : 'failed'}">
+      ${results.gates.passed
+        ? '🚦 All compliance gates passed'
+        : `🚦 ${gateFailures.length} compliance gate failure(s):
+      <ul>${gateFailures.map(f => `<li><strong>${escapeHtml(f.gate)}</strong> ${escapeHtml(f.page)}: ${escapeHtml(f.message)}</li>`).join('')}</ul>`}
+    </div>` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Horizon Validation Dashboard</title>
+  <style>
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+      background: #f5f5f5;
+      padding: 40px 20px;
+      color: #1a1a1a;
+    }
+
+    .container {
+      max-width: 1400px;
+      margin: 0 auto;
+      background: white;
+      border-radius: 8px;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+      padding: 40px;
+    }
+
+    h1 {
+      margin-bottom: 10px;
+    }
+
+    .subtitle {
+      color: #666;
+      margin-bottom: 30px;
+      font-size: 14px;
+    }
+
+    .stats {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+      gap: 20px;
+      margin-bottom: 30px;
+    }
+
+    .stat-card {
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: white;
+      padding: 24px;
+      border-radius: 8px;
+      box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+    }
+
+    .stat-value {
+      font-size: 36px;
+      font-weight: 700;
+      margin-bottom: 8px;
+    }
+
+    .stat-label {
+      font-size: 14px;
+      opacity: 0.9;
+    }
+
+    .gates {
+      padding: 16px 20px;
+      border-radius: 8px;
+      margin-bottom: 30px;
+      font-size: 14px;
+    }
+
+    .gates.passed {
+      background: #e8f5e9;
+      color: #2e7d32;
+    }
+
+    .gates.failed {
+      background: #ffebee;
+      color: #c62828;
+    }
+
+    .gates ul {
+      margin: 8px 0 0 20px;
+    }
+
+    .filters {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 20px;
+      align-items: center;
+      padding: 16px 20px;
+      background: #fafafa;
+      border: 1px solid #e0e0e0;
+      border-radius: 8px;
+      margin-bottom: 20px;
+      font-size: 14px;
+    }
+
+    .filters select {
+      margin-left: 8px;
+      padding: 4px 8px;
+      font-size: 14px;
+    }
+
+    .filters .visible-count {
+      margin-left: auto;
+      color: #666;
+    }
+
+    .page-row {
+      border: 1px solid #e0e0e0;
+      border-left: 4px solid #2e7d32;
+      border-radius: 8px;
+      margin-bottom: 16px;
+      overflow: hidden;
+    }
+
+    .page-row.warning {
+      border-left-color: #f9a825;
+    }
+
+    .page-row.error {
+      border-left-color: #c62828;
+    }
+
+    .page-summary {
+      display: grid;
+      grid-template-columns: 200px 1fr repeat(5, 100px);
+      gap: 20px;
+      align-items: center;
+      padding: 16px;
+    }
+
+    .thumbnail img {
+      width: 200px;
+      height: 120px;
+      object-fit: cover;
+      object-position: top;
+      border: 1px solid #e0e0e0;
+      border-radius: 4px;
+      display: block;
+    }
+
+    .no-screenshot {
+      width: 200px;
+      height: 120px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: #fafafa;
+      border: 1px dashed #ccc;
+      border-radius: 4px;
+      color: #999;
+      font-size: 12px;
+    }
+
+    .page-title a {
+      font-family: 'Courier New', monospace;
+      font-size: 15px;
+      color: #2c3e50;
+      word-break: break-all;
+    }
+
+    .note {
+      margin-top: 6px;
+      font-size: 12px;
+      color: #666;
+    }
+
+    .metric {
+      text-align: center;
+    }
+
+    .metric strong {
+      display: block;
+      font-size: 24px;
+    }
+
+    .metric span {
+      font-size: 12px;
+      color: #666;
+    }
+
+    .metric.warning strong,
+    .score.warning {
+      color: #f57f17;
+    }
+
+    .metric.error strong,
+    .score.error {
+      color: #c62828;
+    }
+
+    .metric.ok strong,
+    .score.ok {
+      color: #2e7d32;
+    }
+
+    .score {
+      font-weight: 600;
+    }
+
+    .deductions {
+      padding: 12px 16px;
+      font-size: 13px;
+      border-bottom: 1px solid #eee;
+    }
+
+    .deductions ul {
+      margin: 6px 0 0 20px;
+    }
+
+    .badge {
+      display: inline-block;
+      padding: 2px 10px;
+      border-radius: 10px;
+      font-size: 11px;
+      font-weight: 600;
+      text-transform: uppercase;
+      margin-right: 8px;
+    }
+
+    .badge.ok {
+      background: #e8f5e9;
+      color: #2e7d32;
+    }
+
+    .badge.warning {
+      background: #fff8e1;
+      color: #f57f17;
+    }
+
+    .badge.error {
+      background: #ffebee;
+      color: #c62828;
+    }
+
+    details {
+      border-top: 1px solid #e0e0e0;
+      background: #fafafa;
+    }
+
+    summary {
+      cursor: pointer;
+      padding: 10px 16px;
+      font-size: 13px;
+      color: #1976d2;
+    }
+
+    details[open] summary {
+      border-bottom: 1px solid #e0e0e0;
+    }
+
+    .findings {
+      list-style: none;
+      padding: 12px 16px;
+    }
+
+    .finding {
+      padding: 6px 0;
+      font-size: 13px;
+      border-bottom: 1px solid #eee;
+    }
+
+    .finding-type {
+      font-weight: 600;
+      margin-right: 8px;
+    }
+
+    .failure {
+      display: grid;
+      grid-template-columns: 120px 1fr;
+      gap: 4px 12px;
+      padding: 12px 16px;
+      font-size: 13px;
+    }
+
+    .failure dt {
+      font-weight: 600;
+      color: #444;
+    }
+
+    table.components {
+      width: calc(100% - 32px);
+      margin: 12px 16px 16px;
+      border-collapse: collapse;
+      font-size: 13px;
+      background: white;
+    }
+
+    table.components th,
+    table.components td {
+      text-align: left;
+      padding: 6px 10px;
+      border-bottom: 1px solid #eee;
+    }
+
+    table.components th {
+      background: #f5f5f5;
+      color: #444;
+    }
+
+    .empty {
+      padding: 12px 16px;
+      font-size: 13px;
+      color: #666;
+    }
+
+    .hidden {
+      display: none;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>📋 Horizon Validation Dashboard</h1>
+    <p class="subtitle">${escapeHtml(results.baseUrl || '')} - generated ${escapeHtml(results.generatedAt)}</p>
+
+    <div class="stats">
+      <div class="stat-card">
+        <div class="stat-value">${results.summary.score ?? '—'}</div>
+        <div class="stat-label">Instance Score</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${results.summary.pages - results.summary.failedPages}/${results.summary.pages}</div>
+        <div class="stat-label">Pages Audited</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${results.summary.horizonInstances}</div>
+        <div class="stat-label">Horizon Instances</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${results.summary.customElements}</div>
+        <div class="stat-label">Custom Elements</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${results.summary.specViolations}</div>
+        <div class="stat-label">Spec Violations</div>
+      </div>
+    </div>
+${gateSection}
+    <div class="filters">
+      <label>Component
+        <select id="component-filter">
+          <option value="">All components</option>
+          ${components.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('')}
+        </select>
+      </label>
+      <label>Severity
+        <select id="severity-filter">
+          <option value="">All pages</option>
+          <option value="error">Errors</option>
+          <option value="warning">Warnings</option>
+          <option value="ok">No findings</option>
+        </select>
+      </label>
+      <span class="visible-count" id="visible-count"></span>
+    </div>
+
+    <section id="pages">${pages.map(({ page, findings }) => pageRow(page, findings, reportDir)).join('')}
+    </section>
+  </div>
+
+  <script>
+    const componentFilter = document.getElementById('component-filter');
+    const severityFilter = document.getElementById('severity-filter');
+    const rows = Array.from(document.querySelectorAll('.page-row'));
+
+    function applyFilters() {
+      const component = componentFilter.value;
+      const severity = severityFilter.value;
+      let visible = 0;
+
+      rows.forEach(row => {
+        const components = row.dataset.components.split(' ');
+        const severities = row.dataset.severities.split(' ').filter(Boolean);
+        const matchesComponent = !component || components.includes(component);
+        const matchesSeverity = !severity ||
+          (severity === 'ok' ? severities.length === 0 : severities.includes(severity));
+        const show = matchesComponent && matchesSeverity;
+
+        row.classList.toggle('hidden', !show);
+        if (show) visible++;
+
+        // Inside the drill-down, keep only what matches the filters
+        row.querySelectorAll('.finding').forEach(item => {
+          const itemComponent = item.dataset.component;
+          const hide = (component && itemComponent !== component) ||
+            (severity && severity !== 'ok' && item.dataset.severity !== severity);
+          item.classList.toggle('hidden', Boolean(hide));
+        });
+        row.querySelectorAll('table.components tbody tr').forEach(item => {
+          item.classList.toggle('hidden', Boolean(component) && item.dataset.component !== component);
+        });
+      });
+
+      document.getElementById('visible-count').textContent = visible + ' of ' + rows.length + ' page(s) shown';
+    }
+
+    componentFilter.addEventListener('change', applyFilters);
+    severityFilter.addEventListener('change', applyFilters);
+    applyFilters();
+  </script>
+</body>
+</html>`;
+}
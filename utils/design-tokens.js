@@ -0,0 +1,220 @@
+/**
+ * Design token file loading and computed-style comparison
+ *
+ * The token file has two parts:
+ *   tokens      - token values keyed by CSS custom property ("--now-font-family": "Lato, Arial")
+ *                 or a Figma variables export in the W3C design tokens format ($value leaves)
+ *   components  - per now-* component, the token (or literal value) expected for each
+ *                 style property, split into base, variants.<variant> and sizes.<size>
+ */
+
+import fs from 'fs';
+import { colorsEqual, parseColor, formatColor } from './color.js';
+
+/**
+ * Style properties collected from each component, keyed by the name used in
+ * the token file, with the CSS property and the shorthands that can set it
+ */
+export const STYLE_PROPERTIES = {
+  color: { css: 'color', shorthands: [], kind: 'color' },
+  backgroundColor: { css: 'background-color', shorthands: ['background'], kind: 'color' },
+  borderColor: { css: 'border-top-color', shorthands: ['border-color', 'border-top', 'border'], kind: 'color' },
+  fontFamily: { css: 'font-family', shorthands: ['font'], kind: 'font-family' },
+  fontSize: { css: 'font-size', shorthands: ['font'], kind: 'length' },
+  fontWeight: { css: 'font-weight', shorthands: ['font'], kind: 'font-weight' },
+  paddingTop: { css: 'padding-top', shorthands: ['padding'], kind: 'length' },
+  paddingRight: { css: 'padding-right', shorthands: ['padding'], kind: 'length' },
+  paddingBottom: { css: 'padding-bottom', shorthands: ['padding'], kind: 'length' },
+  paddingLeft: { css: 'padding-left', shorthands: ['padding'], kind: 'length' },
+  borderRadius: { css: 'border-top-left-radius', shorthands: ['border-radius'], kind: 'length' },
+  boxShadow: { css: 'box-shadow', shorthands: [], kind: 'shadow' }
+};
+
+/**
+ * Flatten W3C design tokens (Figma variables export) into CSS custom properties
+ * A token's name comes from its Figma WEB code syntax when set, otherwise
+ * from its group path ("now" > "color" > "primary-1" -> --now-color-primary-1).
+ * @param {Object} group - Token group
+ * @param {string[]} [groupPath] - Names of the enclosing groups
+ * @param {Object} [flat] - Accumulator
+ */
+function flattenDesignTokens(group, groupPath = [], flat = {}) {
+  Object.entries(group).forEach(([key, node]) => {
+    if (key.startsWith('$') || node === null || typeof node !== 'object') return;
+
+    if ('$value' in node) {
+      const webSyntax = node.$extensions?.['com.figma']?.codeSyntax?.WEB;
+      const name = webSyntax
+        ? webSyntax.replace(/^var\(\s*/, '').replace(/\s*\)$/, '')
+        : `--${[...groupPath, key].join('-')}`;
+      flat[name] = { value: node.$value, path: [...groupPath, key].join('.') };
+    } else {
+      flattenDesignTokens(node, [...groupPath, key], flat);
+    }
+  });
+
+  return flat;
+}
+
+/**
+ * Load a token file
+ * @param {string} filePath - Path to the token JSON
+ * @returns {{tokens: Object<string, string>, components: Object<string, Object>}}
+ */
+export function loadDesignTokens(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Token file not found: ${filePath}`);
+  }
+
+  const file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const tokens = {};
+  const exported = {};
+
+  Object.entries(file.tokens || {}).forEach(([name, value]) => {
+    if (typeof value === 'string' || typeof value === 'number') {
+      tokens[name] = String(value);
+    } else {
+      Object.assign(exported, flattenDesignTokens({ [name]: value }));
+    }
+  });
+
+  // Resolve {group.token} aliases in exported tokens
+  const byPath = Object.fromEntries(Object.values(exported).map(token => [token.path, token.value]));
+  const resolve = (value, depth = 0) => {
+    const alias = typeof value === 'string' && /^\{(.+)\}$/.exec(value);
+    return alias && depth < 10 && alias[1] in byPath ? resolve(byPath[alias[1]], depth + 1) : value;
+  };
+  Object.entries(exported).forEach(([name, token]) => {
+    tokens[name] = String(resolve(token.value));
+  });
+
+  return { tokens, components: file.components || {} };
+}
+
+/**
+ * Expected style properties for one component instance
+ * @param {Object} componentSpec - components[<tag>] from the token file
+ * @param {string|null} variant - Instance variant
+ * @param {string|null} size - Instance size
+ * @returns {Object<string, string>} Token name (starting with --) or literal value per property
+ */
+export function expectedStyles(componentSpec, variant, size) {
+  return {
+    ...(componentSpec.base || {}),
+    ...(variant ? componentSpec.variants?.[variant] : {}),
+    ...(size ? componentSpec.sizes?.[size] : {})
+  };
+}
+
+/**
+ * Convert a length to px ("0.875rem" -> 14)
+ * @param {string} value - CSS length
+ */
+function toPx(value) {
+  const match = /^(-?[\d.]+)(px|rem|em)?$/.exec(String(value).trim());
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  return match[2] === 'rem' || match[2] === 'em' ? number * 16 : number;
+}
+
+/**
+ * Canonical form of a box-shadow so "0 2px 4px rgba(0,0,0,.2)" matches
+ * the computed "rgba(0, 0, 0, 0.2) 0px 2px 4px 0px"
+ * @param {string} value - CSS box-shadow
+ */
+function canonicalShadow(value) {
+  return String(value)
+    .split(/,(?![^(]*\))/)
+    .map(layer => {
+      const colorMatch = /(rgba?\([^)]*\)|#[0-9a-f]{3,8}|\b(?:black|white|transparent)\b)/i.exec(layer);
+      const color = colorMatch ? parseColor(colorMatch[0]) : null;
+      const rest = (colorMatch ? layer.replace(colorMatch[0], '') : layer).trim().split(/\s+/).filter(Boolean);
+      const inset = rest.includes('inset');
+      const lengths = rest.filter(part => part !== 'inset').map(part => toPx(part));
+      while (lengths.length < 4) lengths.push(0);
+      return `${inset ? 'inset ' : ''}${lengths.join(' ')} ${color ? formatColor(color) : ''}`.trim();
+    })
+    .join(', ');
+}
+
+/**
+ * True when a computed value matches an expected value for a property kind
+ * @param {string} kind - color | length | font-family | font-weight | shadow
+ * @param {string} actual - Computed value
+ * @param {string} expected - Expected (token) value
+ */
+export function styleValuesMatch(kind, actual, expected) {
+  if (kind === 'color') {
+    return colorsEqual(actual, expected);
+  }
+  if (kind === 'length') {
+    const a = toPx(actual);
+    const b = toPx(expected);
+    return a !== null && b !== null ? Math.abs(a - b) <= 0.5 : actual.trim() === expected.trim();
+  }
+  if (kind === 'font-family') {
+    const first = value => value.split(',')[0].trim().replace(/^["']|["']$/g, '').toLowerCase();
+    return first(actual) === first(expected);
+  }
+  if (kind === 'font-weight') {
+    const weight = value => ({ normal: '400', bold: '700' }[value.trim()] || value.trim());
+    return weight(actual) === weight(expected);
+  }
+  if (kind === 'shadow') {
+    return actual.trim() === 'none' || expected.trim() === 'none'
+      ? actual.trim() === expected.trim()
+      : canonicalShadow(actual) === canonicalShadow(expected);
+  }
+  return actual.trim() === expected.trim();
+}
+
+/**
+ * Compare one extracted instance against the token file
+ * @param {Object} instance - Extracted instance ({ component, variant, size, styles })
+ *   where styles[property] = { value, declared, tokens, origin }
+ * @param {{tokens: Object, components: Object}} designTokens - Output of loadDesignTokens
+ * @returns {Array<{type: string, property: string, message: string}>} Findings
+ *   type is hard-coded (a literal replaces the expected token), wrong-token, or value-mismatch
+ */
+export function compareInstanceStyles(instance, designTokens) {
+  const spec = designTokens.components[instance.component];
+  if (!spec) return [];
+
+  const findings = [];
+
+  Object.entries(expectedStyles(spec, instance.variant, instance.size)).forEach(([property, expected]) => {
+    const style = instance.styles[property];
+    const definition = STYLE_PROPERTIES[property];
+    if (!style || !definition) return;
+
+    const expectsToken = expected.startsWith('--');
+
+    // Only values set by the component's own styles can be traced to a token
+    if (expectsToken && style.declared !== null) {
+      if (style.tokens.length === 0) {
+        findings.push({
+          type: 'hard-coded',
+          property,
+          message: `${property} is hard-coded as "${style.declared}" instead of var(${expected})`
+        });
+      } else if (!style.tokens.includes(expected)) {
+        findings.push({
+          type: 'wrong-token',
+          property,
+          message: `${property} uses ${style.tokens.join(', ')} instead of ${expected}`
+        });
+      }
+    }
+
+    const expectedValue = expectsToken ? designTokens.tokens[expected] : expected;
+    if (expectedValue !== undefined && !styleValuesMatch(definition.kind, style.value, expectedValue)) {
+      findings.push({
+        type: 'value-mismatch',
+        property,
+        message: `${property} is "${style.value}", expected "${expectedValue}"${expectsToken ? ` (${expected})` : ''}`
+      });
+    }
+  });
+
+  return findings;
+}
@@ -0,0 +1,103 @@
+/**
+ * Page discovery helpers
+ *
+ * Route patterns collapse record URLs that only differ by sys_id or numeric
+ * id, so the crawler visits one page per route. Discovered page lists are
+ * plain JSON files the validator can read instead of config.testPages.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const SYS_ID = /^[0-9a-f]{32}$/i;
+const NUMERIC_ID = /^-?\d+$/;
+
+/**
+ * Reduce a page path to its route pattern
+ * /now/sow/record/incident/<sys_id> -> /now/sow/record/incident/:sysId
+ * Route parameter values (…/params/<name>/<value>) are kept, except sys_ids,
+ * because they select different content such as another tab.
+ * @param {string} pathname - Page path without query or hash
+ * @returns {string}
+ */
+export function routePattern(pathname) {
+  const segments = pathname.replace(/\/+$/, '').split('/');
+  const paramsAt = segments.indexOf('params');
+
+  return segments.map((segment, index) => {
+    if (SYS_ID.test(segment)) return ':sysId';
+
+    const isParamValue = paramsAt !== -1 && index > paramsAt && (index - paramsAt) % 2 === 0;
+    if (NUMERIC_ID.test(segment) && !isParamValue) return ':id';
+
+    return segment;
+  }).join('/') || '/';
+}
+
+/**
+ * Workspace prefix of a page path (/now/sow/home -> /now/sow/)
+ * @param {string} pathname - Page path
+ */
+export function workspacePrefix(pathname) {
+  return pathname.split('/').slice(0, 3).join('/') + '/';
+}
+
+/**
+ * Check whether a discovered path should be crawled
+ * @param {string} pathname - Page path
+ * @param {string[]} scope - Path prefixes the crawler stays within
+ * @param {string[]} exclude - Regular expressions for paths to skip
+ */
+export function isInScope(pathname, scope, exclude = []) {
+  return scope.some(prefix => pathname === prefix.replace(/\/$/, '') || pathname.startsWith(prefix)) &&
+    !exclude.some(pattern => new RegExp(pattern).test(pathname));
+}
+
+/**
+ * Page path of a link the crawler may follow
+ * Query and hash are dropped: they do not change the route.
+ * @param {string} href - Link or landed URL, absolute or relative to baseUrl
+ * @param {string} baseUrl - Instance URL
+ * @param {string[]} scope - Path prefixes the crawler stays within
+ * @param {string[]} exclude - Regular expressions for paths to skip
+ * @returns {string|null} Page path, or null for another origin or an out-of-scope path
+ */
+export function scopedPath(href, baseUrl, scope, exclude = []) {
+  const url = new URL(href, baseUrl);
+  if (url.origin !== new URL(baseUrl).origin || !isInScope(url.pathname, scope, exclude)) {
+    return null;
+  }
+  return url.pathname;
+}
+
+/**
+ * Read a page list written by the crawler (or a plain JSON array of paths)
+ * @param {string} filePath - Page list file
+ * @returns {string[]} Page paths
+ */
+export function readPageList(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Page list not found: ${resolved}. Create it with horizon discover`);
+  }
+
+  const data = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  const pages = Array.isArray(data) ? data : data.pages;
+
+  if (!Array.isArray(pages) || pages.length === 0 || !pages.every(p => typeof p === 'string' && p.startsWith('/'))) {
+    throw new Error(`Page list ${resolved} must contain a non-empty "pages" array of paths starting with /`);
+  }
+  return pages;
+}
+
+/**
+ * Save a crawler result as a page list
+ * @param {string} filePath - Page list file
+ * @param {Object} discovery - Crawler result with a `pages` array
+ */
+export function writePageList(filePath, discovery) {
+  const resolved = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(resolved), { recursive: true });
+  fs.writeFileSync(resolved, JSON.stringify(discovery, null, 2) + '\n');
+  return resolved;
+}
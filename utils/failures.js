@@ -0,0 +1,141 @@
+/**
+ * Page failure classification and retries
+ *
+ * Failures are plain Errors with a `kind` (and the `step` that failed), so
+ * reports can group them and the retry loop can decide what is worth
+ * another attempt.
+ */
+
+import { config } from '../config.js';
+import { isLoggedIn } from './auth.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Failure kinds and how they are described in reports
+ */
+export const FAILURE_KINDS = {
+  timeout: 'Navigation or audit timed out',
+  'auth-expired': 'Session expired - the page redirected to the login form',
+  'http-error': 'The page returned an HTTP error or could not be reached',
+  'evaluate-error': 'A script failed inside the page (navigated away, crashed or threw)',
+  'blank-page': 'The page loaded without any content',
+  error: 'Unclassified error'
+};
+
+/**
+ * Create a classified failure
+ * @param {string} kind - Key of FAILURE_KINDS
+ * @param {string} message - Error message
+ * @param {Object} [details] - Extra fields, e.g. { status: 503 }
+ * @returns {Error}
+ */
+export function pageFailure(kind, message, details = {}) {
+  return Object.assign(new Error(message), { kind, ...details });
+}
+
+/**
+ * Classify an error thrown while loading or auditing a page
+ * @param {Error} error - Thrown error
+ * @returns {string} Key of FAILURE_KINDS
+ */
+export function classifyFailure(error) {
+  if (error.kind) return error.kind;
+
+  const message = error.message || '';
+  if (error.name === 'TimeoutError' || /timeout|timed out/i.test(message)) return 'timeout';
+  if (/net::ERR_|ECONNREFUSED|ENOTFOUND/.test(message)) return 'http-error';
+  if (/Execution context|Evaluation failed|Cannot find context|Protocol error|Target closed|Session closed|detached Frame/i.test(message)) {
+    return 'evaluate-error';
+  }
+  return 'error';
+}
+
+/**
+ * Whether another attempt could succeed
+ * Client errors (HTTP 4xx other than 429) fail the same way every time.
+ * @param {Error} error - Classified failure
+ * @param {string[]} retryOn - Failure kinds to retry
+ */
+export function isRetryable(error, retryOn) {
+  if (!retryOn.includes(error.kind)) return false;
+  if (error.kind === 'http-error' && error.status && error.status < 500 && error.status !== 429) return false;
+  return true;
+}
+
+/**
+ * Fail when navigation returned an HTTP error or ended on the login form
+ * @param {import('puppeteer').Page} page - Page after navigation
+ * @param {import('puppeteer').HTTPResponse|null} response - Response from page.goto
+ */
+export async function checkPageLoad(page, response) {
+  if (response && response.status() >= 400) {
+    throw pageFailure('http-error', `HTTP ${response.status()} ${response.statusText()}`.trim(), { status: response.status() });
+  }
+  if (!(await isLoggedIn(page))) {
+    throw pageFailure('auth-expired', `Redirected to the login page (${new URL(page.url()).pathname})`);
+  }
+}
+
+/**
+ * Fail when the page has no visible text, media or shadow roots
+ * @param {import('puppeteer').Page} page - Page after readiness
+ */
+export async function checkPageContent(page) {
+  const blank = await page.evaluate(() => {
+    const body = document.body;
+    if (!body) return true;
+    if (body.innerText.trim().length > 0) return false;
+    if (body.querySelector('img, svg, canvas, iframe, video')) return false;
+    return !Array.from(body.querySelectorAll('*')).some(el => el.shadowRoot);
+  });
+
+  if (blank) {
+    throw pageFailure('blank-page', 'The page rendered no content');
+  }
+}
+
+/**
+ * Run a task, retrying classified failures with exponential backoff
+ * The error that ends the retries is rethrown with `kind` and `attempts` set.
+ * @param {(attempt: number) => Promise<*>} task - Work to attempt
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Retries after the first attempt (default: config.retries.attempts)
+ * @param {number} [options.backoff] - Wait before the first retry, doubled for each further retry (ms)
+ * @param {string[]} [options.retryOn] - Failure kinds to retry
+ * @param {(error: Error, attempt: number, delay: number) => Promise<void>|void} [options.onRetry] - Called before each retry
+ * @returns {Promise<{result: *, attempts: number, failures: Array<{kind: string, step: string, message: string}>}>}
+ */
+export async function withRetries(task, options = {}) {
+  const {
+    retries = config.retries.attempts,
+    backoff = config.retries.backoff,
+    retryOn = config.retries.retryOn,
+    onRetry
+  } = options;
+
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new Error(`Invalid retry count "${retries}". Expected a whole number of at least 0`);
+  }
+
+  const failures = [];
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return { result: await task(attempt), attempts: attempt, failures };
+    } catch (error) {
+      error.kind = classifyFailure(error);
+      failures.push({ kind: error.kind, step: error.step, message: error.message });
+
+      if (attempt > retries || !isRetryable(error, retryOn)) {
+        error.attempts = attempt;
+        error.failures = failures;
+        throw error;
+      }
+
+      const delay = backoff * 2 ** (attempt - 1);
+      await onRetry?.(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * Figma REST API client
+ *
+ * Reads the token from FIGMA_TOKEN and the API base URL from
+ * FIGMA_API_BASE_URL (defaults to https://api.figma.com), so the bundled
+ * mock instance can stand in with fixture responses.
+ */
+
+import fs from 'fs';
+import { config } from '../config.js';
+
+/**
+ * Component property names (lowercased) that map onto the standard
+ * figma-component-mapping.json keys. Anything else becomes camelCase.
+ */
+const PROPERTY_KEYS = {
+  variant: 'variants',
+  variants: 'variants',
+  type: 'variants',
+  hierarchy: 'variants',
+  size: 'sizes',
+  sizes: 'sizes',
+  state: 'states',
+  states: 'states'
+};
+
+/**
+ * Call a Figma REST endpoint
+ * @param {string} pathname - API path, e.g. /v1/files/<key>
+ * @param {Object} [params] - Query string parameters
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function figmaRequest(pathname, params = {}) {
+  if (!config.figma.token) {
+    throw new Error('Missing FIGMA_TOKEN. Add a Figma personal access token to your .env file');
+  }
+
+  const url = new URL(pathname, config.figma.apiBaseUrl);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) url.searchParams.set(key, value);
+  });
+
+  const response = await fetch(url, {
+    headers: { 'X-Figma-Token': config.figma.token }
+  });
+
+  if (!response.ok) {
+    const body = await response.text();
+    throw new Error(`Figma API ${response.status} for ${url.pathname}: ${body.substring(0, 200)}`);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Fetch a Figma file document
+ * @param {string} fileKey - Figma file key
+ * @returns {Promise<Object>} File JSON ({ name, document: { children: [pages] } })
+ */
+export async function getFigmaFile(fileKey) {
+  return await figmaRequest(`/v1/files/${encodeURIComponent(fileKey)}`);
+}
+
+/**
+ * Fetch specific nodes (and their subtrees) from a Figma file
+ * @param {string} fileKey - Figma file key
+ * @param {string[]} nodeIds - Node IDs such as "28:12"
+ * @returns {Promise<Object<string, Object|null>>} Node document per ID (null when not found)
+ */
+export async function getFigmaNodes(fileKey, nodeIds) {
+  const response = await figmaRequest(`/v1/files/${encodeURIComponent(fileKey)}/nodes`, {
+    ids: nodeIds.join(',')
+  });
+
+  return Object.fromEntries(
+    nodeIds.map(id => [id, response.nodes?.[id]?.document || null])
+  );
+}
+
+/**
+ * Render nodes through the Figma images endpoint
+ * @param {string} fileKey - Figma file key
+ * @param {string[]} nodeIds - Node IDs to render
+ * @param {Object} [options]
+ * @param {number} [options.scale] - Render scale (0.01-4)
+ * @returns {Promise<Object<string, string|null>>} Temporary image URL per node ID (null when rendering failed)
+ */
+export async function getFigmaImages(fileKey, nodeIds, options = {}) {
+  const { scale = 2 } = options;
+
+  const response = await figmaRequest(`/v1/images/${encodeURIComponent(fileKey)}`, {
+    ids: nodeIds.join(','),
+    format: 'png',
+    scale
+  });
+
+  if (response.err) {
+    throw new Error(`Figma render failed: ${response.err}`);
+  }
+
+  return response.images || {};
+}
+
+/**
+ * Download a rendered image
+ * Render URLs are pre-signed, so no token is sent.
+ * @param {string} imageUrl - URL returned by getFigmaImages
+ * @param {string} filePath - Where to save the PNG
+ */
+export async function downloadFigmaImage(imageUrl, filePath) {
+  const response = await fetch(imageUrl);
+  if (!response.ok) {
+    throw new Error(`Image download failed with ${response.status}`);
+  }
+
+  fs.writeFileSync(filePath, Buffer.from(await response.arrayBuffer()));
+}
+
+/**
+ * Collect every node of the given type below a node
+ * @param {Object} node - Figma node
+ * @param {string} type - Node type, e.g. COMPONENT_SET
+ * @returns {Array<Object>}
+ */
+export function findNodesByType(node, type) {
+  const found = [];
+  if (node.type === type) found.push(node);
+  (node.children || []).forEach(child => found.push(...findNodesByType(child, type)));
+  return found;
+}
+
+/**
+ * Normalize a Figma variant option to the mapping's value style
+ * ("Primary Negative" -> "primary-negative")
+ * @param {string} value - Variant option
+ */
+function normalizeOption(value) {
+  return String(value).trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Map a Figma component property name to a mapping key
+ * ("Size" -> "sizes", "Primary position" -> "primaryPosition")
+ * @param {string} name - Property name (may carry a #id suffix for non-variant properties)
+ */
+export function propertyKey(name) {
+  const clean = name.replace(/#.*$/, '').trim();
+  const known = PROPERTY_KEYS[clean.toLowerCase()];
+  if (known) return known;
+
+  return clean
+    .toLowerCase()
+    .replace(/[^a-z0-9]+(.)/g, (_, char) => char.toUpperCase())
+    .replace(/[^a-zA-Z0-9]/g, '');
+}
+
+/**
+ * Derive mapping properties (variants, sizes, states, ...) from a component set
+ * Only variant properties are kept: the validator checks element attributes
+ * against these values, and BOOLEAN, TEXT and INSTANCE_SWAP properties
+ * (e.g. a "Label" toggle) do not list the values an attribute may take.
+ * @param {Object} componentSet - COMPONENT_SET node
+ * @returns {Object<string, string[]>}
+ */
+export function deriveComponentProperties(componentSet) {
+  const properties = {};
+
+  Object.entries(componentSet.componentPropertyDefinitions || {}).forEach(([name, definition]) => {
+    if (definition.type !== 'VARIANT') return;
+
+    const key = propertyKey(name);
+    const options = (definition.variantOptions || []).map(normalizeOption);
+    properties[key] = [...new Set([...(properties[key] || []), ...options])];
+  });
+
+  return properties;
+}
+
+/**
+ * Parse a variant component name into mapping keys and values
+ * ("Variant=Primary, Size=Md" -> { variants: 'primary', sizes: 'md' })
+ * @param {string} name - COMPONENT node name inside a component set
+ * @returns {Object<string, string>}
+ */
+export function parseVariantName(name) {
+  return Object.fromEntries(
+    name.split(',')
+      .map(part => part.split('='))
+      .filter(pair => pair.length === 2)
+      .map(([property, value]) => [propertyKey(property), normalizeOption(value)])
+  );
+}
+
+/**
+ * Pick the variant component that best matches an element's attributes
+ * Attributes are keyed like Figma properties (variant -> variants,
+ * primary-position -> primaryPosition). Falls back to the component set
+ * itself when no attribute matches a variant property.
+ * @param {Object} componentSet - COMPONENT_SET node
+ * @param {Object<string, string>} attributes - Element attributes
+ * @returns {Object} The best matching COMPONENT node, or componentSet
+ */
+export function findVariantNode(componentSet, attributes) {
+  const selection = Object.fromEntries(
+    Object.entries(attributes)
+      .filter(([, value]) => value)
+      .map(([name, value]) => [propertyKey(name), normalizeOption(value)])
+  );
+
+  let best = componentSet;
+  let bestScore = 0;
+
+  (componentSet.children || [])
+    .filter(child => child.type === 'COMPONENT')
+    .forEach(child => {
+      const properties = Object.entries(parseVariantName(child.name));
+      // Any property set on the element that disagrees rules the variant out
+      if (properties.some(([key, value]) => selection[key] && selection[key] !== value)) return;
+
+      const score = properties.filter(([key]) => selection[key]).length;
+      if (score > bestScore) {
+        best = child;
+        bestScore = score;
+      }
+    });
+
+  return best;
+}
+
+/**
+ * Locate the component set for a mapping entry on its Figma page
+ * Prefers the node already recorded in the mapping, then a set named like
+ * the page, then the first set on the page.
+ * @param {Object} page - CANVAS node
+ * @param {Object} entry - Mapping entry for one component
+ */
+export function findComponentSet(page, entry) {
+  const sets = findNodesByType(page, 'COMPONENT_SET');
+  if (sets.length === 0) return null;
+
+  return sets.find(set => set.id === entry.figmaComponentNodeId) ||
+    sets.find(set => set.name.trim().toLowerCase() === entry.figmaPageName.trim().toLowerCase()) ||
+    sets[0];
+}
@@ -0,0 +1,130 @@
+/**
+ * Compliance gates for validator runs
+ *
+ * Each gate compares per-page results against config.thresholds. A gate set
+ * to null is disabled. Any failure makes the validator exit non-zero so it
+ * can block a release pipeline.
+ */
+
+/**
+ * Share of Horizon instances among all UI elements found on a page (0-100)
+ * @param {Object} pageResult - Result for one page
+ * @returns {number|null} Coverage percentage, or null when nothing was found
+ */
+export function horizonCoverage(pageResult) {
+  const horizon = Object.values(pageResult.horizonResults).reduce((sum, c) => sum + c.count, 0);
+  const custom = Object.values(pageResult.customResults).reduce((sum, count) => sum + count, 0);
+
+  if (horizon + custom === 0) return null;
+  return (horizon / (horizon + custom)) * 100;
+}
+
+/**
+ * Evaluate all enabled gates
+ * @param {Array<Object>} pageResults - Per-page validator results
+ * @param {Object} thresholds - config.thresholds
+ * @param {number|null} thresholds.maxCustomElementsPerPage - Max custom/non-Horizon elements on any page
+ * @param {number|null} thresholds.maxSpecViolations - Max Figma spec violations on any page
+ * @param {number|null} thresholds.minHorizonCoverage - Min Horizon coverage percentage on any page
+ * @param {number|null} thresholds.minScore - Min compliance score (0-100) on any page
+ * @param {boolean} thresholds.failOnPageLoadError - Fail when a page could not be audited
+ * @returns {Array<{gate: string, page: string, message: string}>} Gate failures (empty when all pass)
+ */
+export function evaluateGates(pageResults, thresholds) {
+  const failures = [];
+
+  pageResults.forEach(result => {
+    if (result.error) {
+      if (thresholds.failOnPageLoadError) {
+        failures.push({
+          gate: 'failOnPageLoadError',
+          page: result.page,
+          message: `page could not be audited${result.failure ? ` (${result.failure.kind})` : ''}: ${result.error}`
+        });
+      }
+      return;
+    }
+
+    if (thresholds.maxCustomElementsPerPage !== null && thresholds.maxCustomElementsPerPage !== undefined) {
+      const customCount = Object.values(result.customResults).reduce((sum, count) => sum + count, 0);
+      if (customCount > thresholds.maxCustomElementsPerPage) {
+        failures.push({
+          gate: 'maxCustomElementsPerPage',
+          page: result.page,
+          message: `${customCount} custom element(s), maximum is ${thresholds.maxCustomElementsPerPage}`
+        });
+      }
+    }
+
+    if (thresholds.maxSpecViolations !== null && thresholds.maxSpecViolations !== undefined) {
+      const violationCount = Object.values(result.specViolations).reduce((sum, v) => sum + v.length, 0);
+      if (violationCount > thresholds.maxSpecViolations) {
+        failures.push({
+          gate: 'maxSpecViolations',
+          page: result.page,
+          message: `${violationCount} Figma spec violation(s), maximum is ${thresholds.maxSpecViolations}`
+        });
+      }
+    }
+
+    if (thresholds.minHorizonCoverage !== null && thresholds.minHorizonCoverage !== undefined) {
+      const coverage = horizonCoverage(result);
+      if (coverage !== null && coverage < thresholds.minHorizonCoverage) {
+        failures.push({
+          gate: 'minHorizonCoverage',
+          page: result.page,
+          message: `Horizon coverage ${coverage.toFixed(1)}%, minimum is ${thresholds.minHorizonCoverage}%`
+        });
+      }
+    }
+
+    if (thresholds.minScore !== null && thresholds.minScore !== undefined && result.score) {
+      if (result.score.score < thresholds.minScore) {
+        failures.push({
+          gate: 'minScore',
+          page: result.page,
+          message: `compliance score ${result.score.score}/100, minimum is ${thresholds.minScore}`
+        });
+      }
+    }
+  });
+
+  return failures;
+}
+
+/**
+ * Exit code for a validator run
+ * Recording a baseline captures the current state, so only pages that could
+ * not be audited fail it.
+ * @param {Array<{gate: string, page: string, message: string}>} failures - Output of evaluateGates
+ * @param {Object} [options]
+ * @param {boolean} [options.recordingBaseline] - The run saves a new baseline
+ * @returns {number} 1 when the run fails its gates, otherwise 0
+ */
+export function gateExitCode(failures, { recordingBaseline = false } = {}) {
+  const fatal = recordingBaseline
+    ? failures.filter(failure => failure.gate === 'failOnPageLoadError')
+    : failures;
+  return fatal.length > 0 ? 1 : 0;
+}
+
+/**
+ * Print gate results to the console
+ * @param {Array<{gate: string, page: string, message: string}>} failures - Output of evaluateGates
+ */
+export function printGateResults(failures) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🚦 COMPLIANCE GATES');
+  console.log('='.repeat(60));
+
+  if (failures.length === 0) {
+    console.log('\n✅ All gates passed\n');
+    return;
+  }
+
+  console.log(`\n❌ ${failures.length} gate failure(s):`);
+  failures.forEach(failure => {
+    console.log(`  ❌ [${failure.gate}] ${failure.page}: ${failure.message}`);
+  });
+  console.log('');
+}
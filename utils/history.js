@@ -0,0 +1,186 @@
+/**
+ * Run history store
+ *
+ * Every validator run appends one JSON line with its summary metrics to
+ * config.history.file, so the timestamped report folders get an index and
+ * compliance can be tracked over time (horizon trends). JSON Lines keeps the
+ * file append-only and readable without a database.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { scoreRun } from './scoring.js';
+
+/**
+ * Metrics for one page result
+ * @param {Object} result - Validator result for one page
+ */
+function pageMetrics(result) {
+  if (result.error) {
+    return { score: null, failure: result.failure?.kind || 'error' };
+  }
+
+  return {
+    score: result.score?.score ?? null,
+    horizonTypes: Object.keys(result.horizonResults).length,
+    horizonInstances: Object.values(result.horizonResults).reduce((sum, c) => sum + c.count, 0),
+    customElements: Object.values(result.customResults).reduce((sum, count) => sum + count, 0),
+    specViolations: Object.values(result.specViolations).reduce((sum, v) => sum + v.length, 0),
+    accessibilityFindings: result.accessibility ? result.accessibility.findings.length : null,
+    tokenDeviations: result.tokens
+      ? result.tokens.groups.reduce((sum, group) => sum + group.findings.length * group.count, 0)
+      : null
+  };
+}
+
+/**
+ * Build the history entry for a validator run
+ * @param {Array<Object>} pageResults - Per-page validator results
+ * @param {Object} meta - Run metadata
+ * @param {string} meta.runId - Run timestamp, also the name of its screenshot and report folders
+ * @param {string} meta.runAt - ISO local timestamp
+ * @param {string} meta.baseUrl - Instance base URL
+ * @param {string|null} [meta.profile] - Instance profile
+ * @param {string|null} [meta.reportDir] - Report folder of the run
+ * @param {string|null} [meta.screenshotDir] - Screenshot folder of the run
+ * @returns {Object} History entry
+ */
+export function createHistoryEntry(pageResults, meta) {
+  const pages = Object.fromEntries(pageResults.map(result => [result.page, pageMetrics(result)]));
+  const run = scoreRun(pageResults);
+  const audited = Object.values(pages).filter(page => !page.failure);
+
+  // Null when no page measured it (e.g. the accessibility checks were turned off)
+  const total = key => audited.some(page => page[key] !== null && page[key] !== undefined)
+    ? audited.reduce((sum, page) => sum + (page[key] || 0), 0)
+    : null;
+
+  // Component instances and spec violations, summed over the pages
+  const components = {};
+  pageResults.filter(result => !result.error).forEach(result => {
+    Object.entries(result.horizonResults).forEach(([name, data]) => {
+      components[name] = components[name] || { instances: 0, specViolations: 0 };
+      components[name].instances += data.count;
+    });
+    Object.entries(result.specViolations).forEach(([name, violations]) => {
+      components[name] = components[name] || { instances: 0, specViolations: 0 };
+      components[name].specViolations += violations.length;
+    });
+  });
+  Object.entries(run.components).forEach(([name, componentScore]) => {
+    components[name] = { ...(components[name] || { instances: 0, specViolations: 0 }), score: componentScore.score, pages: componentScore.pages };
+  });
+
+  return {
+    runId: meta.runId,
+    runAt: meta.runAt,
+    baseUrl: meta.baseUrl,
+    profile: meta.profile || null,
+    reportDir: meta.reportDir || null,
+    screenshotDir: meta.screenshotDir || null,
+    summary: {
+      score: run.score,
+      pages: pageResults.length,
+      failedPages: pageResults.length - audited.length,
+      horizonInstances: total('horizonInstances'),
+      customElements: total('customElements'),
+      specViolations: total('specViolations'),
+      accessibilityFindings: total('accessibilityFindings'),
+      tokenDeviations: total('tokenDeviations')
+    },
+    pages,
+    components: Object.fromEntries(Object.entries(components).sort(([a], [b]) => a.localeCompare(b)))
+  };
+}
+
+/**
+ * Append an entry to the history file
+ * @param {string} filePath - History file (JSON Lines)
+ * @param {Object} entry - Output of createHistoryEntry
+ */
+export function appendHistory(filePath, entry) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Read the history file
+ * Lines that are not valid JSON (e.g. from an interrupted write) are skipped.
+ * @param {string} filePath - History file (JSON Lines)
+ * @returns {{entries: Array<Object>, skipped: number[]}} Entries in file order and the line numbers skipped
+ */
+export function readHistory(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`History file not found: ${filePath} - run "horizon validate" first`);
+  }
+
+  const entries = [];
+  const skipped = [];
+  fs.readFileSync(filePath, 'utf8').split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      skipped.push(index + 1);
+    }
+  });
+
+  return { entries, skipped };
+}
+
+/**
+ * Line up the runs into one series per page and per component
+ * Each series has one value per run, null where the page or component was
+ * not audited in that run.
+ * @param {Array<Object>} entries - History entries, oldest first
+ * @returns {{runs: Array<Object>, instance: Array<number|null>, pages: Object<string, Object>, components: Object<string, Object>}}
+ */
+export function buildTrends(entries) {
+  const series = (names, pick) => Object.fromEntries([...names].sort().map(name => [name, entries.map(entry => pick(entry, name))]));
+  const pageNames = new Set(entries.flatMap(entry => Object.keys(entry.pages)));
+  const componentNames = new Set(entries.flatMap(entry => Object.keys(entry.components)));
+
+  const pages = {};
+  Object.entries(series(pageNames, (entry, name) => entry.pages[name] || null)).forEach(([name, values]) => {
+    pages[name] = {
+      score: values.map(v => v?.score ?? null),
+      customElements: values.map(v => v?.customElements ?? null),
+      specViolations: values.map(v => v?.specViolations ?? null)
+    };
+  });
+
+  const components = {};
+  Object.entries(series(componentNames, (entry, name) => entry.components[name] || null)).forEach(([name, values]) => {
+    components[name] = {
+      score: values.map(v => v?.score ?? null),
+      instances: values.map(v => v?.instances ?? null),
+      specViolations: values.map(v => v?.specViolations ?? null)
+    };
+  });
+
+  return {
+    runs: entries.map(entry => ({
+      runId: entry.runId,
+      runAt: entry.runAt,
+      profile: entry.profile,
+      reportDir: entry.reportDir,
+      ...entry.summary
+    })),
+    instance: entries.map(entry => entry.summary.score),
+    pages,
+    components
+  };
+}
+
+/**
+ * First and latest value of a series, ignoring runs without a value
+ * @param {Array<number|null>} values - Series from buildTrends
+ * @returns {{first: number|null, latest: number|null, change: number|null}}
+ */
+export function seriesChange(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) return { first: null, latest: null, change: null };
+  const first = present[0];
+  const latest = present[present.length - 1];
+  return { first, latest, change: latest - first };
+}
@@ -0,0 +1,64 @@
+/**
+ * Local pixel diff for component screenshots (pngjs + pixelmatch)
+ */
+
+import fs from 'fs';
+import { PNG } from 'pngjs';
+import pixelmatch from 'pixelmatch';
+
+/**
+ * Copy a PNG onto a transparent canvas of the given size
+ * @param {PNG} png - Source image
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function padImage(png, width, height) {
+  if (png.width === width && png.height === height) return png;
+
+  const padded = new PNG({ width, height });
+  PNG.bitblt(png, padded, 0, 0, png.width, png.height, 0, 0);
+  return padded;
+}
+
+/**
+ * Compare a screenshot against its baseline and write a diff image
+ *
+ * Images of different sizes are compared on a shared canvas, so the area
+ * outside the smaller image counts as changed.
+ *
+ * @param {string} actualPath - Screenshot from this run
+ * @param {string} baselinePath - Stored baseline screenshot
+ * @param {string} diffPath - Where to write the diff image
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Per-pixel color distance threshold for pixelmatch (0-1)
+ * @returns {{width: number, height: number, mismatchedPixels: number, mismatchPercentage: number, sizeChanged: boolean}}
+ */
+export function compareImages(actualPath, baselinePath, diffPath, options = {}) {
+  const { threshold = 0.1 } = options;
+
+  const actual = PNG.sync.read(fs.readFileSync(actualPath));
+  const baseline = PNG.sync.read(fs.readFileSync(baselinePath));
+
+  const width = Math.max(actual.width, baseline.width);
+  const height = Math.max(actual.height, baseline.height);
+  const diff = new PNG({ width, height });
+
+  const mismatchedPixels = pixelmatch(
+    padImage(actual, width, height).data,
+    padImage(baseline, width, height).data,
+    diff.data,
+    width,
+    height,
+    { threshold }
+  );
+
+  fs.writeFileSync(diffPath, PNG.sync.write(diff));
+
+  return {
+    width,
+    height,
+    mismatchedPixels,
+    mismatchPercentage: (mismatchedPixels / (width * height)) * 100,
+    sizeChanged: actual.width !== baseline.width || actual.height !== baseline.height
+  };
+}
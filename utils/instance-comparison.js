@@ -0,0 +1,122 @@
+/**
+ * Cross-instance comparison of validator results
+ *
+ * Takes one baseline snapshot (utils/baseline.js) per instance profile and
+ * lists, per page, the components, custom patterns and spec violations whose
+ * numbers differ between instances.
+ */
+
+/**
+ * True when every value in the list is the same
+ * @param {Array} values - Values to compare
+ */
+function allEqual(values) {
+  return values.every(value => value === values[0]);
+}
+
+/**
+ * Compare snapshots from several instances
+ * @param {Object<string, Object>} snapshots - Output of createBaselineSnapshot per profile
+ * @param {string[]} pages - Page paths that were audited
+ * @returns {{profiles: string[], pages: Object<string, Object>, differences: number}}
+ */
+export function compareInstances(snapshots, pages) {
+  const profiles = Object.keys(snapshots);
+  const result = { profiles, pages: {}, differences: 0 };
+
+  pages.forEach(page => {
+    const audited = profiles.filter(profile => snapshots[profile].pages[page]);
+    const data = profile => snapshots[profile].pages[page];
+
+    const pageDiff = {
+      notAudited: profiles.filter(profile => !snapshots[profile].pages[page]),
+      components: [],
+      customPatterns: [],
+      specViolations: []
+    };
+
+    // Components: counts, variants and sizes
+    const componentNames = new Set(audited.flatMap(profile => Object.keys(data(profile).components)));
+    componentNames.forEach(component => {
+      const byProfile = Object.fromEntries(audited.map(profile => [
+        profile,
+        data(profile).components[component] || { count: 0, variants: [], sizes: [] }
+      ]));
+      const values = audited.map(profile => byProfile[profile]);
+
+      const differs = [];
+      if (!allEqual(values.map(v => v.count))) differs.push('count');
+      if (!allEqual(values.map(v => [...v.variants].sort().join(',')))) differs.push('variants');
+      if (!allEqual(values.map(v => [...v.sizes].sort().join(',')))) differs.push('sizes');
+
+      if (differs.length > 0) {
+        pageDiff.components.push({ component, differs, byProfile });
+      }
+    });
+
+    // Custom patterns
+    const patterns = new Set(audited.flatMap(profile => Object.keys(data(profile).customPatterns)));
+    patterns.forEach(pattern => {
+      const byProfile = Object.fromEntries(audited.map(profile => [profile, data(profile).customPatterns[pattern] || 0]));
+      if (!allEqual(Object.values(byProfile))) {
+        pageDiff.customPatterns.push({ pattern, byProfile });
+      }
+    });
+
+    // Spec violations, by component and normalized message
+    const violated = new Set(audited.flatMap(profile => Object.keys(data(profile).specViolations)));
+    violated.forEach(component => {
+      const messages = new Set(audited.flatMap(profile => Object.keys(data(profile).specViolations[component] || {})));
+      messages.forEach(message => {
+        const byProfile = Object.fromEntries(audited.map(profile => [
+          profile,
+          data(profile).specViolations[component]?.[message] || 0
+        ]));
+        if (!allEqual(Object.values(byProfile))) {
+          pageDiff.specViolations.push({ component, message, byProfile });
+        }
+      });
+    });
+
+    const differences = pageDiff.components.length + pageDiff.customPatterns.length + pageDiff.specViolations.length;
+    result.differences += differences;
+    result.pages[page] = { ...pageDiff, differences };
+  });
+
+  return result;
+}
+
+/**
+ * Print a cross-instance comparison to the console
+ * @param {Object} comparison - Output of compareInstances
+ */
+export function printInstanceComparison(comparison) {
+  console.log('\n' + '='.repeat(60));
+  console.log(`🔀 INSTANCE COMPARISON (${comparison.profiles.join(' vs ')})`);
+  console.log('='.repeat(60));
+
+  const format = byProfile => Object.entries(byProfile).map(([profile, value]) => `${profile}: ${value}`).join(', ');
+
+  Object.entries(comparison.pages).forEach(([page, diff]) => {
+    console.log(`\n📄 ${page}${diff.differences === 0 && diff.notAudited.length === 0 ? ' - identical' : ''}`);
+    if (diff.notAudited.length > 0) {
+      console.log(`  ⚠️ Not audited on: ${diff.notAudited.join(', ')}`);
+    }
+
+    diff.components.forEach(c => {
+      if (c.differs.includes('count')) {
+        console.log(`  🔢 ${c.component}: ${format(Object.fromEntries(Object.entries(c.byProfile).map(([p, v]) => [p, v.count])))}`);
+      }
+      if (c.differs.includes('variants')) {
+        console.log(`  🎨 ${c.component} variants: ${format(Object.fromEntries(Object.entries(c.byProfile).map(([p, v]) => [p, v.variants.join('/') || '-'])))}`);
+      }
+      if (c.differs.includes('sizes')) {
+        console.log(`  📏 ${c.component} sizes: ${format(Object.fromEntries(Object.entries(c.byProfile).map(([p, v]) => [p, v.sizes.join('/') || '-'])))}`);
+      }
+    });
+    diff.customPatterns.forEach(c => console.log(`  ⚠️ Custom ${c.pattern}: ${format(c.byProfile)}`));
+    diff.specViolations.forEach(v => console.log(`  🔬 ${v.component}: ${v.message} (${format(v.byProfile)})`));
+  });
+
+  console.log(`\n${comparison.differences > 0 ? '⚠️' : '✅'} ${comparison.differences} difference(s) between instances\n`);
+}
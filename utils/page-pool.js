@@ -0,0 +1,67 @@
+/**
+ * Bounded pool of browser pages for auditing several pages in parallel
+ *
+ * Pool pages are opened in the browser's default context, so they share the
+ * session cookie set by logging in on the first page.
+ */
+
+/**
+ * Run a task for every item with at most `concurrency` pages at work at once
+ * Results keep the order of `items`. A task that throws does not stop the
+ * others; its slot gets the value returned by `onError` instead.
+ * @param {import('puppeteer').Browser} browser - Browser to open pool pages in
+ * @param {Array} items - Work items, e.g. page paths
+ * @param {(page: import('puppeteer').Page, item: *, index: number) => Promise<*>} task - Work for one item
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Maximum pages working at the same time
+ * @param {import('puppeteer').Page} [options.firstPage] - Already open (logged-in) page to use as the first pool page
+ * @param {(error: Error, item: *, index: number) => *} [options.onError] - Result for a failed item
+ * @returns {Promise<Array>} One result per item, in order
+ */
+export async function runWithPagePool(browser, items, task, options = {}) {
+  const {
+    concurrency = 1,
+    firstPage = null,
+    onError = error => ({ error: error.message })
+  } = options;
+
+  const size = Math.max(1, Math.min(Math.floor(concurrency) || 1, items.length));
+  const results = new Array(items.length);
+  const opened = [];
+  let next = 0;
+
+  const openPage = async () => {
+    const page = await browser.newPage();
+    opened.push(page);
+    return page;
+  };
+
+  const worker = async (page) => {
+    while (next < items.length) {
+      const index = next++;
+
+      // A crashed or closed page would fail every remaining item on this worker
+      if (page.isClosed()) {
+        page = await openPage();
+      }
+
+      try {
+        results[index] = await task(page, items[index], index);
+      } catch (error) {
+        results[index] = onError(error, items[index], index);
+      }
+    }
+  };
+
+  try {
+    const pages = [];
+    for (let i = 0; i < size; i++) {
+      pages.push(i === 0 && firstPage ? firstPage : await openPage());
+    }
+    await Promise.all(pages.map(worker));
+  } finally {
+    await Promise.all(opened.map(page => page.close().catch(() => {})));
+  }
+
+  return results;
+}
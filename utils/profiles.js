@@ -0,0 +1,52 @@
+import { config } from '../config.js';
+import path from 'path';
+
+// Settings from .env before any profile was applied
+let defaults = null;
+
+/**
+ * Point the shared config at one instance profile
+ * Settings the profile does not define keep their .env values. Each profile
+ * gets its own saved session file so switching instances does not discard it.
+ * @param {string} name - Profile name from SN_PROFILES
+ */
+export function applyProfile(name) {
+  const profile = config.profiles[name];
+  if (!profile) {
+    const known = Object.keys(config.profiles);
+    throw new Error(`Unknown instance profile "${name}". ${known.length > 0 ? `Defined profiles: ${known.join(', ')}` : 'Define profiles with SN_PROFILES in .env'}`);
+  }
+
+  if (!defaults) {
+    defaults = {
+      instance: config.instance,
+      baseUrl: config.baseUrl,
+      username: config.username,
+      password: config.password,
+      authStrategy: config.auth.strategy,
+      totpSecret: config.auth.totp.secret,
+      oauthToken: config.auth.oauthToken,
+      sessionCookie: config.auth.sessionCookie,
+      sessionFile: config.session.file
+    };
+  }
+
+  // A profile that names its own instance must not inherit the default base URL override
+  const ownInstance = profile.instance !== undefined || profile.baseUrl !== undefined;
+  config.instance = ownInstance ? profile.instance : defaults.instance;
+  config.baseUrl = ownInstance ? profile.baseUrl : defaults.baseUrl;
+
+  config.username = profile.username ?? defaults.username;
+  config.password = profile.password ?? defaults.password;
+  config.auth.strategy = profile.authStrategy ?? defaults.authStrategy;
+  config.auth.totp.secret = profile.totpSecret ?? defaults.totpSecret;
+  config.auth.oauthToken = profile.oauthToken ?? defaults.oauthToken;
+  config.auth.sessionCookie = profile.sessionCookie ?? defaults.sessionCookie;
+
+  if (defaults.sessionFile) {
+    const { dir, name: base, ext } = path.parse(defaults.sessionFile);
+    config.session.file = path.join(dir, `${base}.${name}${ext}`);
+  }
+
+  config.activeProfile = name;
+}
@@ -0,0 +1,171 @@
+/**
+ * Readiness detection for Horizon pages
+ *
+ * Replaces a fixed sleep after navigation: polls the page until the set of
+ * now-* elements across all shadow roots has stopped changing for a quiet
+ * period, no now-loader is visible and every now-* element is defined. A page
+ * without any now-* element has to stay empty for the longer empty period, so
+ * a workspace shell that renders its components late is not ready too early
+ * while a page without Horizon components does not wait for the timeout.
+ * Fast pages continue as soon as they settle; slow pages get up to the
+ * timeout and then a diagnostic of what was still loading.
+ */
+
+import { config } from '../config.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Take a readiness snapshot. Runs inside the browser, so it must stay
+ * self-contained (no references to module scope).
+ * @returns {{readyState: string, counts: Object<string, number>, loaders: string[], undefinedComponents: string[]}}
+ */
+export function snapshotHorizonState() {
+  const composedParent = (el) => el.parentElement || el.parentNode?.host || null;
+  const componentPath = (el) => {
+    const path = [];
+    for (let node = el; node; node = composedParent(node)) {
+      if (node.tagName.includes('-')) path.unshift(node.tagName.toLowerCase());
+    }
+    return path.join(' > ');
+  };
+
+  const counts = {};
+  const loaders = [];
+  const undefinedComponents = new Set();
+  const roots = [document];
+
+  while (roots.length > 0) {
+    const root = roots.shift();
+    root.querySelectorAll('*').forEach(el => {
+      const tagName = el.tagName.toLowerCase();
+      if (tagName.startsWith('now-')) {
+        counts[tagName] = (counts[tagName] || 0) + 1;
+        if (!el.matches(':defined')) undefinedComponents.add(tagName);
+        if (tagName === 'now-loader' && !el.hidden && el.getClientRects().length > 0) {
+          loaders.push(componentPath(el));
+        }
+      }
+      if (el.shadowRoot) roots.push(el.shadowRoot);
+    });
+  }
+
+  // Sorted so the same set of elements always gives the same signature
+  const sorted = Object.fromEntries(Object.entries(counts).sort(([a], [b]) => a.localeCompare(b)));
+  return { readyState: document.readyState, counts: sorted, loaders, undefinedComponents: [...undefinedComponents] };
+}
+
+/**
+ * Components whose instance count differs between two snapshots
+ * @param {Object<string, number>} before - Earlier counts
+ * @param {Object<string, number>} after - Later counts
+ * @returns {Array<{component: string, from: number, to: number}>}
+ */
+function countChanges(before, after) {
+  const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...names]
+    .filter(name => (before[name] || 0) !== (after[name] || 0))
+    .map(name => ({ component: name, from: before[name] || 0, to: after[name] || 0 }));
+}
+
+/**
+ * Describe why a page was not ready
+ * @param {Object} result - Readiness result
+ */
+function describeNotReady(result) {
+  const reasons = [];
+  if (!result.error && Object.keys(result.components).length === 0) {
+    reasons.push('no now-* components rendered');
+  }
+  if (result.readyState && result.readyState !== 'complete') {
+    reasons.push(`document ${result.readyState}`);
+  }
+  if (result.loaders.length > 0) {
+    reasons.push(`${result.loaders.length} now-loader still visible (${result.loaders.join('; ')})`);
+  }
+  if (result.undefinedComponents.length > 0) {
+    reasons.push(`not yet defined: ${result.undefinedComponents.join(', ')}`);
+  }
+  if (result.changing.length > 0) {
+    reasons.push(`still changing: ${result.changing.map(c => `${c.component} ${c.from}→${c.to}`).join(', ')}`);
+  }
+  if (result.error) {
+    reasons.push(result.error);
+  }
+  return `Page not ready after ${result.elapsed} ms: ${reasons.join('; ') || 'components did not settle'}`;
+}
+
+/**
+ * Wait until the Horizon components on the page have settled
+ * @param {import('puppeteer').Page|import('puppeteer').Frame} page - Page after navigation
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Max wait in ms (default: config.timeouts.componentLoad)
+ * @param {number} [options.quietPeriod] - How long the now-* element set must stay unchanged (ms)
+ * @param {number} [options.emptyPeriod] - How long a page without now-* elements must stay empty (ms)
+ * @param {number} [options.pollInterval] - Time between snapshots (ms)
+ * @returns {Promise<{ready: boolean, elapsed: number, components: Object<string, number>, loaders: string[], undefinedComponents: string[], changing: Array<Object>, message: string}>}
+ */
+export async function waitForHorizonReady(page, options = {}) {
+  const {
+    timeout = config.timeouts.componentLoad,
+    quietPeriod = config.readiness.quietPeriod,
+    emptyPeriod = config.readiness.emptyPeriod,
+    pollInterval = config.readiness.pollInterval
+  } = options;
+
+  const start = Date.now();
+  let previous = null;
+  let stableSince = start;
+  let changing = [];
+  let snapshot = null;
+  let error = null;
+
+  while (true) {
+    try {
+      snapshot = await page.evaluate(snapshotHorizonState);
+      error = null;
+    } catch (e) {
+      // The page navigated or is still replacing its document: treat as a change
+      snapshot = null;
+      error = e.message;
+    }
+
+    const now = Date.now();
+    const signature = snapshot ? JSON.stringify(snapshot.counts) : null;
+
+    if (signature === null || signature !== previous?.signature) {
+      if (snapshot && previous?.counts) {
+        changing = countChanges(previous.counts, snapshot.counts);
+      }
+      previous = snapshot ? { signature, counts: snapshot.counts } : null;
+      stableSince = now;
+    }
+
+    const empty = snapshot && Object.keys(snapshot.counts).length === 0;
+    const settled = snapshot &&
+      snapshot.readyState === 'complete' &&
+      snapshot.loaders.length === 0 &&
+      snapshot.undefinedComponents.length === 0 &&
+      now - stableSince >= (empty ? emptyPeriod : quietPeriod);
+
+    if (settled || now - start >= timeout) {
+      const result = {
+        ready: Boolean(settled),
+        elapsed: now - start,
+        readyState: snapshot?.readyState,
+        components: snapshot?.counts || {},
+        loaders: snapshot?.loaders || [],
+        undefinedComponents: snapshot?.undefinedComponents || [],
+        // Only report counts that changed inside the last quiet window
+        changing: now - stableSince < quietPeriod ? changing : [],
+        error
+      };
+      result.message = result.ready
+        ? `Page ready after ${result.elapsed} ms${empty ? ' (no now-* components rendered)' : ''}`
+        : describeNotReady(result);
+      return result;
+    }
+
+    await sleep(pollInterval);
+  }
+}
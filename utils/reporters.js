@@ -0,0 +1,266 @@
+/**
+ * Reporters for validator results (JSON, JUnit XML, SARIF and the HTML dashboard)
+ *
+ * Each page result has the shape produced by runValidation:
+ *   { page, url, screenshot, attempts, readiness, horizonResults, customResults, specViolations,
+ *     accessibility, tokens, score }
+ * or, when the page could not be audited:
+ *   { page, url, error, failure: { kind, step, status, attempts, screenshot, history } }
+ * score comes from scorePage (utils/scoring.js); failure.kind is one of FAILURE_KINDS (utils/failures.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getLocalISOTimestamp } from './timestamp.js';
+import { toHtmlDashboard } from './dashboard.js';
+import { scoreRun } from './scoring.js';
+
+export const REPORT_FORMATS = ['json', 'junit', 'sarif', 'html'];
+
+const REPORT_FILES = {
+  json: 'validation-results.json',
+  junit: 'validation-results.junit.xml',
+  sarif: 'validation-results.sarif',
+  html: 'validation-dashboard.html'
+};
+
+/**
+ * Escape text for XML attributes and content
+ * @param {string} value - Raw value
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Summarize a single page result
+ * @param {Object} pageResult - Result for one page
+ */
+function summarizePage(pageResult) {
+  if (pageResult.error) {
+    return { horizonTypes: 0, horizonInstances: 0, customElements: 0, specViolations: 0 };
+  }
+
+  return {
+    horizonTypes: Object.keys(pageResult.horizonResults).length,
+    horizonInstances: Object.values(pageResult.horizonResults).reduce((sum, c) => sum + c.count, 0),
+    customElements: Object.values(pageResult.customResults).reduce((sum, count) => sum + count, 0),
+    specViolations: Object.values(pageResult.specViolations).reduce((sum, v) => sum + v.length, 0)
+  };
+}
+
+/**
+ * Build the JSON results document
+ * @param {Array<Object>} pageResults - Per-page validator results
+ * @param {Object} meta - Run metadata ({ baseUrl, gateFailures })
+ */
+export function toJson(pageResults, meta = {}) {
+  const pages = pageResults.map(result => ({ ...result, summary: summarizePage(result) }));
+  const run = scoreRun(pageResults);
+
+  return {
+    tool: 'servicenow-horizon-validator',
+    generatedAt: getLocalISOTimestamp(),
+    baseUrl: meta.baseUrl,
+    summary: {
+      pages: pages.length,
+      failedPages: pages.filter(p => p.error).length,
+      failuresByKind: pages.filter(p => p.error).reduce((acc, p) => {
+        const kind = p.failure?.kind || 'error';
+        acc[kind] = (acc[kind] || 0) + 1;
+        return acc;
+      }, {}),
+      horizonInstances: pages.reduce((sum, p) => sum + p.summary.horizonInstances, 0),
+      customElements: pages.reduce((sum, p) => sum + p.summary.customElements, 0),
+      specViolations: pages.reduce((sum, p) => sum + p.summary.specViolations, 0),
+      score: run.score,
+      componentScores: Object.fromEntries(Object.entries(run.components).map(([name, c]) => [name, c.score]))
+    },
+    gates: meta.gateFailures
+      ? { passed: meta.gateFailures.length === 0, failures: meta.gateFailures }
+      : undefined,
+    pages
+  };
+}
+
+/**
+ * Build a JUnit XML document: one testsuite per page, one testcase per component
+ * @param {Array<Object>} pageResults - Per-page validator results
+ */
+export function toJUnit(pageResults) {
+  let totalTests = 0;
+  let totalFailures = 0;
+  let totalErrors = 0;
+
+  const suites = pageResults.map(result => {
+    const cases = [];
+    let failures = 0;
+    let errors = 0;
+
+    if (result.error) {
+      errors++;
+      cases.push(`    <testcase classname="${escapeXml(result.page)}" name="page-load">
+      <error type="${escapeXml(result.failure?.kind || 'page-load')}" message="${escapeXml(result.error)}"/>
+    </testcase>`);
+    } else {
+      const components = new Set([
+        ...Object.keys(result.horizonResults),
+        ...Object.keys(result.specViolations)
+      ]);
+
+      components.forEach(component => {
+        const violations = result.specViolations[component] || [];
+        if (violations.length > 0) {
+          failures++;
+          cases.push(`    <testcase classname="${escapeXml(result.page)}" name="${escapeXml(component)}">
+      <failure type="spec-violation" message="${escapeXml(`${violations.length} Figma spec violation(s)`)}">${escapeXml(violations.join('\n'))}</failure>
+    </testcase>`);
+        } else {
+          cases.push(`    <testcase classname="${escapeXml(result.page)}" name="${escapeXml(component)}"/>`);
+        }
+      });
+    }
+
+    totalTests += cases.length;
+    totalFailures += failures;
+    totalErrors += errors;
+
+    const customProperties = Object.entries(result.customResults || {})
+      .map(([pattern, count]) => `      <property name="custom.${escapeXml(pattern)}" value="${count}"/>`)
+      .join('\n');
+
+    return `  <testsuite name="${escapeXml(result.page)}" tests="${cases.length}" failures="${failures}" errors="${errors}">
+${customProperties ? `    <properties>\n${customProperties}\n    </properties>\n` : ''}${cases.join('\n')}
+  </testsuite>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Horizon Design System Validation" tests="${totalTests}" failures="${totalFailures}" errors="${totalErrors}">
+${suites.join('\n')}
+</testsuites>
+`;
+}
+
+/**
+ * Build a SARIF 2.1.0 log so violations show up in code-scanning UIs
+ * @param {Array<Object>} pageResults - Per-page validator results
+ */
+export function toSarif(pageResults) {
+  const rules = [
+    {
+      id: 'horizon/spec-violation',
+      name: 'FigmaSpecViolation',
+      shortDescription: { text: 'Horizon component does not match its Figma spec' },
+      fullDescription: { text: 'A Horizon component uses a variant, size or attribute value that is not defined in figma-component-mapping.json.' },
+      defaultConfiguration: { level: 'error' }
+    },
+    {
+      id: 'horizon/custom-element',
+      name: 'CustomElement',
+      shortDescription: { text: 'Non-Horizon UI element detected' },
+      fullDescription: { text: 'A native or custom element matched one of config.customPatterns instead of using a Horizon component.' },
+      defaultConfiguration: { level: 'warning' }
+    },
+    {
+      id: 'horizon/page-load',
+      name: 'PageLoadFailure',
+      shortDescription: { text: 'Page could not be audited' },
+      defaultConfiguration: { level: 'error' }
+    }
+  ];
+
+  const location = (page, logicalName) => ({
+    physicalLocation: {
+      artifactLocation: { uri: page.replace(/^\/+/, '') }
+    },
+    logicalLocations: logicalName ? [{ name: logicalName, kind: 'element' }] : undefined
+  });
+
+  const results = [];
+
+  pageResults.forEach(result => {
+    if (result.error) {
+      results.push({
+        ruleId: 'horizon/page-load',
+        level: 'error',
+        message: { text: `${result.page}: ${result.failure ? `[${result.failure.kind}] ` : ''}${result.error}` },
+        locations: [location(result.page)]
+      });
+      return;
+    }
+
+    Object.entries(result.specViolations).forEach(([component, violations]) => {
+      violations.forEach(violation => {
+        results.push({
+          ruleId: 'horizon/spec-violation',
+          level: 'error',
+          message: { text: `<${component}> ${violation}` },
+          locations: [location(result.page, component)]
+        });
+      });
+    });
+
+    Object.entries(result.customResults).forEach(([pattern, count]) => {
+      results.push({
+        ruleId: 'horizon/custom-element',
+        level: 'warning',
+        message: { text: `${count} custom ${pattern} (not using Horizon)` },
+        locations: [location(result.page, pattern)]
+      });
+    });
+  });
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'servicenow-horizon-validator',
+            informationUri: 'https://github.com/stegel/puppeteer-now',
+            rules
+          }
+        },
+        results
+      }
+    ]
+  };
+}
+
+/**
+ * Write validator results in the requested formats
+ * @param {string} reportDir - Directory to write into
+ * @param {Array<Object>} pageResults - Per-page validator results
+ * @param {string[]} formats - Any of REPORT_FORMATS
+ * @param {Object} [meta] - Run metadata ({ baseUrl, gateFailures })
+ * @returns {string[]} Paths of the written files
+ */
+export function writeValidationResults(reportDir, pageResults, formats, meta = {}) {
+  if (!fs.existsSync(reportDir)) {
+    fs.mkdirSync(reportDir, { recursive: true });
+  }
+
+  return formats.map(format => {
+    const filePath = path.join(reportDir, REPORT_FILES[format]);
+
+    if (format === 'json') {
+      fs.writeFileSync(filePath, JSON.stringify(toJson(pageResults, meta), null, 2));
+    } else if (format === 'junit') {
+      fs.writeFileSync(filePath, toJUnit(pageResults));
+    } else if (format === 'sarif') {
+      fs.writeFileSync(filePath, JSON.stringify(toSarif(pageResults), null, 2));
+    } else if (format === 'html') {
+      fs.writeFileSync(filePath, toHtmlDashboard(toJson(pageResults, meta), { reportDir }));
+    } else {
+      throw new Error(`Unknown report format: ${format}`);
+    }
+
+    return filePath;
+  });
+}
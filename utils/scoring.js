@@ -0,0 +1,168 @@
+/**
+ * Weighted compliance score
+ *
+ * Every score starts at 100. Each finding deducts its weight from
+ * config.scoring.weights (token deviations once per affected instance), and
+ * the points one category can deduct are capped by config.scoring.caps, so a
+ * single kind of problem cannot hide the others. Scores never go below 0.
+ *
+ * - Page: all findings on the page
+ * - Component type: the findings attributed to that component on a page,
+ *   averaged over the pages it appears on
+ * - Instance: the average of the page scores (pages that could not be
+ *   audited are listed as unscored)
+ */
+
+/**
+ * Deduction categories and how they are described in explanations
+ */
+export const SCORE_CATEGORIES = {
+  customElements: 'custom elements',
+  specViolations: 'spec violations',
+  accessibility: 'accessibility',
+  tokens: 'token deviations'
+};
+
+const TOKEN_WEIGHTS = {
+  'hard-coded': 'tokenHardCoded',
+  'wrong-token': 'tokenWrongToken',
+  'value-mismatch': 'tokenValueMismatch'
+};
+
+/**
+ * Flatten a page result into weighted findings
+ * @param {Object} pageResult - Validator result for one page
+ * @param {Object} weights - config.scoring.weights
+ * @returns {Array<{category: string, rule: string, component: string|null, count: number, weight: number}>}
+ */
+export function collectScoreFindings(pageResult, weights) {
+  const findings = [];
+  const add = (category, rule, component, count, weight) => {
+    const existing = findings.find(f => f.category === category && f.rule === rule && f.component === component);
+    if (existing) {
+      existing.count += count;
+    } else {
+      findings.push({ category, rule, component, count, weight });
+    }
+  };
+
+  Object.entries(pageResult.customResults || {}).forEach(([pattern, count]) => {
+    add('customElements', pattern, null, count, weights.customElement);
+  });
+
+  Object.entries(pageResult.specViolations || {}).forEach(([component, violations]) => {
+    add('specViolations', 'spec-violation', component, violations.length, weights.specViolation);
+  });
+
+  (pageResult.accessibility?.findings || []).forEach(finding => {
+    const weight = finding.severity === 'error' ? weights.accessibilityError : weights.accessibilityWarning;
+    add('accessibility', `${finding.rule} (${finding.severity})`, finding.component, 1, weight);
+  });
+
+  (pageResult.tokens?.groups || []).forEach(group => {
+    group.findings.forEach(finding => {
+      add('tokens', finding.type, group.component, group.count, weights[TOKEN_WEIGHTS[finding.type]] ?? 0);
+    });
+  });
+
+  return findings;
+}
+
+/**
+ * Score a set of findings
+ * @param {Array<Object>} findings - Output of collectScoreFindings (or a subset)
+ * @param {Object} caps - config.scoring.caps: max points per category
+ * @returns {{score: number, deductions: Array<{category: string, points: number, uncapped: number, cap: number|null, items: Array<Object>}>}}
+ */
+export function scoreFindings(findings, caps) {
+  const deductions = Object.keys(SCORE_CATEGORIES).map(category => {
+    const items = findings
+      .filter(f => f.category === category && f.count * f.weight > 0)
+      .map(f => ({ rule: f.rule, component: f.component, count: f.count, weight: f.weight, points: f.count * f.weight }));
+    const uncapped = items.reduce((sum, item) => sum + item.points, 0);
+    const cap = caps[category] ?? null;
+    return { category, points: cap === null ? uncapped : Math.min(uncapped, cap), uncapped, cap, items };
+  }).filter(deduction => deduction.items.length > 0);
+
+  const total = deductions.reduce((sum, deduction) => sum + deduction.points, 0);
+  return { score: Math.max(0, Math.round(100 - total)), deductions };
+}
+
+/**
+ * Score one page and each component type on it
+ * @param {Object} pageResult - Validator result for one page
+ * @param {Object} scoring - config.scoring ({ weights, caps })
+ * @returns {{score: number, deductions: Array<Object>, components: Object<string, {score: number, deductions: Array<Object>}>}|null} Null for a page that could not be audited
+ */
+export function scorePage(pageResult, scoring) {
+  if (pageResult.error) return null;
+
+  const findings = collectScoreFindings(pageResult, scoring.weights);
+  const componentNames = new Set([
+    ...Object.keys(pageResult.horizonResults || {}),
+    ...findings.map(f => f.component).filter(Boolean)
+  ]);
+
+  const components = Object.fromEntries([...componentNames].sort().map(name => [
+    name,
+    scoreFindings(findings.filter(f => f.component === name), scoring.caps)
+  ]));
+
+  return { ...scoreFindings(findings, scoring.caps), components };
+}
+
+/**
+ * Combine page scores into the instance score and per-component scores
+ * @param {Array<Object>} pageResults - Validator results with a `score` from scorePage
+ * @returns {{score: number|null, pages: number, unscored: string[], components: Object<string, {score: number, pages: number, lowest: {page: string, score: number}}>}}
+ */
+export function scoreRun(pageResults) {
+  const scored = pageResults.filter(result => result.score);
+  const average = values => Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+
+  const components = {};
+  scored.forEach(result => {
+    Object.entries(result.score.components).forEach(([name, componentScore]) => {
+      components[name] = components[name] || { scores: [], lowest: null };
+      components[name].scores.push(componentScore.score);
+      if (!components[name].lowest || componentScore.score < components[name].lowest.score) {
+        components[name].lowest = { page: result.page, score: componentScore.score };
+      }
+    });
+  });
+
+  return {
+    score: scored.length > 0 ? average(scored.map(result => result.score.score)) : null,
+    pages: scored.length,
+    unscored: pageResults.filter(result => !result.score).map(result => result.page),
+    components: Object.fromEntries(Object.entries(components)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([name, data]) => [name, { score: average(data.scores), pages: data.scores.length, lowest: data.lowest }]))
+  };
+}
+
+/**
+ * Explain a score as one line per deduction category
+ * @param {{deductions: Array<Object>}} result - Output of scoreFindings or scorePage
+ * @returns {string[]} e.g. "-10 spec violations: now-button 2 × 5"
+ */
+export function explainScore(result) {
+  return result.deductions.map(deduction => {
+    const items = deduction.items
+      .map(item => `${[item.component, item.rule === 'spec-violation' ? null : item.rule].filter(Boolean).join(' ')} ${item.count} × ${item.weight}`)
+      .join(', ');
+    const capped = deduction.uncapped > deduction.points ? ` (capped from -${deduction.uncapped})` : '';
+    return `-${deduction.points} ${SCORE_CATEGORIES[deduction.category]}${capped}: ${items}`;
+  });
+}
+
+/**
+ * Emoji for a score, used in console output
+ * @param {number|null} score - 0-100
+ */
+export function scoreBadge(score) {
+  if (score === null) return '⚪';
+  if (score >= 90) return '🟢';
+  if (score >= 70) return '🟡';
+  return '🔴';
+}
@@ -0,0 +1,98 @@
+import { config } from '../config.js';
+
+/**
+ * Send a JSON request from the page
+ * The request carries the session cookie and, on a live instance, the g_ck
+ * user token.
+ * @param {import('puppeteer').Page} page - Logged-in page on the instance
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Path on the instance
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<{ok: boolean, status: number, data: Object|null}>}
+ */
+async function requestFromPage(page, method, endpoint, body) {
+  return await page.evaluate(async (url, method, body) => {
+    const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+    if (window.g_ck) headers['X-UserToken'] = window.g_ck;
+
+    const res = await fetch(url, {
+      method,
+      credentials: 'same-origin',
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      // Not JSON (e.g. the login page); the status tells what happened
+    }
+    return { ok: res.ok, status: res.status, data };
+  }, `${config.getBaseUrl()}${endpoint}`, method, body);
+}
+
+/**
+ * Switch the logged-in user's UI theme by saving the theme preference
+ * @param {import('puppeteer').Page} page - Logged-in page on the instance
+ * @param {{name: string, value: string}} theme - Entry from config.themes.variants
+ */
+export async function applyTheme(page, theme) {
+  const { endpoint, preference } = config.themes;
+
+  const response = await requestFromPage(page, 'POST', endpoint, { name: preference, value: theme.value });
+  if (!response.ok) {
+    throw new Error(`Could not switch to theme "${theme.name}": ${endpoint} returned ${response.status}`);
+  }
+}
+
+/**
+ * Read the logged-in user's own theme preference (sys_user_preference)
+ * @param {import('puppeteer').Page} page - Logged-in page on the instance
+ * @returns {Promise<{sysId: string, value: string}|null>} Null when the user has no preference of their own and the instance default applies
+ */
+export async function getThemePreference(page) {
+  const query = `name=${config.themes.preference}^user=javascript:gs.getUserID()`;
+  const endpoint = `/api/now/table/sys_user_preference?sysparm_query=${encodeURIComponent(query)}&sysparm_fields=sys_id,value&sysparm_limit=1`;
+
+  const response = await requestFromPage(page, 'GET', endpoint);
+  if (!response.ok || !Array.isArray(response.data?.result)) {
+    throw new Error(`Could not read the theme preference ${config.themes.preference}: sys_user_preference returned ${response.status}`);
+  }
+
+  const [record] = response.data.result;
+  return record ? { sysId: record.sys_id, value: record.value } : null;
+}
+
+/**
+ * Put the user's theme preference back to what getThemePreference returned
+ * Without a preference of their own, the record the audit created is deleted
+ * so the instance default applies again.
+ * @param {import('puppeteer').Page} page - Logged-in page on the instance
+ * @param {{sysId: string, value: string}|null} original - Output of getThemePreference before the first applyTheme
+ */
+export async function restoreThemePreference(page, original) {
+  if (original) {
+    await applyTheme(page, { name: original.value, value: original.value });
+    return;
+  }
+
+  const current = await getThemePreference(page);
+  if (!current) return;
+
+  const response = await requestFromPage(page, 'DELETE', `/api/now/table/sys_user_preference/${current.sysId}`);
+  if (!response.ok) {
+    throw new Error(`Could not remove the theme preference ${config.themes.preference}: sys_user_preference returned ${response.status}`);
+  }
+}
+
+/**
+ * Theme-related classes on <html> and <body>, e.g. now-theme-polaris
+ * @param {import('puppeteer').Page} page - Page on the instance
+ * @returns {Promise<string[]>}
+ */
+export async function getThemeClasses(page) {
+  return await page.evaluate(() => [document.documentElement, document.body]
+    .flatMap(element => Array.from(element?.classList || []))
+    .filter(className => /theme|polaris/i.test(className)));
+}